@@ -0,0 +1,63 @@
+// ----------------------------- Assistant proxy -----------------------------
+// Tiny dependency-free proxy so the browser never sees the API key: requests to /api/assistant/<path>
+// are forwarded to `${OPENAI_BASE_URL}/<path>` with the server-side OPENAI_API_KEY. Only the
+// endpoints the app uses are allowed — chat completions, Whisper transcription and TTS.
+// Works with any OpenAI-compatible API. Run with `npm run assistant-proxy` (Node 20.6+, reads .env);
+// `npm run dev` proxies /api to it (see vite.config.js).
+
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.ASSISTANT_PROXY_PORT || 8787);
+const BASE_URL = (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/$/, "");
+const API_KEY = process.env.OPENAI_API_KEY;
+const PREFIX = "/api/assistant";
+// allowed upstream paths and their request size limits
+const ROUTES = {
+  "/chat/completions": 256 * 1024,
+  "/audio/transcriptions": 10 * 1024 * 1024,
+  "/audio/speech": 16 * 1024,
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req, limit) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new Error("Request body too large.");
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+const server = createServer(async (req, res) => {
+  const path = req.url.startsWith(PREFIX) ? req.url.slice(PREFIX.length) : null;
+  if (req.method !== "POST" || !(path in ROUTES)) return send(res, 404, { error: "Not found" });
+  let body;
+  try {
+    body = await readBody(req, ROUTES[path]);
+  } catch (err) {
+    return send(res, 413, { error: err.message });
+  }
+  try {
+    // multipart uploads keep their boundary, so the content type is passed through untouched
+    const upstream = await fetch(BASE_URL + path, {
+      method: "POST",
+      headers: { "Content-Type": req.headers["content-type"] || "application/json", ...(API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {}) },
+      body,
+    });
+    res.writeHead(upstream.status, { "Content-Type": upstream.headers.get("content-type") || "application/octet-stream" });
+    res.end(Buffer.from(await upstream.arrayBuffer()));
+  } catch (err) {
+    console.error("Assistant upstream failed", err);
+    send(res, 502, { error: "Upstream AI provider is unreachable." });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Assistant proxy on http://localhost:${PORT} → ${BASE_URL}${API_KEY ? "" : " (no OPENAI_API_KEY set)"}`);
+});
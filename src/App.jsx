@@ -1,11 +1,67 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { flushSync } from "react-dom";
+import { Link, Navigate, Route, Routes, useLocation, useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { clampQty, minQty, priceCart, sortedTiers, unitPriceINR } from "./lib/pricing.js";
+import { availableStock, createReservation, deductStock, isReservationActive, pruneReservations, releaseReservation, restoreStock, stockState, validateCart } from "./lib/inventory.js";
+import { COVER_WARNING_DAYS, METRICS, RANGE_PRESETS, analyticsCsv, bucketSize, lowStockWarnings, presetRange, priceRealization, rfqWinRate, salesLines, timeSeries, topBuyers, totals } from "./lib/analytics.js";
+import { ASSISTANT_GREETING, buildAssistantContext, createAssistantProvider, detectLanguage, toChatMessages } from "./lib/assistant.js";
+import { authenticate, createAccount, createDemoAccounts, hasRole, publicUser } from "./lib/auth.js";
+import { DEFAULT_PRODUCT_IMAGE, MODERATION_LABEL_KEY, PRODUCT_CATEGORIES, errorMessages, exportCatalogCsv, importCatalogCsv, isListed, isLive, listingQueue, moderationStatus, reviewListing, validateProduct, withModeration } from "./lib/catalog.js";
+import { BASE_CURRENCY, CURRENCIES, CURRENCY_META, DEFAULT_RATE_TABLE, formatMoney, parseRateFile, validateRates } from "./lib/currency.js";
+import { downloadBlob, downloadText } from "./lib/download.js";
+import { LANGUAGES, createTranslator, formatDate, formatDateTime, formatTime, localeFor } from "./lib/i18n.js";
+import { MAX_GALLERY_IMAGES, MAX_UPLOAD_BYTES, processImageFile, processImageFiles } from "./lib/images.js";
+import { DOCUMENT_TITLE, GST_STATES, amountInWords, documentFilename, findInvoice, issueInvoice, issueInvoices, quotationFor, taxDocumentPdf, validateGstin } from "./lib/invoices.js";
+import { DELIVERY_SLOTS, SHIPMENT_EVENT_LABEL_KEY, addTransitScan, defaultAddress, deliveryWindows, formatAddress, quoteCart, removeAddress, saveAddress, syncShipment, validateAddress } from "./lib/logistics.js";
+import { GRADES, QUALITY_METRICS, addCertificate, availableGrades, certificateStatus, defaultLot, describeQuality, findLot, lotsOf, removeCertificate, removeLot, saveLot, validateLot, withLotStock } from "./lib/lots.js";
+import { advanceSplit, canCancel, cancelOrder, cancelSplit, createOrder, findSplit, itemsFromCart, itemsForFarmer, newlyCancelledItems, newlyCancelledSplits, nextStatus, ordersForFarmer, splitTotalINR } from "./lib/orders.js";
+import { ESCROW_LABEL_KEY, LEDGER_LABEL_KEY, buyerWallet, createPaymentGateway, escrowStatus, farmerWallet, isOrderPaid, payOrder, refundFunds, releaseFunds, requestPayout } from "./lib/payments.js";
+import { addToList, createList, deleteList, dismissPriceAlert, favouritesOf, fillCart, freshPriceAlerts, isFavourite, itemsFromCartLines, itemsFromOrder, priceAlertStatus, priceAlertsOf, removeFromList, removePriceAlert, renameList, savedListsOf, setListQty, setPriceAlert, toggleFavourite } from "./lib/procurement.js";
+import { createRepository } from "./lib/repository.js";
+import { MAX_REVIEW_LENGTH, aggregateRatings, createReview, moderateReview, moderationQueue, reportReview, starText, visibleReviews, withRatings } from "./lib/reviews.js";
+import { MOQ_OPTIONS, PRICE_RANGES, RATING_OPTIONS, searchProducts } from "./lib/search.js";
+import { DEFAULT_LANGUAGE, createRecorder, createSpeechProvider, speechLanguage } from "./lib/speech.js";
+import { createBrowserBackend } from "./lib/storage.js";
+import { TICKET_CATEGORIES, TICKET_STATUSES, createTicket, findTicket, inbox, recategorize, replyAsCustomer, replyAsSupport, setTicketStatus, validateTicket } from "./lib/support.js";
+import { BILLING_PERIODS, PLANS, assertCanSendRfq, can, cancelPendingChange, changePlan, createApiKey, dueRenewal, findPlan, planOf, planPrice, quotePlanChange, renewSubscription, requiredPlan, rfqUsage, subscriptionOf } from "./lib/subscriptions.js";
+import { DELIVERY_DAYS, FREQUENCIES, RUN_LABEL_KEY, addDays, committedVolume, createStandingOrder, dayKey, deliveryPriceINR, describeSchedule, dueDeliveries, nextDelivery, orderFromStanding, pauseStandingOrder, recordRuns, resumeStandingOrder, skipDelivery, unskipDelivery } from "./lib/recurring.js";
+import { KYC_DOCUMENTS, KYC_STATUS_LABEL_KEY, MAX_DOCUMENT_BYTES, isVerified, kycOf, kycQueue, readDocument, reviewKyc, submitKyc } from "./lib/verification.js";
+import { RFQ_STATUS, RFQ_STATUS_LABEL_KEY, acceptOffer, counterOffer, createRfq, declineRfq, isClosed, isOfferExpired, latestOffer, orderFromRfq, submitQuote } from "./lib/rfq.js";
 
 // Farmers Marketplace — Blue & Dark Pink Theme (Multi‑page MVP with Bulk Orders)
 // Notes:
 // - Front‑end only demo. Replace mocks with your API.
-// - Pages: Home, Shop, Services, Pricing (multi‑currency), About, Contact.
-// - Bulk ordering (RFQ) flow without agents.
-// - Currency toggle (INR/USD) with demo FX rate.
+// - Pages: Home, Shop, Services, Pricing (multi‑currency), About, Contact, product & farmer details, dashboards —
+//   each at its own URL (react-router); shop filters live in the query string (?q=&category=&sort=&price=&loc=…).
+// - Typo-tolerant search with Hindi/Marathi transliteration and faceted filters with counts (lib/search.js).
+// - Bulk ordering (RFQ) flow without agents: RFQs go to the product's farmer, who quotes; buyers counter or accept.
+// - Bulk tier pricing applied per cart line (see lib/pricing.js); MOQ enforced in the cart.
+// - Buyers review products after delivery; product and farm ratings are averaged from visible reviews (lib/reviews.js).
+// - Escrow payments through a pluggable gateway (mock by default) with wallet and payout ledgers (lib/payments.js).
+// - Address books, per-farmer shipping quotes by weight and distance, delivery windows and shipment tracking (lib/logistics.js).
+// - GST tax invoices per farmer split and quotations for accepted RFQs, printable or as PDF (lib/invoices.js, lib/pdf.js).
+// - Starter / Pro Trader / Enterprise subscriptions with monthly or yearly billing; plan entitlements gate RFQs,
+//   invoice PDFs, catalog CSV, priority listing and API keys, with upgrade prompts (lib/subscriptions.js).
+// - Standing orders: scheduled repeat deliveries ordered and paid automatically, with pause/skip and a farm
+//   calendar of committed volume (lib/recurring.js).
+// - Contact form files support tickets (lib/support.js); admins triage and answer them in the console, and
+//   submitters follow theirs in their account or by reference.
+// - Farm KYC (documents, farm location, FSSAI / organic certificates) reviewed by admins for a "Verified"
+//   badge (lib/verification.js); new and edited listings wait in a moderation queue (lib/catalog.js).
+// - Graded quality lots per product (grade, size, brix / moisture / fat) with stock and expiring certificates;
+//   buyers filter by grade and choose a lot in the cart or an RFQ (lib/lots.js).
+// - Farmer sales analytics: revenue / units / orders over a chosen date range per product or category,
+//   realized vs list price, top buyers, RFQ win rate and low-stock warnings, exported as CSV (lib/analytics.js).
+// - Buyer procurement: named saved lists and one-click reorder that refill the cart under MOQ / stock checks,
+//   favourite products and farms, and price alerts on a per-unit target (lib/procurement.js).
+// - Stock is reserved during checkout, deducted on order placement and restored on cancellation.
+// - State persists in browser storage through lib/repository.js (swap the backend for an API).
+// - Local accounts with buyer / farmer / admin roles (lib/auth.js); dashboards are scoped to the signed-in user.
+// - UI in English, Hindi and Marathi (lib/i18n.js, catalogs in lib/locales/); dates and numbers follow the language.
+// - Currency switcher (INR, USD, EUR, GBP, AED, …); admins maintain the exchange-rate table (lib/currency.js).
+// - Floating AI assistant on every page (lib/assistant.js): OpenAI-compatible endpoint via server/assistant-proxy.js,
+//   or an offline mock provider when VITE_ASSISTANT_ENDPOINT is not set. Voice input (Whisper) and spoken replies
+//   in English, Hindi or Marathi for the assistant and shop search (lib/speech.js).
 // - Optional 3D model viewer (web component) for a hero visual.
 //
 // Fix applied: model-viewer sometimes throws "THREE.GLTFLoader: Couldn't load texture" when textures are blocked by CORS
@@ -15,19 +71,11 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
 //  - set the crossorigin attribute on the element (helps when the GLB and textures are served with proper CORS headers),
 //  - show a graceful loading placeholder while the script/model is loading.
 
-// ----------------------------- Config -----------------------------
-const FX = {
-  // demo rate; replace with live API in production
-  INREquivPerUSD: 83,
-};
-const CURRENCIES = Object.freeze(["INR", "USD"]);
-
-
 // ----------------------------- Mock Data -----------------------------
 const initialFarmers = [
-  { id: "f1", name: "Green Valley Farm", location: "Nashik", rating: 4.7 },
-  { id: "f2", name: "Sunrise Dairy", location: "Pune", rating: 4.5 },
-  { id: "f3", name: "Riverbend Organics", location: "Nagpur", rating: 4.9 },
+  { id: "f1", name: "Green Valley Farm", location: "Nashik", state: "Maharashtra", kyc: { status: "verified", documents: [] } },
+  { id: "f2", name: "Sunrise Dairy", location: "Pune", state: "Maharashtra", kyc: { status: "verified", documents: [] } },
+  { id: "f3", name: "Riverbend Organics", location: "Nagpur", state: "Maharashtra", kyc: { status: "verified", documents: [] } },
 ];
 
 const initialProducts = [
@@ -41,12 +89,15 @@ const initialProducts = [
     image:
       "https://images.unsplash.com/photo-1550258987-190a2d41a8ba?q=80&w=1200&auto=format&fit=crop",
     farmerId: "f1",
-    rating: 4.8,
     bulkTiers: [
       { min: 50, priceINR: 285 },
       { min: 200, priceINR: 270 },
       { min: 1000, priceINR: 255 },
     ],
+    lots: [
+      { id: "p1-a", code: "GV-ALP-01", grade: "A", size: "Large (280–320 g)", metric: 19, harvestDate: "2026-04-18", stock: 2500, certificates: [] },
+      { id: "p1-b", code: "GV-ALP-02", grade: "B", size: "Medium (220–260 g)", metric: 16.5, harvestDate: "2026-04-25", stock: 1700, certificates: [] },
+    ],
   },
   {
     id: "p2",
@@ -58,7 +109,6 @@ const initialProducts = [
     image:
       "https://images.unsplash.com/photo-1546470427-0fd2772bca1c?q=80&w=1200&auto=format&fit=crop",
     farmerId: "f3",
-    rating: 4.6,
     bulkTiers: [
       { min: 100, priceINR: 84 },
       { min: 500, priceINR: 80 },
@@ -75,7 +125,6 @@ const initialProducts = [
     image:
       "https://images.unsplash.com/photo-1550581190-9c1c48d21d6c?q=80&w=1200&auto=format&fit=crop",
     farmerId: "f2",
-    rating: 4.4,
     bulkTiers: [
       { min: 200, priceINR: 72 },
       { min: 1000, priceINR: 69 },
@@ -92,12 +141,15 @@ const initialProducts = [
     image:
       "https://images.unsplash.com/photo-1607623814075-e51df1bdc82f?q=80&w=1200&auto=format&fit=crop",
     farmerId: "f3",
-    rating: 4.7,
     bulkTiers: [
       { min: 20, priceINR: 630 },
       { min: 200, priceINR: 610 },
       { min: 1000, priceINR: 595 },
     ],
+    lots: [
+      { id: "p4-a", code: "RB-BAS-11", grade: "A", size: "Extra long (8.3 mm)", metric: 12, harvestDate: "2025-11-12", stock: 1800, certificates: [] },
+      { id: "p4-b", code: "RB-BAS-12", grade: "B", size: "Long (7.6 mm)", metric: 13.5, harvestDate: "2025-11-20", stock: 1200, certificates: [] },
+    ],
   },
   {
     id: "p5",
@@ -109,7 +161,6 @@ const initialProducts = [
     image:
       "https://images.unsplash.com/photo-1517959105821-eaf2591984dd?q=80&w=1200&auto=format&fit=crop",
     farmerId: "f2",
-    rating: 4.5,
     bulkTiers: [
       { min: 50, priceINR: 140 },
       { min: 500, priceINR: 135 },
@@ -118,19 +169,174 @@ const initialProducts = [
   },
 ];
 
+// Demo reviews so ratings are not empty on first run; the orders they came from are not part of the demo data.
+const initialReviews = [
+  ["p1", "f1", "Anita K.", 5, "Sweet, properly ripened and well packed. Will order again for the season."],
+  ["p1", "f1", "Rahul M.", 5, "Genuine Alphonso — the whole crate was consistent."],
+  ["p2", "f3", "Meera S.", 5, "Firm tomatoes, hardly any spoilage over a 500 kg order."],
+  ["p2", "f3", "Vikram P.", 4, "Good quality; one delivery came a day late."],
+  ["p3", "f2", "Sneha D.", 4, "Fresh and creamy. Cans could be sealed better."],
+  ["p4", "f3", "Imran H.", 5, "Long grains, aromatic, and the bags were clean."],
+  ["p5", "f2", "Kavita R.", 4, "Good eggs, a couple cracked in transit."],
+].map(([productId, farmerId, buyerName, stars, text], i) => ({
+  id: `seed-r${i + 1}`,
+  orderId: `seed-o${i + 1}`,
+  productId,
+  productName: initialProducts.find((p) => p.id === productId).name,
+  farmerId,
+  buyerId: null,
+  buyerName,
+  stars,
+  text,
+  photo: null,
+  date: new Date(Date.UTC(2025, 0, 5 + i * 9)).toISOString(),
+  reports: [],
+  hidden: false,
+}));
+
+// Created on first run (see createDemoAccounts) so every role can be tried; all share DEMO_PASSWORD.
+const DEMO_PASSWORD = "demo123";
+const DEMO_ACCOUNTS = [
+  { id: "b1", name: "Demo Buyer", email: "buyer@farmers.market", role: "buyer" },
+  { id: "u-f1", name: "Green Valley Farm", email: "greenvalley@farmers.market", role: "farmer", farmerId: "f1" },
+  { id: "u-f2", name: "Sunrise Dairy", email: "sunrise@farmers.market", role: "farmer", farmerId: "f2" },
+  { id: "u-f3", name: "Riverbend Organics", email: "riverbend@farmers.market", role: "farmer", farmerId: "f3" },
+  { id: "a1", name: "Marketplace Admin", email: "admin@farmers.market", role: "admin" },
+].map((a) => ({ ...a, password: DEMO_PASSWORD }));
+
 const CATEGORIES = ["All", "Fruits", "Vegetables", "Dairy", "Grains"];
+const SORTS = ["relevance", "priceAsc", "priceDesc", "ratingDesc"];
+
+// [message key, path]
+const NAV_LINKS = [
+  ["nav.home", "/"],
+  ["nav.shop", "/shop"],
+  ["nav.services", "/services"],
+  ["nav.pricing", "/pricing"],
+  ["nav.dashboard", "/dashboard/buyer"],
+  ["nav.about", "/about"],
+  ["nav.contact", "/contact"],
+];
+const DASHBOARD_TABS = { "dashboard.buyer": "/dashboard/buyer", "dashboard.farmer": "/dashboard/farmer", "dashboard.admin": "/dashboard/admin" };
+
+// ----------------------------- Session -----------------------------
+// { user, ready, signIn, signUp, signOut, updateProfile, saveAddresses, changeSubscription, keepSubscription, issueApiKey }
+// — provided by App.
+const SessionContext = createContext({ user: null, ready: false });
+
+function useSession() {
+  return useContext(SessionContext);
+}
 
 // ----------------------------- Utilities -----------------------------
 function classNames(...args) {
   return args.filter(Boolean).join(" ");
 }
 
-function toCurrency(amountINR, currency) {
-  if (currency === "USD") {
-    const usd = amountINR / FX.INREquivPerUSD;
-    return usd.toLocaleString("en-US", { style: "currency", currency: "USD" });
+// ----------------------------- i18n -----------------------------
+// { language, setLanguage, locale, t, date, dateTime, time } — provided by App (see lib/i18n.js).
+const I18nContext = createContext(makeI18n(DEFAULT_LANGUAGE, () => {}));
+
+function makeI18n(language, setLanguage) {
+  return {
+    language,
+    setLanguage,
+    locale: localeFor(language),
+    t: createTranslator(language, { onMissing: (key, lang) => console.warn(`Missing ${lang} translation for "${key}"`) }),
+    date: (value) => formatDate(value, language),
+    dateTime: (value) => formatDateTime(value, language),
+    time: (value) => formatTime(value, language),
+    // yyyy-mm-dd calendar days such as delivery dates; read as UTC so the day never shifts
+    day: (value) => formatDate(value, language, { weekday: "short", day: "numeric", month: "short", timeZone: "UTC" }),
+  };
+}
+
+function useI18n() {
+  return useContext(I18nContext);
+}
+
+function LanguageSelect({ className }) {
+  const { language, setLanguage, t } = useI18n();
+  return (
+    <select value={language} onChange={(e) => setLanguage(e.target.value)} aria-label={t("header.language")} className={className}>
+      {LANGUAGES.map((l) => <option key={l.code} value={l.code}>{l.label}</option>)}
+    </select>
+  );
+}
+
+// ----------------------------- Money -----------------------------
+// { currency, setCurrency, rates, format } — provided by App. Amounts are INR everywhere; format() converts
+// with the active rate table and the currency's rounding rules (lib/currency.js).
+const MoneyContext = createContext({ currency: BASE_CURRENCY, rates: DEFAULT_RATE_TABLE, format: (amountINR) => formatMoney(amountINR, BASE_CURRENCY) });
+
+function useMoney() {
+  return useContext(MoneyContext).format;
+}
+
+// Write a piece of state back to the repository whenever it changes, once the initial load is done.
+// A failed write (usually browser storage being full) goes to onError so the user can be told.
+function usePersisted(ready, save, value, onError) {
+  useEffect(() => {
+    if (!ready) return;
+    Promise.resolve(save(value)).catch((err) => {
+      console.error("Failed to save state", err);
+      onError(err);
+    });
+  }, [ready, value]);
+}
+
+// ----------------------------- Voice -----------------------------
+// { provider } — provided by App. See lib/speech.js for providers; the spoken language is the UI language.
+const VoiceContext = createContext({ provider: null });
+
+function useVoice() {
+  return useContext(VoiceContext);
+}
+
+// Record-then-transcribe: start() opens the mic (when the provider needs audio), stop() sends the
+// recording to the provider and hands the text to onText.
+function useVoiceInput(onText) {
+  const { provider } = useVoice();
+  const { language, t } = useI18n();
+  const recorderRef = useRef(null);
+  const [state, setState] = useState("idle"); // idle | listening | transcribing
+  async function start() {
+    try {
+      if (provider.needsAudio) recorderRef.current = await createRecorder();
+      setState("listening");
+    } catch (err) {
+      alert(err.message);
+    }
   }
-  return amountINR.toLocaleString("en-IN", { style: "currency", currency: "INR" });
+  async function stop() {
+    setState("transcribing");
+    try {
+      const audio = provider.needsAudio ? await recorderRef.current.stop() : null;
+      const text = await provider.transcribe(audio, { language });
+      if (text) onText(text);
+      else alert(t("voice.notHeard"));
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      recorderRef.current = null;
+      setState("idle");
+    }
+  }
+  return { state, toggle: () => (state === "idle" ? start() : state === "listening" ? stop() : null) };
+}
+
+function MicButton({ onText, className }) {
+  const { provider } = useVoice();
+  const { language, t } = useI18n();
+  const { state, toggle } = useVoiceInput(onText);
+  if (!provider) return null;
+  const label = state === "listening" ? t("voice.stop") : t("voice.speak", { language: speechLanguage(language).label });
+  return (
+    <button type="button" onClick={toggle} disabled={state === "transcribing"} title={label} aria-label={label}
+      className={classNames("px-3 rounded-2xl border disabled:opacity-50", state === "listening" ? "bg-pink-700 border-pink-700 text-white animate-pulse" : "border-blue-200 text-blue-800 hover:bg-blue-50", className)}>
+      {state === "transcribing" ? "…" : "🎤"}
+    </button>
+  );
 }
 
 // ------------------------------ Model viewer wrapper ------------------------------
@@ -214,43 +420,78 @@ function ModelViewerWrapper({ src, fallbackImg, style, className }) {
 }
 
 // ------------------------------ Global Components ------------------------------
-function Header({ onOpenCart, cartCount, page, setPage, currency, setCurrency }) {
+// A nav link is active on its own path and, for sections like /dashboard, on everything below it.
+function homeDashboard(user) {
+  return hasRole(user, "farmer") ? "/dashboard/farmer" : "/dashboard/buyer";
+}
+
+function isNavActive(pathname, to) {
+  if (to === "/") return pathname === "/";
+  const section = to.split("/").slice(0, 2).join("/");
+  return pathname === section || pathname.startsWith(`${section}/`);
+}
+
+function AccountMenu() {
+  const { user, signOut } = useSession();
+  const { t } = useI18n();
+  const { pathname } = useLocation();
+  if (!user) {
+    return <Link to={`/login?next=${encodeURIComponent(pathname)}`} className="px-3 py-2 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50">{t("header.signIn")}</Link>;
+  }
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <Link to="/account" className="px-3 py-2 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50" title={t("header.signedInAs", { email: user.email, role: user.role })}>👤 {user.name}</Link>
+      <button onClick={signOut} className="text-blue-700 hover:text-pink-700">{t("header.signOut")}</button>
+    </div>
+  );
+}
+
+function Header({ onOpenCart, cartCount }) {
+  const { pathname } = useLocation();
+  const { user } = useSession();
+  const { currency, setCurrency, rates } = useContext(MoneyContext);
+  const { t, date } = useI18n();
   return (
-    <header className="sticky top-0 z-30 backdrop-blur bg-white/70 border-b border-blue-100">
+    <header className="print:hidden sticky top-0 z-30 backdrop-blur bg-white/70 border-b border-blue-100">
       <div className="mx-auto max-w-7xl px-4 sm:px-6 py-3 flex items-center justify-between">
-        <div className="flex items-center gap-3 cursor-pointer" onClick={() => setPage("Home")}> 
+        <Link to="/" className="flex items-center gap-3">
           <div className="h-9 w-9 rounded-2xl bg-gradient-to-br from-blue-600 to-pink-700 grid place-content-center text-white font-bold shadow">
             FM
           </div>
-          <span className="font-semibold text-blue-900 tracking-wide">Farmers Market</span>
-        </div>
+          <span className="font-semibold text-blue-900 tracking-wide">{t("brand.name")}</span>
+        </Link>
         <nav className="hidden md:flex items-center gap-6 text-sm">
-          {[["Home","Shop","Services","Pricing","About","Contact"]][0][0] /* noop to keep linters happy — menu rendered below */}
-          {["Home","Shop","Services","Pricing","About","Contact"].map((p)=> (
-            <button key={p} onClick={()=>setPage(p)} className={classNames("hover:text-pink-700 text-blue-700", page===p && "font-semibold text-blue-900")}>{p}</button>
-          ))}
+          {NAV_LINKS.map(([key, path])=> {
+            const to = key === "nav.dashboard" ? homeDashboard(user) : path;
+            return (
+            <Link key={to} to={to} className={classNames("hover:text-pink-700 text-blue-700", isNavActive(pathname, to) && "font-semibold text-blue-900")}>{t(key)}</Link>
+            );
+          })}
         </nav>
         <div className="flex items-center gap-2">
+          <LanguageSelect className="px-3 py-2 rounded-2xl border border-blue-200 text-blue-800" />
           <select
             value={currency}
             onChange={(e)=>setCurrency(e.target.value)}
             className="px-3 py-2 rounded-2xl border border-blue-200 text-blue-800"
-            aria-label="Currency"
+            aria-label={t("header.currency")}
+            title={t("header.ratesUpdated", { date: date(rates.updatedAt) })}
           >
-            {CURRENCIES.map(c=> <option key={c} value={c}>{c}</option>)}
+            {CURRENCIES.map(c=> <option key={c} value={c} title={CURRENCY_META[c].name}>{c}</option>)}
           </select>
           <button
             onClick={onOpenCart}
             className="relative px-3 py-2 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50 transition"
-            aria-label="Open cart"
+            aria-label={t("header.openCart")}
           >
-            🛒 Cart
+            {t("header.cart")}
             {cartCount > 0 && (
               <span className="absolute -top-2 -right-2 text-xs bg-pink-700 text-white rounded-full px-1.5 py-0.5">
                 {cartCount}
               </span>
             )}
           </button>
+          <AccountMenu />
         </div>
       </div>
     </header>
@@ -262,26 +503,28 @@ function Hero3D() {
   const fallbackHero = "https://images.unsplash.com/photo-1599599810694-9f532a0d4d4e?q=80&w=1600&auto=format&fit=crop";
   // Demo GLB (external host may not allow textures via CORS) — we still try, but gracefully fall back.
   const demoModel = "https://modelviewer.dev/shared-assets/models/Astronaut.glb";
+  const { t } = useI18n();
 
   return (
     <section className="bg-gradient-to-br from-blue-50 via-white to-pink-50 border-b border-blue-100">
       <div className="mx-auto max-w-7xl px-4 sm:px-6 py-10 md:py-16 grid md:grid-cols-2 gap-8 items-center">
         <div>
           <h1 className="text-3xl md:text-5xl font-extrabold tracking-tight text-blue-900">
-            Bulk & retail <span className="text-pink-700">farm‑fresh</span> marketplace.
+            {/* <…> in the message marks the highlighted phrase */}
+            {t("hero.title").split(/<([^>]*)>/).map((part, i) => (i % 2 ? <span key={i} className="text-pink-700">{part}</span> : part))}
           </h1>
           <p className="mt-4 text-blue-800/80 max-w-prose">
-            Order pallets or single packs directly from verified farmers—no agents, no middlemen.
+            {t("hero.subtitle")}
           </p>
           <div className="mt-6 flex flex-wrap gap-3">
             <a href="#shop" className="px-5 py-3 rounded-2xl bg-blue-700 text-white hover:bg-blue-800 shadow" onClick={(e)=>{e.preventDefault(); document.querySelector('#shop')?.scrollIntoView({behavior:'smooth'});}}>
-              Start shopping
+              {t("hero.shop")}
             </a>
             <a href="#services" className="px-5 py-3 rounded-2xl border border-pink-700 text-pink-700 hover:bg-pink-50" onClick={(e)=>{e.preventDefault(); document.querySelector('#services')?.scrollIntoView({behavior:'smooth'});}}>
-              Explore services
+              {t("hero.services")}
             </a>
           </div>
-          <div className="mt-4 text-xs text-blue-900/60">3D model is a demo asset — if it fails to load we show a static hero image.</div>
+          <div className="mt-4 text-xs text-blue-900/60">{t("hero.modelNote")}</div>
         </div>
 
         <div className="order-first md:order-last">
@@ -304,362 +547,3635 @@ function SectionTitle({ id, title, subtitle }) {
   );
 }
 
-function Filters({ q, setQ, category, setCategory, sort, setSort }) {
+function Filters({ q, setQ, category, setCategory, sort, setSort, facets, setFacet, counts, total, onClear }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  const option = (label, count) => t("filters.option", { label, count });
+  const active = category !== "All" || facets.price || facets.locations.length || facets.rating || facets.inStock || facets.moq || facets.grade;
+  function priceLabel(r) {
+    if (!r.min) return t("filters.price.under", { max: money(r.max) });
+    if (r.max === Infinity) return t("filters.price.over", { min: money(r.min) });
+    return t("filters.price.between", { min: money(r.min), max: money(r.max) });
+  }
+  function toggleLocation(loc) {
+    setFacet("locations", facets.locations.includes(loc) ? facets.locations.filter((l) => l !== loc) : [...facets.locations, loc]);
+  }
+  const selectClass = "px-4 py-2.5 rounded-2xl border border-blue-200 focus:outline-none focus:ring-2 focus:ring-blue-500";
   return (
-    <div className="flex flex-col md:flex-row gap-3 md:items-center">
-      <input
-        value={q}
-        onChange={(e) => setQ(e.target.value)}
-        placeholder="Search products..."
-        className="w-full md:w-72 px-4 py-2.5 rounded-2xl border border-blue-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
-      />
-      <div className="flex gap-3">
-        <select
-          value={category}
-          onChange={(e) => setCategory(e.target.value)}
-          className="px-4 py-2.5 rounded-2xl border border-blue-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
-        >
-          {CATEGORIES.map((c) => (
-            <option key={c} value={c}>
-              {c}
-            </option>
-          ))}
+    <div className="space-y-3">
+      <div className="flex flex-col md:flex-row gap-3 md:items-center">
+        <div className="flex gap-2">
+          <input
+            value={q}
+            onChange={(e) => setQ(e.target.value)}
+            placeholder={t("filters.search")}
+            className="w-full md:w-72 px-4 py-2.5 rounded-2xl border border-blue-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <MicButton onText={setQ} />
+        </div>
+        <div className="flex gap-3">
+          <select value={category} onChange={(e) => setCategory(e.target.value)} className={selectClass}>
+            {CATEGORIES.map((c) => (
+              <option key={c} value={c}>
+                {option(t(`category.${c}`), counts.category[c] || 0)}
+              </option>
+            ))}
+          </select>
+          <select value={sort} onChange={(e) => setSort(e.target.value)} className={selectClass}>
+            {SORTS.map((s) => <option key={s} value={s}>{t(`filters.sort.${s}`)}</option>)}
+          </select>
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-3 items-center text-sm">
+        <select aria-label={t("filters.price")} value={facets.price} onChange={(e) => setFacet("price", e.target.value)} className={selectClass}>
+          <option value="">{t("filters.price.any")}</option>
+          {PRICE_RANGES.map((r) => <option key={r.key} value={r.key}>{option(priceLabel(r), counts.price[r.key])}</option>)}
         </select>
-        <select
-          value={sort}
-          onChange={(e) => setSort(e.target.value)}
-          className="px-4 py-2.5 rounded-2xl border border-blue-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
-        >
-          <option value="relevance">Sort: Relevance</option>
-          <option value="priceAsc">Price: Low → High</option>
-          <option value="priceDesc">Price: High → Low</option>
-          <option value="ratingDesc">Rating: High → Low</option>
+        <select aria-label={t("filters.rating")} value={facets.rating} onChange={(e) => setFacet("rating", e.target.value)} className={selectClass}>
+          <option value="">{t("filters.rating.any")}</option>
+          {RATING_OPTIONS.map((r) => <option key={r} value={r}>{option(t("filters.rating.min", { rating: Number(r) }), counts.rating[r])}</option>)}
         </select>
+        <select aria-label={t("filters.moq")} value={facets.moq} onChange={(e) => setFacet("moq", e.target.value)} className={selectClass}>
+          <option value="">{t("filters.moq.any")}</option>
+          {MOQ_OPTIONS.map((n) => <option key={n} value={n}>{option(t("filters.moq.max", { moq: Number(n) }), counts.moq[n])}</option>)}
+        </select>
+        <select aria-label={t("filters.grade")} value={facets.grade} onChange={(e) => setFacet("grade", e.target.value)} className={selectClass}>
+          <option value="">{t("filters.grade.any")}</option>
+          {GRADES.map((g) => <option key={g} value={g}>{option(t("filters.grade.option", { grade: g }), counts.grade[g])}</option>)}
+        </select>
+        <label className="inline-flex items-center gap-2 text-blue-900">
+          <input type="checkbox" checked={facets.inStock} onChange={(e) => setFacet("inStock", e.target.checked)} />
+          {option(t("filters.inStock"), counts.inStock)}
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-2 items-center text-sm">
+        <span className="text-blue-900/70">{t("filters.locations")}</span>
+        {Object.keys({ ...counts.locations, ...Object.fromEntries(facets.locations.map((l) => [l, 0])) }).sort().map((loc) => (
+          <button
+            key={loc}
+            onClick={() => toggleLocation(loc)}
+            aria-pressed={facets.locations.includes(loc)}
+            className={classNames("px-3 py-1 rounded-xl border", facets.locations.includes(loc) ? "bg-blue-700 text-white border-blue-700" : "border-blue-200 text-blue-900 hover:border-pink-700")}
+          >
+            {option(loc, counts.locations[loc] || 0)}
+          </button>
+        ))}
+        <span className="ml-auto text-blue-900/70">{t("filters.results", { count: total })}</span>
+        {active && <button onClick={onClear} className="text-blue-700 hover:text-pink-700">{t("filters.clear")}</button>}
       </div>
     </div>
   );
 }
 
-function PriceBlock({ priceINR, currency }) {
-  return <span className="font-bold text-pink-700">{toCurrency(priceINR, currency)}</span>;
+function PriceBlock({ priceINR }) {
+  const money = useMoney();
+  return <span className="font-bold text-pink-700">{money(priceINR)}</span>;
 }
 
-function BulkBadges({ moq, tiers, currency }) {
+function BulkBadges({ moq, tiers }) {
+  const money = useMoney();
+  const { t } = useI18n();
   return (
     <div className="mt-2 text-xs text-blue-900/70 flex flex-wrap gap-2">
-      <span className="px-2 py-1 rounded-lg bg-blue-50 border border-blue-100">MOQ: {moq}</span>
-      {tiers.slice(0,3).map((t,i)=> (
+      <span className="px-2 py-1 rounded-lg bg-blue-50 border border-blue-100">{t("product.moq", { moq })}</span>
+      {tiers.slice(0,3).map((tier,i)=> (
         <span key={i} className="px-2 py-1 rounded-lg bg-pink-50 border border-pink-100">
-          {t.min}+ @ {toCurrency(t.priceINR, currency)}
+          {t("product.tier", { min: tier.min, price: money(tier.priceINR) })}
         </span>
       ))}
     </div>
   );
 }
 
-function ProductCard({ p, farmer, onAdd, onBulk }) {
+function StockBadge({ stock }) {
+  const { t } = useI18n();
+  if (stock.state === "out") return <span className="absolute top-3 left-3 px-2 py-1 rounded-lg bg-gray-900/80 text-white text-xs">{t("stock.out")}</span>;
+  if (stock.state === "low") return <span className="absolute top-3 left-3 px-2 py-1 rounded-lg bg-pink-700 text-white text-xs">{t("stock.low", { count: stock.available })}</span>;
+  return null;
+}
+
+function VerifiedBadge({ farmer }) {
+  const { t } = useI18n();
+  if (!isVerified(farmer)) return null;
+  return <span className="ml-1 inline-flex items-center px-1.5 py-0.5 rounded-md bg-blue-50 text-blue-700 text-xs font-medium" title={t("product.verified")}>✓ {t("product.verified")}</span>;
+}
+
+function ProductCard({ p, farmer, featured, stock, favourite, onAdd, onBulk, onFavourite }) {
+  const { t } = useI18n();
+  const soldOut = stock?.state === "out";
   return (
     <div className="rounded-3xl overflow-hidden border border-blue-100 bg-white hover:shadow-lg transition">
-      <img src={p.image} alt={p.name} className="h-44 w-full object-cover" />
+      <div className="relative">
+        <Link to={`/products/${p.id}`}>
+          <img src={p.image} alt={p.name} className={classNames("h-44 w-full object-cover", soldOut && "opacity-60")} />
+        </Link>
+        {stock && <StockBadge stock={stock} />}
+        {featured && <span className="absolute top-3 right-3 px-2 py-1 rounded-lg bg-white/90 text-pink-700 text-xs font-medium">{t("product.featured")}</span>}
+        {onFavourite && (
+          <button onClick={() => onFavourite("products", p.id)} aria-pressed={!!favourite} aria-label={t(favourite ? "product.unfavourite" : "product.favourite")} title={t(favourite ? "product.unfavourite" : "product.favourite")} className="absolute bottom-3 right-3 h-9 w-9 rounded-full bg-white/90 text-pink-700 text-lg hover:bg-white">
+            {favourite ? "♥" : "♡"}
+          </button>
+        )}
+      </div>
       <div className="p-4">
-        <h3 className="font-semibold text-blue-900 line-clamp-2 min-h-[3.25rem]">{p.name}</h3>
-        <div className="mt-1 text-sm text-blue-900/70">{farmer?.name} · ⭐ {p.rating}</div>
+        <h3 className="font-semibold text-blue-900 line-clamp-2 min-h-[3.25rem]"><Link to={`/products/${p.id}`} className="hover:text-pink-700">{p.name}</Link></h3>
+        <div className="mt-1 text-sm text-blue-900/70">{farmer ? <><Link to={`/farmers/${farmer.id}`} className="hover:text-pink-700">{farmer.name}</Link><VerifiedBadge farmer={farmer} /></> : null} · {p.rating ? t("product.rating", { rating: p.rating, count: p.reviewCount }) : t("product.newListing")}</div>
         <div className="mt-2 flex items-center justify-between">
-          <div className="text-lg"><PriceBlock priceINR={p.priceINR} currency={farmer?.currency || "INR"} /></div>
+          <div className="text-lg"><PriceBlock priceINR={p.priceINR} /></div>
           <div className="flex gap-2">
             <button
               onClick={() => onAdd(p)}
-              className="px-3 py-2 rounded-xl bg-blue-700 text-white hover:bg-blue-800"
+              disabled={soldOut}
+              className="px-3 py-2 rounded-xl bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-50"
             >
-              Add
+              {t("product.add")}
             </button>
             <button
               onClick={() => onBulk(p)}
               className="px-3 py-2 rounded-xl border border-pink-700 text-pink-700 hover:bg-pink-50"
             >
-              Bulk
+              {t("product.bulk")}
             </button>
           </div>
         </div>
-        <BulkBadges moq={p.moq} tiers={p.bulkTiers} currency={"INR"} />
+        <BulkBadges moq={p.moq} tiers={p.bulkTiers} />
+        {availableGrades(p).length > 0 && <div className="mt-2 text-xs text-blue-900/70">{t("product.grades", { grades: availableGrades(p).join(", ") })}</div>}
+      </div>
+    </div>
+  );
+}
+
+// ---- Addresses & checkout ----
+const ADDRESS_FIELDS = ["label", "name", "phone", "line1", "line2", "city", "state", "pincode"];
+
+function AddressForm({ initial, onSave, onCancel }) {
+  const { t } = useI18n();
+  const [form, setForm] = useState(() => ({ label: "", name: "", phone: "", line1: "", line2: "", city: "", state: "", pincode: "", isDefault: false, ...initial }));
+  const [errors, setErrors] = useState({});
+  function handleSubmit(e) {
+    e.preventDefault();
+    const result = validateAddress(form);
+    setErrors(result.errors);
+    if (result.valid) onSave(result.address);
+  }
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 grid sm:grid-cols-2 gap-2 text-sm" noValidate>
+      {ADDRESS_FIELDS.map((field) => (
+        <label key={field} className={classNames("grid gap-1", (field === "line1" || field === "line2") && "sm:col-span-2")}>
+          <span className="text-blue-900/70">{t(`address.${field}`)}</span>
+          <input
+            value={form[field]}
+            onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+            inputMode={field === "phone" || field === "pincode" ? "numeric" : undefined}
+            className={classNames("px-3 py-2 rounded-xl border", errors[field] ? "border-pink-400" : "border-blue-200")}
+          />
+          {errors[field] && <span className="text-xs text-pink-700">{t(`address.error.${field}`)}</span>}
+        </label>
+      ))}
+      <label className="sm:col-span-2 flex items-center gap-2">
+        <input type="checkbox" checked={form.isDefault} onChange={(e) => setForm({ ...form, isDefault: e.target.checked })} />
+        {t("address.default")}
+      </label>
+      <div className="sm:col-span-2 flex gap-2">
+        <button className="px-4 py-2 rounded-xl bg-blue-700 text-white hover:bg-blue-800">{t("address.save")}</button>
+        {onCancel && <button type="button" onClick={onCancel} className="px-4 py-2 rounded-xl border border-blue-200">{t("address.cancel")}</button>}
       </div>
+    </form>
+  );
+}
+
+function AddressBook({ addresses, onChange }) {
+  const { t } = useI18n();
+  const [editing, setEditing] = useState(null); // address id, or "new"
+  function save(address) {
+    onChange(saveAddress(addresses, address));
+    setEditing(null);
+  }
+  return (
+    <div className="grid gap-2">
+      {addresses.length === 0 && <p className="text-sm text-blue-900/70">{t("address.none")}</p>}
+      {addresses.map((a) => editing === a.id ? (
+        <AddressForm key={a.id} initial={a} onSave={save} onCancel={() => setEditing(null)} />
+      ) : (
+        <div key={a.id} className="border border-blue-100 rounded-2xl p-3 text-sm">
+          <div className="flex items-center gap-2">
+            <span className="font-medium text-blue-900">{a.label}</span>
+            {a.isDefault && <span className="px-2 py-0.5 rounded-lg border border-blue-200 bg-blue-50 text-xs text-blue-800">{t("address.isDefault")}</span>}
+          </div>
+          <div className="text-blue-900/80">{a.name} · {a.phone}</div>
+          <div className="text-blue-900/70">{formatAddress(a)}</div>
+          <div className="mt-1 flex gap-3">
+            <button type="button" onClick={() => setEditing(a.id)} className="text-blue-700 hover:text-pink-700">{t("address.edit")}</button>
+            {!a.isDefault && <button type="button" onClick={() => onChange(saveAddress(addresses, { ...a, isDefault: true }))} className="text-blue-700 hover:text-pink-700">{t("address.makeDefault")}</button>}
+            <button type="button" onClick={() => confirm(t("address.removeConfirm", { label: a.label })) && onChange(removeAddress(addresses, a.id))} className="text-pink-700 hover:underline">{t("address.remove")}</button>
+          </div>
+        </div>
+      ))}
+      {editing === "new" ? (
+        <AddressForm onSave={save} onCancel={() => setEditing(null)} />
+      ) : (
+        <button type="button" onClick={() => setEditing("new")} className="justify-self-start text-sm text-blue-700 hover:text-pink-700">{t("address.add")}</button>
+      )}
     </div>
   );
 }
 
-function CartDrawer({ open, items, onClose, onQty, onRemove, onCheckout, currency }) {
-  const totalINR = items.reduce((s, it) => s + it.priceINR * it.qty, 0);
+// Checkout step: where to deliver, what each farmer's shipment costs, and when to deliver.
+function CheckoutShipping({ addresses, address, onAddress, quotes, farmersById, windows, windowId, onWindow, onSaveAddress }) {
+  const money = useMoney();
+  const { t, day } = useI18n();
+  const [adding, setAdding] = useState(false);
+  const byDate = windows.reduce((acc, w) => ({ ...acc, [w.date]: [...(acc[w.date] || []), w] }), {});
+  return (
+    <div className="mt-2 space-y-2 text-sm">
+      <div className="font-medium text-blue-900">{t("checkout.deliverTo")}</div>
+      {addresses.length > 0 && !adding && (
+        <select value={address?.id || ""} onChange={(e) => onAddress(e.target.value)} className="w-full px-3 py-2 rounded-xl border border-blue-200" aria-label={t("checkout.deliverTo")}>
+          {addresses.map((a) => <option key={a.id} value={a.id}>{a.label} — {formatAddress(a)}</option>)}
+        </select>
+      )}
+      {adding || addresses.length === 0 ? (
+        <AddressForm
+          initial={{ isDefault: addresses.length === 0 }}
+          onSave={(a) => { onSaveAddress(a); setAdding(false); }}
+          onCancel={addresses.length ? () => setAdding(false) : undefined}
+        />
+      ) : (
+        <button type="button" onClick={() => setAdding(true)} className="text-blue-700 hover:text-pink-700">{t("checkout.addAddress")}</button>
+      )}
+      {address && !adding && (
+        <>
+          <ul className="space-y-1">
+            {quotes.map((q) => (
+              <li key={q.farmerId} className="flex items-center justify-between gap-2 text-blue-900/80">
+                <span>
+                  {t("checkout.shipmentFrom", { farm: farmersById[q.farmerId]?.name || q.farmerId })}
+                  <span className="block text-xs text-blue-900/60">
+                    {t("checkout.shipmentDetails", { km: q.distanceKm, kg: q.chargeableKg, count: q.transitDays })}
+                    {q.approximate && ` · ${t("checkout.approximate")}`}
+                  </span>
+                </span>
+                <span>{money(q.costINR)}</span>
+              </li>
+            ))}
+          </ul>
+          <label className="grid gap-1">
+            <span className="font-medium text-blue-900">{t("checkout.window")}</span>
+            <select value={windowId} onChange={(e) => onWindow(e.target.value)} className="px-3 py-2 rounded-xl border border-blue-200">
+              <option value="">{t("checkout.chooseWindow")}</option>
+              {Object.entries(byDate).map(([date, list]) => (
+                <optgroup key={date} label={day(date)}>
+                  {list.map((w) => <option key={w.id} value={w.id}>{day(w.date)} · {t(`checkout.slot.${w.slot}`)}</option>)}
+                </optgroup>
+              ))}
+            </select>
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
+
+function CartDrawer({ open, items, onClose, onQty, onLot, onRemove, onCheckout, onPlaceOrder, onCancelCheckout, onSaveList, hold, issues, availableById, addresses, farmersById, onSaveAddress }) {
+  const money = useMoney();
+  const { t, time } = useI18n();
+  const [addressId, setAddressId] = useState("");
+  const [windowId, setWindowId] = useState("");
+  const priced = priceCart(items);
+  const hasIssues = Object.keys(issues).length > 0;
+  const address = addresses.find((a) => a.id === addressId) || defaultAddress(addresses);
+  const quotes = hold && address ? quoteCart(items, farmersById, address) : [];
+  const shippingINR = quotes.reduce((s, q) => s + q.costINR, 0);
+  // the slowest farmer's shipment decides the earliest delivery date
+  const windows = quotes.length ? deliveryWindows(Math.max(...quotes.map((q) => q.transitDays))) : [];
+  const deliveryWindow = windows.find((w) => w.id === windowId);
   return (
     <div className={classNames("fixed inset-0 z-40 transition", open ? "pointer-events-auto" : "pointer-events-none")} aria-hidden={!open}>
       <div className={classNames("absolute inset-0 bg-blue-900/20 backdrop-blur-sm transition-opacity", open ? "opacity-100" : "opacity-0")} onClick={onClose} />
       <aside className={classNames("absolute right-0 top-0 h-full w-full max-w-md bg-white shadow-2xl border-l border-blue-100 p-4 flex flex-col","transition-transform duration-300", open ? "translate-x-0" : "translate-x-full")}>
         <div className="flex items-center justify-between">
-          <h2 className="text-lg font-semibold text-blue-900">Your Cart</h2>
-          <button onClick={onClose} className="p-2 rounded-xl hover:bg-blue-50">✕</button>
+          <h2 className="text-lg font-semibold text-blue-900">{t("cart.title")}</h2>
+          <button onClick={onClose} className="p-2 rounded-xl hover:bg-blue-50" aria-label={t("cart.close")}>✕</button>
         </div>
         <div className="mt-4 space-y-3 flex-1 overflow-auto">
-          {items.length === 0 && (<div className="text-blue-900/60">Your cart is empty.</div>)}
-          {items.map((it) => (
-            <div key={it.id} className="flex gap-3 border border-blue-100 rounded-2xl p-2">
-              <img src={it.image} alt={it.name} className="h-16 w-16 rounded-xl object-cover" />
-              <div className="flex-1">
-                <div className="font-medium text-blue-900 line-clamp-1">{it.name}</div>
-                <div className="text-sm text-blue-900/70">{toCurrency(it.priceINR, currency)}</div>
-                <div className="mt-1 flex items-center gap-2">
-                  <button onClick={() => onQty(it.id, Math.max(1, it.qty - 1))} className="px-2 rounded-lg border border-blue-200">−</button>
-                  <span className="min-w-[2ch] text-center">{it.qty}</span>
-                  <button onClick={() => onQty(it.id, it.qty + 1)} className="px-2 rounded-lg border border-blue-200">+</button>
-                  <button onClick={() => onRemove(it.id)} className="ml-auto text-pink-700 hover:underline">Remove</button>
+          {items.length === 0 && (<div className="text-blue-900/60">{t("cart.empty")}</div>)}
+          {items.map((it) => {
+            const line = priced.byId[it.id];
+            const atMoq = it.qty <= minQty(it);
+            const atMax = it.qty >= (availableById[it.id] ?? Infinity);
+            const issue = issues[it.id];
+            return (
+              <div key={it.id} className={classNames("flex gap-3 border rounded-2xl p-2", issue ? "border-pink-300 bg-pink-50/40" : "border-blue-100")}>
+                <img src={it.image} alt={it.name} className="h-16 w-16 rounded-xl object-cover" />
+                <div className="flex-1">
+                  <div className="font-medium text-blue-900 line-clamp-1">{it.name}</div>
+                  <div className="text-sm text-blue-900/70">
+                    {t("cart.perUnit", { price: money(line.unitPriceINR) })}
+                    {line.unitPriceINR < line.listPriceINR && <span className="ml-2 line-through text-blue-900/40">{money(line.listPriceINR)}</span>}
+                  </div>
+                  {line.savingsINR > 0 && <div className="text-xs text-pink-700">{t("cart.youSave", { amount: money(line.savingsINR), min: line.tier.min })}</div>}
+                  {line.nextTier && <div className="text-xs text-blue-900/60">{t("cart.nextTier", { count: line.nextTier.unitsToGo, price: money(line.nextTier.priceINR) })}</div>}
+                  {lotsOf(it).length > 0 && (
+                    <select value={it.lotId || ""} onChange={(e) => onLot(it.id, e.target.value)} disabled={!!hold} aria-label={t("cart.lot")} className="mt-1 w-full px-2 py-1 rounded-lg border border-blue-200 text-xs">
+                      {lotsOf(it).map((l) => <option key={l.id} value={l.id}>{t("lot.option", { code: l.code, grade: l.grade, count: l.stock })}</option>)}
+                    </select>
+                  )}
+                  <div className="mt-1 flex items-center gap-2">
+                    <button onClick={() => onQty(it.id, it.qty - 1)} disabled={atMoq || !!hold} title={atMoq ? t("cart.minimum", { moq: minQty(it) }) : undefined} className="px-2 rounded-lg border border-blue-200 disabled:opacity-40">−</button>
+                    <span className="min-w-[2ch] text-center">{it.qty}</span>
+                    <button onClick={() => onQty(it.id, it.qty + 1)} disabled={atMax || !!hold} title={atMax ? t("cart.noMoreStock") : undefined} className="px-2 rounded-lg border border-blue-200 disabled:opacity-40">+</button>
+                    <button onClick={() => onRemove(it.id)} disabled={!!hold} className="ml-auto text-pink-700 hover:underline disabled:opacity-40">{t("cart.remove")}</button>
+                  </div>
+                  <div className="mt-1 text-xs text-blue-900/60">{t("cart.lineSummary", { moq: minQty(it), total: money(line.lineTotalINR) })}</div>
+                  {issue && (
+                    <div className="mt-1 text-xs font-medium text-pink-700">
+                      {t(`cart.issue.${issue.kind}`, { count: issue.available })}
+                    </div>
+                  )}
                 </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
+          {hold && (
+            <CheckoutShipping
+              addresses={addresses}
+              address={address}
+              onAddress={(id) => { setAddressId(id); setWindowId(""); }}
+              quotes={quotes}
+              farmersById={farmersById}
+              windows={windows}
+              windowId={deliveryWindow ? windowId : ""}
+              onWindow={setWindowId}
+              onSaveAddress={(a) => { onSaveAddress(a); setAddressId(a.id); setWindowId(""); }}
+            />
+          )}
         </div>
-        <div className="border-t border-blue-100 pt-3">
+        <div className="border-t border-blue-100 pt-3 space-y-1">
+          {priced.savingsINR > 0 && (
+            <>
+              <div className="flex items-center justify-between text-sm text-blue-900/70">
+                <span>{t("cart.listPrice")}</span>
+                <span className="line-through">{money(priced.listTotalINR)}</span>
+              </div>
+              <div className="flex items-center justify-between text-sm text-pink-700">
+                <span>{t("cart.bulkSavings")}</span>
+                <span>−{money(priced.savingsINR)}</span>
+              </div>
+            </>
+          )}
+          {quotes.length > 0 && (
+            <div className="flex items-center justify-between text-sm text-blue-900/70">
+              <span>{t("checkout.shipping")}</span>
+              <span>{money(shippingINR)}</span>
+            </div>
+          )}
           <div className="flex items-center justify-between text-blue-900">
-            <span>Total</span>
-            <span className="font-semibold">{toCurrency(totalINR, currency)}</span>
+            <span>{t("cart.total")}</span>
+            <span className="font-semibold">{money(priced.totalINR + shippingINR)}</span>
           </div>
-          <button disabled={items.length === 0} onClick={onCheckout} className="mt-3 w-full px-4 py-3 rounded-2xl bg-pink-700 text-white hover:bg-pink-800 disabled:opacity-50">
-            Proceed to Checkout
-          </button>
+          {hold ? (
+            <>
+              <div className="mt-2 text-xs text-blue-900/70">{t("cart.reservedUntil", { time: time(hold.expiresAt) })}</div>
+              {!(address && deliveryWindow) && <div className="mt-1 text-xs text-pink-700">{t("checkout.needDetails")}</div>}
+              <button disabled={!address || !deliveryWindow} onClick={() => onPlaceOrder({ addressId: address.id, windowId })} className="mt-2 w-full px-4 py-3 rounded-2xl bg-pink-700 text-white hover:bg-pink-800 disabled:opacity-50">
+                {t("cart.placeOrder")}
+              </button>
+              <button onClick={onCancelCheckout} className="mt-2 w-full px-4 py-2 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50">
+                {t("cart.back")}
+              </button>
+            </>
+          ) : (
+            <>
+              {hasIssues && <div className="mt-2 text-xs text-pink-700">{t("cart.fixIssues")}</div>}
+              <button disabled={items.length === 0 || hasIssues} onClick={onCheckout} className="mt-3 w-full px-4 py-3 rounded-2xl bg-pink-700 text-white hover:bg-pink-800 disabled:opacity-50">
+                {t("cart.checkout")}
+              </button>
+              {onSaveList && items.length > 0 && (
+                <button onClick={() => { const name = prompt(t("cart.saveListPrompt")); if (name != null) onSaveList(name); }} className="mt-2 w-full px-4 py-2 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50">
+                  {t("cart.saveList")}
+                </button>
+              )}
+            </>
+          )}
         </div>
       </aside>
     </div>
   );
 }
 
-function RFQModal({ open, onClose, product, onSubmit }) {
+// Shown in place of a feature the account's plan does not include.
+function UpgradePrompt({ feature, vars }) {
+  const { t } = useI18n();
+  const plan = requiredPlan(feature);
+  return (
+    <div className="rounded-2xl border border-pink-200 bg-pink-50 px-4 py-3 text-sm text-pink-800">
+      {t(`upgrade.${feature}`, { plan: t(`plan.${plan.key}`), ...vars })}{" "}
+      <Link to="/pricing" className="font-medium underline hover:text-pink-900">{t("upgrade.cta")}</Link>
+    </div>
+  );
+}
+
+function RFQModal({ open, onClose, product, addresses, usage, onSubmit }) {
+  const { t } = useI18n();
   const [qty, setQty] = useState(product?.moq || 0);
-  const [location, setLocation] = useState("");
+  const [addressId, setAddressId] = useState("");
   const [target, setTarget] = useState("");
   const [notes, setNotes] = useState("");
-  useEffect(()=>{ if (product) { setQty(product.moq); setLocation(""); setTarget(""); setNotes(""); } },[product]);
+  const [lotId, setLotId] = useState("");
+  useEffect(()=>{ if (product) { setQty(product.moq); setAddressId(""); setTarget(""); setNotes(""); setLotId(defaultLot(product, minQty(product))?.id || lotsOf(product)[0]?.id || ""); } },[product]);
   if (!open) return null;
+  const address = addresses.find((a) => a.id === addressId) || defaultAddress(addresses);
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
       <div className="absolute inset-0 bg-blue-900/30" onClick={onClose} />
       <div className="relative w-full max-w-lg bg-white rounded-3xl border border-blue-100 p-5">
         <div className="flex items-center justify-between">
-          <h3 className="text-lg font-semibold">Bulk RFQ — {product?.name}</h3>
+          <h3 className="text-lg font-semibold">{t("rfq.title", { product: product?.name })}</h3>
           <button onClick={onClose} className="p-2 rounded-xl hover:bg-blue-50">✕</button>
         </div>
+        {usage.remaining <= 0 ? (
+          <div className="mt-3"><UpgradePrompt feature="rfqsPerMonth" vars={{ limit: usage.limit }} /></div>
+        ) : (
         <div className="mt-3 grid gap-3">
-          <input type="number" min={product?.moq || 1} value={qty} onChange={(e)=>setQty(Number(e.target.value))} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Quantity" />
-          <input value={location} onChange={(e)=>setLocation(e.target.value)} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Delivery location" />
-          <input value={target} onChange={(e)=>setTarget(e.target.value)} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Target price (optional)" />
-          <textarea value={notes} onChange={(e)=>setNotes(e.target.value)} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Notes (quality, packaging, logistics)" />
-          <button onClick={()=>{ onSubmit({ productId: product.id, qty, location, target, notes }); onClose(); }} className="px-5 py-3 rounded-2xl bg-blue-700 text-white hover:bg-blue-800">Send RFQ</button>
+          {Number.isFinite(usage.limit) && <p className="text-xs text-blue-900/70">{t("rfq.remaining", { count: usage.remaining, limit: usage.limit })}</p>}
+          <input type="number" min={product?.moq || 1} step={1} value={qty} onChange={(e)=>setQty(Number(e.target.value))} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder={t("rfq.quantity")} aria-label={t("rfq.quantity")} />
+          {address ? (
+            <select value={address.id} onChange={(e)=>setAddressId(e.target.value)} className="px-4 py-2.5 rounded-2xl border border-blue-200" aria-label={t("rfq.location")}>
+              {addresses.map((a) => <option key={a.id} value={a.id}>{a.label} — {formatAddress(a)}</option>)}
+            </select>
+          ) : (
+            <Link to="/account" onClick={onClose} className="text-sm text-blue-700 hover:text-pink-700">{t("rfq.addAddress")}</Link>
+          )}
+          {lotsOf(product).length > 0 && (
+            <select value={lotId} onChange={(e)=>setLotId(e.target.value)} className="px-4 py-2.5 rounded-2xl border border-blue-200" aria-label={t("rfq.lot")}>
+              {lotsOf(product).map((l) => <option key={l.id} value={l.id}>{t("lot.option", { code: l.code, grade: l.grade, count: l.stock })}</option>)}
+            </select>
+          )}
+          <input value={target} onChange={(e)=>setTarget(e.target.value)} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder={t("rfq.target")} />
+          <textarea value={notes} onChange={(e)=>setNotes(e.target.value)} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder={t("rfq.notes")} />
+          <button disabled={!address} onClick={()=>{ if (onSubmit({ productId: product.id, lotId, qty, address, target, notes })) onClose(); }} className="px-5 py-3 rounded-2xl bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-50">{t("rfq.send")}</button>
         </div>
+        )}
       </div>
     </div>
   );
 }
 
-function ServicesPage() {
-  const items = [
-    { title: "Bulk RFQ Matching", desc: "Post requirements and get direct quotes from verified farmers.", icon: "📦" },
-    { title: "Quality & Grading", desc: "Optional third‑party grading and certifications upload.", icon: "🧪" },
-    { title: "Escrow Payments", desc: "Funds released to farmers after buyer confirmation.", icon: "💳" },
-    { title: "Logistics Support", desc: "Integrated courier/freight partners and shipment tracking.", icon: "🚚" },
-  ];
+function RFQStatusBadge({ status }) {
+  const { t } = useI18n();
+  const tone = {
+    open: "bg-blue-50 border-blue-200 text-blue-800",
+    quoted: "bg-pink-50 border-pink-200 text-pink-700",
+    countered: "bg-amber-50 border-amber-200 text-amber-800",
+    accepted: "bg-green-50 border-green-200 text-green-800",
+    declined: "bg-gray-50 border-gray-200 text-gray-600",
+  }[status];
+  return <span className={classNames("px-2 py-0.5 rounded-lg border text-xs", tone)}>{t(RFQ_STATUS_LABEL_KEY[status])}</span>;
+}
+
+function OfferForm({ kind, onSubmit }) {
+  const { t } = useI18n();
+  const [price, setPrice] = useState("");
+  const [validUntil, setValidUntil] = useState("");
+  const [deliveryWindow, setDeliveryWindow] = useState("");
+  const [note, setNote] = useState("");
+  const isQuote = kind === "quote";
+  function handleSubmit(e) {
+    e.preventDefault();
+    const ok = onSubmit({ unitPriceINR: price, validUntil, deliveryWindow, note });
+    if (ok) { setPrice(""); setValidUntil(""); setDeliveryWindow(""); setNote(""); }
+  }
   return (
-    <section id="services" className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
-      <SectionTitle title="Services" subtitle="Everything you need for direct farm trade" />
-      <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-5">
-        {items.map((it)=> (
-          <div key={it.title} className="rounded-3xl border border-blue-100 p-5 bg-white">
-            <div className="text-3xl">{it.icon}</div>
-            <h4 className="mt-2 font-semibold text-blue-900">{it.title}</h4>
-            <p className="text-sm text-blue-900/80 mt-1">{it.desc}</p>
-          </div>
-        ))}
+    <form onSubmit={handleSubmit} className="mt-2 grid sm:grid-cols-2 gap-2 text-sm">
+      <input type="number" min={0} step="0.01" value={price} onChange={(e)=>setPrice(e.target.value)} className="px-3 py-2 rounded-xl border border-blue-200" placeholder={t("offer.price")} required />
+      {isQuote && <input type="date" value={validUntil} onChange={(e)=>setValidUntil(e.target.value)} className="px-3 py-2 rounded-xl border border-blue-200" aria-label={t("offer.validUntil")} required />}
+      {isQuote && <input value={deliveryWindow} onChange={(e)=>setDeliveryWindow(e.target.value)} className="px-3 py-2 rounded-xl border border-blue-200" placeholder={t("offer.deliveryWindow")} required />}
+      <input value={note} onChange={(e)=>setNote(e.target.value)} className="px-3 py-2 rounded-xl border border-blue-200" placeholder={t("offer.note")} />
+      <button className="sm:col-span-2 px-3 py-2 rounded-xl bg-blue-700 text-white hover:bg-blue-800">{t(isQuote ? "offer.sendQuote" : "offer.sendCounter")}</button>
+    </form>
+  );
+}
+
+// One RFQ thread, seen either by the buyer or by the farmer it was routed to.
+function RFQCard({ rfq, party, farmer, onQuote, onCounter, onAccept, onDecline }) {
+  const money = useMoney();
+  const { t, date } = useI18n();
+  const last = latestOffer(rfq);
+  const expired = last && isOfferExpired(last);
+  const canQuote = party === "farmer" && (rfq.status === RFQ_STATUS.OPEN || rfq.status === RFQ_STATUS.COUNTERED);
+  const canCounter = party === "buyer" && rfq.status === RFQ_STATUS.QUOTED;
+  const canAccept = (party === "buyer" && rfq.status === RFQ_STATUS.QUOTED && !expired) || (party === "farmer" && rfq.status === RFQ_STATUS.COUNTERED);
+  return (
+    <div className="border border-blue-100 rounded-2xl p-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="font-medium text-blue-900 line-clamp-1">{rfq.productName}</div>
+        <RFQStatusBadge status={rfq.status} />
       </div>
-    </section>
+      <div className="text-sm text-blue-900/70">
+        {t("rfq.card.summary", { id: rfq.id.slice(0,5), count: rfq.qty, lot: lotLabel(rfq.lot, t), location: rfq.location || "—", target: rfq.target || "—" })}{party === "buyer" && farmer ? ` · ${farmer.name}` : ""}
+      </div>
+      {rfq.notes && <div className="text-xs text-blue-900/60">“{rfq.notes}”</div>}
+      {rfq.offers.length > 0 && (
+        <ul className="mt-2 space-y-1 text-sm">
+          {rfq.offers.map((o) => (
+            <li key={o.id} className={classNames("px-2 py-1 rounded-lg", o.by === "farmer" ? "bg-pink-50" : "bg-blue-50")}>
+              <span className="font-medium">{t(o.by === "farmer" ? "rfq.card.farmer" : "rfq.card.buyer")}:</span> {t("rfq.card.perUnit", { price: money(o.unitPriceINR) })}
+              {o.deliveryWindow && <> · {t("rfq.card.delivery", { window: o.deliveryWindow })}</>}
+              {o.validUntil && <> · {t("rfq.card.validUntil", { date: date(o.validUntil) })}</>}
+              {o.note && <> · {o.note}</>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {expired && rfq.status === RFQ_STATUS.QUOTED && <div className="mt-1 text-xs text-pink-700">{t("rfq.card.expired")}</div>}
+      {rfq.status === RFQ_STATUS.ACCEPTED && (
+        <div className="mt-2 text-sm text-green-800">
+          {t("rfq.card.agreed", { price: money(rfq.acceptedOffer.unitPriceINR) })}{rfq.orderId ? ` · ${t("rfq.card.order", { id: rfq.orderId.slice(0,5) })}` : ""}
+          <Link to={`/documents/quotations/${rfq.id}`} className="ml-2 text-blue-700 hover:text-pink-700">{t("document.quotation")}</Link>
+        </div>
+      )}
+      {canQuote && <OfferForm kind="quote" onSubmit={(q)=>onQuote(rfq.id, q)} />}
+      {canCounter && <OfferForm kind="counter" onSubmit={(c)=>onCounter(rfq.id, c)} />}
+      {!isClosed(rfq) && (
+        <div className="mt-2 flex gap-2 text-sm">
+          {canAccept && <button onClick={()=>onAccept(rfq.id, party)} className="px-3 py-1.5 rounded-xl bg-pink-700 text-white hover:bg-pink-800">{t(party === "buyer" ? "rfq.card.acceptQuote" : "rfq.card.acceptCounter")}</button>}
+          <button onClick={()=>onDecline(rfq.id, party)} className="px-3 py-1.5 rounded-xl border border-blue-200 text-blue-800 hover:bg-blue-50">{t("rfq.card.decline")}</button>
+        </div>
+      )}
+    </div>
   );
 }
 
-function PricingPage({ currency }) {
-  const plans = [
-    { name: "Starter", priceINR: 0, features: ["Unlimited browsing","Cart checkout","Email support"] },
-    { name: "Pro Trader", priceINR: 999, features: ["Bulk RFQs","Priority support","Downloadable invoices"] },
-    { name: "Enterprise", priceINR: 4999, features: ["Custom workflows","Account manager","API access"] },
-  ];
+function OrderStatusBadge({ status }) {
+  const { t } = useI18n();
+  const tone = {
+    placed: "bg-blue-50 border-blue-200 text-blue-800",
+    packed: "bg-amber-50 border-amber-200 text-amber-800",
+    shipped: "bg-pink-50 border-pink-200 text-pink-700",
+    delivered: "bg-green-50 border-green-200 text-green-800",
+    cancelled: "bg-gray-50 border-gray-200 text-gray-600",
+  }[status];
+  return <span className={classNames("px-2 py-0.5 rounded-lg border text-xs", tone)}>{t(`order.status.${status}`)}</span>;
+}
+
+function OrderTimeline({ history }) {
+  const { t, dateTime } = useI18n();
   return (
-    <section className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
-      <SectionTitle title="Pricing" subtitle="Choose a plan; prices display in your currency" />
-      <div className="grid md:grid-cols-3 gap-5">
-        {plans.map(p => (
-          <div key={p.name} className="rounded-3xl border border-blue-100 p-6 bg-white">
-            <h3 className="text-xl font-semibold text-blue-900">{p.name}</h3>
-            <div className="mt-2 text-3xl font-extrabold text-pink-700">{toCurrency(p.priceINR, currency)}</div>
-            <ul className="mt-3 text-sm text-blue-900/80 list-disc ml-5">
-              {p.features.map(f => <li key={f}>{f}</li>)}
-            </ul>
-            <button className="mt-4 w-full px-4 py-3 rounded-2xl bg-blue-700 text-white hover:bg-blue-800">Get started</button>
-          </div>
+    <div className="mt-1 flex flex-wrap gap-x-3 text-xs text-blue-900/60">
+      {history.map((h, i) => <span key={i}>{t(`order.status.${h.status}`)} · {dateTime(h.date)}</span>)}
+    </div>
+  );
+}
+
+function EscrowBadge({ status }) {
+  const { t } = useI18n();
+  if (!status) return null;
+  return <span className={classNames("px-2 py-0.5 rounded-lg border text-xs", status === "held" ? "border-blue-200 text-blue-800 bg-blue-50" : "border-gray-200 text-gray-600")}>{t(ESCROW_LABEL_KEY[status])}</span>;
+}
+
+// Where and when an order goes: the address and window picked at checkout, or an RFQ's agreed terms.
+function DeliveryDetails({ order }) {
+  const { t, day } = useI18n();
+  const slot = DELIVERY_SLOTS.find((s) => s.id === order.delivery?.slot);
+  const when = order.delivery ? `${day(order.delivery.date)}, ${slot ? t(`checkout.slot.${slot.id}`) : order.delivery.slot}` : order.deliveryWindow;
+  const where = order.shipTo ? `${order.shipTo.name}, ${formatAddress(order.shipTo)}` : order.location;
+  if (!when && !where) return null;
+  return (
+    <div className="text-xs text-blue-900/70">
+      {where && t("shipment.deliverTo", { where })}{where && when && " · "}{when && t("shipment.window", { when })}
+    </div>
+  );
+}
+
+function ShipmentTimeline({ shipment }) {
+  const { t, dateTime } = useI18n();
+  if (!shipment) return null;
+  const reached = new Set(shipment.events.map((e) => e.status));
+  const upcoming = Object.keys(SHIPMENT_EVENT_LABEL_KEY).filter((status) => !reached.has(status));
+  return (
+    <div className="mt-1 rounded-xl bg-blue-50/60 p-2 text-xs">
+      <div className="text-blue-900/70">{shipment.carrier} · {t("shipment.tracking")} <span className="font-mono">{shipment.trackingId}</span></div>
+      <ol className="mt-1 space-y-0.5">
+        {shipment.events.map((e, i) => (
+          <li key={i} className="flex flex-wrap gap-x-2">
+            <span className="font-medium text-blue-900">● {t(SHIPMENT_EVENT_LABEL_KEY[e.status])}</span>
+            {e.location && <span>{e.location}</span>}
+            <span className="text-blue-900/60">{dateTime(e.date)}</span>
+          </li>
         ))}
-      </div>
-    </section>
+        {upcoming.map((status) => <li key={status} className="text-blue-900/40">○ {t(SHIPMENT_EVENT_LABEL_KEY[status])}</li>)}
+      </ol>
+    </div>
   );
 }
 
-function AboutPage() {
+function BuyerOrders({ orders, farmersById, reviews, ledger, invoices, onCancel, onReview, onPay, onConfirmDelivery, onInvoice, onReorder }) {
+  const money = useMoney();
+  const { t, dateTime } = useI18n();
+  const [reviewing, setReviewing] = useState(null); // `${orderId}:${productId}`
+  if (orders.length === 0) return <p className="text-sm text-blue-900/70">No orders yet. Orders appear here after checkout.</p>;
   return (
-    <section className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
-      <SectionTitle title="About us" subtitle="Our mission is fair, transparent farm trade" />
-      <div className="grid md:grid-cols-2 gap-6 items-center">
-        <img className="rounded-3xl shadow border border-blue-100" alt="Farm teamwork" src="https://images.unsplash.com/photo-1599599810694-9f532a0d4d4e?q=80&w=1600&auto=format&fit=crop" />
-        <div className="text-blue-900/80">
-          We connect farmers and buyers directly using secure payments and data‑backed quality. Our platform supports both household shopping and container‑scale procurement.
+    <div className="mt-2 space-y-3">
+      {orders.map((o) => (
+        <div key={o.id} className="border border-blue-100 rounded-2xl p-3">
+          <div className="flex items-center justify-between gap-2">
+            <div className="font-medium text-blue-900">Order #{o.id.slice(0,5)} <span className="text-sm font-normal text-blue-900/60">· {dateTime(o.date)}{o.source === "rfq" ? " · from RFQ" : o.source === "standing" ? " · standing order" : ""}</span></div>
+            <OrderStatusBadge status={o.status} />
+          </div>
+          <DeliveryDetails order={o} />
+          {o.splits.map((sp) => (
+            <div key={sp.farmerId} className="mt-2 text-sm">
+              <div className="flex items-center gap-2">
+                <span className="font-medium">{farmersById[sp.farmerId]?.name || sp.farmerId}</span>
+                <OrderStatusBadge status={sp.status} />
+                <EscrowBadge status={escrowStatus(ledger, o.id, sp.farmerId)} />
+                {(sp.status !== "cancelled" || findInvoice(invoices, o.id, sp.farmerId)) && <button onClick={() => onInvoice(o.id, sp.farmerId)} className="text-xs text-blue-700 hover:text-pink-700">{t("document.invoice")}</button>}
+                <span className="ml-auto">{money(splitTotalINR(sp))}</span>
+              </div>
+              <ul className="ml-5 list-disc text-blue-900/80">
+                {itemsForFarmer(o, sp.farmerId).map((i) => {
+                  const key = `${o.id}:${i.productId}`;
+                  const review = reviews.find((r) => r.orderId === o.id && r.productId === i.productId);
+                  return (
+                    <li key={i.productId}>
+                      {i.qty} × {i.name}{lotLabel(i.lot, t)} @ {money(i.unitPriceINR)}
+                      {review ? (
+                        <span className="ml-2 text-pink-700" title={review.hidden ? t("review.hiddenTitle") : undefined}>{starText(review.stars)}{review.hidden ? ` ${t("review.hidden")}` : ""}</span>
+                      ) : sp.status === "delivered" && reviewing !== key && (
+                        <button onClick={() => setReviewing(key)} className="ml-2 text-blue-700 hover:text-pink-700">{t("review.write")}</button>
+                      )}
+                      {reviewing === key && (
+                        <ReviewForm item={i} onCancel={() => setReviewing(null)} onSubmit={(data) => { onReview(o.id, i.productId, data); setReviewing(null); }} />
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+              {sp.shippingINR > 0 && <div className="text-xs text-blue-900/60">Goods {money(sp.subtotalINR)} + shipping {money(sp.shippingINR)}</div>}
+              <OrderTimeline history={sp.history} />
+              <ShipmentTimeline shipment={sp.shipment} />
+              {sp.status === "delivered" && escrowStatus(ledger, o.id, sp.farmerId) === "held" && (
+                <button onClick={() => onConfirmDelivery(o.id, sp.farmerId)} className="mt-1 px-3 py-1.5 rounded-xl bg-blue-700 text-white hover:bg-blue-800">{t("escrow.confirmRelease", { amount: money(splitTotalINR(sp)) })}</button>
+              )}
+            </div>
+          ))}
+          <div className="mt-2 flex items-center gap-2 text-sm">
+            <span className="font-semibold">Total {money(o.totalINR)}</span>
+            {o.status !== "cancelled" && !isOrderPaid(ledger, o) && (
+              <button onClick={() => onPay(o.id)} className="ml-auto px-3 py-1.5 rounded-xl bg-pink-700 text-white hover:bg-pink-800">{t("escrow.pay")}</button>
+            )}
+            {o.splits.some((sp) => canCancel(sp.status)) && (
+              <button onClick={() => onCancel(o.id)} className={classNames("px-3 py-1.5 rounded-xl border border-pink-700 text-pink-700 hover:bg-pink-50", isOrderPaid(ledger, o) && "ml-auto")}>Cancel order</button>
+            )}
+            <button onClick={() => onReorder(o)} className={classNames("px-3 py-1.5 rounded-xl border border-blue-200 text-blue-800 hover:bg-blue-50", (o.status === "cancelled" || isOrderPaid(ledger, o)) && !o.splits.some((sp) => canCancel(sp.status)) && "ml-auto")}>Reorder</button>
+          </div>
         </div>
-      </div>
-    </section>
+      ))}
+    </div>
   );
 }
 
-function ContactPage() {
+function FarmerOrders({ orders, farmerId, ledger, invoices, onAdvance, onTransit, onCancel, onInvoice }) {
+  const money = useMoney();
+  const { t, dateTime } = useI18n();
+  const mine = ordersForFarmer(orders, farmerId);
+  if (mine.length === 0) return <p className="text-sm text-blue-900/70">No orders for your products yet.</p>;
   return (
-    <section className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
-      <SectionTitle title="Contact us" subtitle="We usually reply within 1 business day" />
-      <form className="grid md:grid-cols-2 gap-3">
-        <input className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Your name" required />
-        <input className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Email or phone" required />
-        <input className="md:col-span-2 px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Subject" />
-        <textarea className="md:col-span-2 px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Message" rows={5} />
-        <button className="md:col-span-2 px-5 py-3 rounded-2xl bg-pink-700 text-white hover:bg-pink-800">Send message</button>
-      </form>
-    </section>
+    <div className="mt-2 space-y-3">
+      {mine.map((o) => {
+        const split = findSplit(o, farmerId);
+        const to = nextStatus(split.status);
+        return (
+          <div key={o.id} className="border border-blue-100 rounded-2xl p-3 text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <div className="font-medium text-blue-900">Order #{o.id.slice(0,5)} <span className="font-normal text-blue-900/60">· {o.buyer?.name} · {dateTime(o.date)}</span></div>
+              <OrderStatusBadge status={split.status} />
+            </div>
+            <DeliveryDetails order={o} />
+            <ul className="ml-5 list-disc text-blue-900/80">
+              {itemsForFarmer(o, farmerId).map((i) => <li key={i.productId}>{i.qty} × {i.name}{lotLabel(i.lot, t)} @ {money(i.unitPriceINR)}</li>)}
+            </ul>
+            <OrderTimeline history={split.history} />
+            <ShipmentTimeline shipment={split.shipment} />
+            <div className="mt-2 flex items-center gap-2">
+              <span className="font-semibold">{money(splitTotalINR(split))}</span>
+              {split.shippingINR > 0 && <span className="text-xs text-blue-900/60">incl. {money(split.shippingINR)} shipping</span>}
+              {(split.status !== "cancelled" || findInvoice(invoices, o.id, farmerId)) && <button onClick={() => onInvoice(o.id, farmerId)} className="text-xs text-blue-700 hover:text-pink-700">{t("document.invoice")}</button>}
+              {escrowStatus(ledger, o.id, farmerId) ? <EscrowBadge status={escrowStatus(ledger, o.id, farmerId)} /> : split.status !== "cancelled" && <span className="text-xs text-pink-700">{t("escrow.awaitingPayment")}</span>}
+              {split.status === "shipped" && split.shipment && <button onClick={() => onTransit(o.id, farmerId)} className="ml-auto px-3 py-1.5 rounded-xl border border-blue-200 text-blue-800 hover:bg-blue-50">Add transit update</button>}
+              {to && <button onClick={() => onAdvance(o.id, farmerId)} className={classNames("px-3 py-1.5 rounded-xl bg-blue-700 text-white hover:bg-blue-800 capitalize", !split.shipment && "ml-auto")}>Mark {to}</button>}
+              {canCancel(split.status) && <button onClick={() => onCancel(o.id, farmerId)} className={classNames("px-3 py-1.5 rounded-xl border border-pink-700 text-pink-700 hover:bg-pink-50", !to && "ml-auto")}>Cancel</button>}
+            </div>
+          </div>
+        );
+      })}
+    </div>
   );
 }
 
-function FarmerForm({ onSave, farmers }) {
-  const [form, setForm] = useState({
-    name: "",
-    priceINR: "",
-    stock: "",
-    moq: 10,
-    category: "Fruits",
-    image: "",
-    farmerId: farmers[0]?.id || "",
-  });
+// ---- Standing orders ----
+// Days a standing order's delivery needs in transit; its order is placed that far ahead.
+function standingLeadDays(product, qty, farmersById, address) {
+  return quoteCart([{ ...product, qty }], farmersById, address)[0].transitDays;
+}
+
+function StandingOrderForm({ product, farmersById, addresses, onCreate }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  const blank = () => ({ qty: minQty(product), lotId: defaultLot(product, minQty(product))?.id || lotsOf(product)[0]?.id || "", frequency: "daily", days: [], addressId: defaultAddress(addresses)?.id || "", slot: DELIVERY_SLOTS[0].id, startDate: "" });
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(blank);
+  const address = addresses.find((a) => a.id === form.addressId);
+  const earliest = address ? deliveryWindows(standingLeadDays(product, Number(form.qty) || minQty(product), farmersById, address))[0].date : "";
+  const update = (patch) => setForm({ ...form, ...patch });
+  const toggleDay = (day) => update({ days: form.days.includes(day) ? form.days.filter((d) => d !== day) : [...form.days, day] });
   function handleSubmit(e) {
     e.preventDefault();
-    const id = Math.random().toString(36).slice(2);
-    onSave({
-      id,
-      name: form.name || "New Product",
-      priceINR: Number(form.priceINR) || 0,
-      stock: Number(form.stock) || 0,
-      moq: Number(form.moq) || 1,
-      category: form.category,
-      image: form.image || "https://images.unsplash.com/photo-1542838132-92c53300491e?q=80&w=1200&auto=format&fit=crop",
-      farmerId: form.farmerId,
-      rating: 4.6,
-      bulkTiers: [
-        { min: Number(form.moq) || 1, priceINR: Math.max(1, Math.floor((Number(form.priceINR)||1)*0.95)) },
-      ],
-    });
-    setForm({ name: "", priceINR: "", stock: "", moq: 10, category: "Fruits", image: "", farmerId: farmers[0]?.id || "" });
+    if (onCreate({ ...form, startDate: form.startDate || earliest }, product)) { setForm(blank()); setOpen(false); }
   }
+  if (!open) return <button onClick={() => setOpen(true)} className="text-sm text-blue-700 hover:text-pink-700">{t("standing.setUp")}</button>;
+  if (!addresses.length) return <Link to="/account" className="text-sm text-blue-700 hover:text-pink-700">{t("standing.addAddress")}</Link>;
   return (
-    <form onSubmit={handleSubmit} className="grid md:grid-cols-2 gap-3">
-      <input className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Product name" value={form.name} onChange={(e)=>setForm({ ...form, name: e.target.value })} required />
-      <input className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Price (₹)" type="number" min={0} value={form.priceINR} onChange={(e)=>setForm({ ...form, priceINR: e.target.value })} required />
-      <input className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Stock" type="number" min={0} value={form.stock} onChange={(e)=>setForm({ ...form, stock: e.target.value })} required />
-      <input className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="MOQ" type="number" min={1} value={form.moq} onChange={(e)=>setForm({ ...form, moq: e.target.value })} />
-      <select className="px-4 py-2.5 rounded-2xl border border-blue-200" value={form.category} onChange={(e)=>setForm({ ...form, category: e.target.value })}>
-        {CATEGORIES.filter(c=>c!=="All").map(c=> <option key={c}>{c}</option>)}
+    <form onSubmit={handleSubmit} className="grid gap-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <input type="number" min={minQty(product)} value={form.qty} onChange={(e)=>update({ qty: e.target.value })} className="w-28 px-3 py-2 rounded-xl border border-blue-200" aria-label={t("standing.unitsPerDelivery")} />
+        <span className="text-blue-900/70">{t("standing.priceEach", { price: money(deliveryPriceINR(product, Math.max(Number(form.qty) || 0, 0))) })}</span>
+      </div>
+      {lotsOf(product).length > 0 && (
+        <select value={form.lotId} onChange={(e)=>update({ lotId: e.target.value })} className="px-3 py-2 rounded-xl border border-blue-200" aria-label={t("standing.lot")}>
+          {lotsOf(product).map((l) => <option key={l.id} value={l.id}>{t("lot.option", { code: l.code, grade: l.grade, count: l.stock })}</option>)}
+        </select>
+      )}
+      <select value={form.frequency} onChange={(e)=>update({ frequency: e.target.value, days: [] })} className="px-3 py-2 rounded-xl border border-blue-200" aria-label={t("standing.howOften")}>
+        {FREQUENCIES.map((f) => <option key={f.id} value={f.id}>{t(f.labelKey)}</option>)}
       </select>
-      <input className="px-4 py-2.5 rounded-2xl border border-blue-200 md:col-span-2" placeholder="Image URL (ensure license to use)" value={form.image} onChange={(e)=>setForm({ ...form, image: e.target.value })} />
-      <select className="px-4 py-2.5 rounded-2xl border border-blue-200 md:col-span-2" value={form.farmerId} onChange={(e)=>setForm({ ...form, farmerId: e.target.value })}>
-        {farmers.map(f=> <option key={f.id} value={f.id}>{f.name} ({f.location})</option>)}
+      {form.frequency === "weekly" && (
+        <select value={form.days[0] ?? ""} onChange={(e)=>update({ days: e.target.value === "" ? [] : [Number(e.target.value)] })} className="px-3 py-2 rounded-xl border border-blue-200" aria-label={t("standing.deliveryDay")}>
+          <option value="">{t("standing.deliveryDay")}</option>
+          {DELIVERY_DAYS.map((d) => <option key={d.day} value={d.day}>{t(d.labelKey)}</option>)}
+        </select>
+      )}
+      {form.frequency === "custom" && (
+        <div className="flex flex-wrap gap-3">
+          {DELIVERY_DAYS.map((d) => (
+            <label key={d.day} className="flex items-center gap-1"><input type="checkbox" checked={form.days.includes(d.day)} onChange={() => toggleDay(d.day)} /> {t(d.labelKey)}</label>
+          ))}
+        </div>
+      )}
+      <select value={form.addressId} onChange={(e)=>update({ addressId: e.target.value })} className="px-3 py-2 rounded-xl border border-blue-200" aria-label={t("standing.deliverTo")}>
+        {addresses.map((a) => <option key={a.id} value={a.id}>{a.label} — {formatAddress(a)}</option>)}
       </select>
-      <button className="mt-2 px-5 py-3 rounded-2xl bg-pink-700 text-white hover:bg-pink-800 md:col-span-2">Save Product</button>
+      <div className="flex flex-wrap gap-2">
+        <select value={form.slot} onChange={(e)=>update({ slot: e.target.value })} className="px-3 py-2 rounded-xl border border-blue-200" aria-label={t("standing.deliveryTime")}>
+          {DELIVERY_SLOTS.map((s) => <option key={s.id} value={s.id}>{t(`checkout.slot.${s.id}`)}</option>)}
+        </select>
+        <label className="flex items-center gap-2 text-blue-900/70">{t("standing.firstDelivery")}
+          <input type="date" min={earliest} value={form.startDate || earliest} onChange={(e)=>update({ startDate: e.target.value })} className="px-3 py-2 rounded-xl border border-blue-200" />
+        </label>
+      </div>
+      <p className="text-xs text-blue-900/60">{t("standing.autoNote")}</p>
+      <div className="flex gap-2">
+        <button className="px-4 py-2 rounded-xl bg-blue-700 text-white hover:bg-blue-800">{t("standing.start")}</button>
+        <button type="button" onClick={() => setOpen(false)} className="px-4 py-2 rounded-xl border border-blue-200 hover:bg-blue-50">{t("standing.cancel")}</button>
+      </div>
     </form>
   );
 }
 
-function Tabs({ tabs, active, onChange }) {
+function StandingOrderList({ standingOrders, productsById, onPause, onResume, onSkip, onUnskip, onCancel }) {
+  const money = useMoney();
+  const { t, day } = useI18n();
+  if (standingOrders.length === 0) return <p className="text-sm text-blue-900/70">{t("standing.none")}</p>;
   return (
-    <div>
-      <div className="flex flex-wrap gap-2">
-        {tabs.map((t) => (
-          <button key={t} onClick={() => onChange(t)} className={classNames("px-4 py-2 rounded-2xl border", active === t ? "bg-blue-700 text-white border-blue-700" : "border-blue-200 text-blue-800 hover:bg-blue-50")}>{t}</button>
-        ))}
-      </div>
+    <div className="mt-2 space-y-3">
+      {standingOrders.map((s) => {
+        const product = productsById[s.productId];
+        const next = nextDelivery(s);
+        const slot = DELIVERY_SLOTS.find((x) => x.id === s.slot);
+        return (
+          <div key={s.id} className="border border-blue-100 rounded-2xl p-3 text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <div className="font-medium text-blue-900">{s.qty} × {product?.name || s.productName}{lotLabel(s.lot, t)}</div>
+              <span className={classNames("px-2 py-0.5 rounded-lg border text-xs", s.status === "active" ? "border-green-200 text-green-800 bg-green-50" : "border-gray-200 text-gray-600")}>{t(s.status === "active" ? "standing.active" : "standing.paused")}</span>
+            </div>
+            <div className="text-blue-900/70">
+              {describeSchedule(s.schedule, t)}, {slot ? t(`checkout.slot.${slot.id}`) : s.slot}{product && ` · ${t("standing.perDelivery", { price: money(deliveryPriceINR(product, s.qty)) })}`}
+            </div>
+            {next && (
+              <div className="mt-1 flex flex-wrap items-center gap-2">
+                <span>{t("standing.next", { date: day(next) })}</span>
+                <button onClick={() => onSkip(s.id, next)} className="text-blue-700 hover:text-pink-700">{t("standing.skip")}</button>
+              </div>
+            )}
+            {s.skipDates.length > 0 && (
+              <div className="mt-1 flex flex-wrap gap-2 text-xs text-blue-900/70">
+                {t("standing.skipping")} {s.skipDates.map((d) => (
+                  <span key={d}>{day(d)} <button onClick={() => onUnskip(s.id, d)} className="text-blue-700 hover:text-pink-700">{t("standing.undo")}</button></span>
+                ))}
+              </div>
+            )}
+            {s.runs.length > 0 && (
+              <ul className="mt-1 space-y-0.5 text-xs text-blue-900/70">
+                {s.runs.slice(0, 3).map((r) => (
+                  <li key={r.date}>{day(r.date)} · <span className={r.status === "failed" ? "text-pink-700" : ""}>{t(RUN_LABEL_KEY[r.status])}</span>{r.orderId && ` · ${t("standing.order", { id: r.orderId.slice(0,5) })}`}{r.reason && ` · ${r.reason}`}</li>
+                ))}
+              </ul>
+            )}
+            <div className="mt-2 flex gap-3">
+              {s.status === "active"
+                ? <button onClick={() => onPause(s.id)} className="text-blue-700 hover:text-pink-700">{t("standing.pause")}</button>
+                : <button onClick={() => onResume(s.id)} className="text-blue-700 hover:text-pink-700">{t("standing.resume")}</button>}
+              <button onClick={() => confirm(t("standing.cancelConfirm")) && onCancel(s.id)} className="text-pink-700 hover:underline">{t("standing.cancel")}</button>
+            </div>
+          </div>
+        );
+      })}
     </div>
   );
 }
 
-export default function App() {
-  // Routing
-  const [page, setPage] = useState("Home");
-  // State
-  const [farmers, setFarmers] = useState(initialFarmers);
-  const [products, setProducts] = useState(initialProducts);
-  const [cartOpen, setCartOpen] = useState(false);
-  const [cart, setCart] = useState([]);
-  const [q, setQ] = useState("");
-  const [category, setCategory] = useState("All");
-  const [sort, setSort] = useState("relevance");
-  const [activeTab, setActiveTab] = useState("Shop");
-  const [currency, setCurrency] = useState("INR");
-  const [rfqProduct, setRfqProduct] = useState(null);
-  const [rfqs, setRfqs] = useState([]);
+// Upcoming units promised to standing orders, day by day, against the stock on hand.
+function StandingOrderCalendar({ standingOrders, products, farmerId, days = 14 }) {
+  const { t, day } = useI18n();
+  const volume = committedVolume(standingOrders, farmerId, new Date(), days);
+  const rows = products.filter((p) => volume[p.id]);
+  if (rows.length === 0) return <p className="text-sm text-blue-900/70">{t("standing.calendar.none")}</p>;
+  const dates = Array.from({ length: days }, (_, i) => addDays(dayKey(), i));
+  return (
+    <div className="mt-2 overflow-x-auto">
+      <table className="text-xs">
+        <thead className="text-blue-900/60">
+          <tr>
+            <th className="pr-3 text-left font-medium">{t("standing.calendar.product")}</th>
+            {dates.map((d) => <th key={d} className="px-1 font-medium whitespace-nowrap">{day(d)}</th>)}
+            <th className="pl-3 text-right font-medium whitespace-nowrap">{t("standing.calendar.committed")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((p) => {
+            let running = 0;
+            const total = Object.values(volume[p.id]).reduce((s, q) => s + q, 0);
+            return (
+              <tr key={p.id} className="border-t border-blue-50">
+                <td className="py-1 pr-3 text-blue-900 whitespace-nowrap">{p.name}</td>
+                {dates.map((d) => {
+                  const qty = volume[p.id][d] || 0;
+                  running += qty;
+                  return <td key={d} className={classNames("px-1 text-center", qty && (running > p.stock ? "bg-pink-100 text-pink-800 font-medium" : "bg-blue-50 text-blue-900"))}>{qty || ""}</td>;
+                })}
+                <td className={classNames("pl-3 text-right whitespace-nowrap", total > p.stock ? "text-pink-700 font-medium" : "text-blue-900/80")}>{total} / {p.stock}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="mt-1 text-xs text-blue-900/60">{t("standing.calendar.note")}</p>
+    </div>
+  );
+}
 
-  // Derived
-  const farmersById = useMemo(() => Object.fromEntries(farmers.map((f) => [f.id, f])), [farmers]);
-  const filtered = useMemo(() => {
-    let arr = [...products];
-    if (q.trim()) { const t = q.toLowerCase(); arr = arr.filter((p) => p.name.toLowerCase().includes(t)); }
-    if (category !== "All") { arr = arr.filter((p) => p.category === category); }
-    switch (sort) {
-      case "priceAsc": arr.sort((a, b) => a.priceINR - b.priceINR); break;
-      case "priceDesc": arr.sort((a, b) => b.priceINR - a.priceINR); break;
-      case "ratingDesc": arr.sort((a, b) => b.rating - a.rating); break;
-      default: break;
-    }
-    return arr;
-  }, [products, q, category, sort]);
+// ---- Sales analytics ----
+const SERIES_COLORS = ["#1d4ed8", "#db2777", "#0891b2", "#7c3aed", "#ca8a04"];
 
-  // Cart handlers
-  function addToCart(p) {
-    setCart((prev) => {
-      const existing = prev.find((x) => x.id === p.id);
-      if (existing) return prev.map((x) => (x.id === p.id ? { ...x, qty: x.qty + 1 } : x));
-      return [...prev, { ...p, qty: Math.max(1, p.moq || 1) }];
-    });
-    setCartOpen(true);
-  }
-  function setQty(id, qty) { setCart((prev) => prev.map((x) => (x.id === id ? { ...x, qty } : x))); }
-  function removeItem(id) { setCart((prev) => prev.filter((x) => x.id !== id)); }
-  function checkout() {
-    const totalINR = cart.reduce((s, it) => s + it.priceINR * it.qty, 0);
-    alert(`Demo checkout successful! Total: ${toCurrency(totalINR, currency)}\n(Connect Razorpay/Stripe/UPI in production)`);
-    setCart([]); setCartOpen(false);
+// One line per series across the range's buckets; drawn as plain SVG.
+function SalesChart({ data, metric, format }) {
+  const { t, locale } = useI18n();
+  const name = (s) => (s.labelKey ? t(s.labelKey) : s.label);
+  const [W, H, left, pad] = [600, 190, 64, 20];
+  const shown = data.series.slice(0, SERIES_COLORS.length);
+  const max = Math.max(1, ...shown.flatMap((s) => s[metric]));
+  const n = data.buckets.length;
+  const x = (i) => left + (n === 1 ? (W - left - pad) / 2 : (i * (W - left - pad)) / (n - 1));
+  const y = (v) => H - pad - (v / max) * (H - 2 * pad);
+  const label = (b) => new Date(`${b}T00:00:00Z`).toLocaleDateString(locale, data.size === "month" ? { month: "short", year: "2-digit", timeZone: "UTC" } : { day: "numeric", month: "short", timeZone: "UTC" });
+  const every = Math.ceil(n / 6);
+  return (
+    <div className="mt-2">
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-48" role="img" aria-label={t("analytics.chart")}>
+        {[0, 0.5, 1].map((f) => (
+          <g key={f}>
+            <line x1={left} x2={W - pad} y1={y(max * f)} y2={y(max * f)} stroke="#dbeafe" />
+            <text x={left - 6} y={y(max * f) + 3} textAnchor="end" fontSize="10" fill="#64748b">{format(max * f)}</text>
+          </g>
+        ))}
+        {data.buckets.map((b, i) => i % every === 0 && <text key={b} x={x(i)} y={H - 4} textAnchor="middle" fontSize="10" fill="#64748b">{label(b)}</text>)}
+        {shown.map((s, k) => (
+          <g key={s.key}>
+            <polyline points={s[metric].map((v, i) => `${x(i)},${y(v)}`).join(" ")} fill="none" stroke={SERIES_COLORS[k]} strokeWidth="2" />
+            {s[metric].map((v, i) => v > 0 && <circle key={i} cx={x(i)} cy={y(v)} r="3" fill={SERIES_COLORS[k]}><title>{`${name(s)} · ${label(data.buckets[i])}: ${format(v)}`}</title></circle>)}
+          </g>
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-blue-900/80">
+        {shown.map((s, k) => <span key={s.key} className="inline-flex items-center gap-1"><span className="h-2 w-2 rounded-full" style={{ background: SERIES_COLORS[k] }} />{name(s)}</span>)}
+        {data.series.length > shown.length && <span className="text-blue-900/60">{t("analytics.chartMore", { shown: shown.length, total: data.series.length })}</span>}
+      </div>
+    </div>
+  );
+}
+
+// Average realized price against list price per product, and what discounting cost.
+function PriceRealization({ rows }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  const max = Math.max(...rows.map((r) => Math.max(r.avgListINR, r.avgRealizedINR)));
+  return (
+    <ul className="mt-2 space-y-2 text-sm">
+      {rows.map((r) => (
+        <li key={r.productId}>
+          <div className="flex gap-2">
+            <span className="text-blue-900">{r.name}</span>
+            <span className="ml-auto text-blue-900/70">{t("analytics.realizedVsList", { realized: money(r.avgRealizedINR), list: money(r.avgListINR) })}</span>
+          </div>
+          <div className="relative mt-1 h-2 rounded-full bg-blue-50">
+            <div className="absolute inset-y-0 left-0 rounded-full bg-blue-200" style={{ width: `${(r.avgListINR / max) * 100}%` }} />
+            <div className="absolute inset-y-0 left-0 rounded-full bg-blue-700" style={{ width: `${(r.avgRealizedINR / max) * 100}%` }} />
+          </div>
+          {r.tierDiscountINR + r.rfqDiscountINR > 0 && (
+            <div className="text-xs text-pink-700">{t("analytics.discountCost", { total: money(r.tierDiscountINR + r.rfqDiscountINR), pct: r.discountPct, tiers: money(r.tierDiscountINR), rfq: money(r.rfqDiscountINR) })}</div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function FarmerAnalytics({ farmer, orders, rfqs, products, reservations }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  const [preset, setPreset] = useState("30");
+  const [custom, setCustom] = useState(() => presetRange(30));
+  const [metric, setMetric] = useState("revenueINR");
+  const [groupBy, setGroupBy] = useState("total");
+  const range = preset === "custom" ? custom : presetRange(RANGE_PRESETS.find((r) => r.key === preset).days);
+  const badRange = !/^\d{4}-\d{2}-\d{2}$/.test(range.from) || !/^\d{4}-\d{2}-\d{2}$/.test(range.to) || range.from > range.to;
+  const lines = useMemo(() => (badRange ? [] : salesLines(orders, farmer.id, range)), [orders, farmer.id, range.from, range.to, badRange]);
+  const recent = useMemo(() => salesLines(orders, farmer.id, presetRange(30)), [orders, farmer.id]);
+  const sum = totals(lines);
+  const pricing = priceRealization(lines);
+  const buyers = topBuyers(lines);
+  const rfqStats = rfqWinRate(rfqs, farmer.id, range);
+  const warnings = lowStockWarnings(products, farmer.id, recent, 30, reservations);
+  const listRevenueINR = pricing.reduce((s, r) => s + r.listRevenueINR, 0);
+  const format = metric === "revenueINR" ? (v) => money(v) : (v) => String(Math.round(v * 10) / 10);
+  const exportCsv = () => downloadText(`${farmer.name.replace(/\W+/g, "-").toLowerCase()}-sales-${range.from}-to-${range.to}.csv`, analyticsCsv(lines), "text/csv");
+  const select = "px-3 py-2 rounded-2xl border border-blue-200 text-blue-800";
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select aria-label={t("analytics.dateRange")} value={preset} onChange={(e) => setPreset(e.target.value)} className={select}>
+          {RANGE_PRESETS.map((r) => <option key={r.key} value={r.key}>{t(r.labelKey)}</option>)}
+          <option value="custom">{t("analytics.range.custom")}</option>
+        </select>
+        {preset === "custom" && (
+          <>
+            <input type="date" aria-label={t("analytics.from")} value={custom.from} max={dayKey()} onChange={(e) => setCustom({ ...custom, from: e.target.value })} className={select} />
+            <span className="text-blue-900/60">{t("analytics.rangeTo")}</span>
+            <input type="date" aria-label={t("analytics.to")} value={custom.to} max={dayKey()} onChange={(e) => setCustom({ ...custom, to: e.target.value })} className={select} />
+          </>
+        )}
+        <button onClick={exportCsv} disabled={lines.length === 0} className="ml-auto px-3 py-2 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50 disabled:opacity-50">{t("analytics.exportCsv")}</button>
+      </div>
+      {badRange ? <p className="text-sm text-pink-700">{t("analytics.badRange")}</p> : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+            <div><div className="text-blue-900/60">{t("analytics.revenue")}</div><div className="text-lg font-bold text-pink-700">{money(sum.revenueINR)}</div></div>
+            <div><div className="text-blue-900/60">{t("analytics.orders")}</div><div className="text-lg font-bold">{sum.orders}</div></div>
+            <div><div className="text-blue-900/60">{t("analytics.unitsSold")}</div><div className="text-lg font-bold">{sum.units}</div></div>
+            <div><div className="text-blue-900/60">{t("analytics.discounts")}</div><div className="text-lg font-bold">{money(Math.max(0, listRevenueINR - sum.revenueINR))}</div></div>
+          </div>
+          {lines.length === 0 ? <p className="text-sm text-blue-900/70">{t("analytics.noSales")}</p> : (
+            <>
+              <div>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <select aria-label={t("analytics.metric")} value={metric} onChange={(e) => setMetric(e.target.value)} className={select}>
+                    {METRICS.map((m) => <option key={m.key} value={m.key}>{t(m.labelKey)}</option>)}
+                  </select>
+                  <select aria-label={t("analytics.groupBy")} value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className={select}>
+                    {["total", "product", "category"].map((g) => <option key={g} value={g}>{t(`analytics.group.${g}`)}</option>)}
+                  </select>
+                  <span className="text-xs text-blue-900/60">{t(`analytics.per.${bucketSize(range)}`)}</span>
+                </div>
+                <SalesChart data={timeSeries(lines, range, groupBy)} metric={metric} format={format} />
+              </div>
+              <div>
+                <h4 className="text-sm font-medium text-blue-900">{t("analytics.realization")}</h4>
+                <PriceRealization rows={pricing} />
+              </div>
+              <div>
+                <h4 className="text-sm font-medium text-blue-900">{t("analytics.topBuyers")}</h4>
+                <ul className="mt-2 space-y-2 text-sm">
+                  {buyers.map((b) => (
+                    <li key={b.buyerId || b.name}>
+                      <div className="flex gap-2"><span className="text-blue-900">{b.name}</span><span className="ml-auto text-blue-900/70">{t("analytics.buyerLine", { revenue: money(b.revenueINR), count: b.orders, units: b.units })}</span></div>
+                      <div className="mt-1 h-2 rounded-full bg-blue-50"><div className="h-2 rounded-full bg-pink-600" style={{ width: `${(b.revenueINR / buyers[0].revenueINR) * 100}%` }} /></div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </>
+          )}
+          <div>
+            <h4 className="text-sm font-medium text-blue-900">{t("analytics.winRate")}</h4>
+            {rfqStats.received === 0 ? <p className="text-sm text-blue-900/70">{t("analytics.noRfqs")}</p> : (
+              <div className="mt-1 text-sm">
+                <div className="text-blue-900"><span className="text-lg font-bold">{rfqStats.winRate == null ? "—" : `${rfqStats.winRate}%`}</span> · {t("analytics.rfqSummary", { won: rfqStats.won, lost: rfqStats.lost, open: rfqStats.open, received: rfqStats.received, quoted: rfqStats.quoted })}</div>
+                <div className="mt-1 flex h-2 overflow-hidden rounded-full bg-blue-50">
+                  <div className="bg-blue-700" style={{ width: `${(rfqStats.won / rfqStats.received) * 100}%` }} />
+                  <div className="bg-pink-400" style={{ width: `${(rfqStats.lost / rfqStats.received) * 100}%` }} />
+                </div>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+      <div>
+        <h4 className="text-sm font-medium text-blue-900">{t("analytics.lowStock")}</h4>
+        {warnings.length === 0 ? <p className="text-sm text-blue-900/70">{t("analytics.allCovered", { count: COVER_WARNING_DAYS })}</p> : (
+          <ul className="mt-1 space-y-1 text-sm">
+            {warnings.map((w) => (
+              <li key={w.productId} className="flex gap-2">
+                <Link to={`/products/${w.productId}`} className="text-blue-900 hover:text-pink-700">{w.name}</Link>
+                <span className={classNames("ml-auto", w.state === "out" ? "text-pink-700 font-medium" : "text-blue-900/80")}>
+                  {w.state === "out" ? t("stock.out") : t("analytics.left", { count: w.available })}{w.daysLeft != null && w.state !== "out" ? ` · ${t("analytics.cover", { count: w.daysLeft, rate: w.perDay })}` : ""}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function LedgerList({ entries, limit = 8 }) {
+  const money = useMoney();
+  const { t, date } = useI18n();
+  if (entries.length === 0) return <p className="mt-2 text-sm text-blue-900/70">{t("wallet.empty")}</p>;
+  return (
+    <ul className="mt-2 space-y-1 text-sm">
+      {entries.slice(0, limit).map((e) => (
+        <li key={e.id} className="flex items-center gap-2">
+          <span className="text-blue-900/80">{t(LEDGER_LABEL_KEY[e.type])}{e.orderId ? ` · #${e.orderId.slice(0,5)}` : ""}</span>
+          <span className="text-xs text-blue-900/50">{date(e.date)}</span>
+          <span className={classNames("ml-auto font-medium", e.type === "refund" || e.type === "release" ? "text-blue-700" : "text-blue-900")}>{money(e.amountINR)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function BuyerWallet({ ledger, buyerId }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  const wallet = buyerWallet(ledger, buyerId);
+  return (
+    <div>
+      <div className="text-sm text-blue-900/60">{t("wallet.held")}</div>
+      <div className="text-2xl font-bold text-pink-700">{money(wallet.heldINR)}</div>
+      <div className="mt-1 text-xs text-blue-900/60">{t("wallet.paidRefunded", { paid: money(wallet.paidINR), refunded: money(wallet.refundedINR) })}</div>
+      <p className="mt-1 text-xs text-blue-900/60">{t("wallet.buyerNote")}</p>
+      <LedgerList entries={wallet.entries} />
+    </div>
+  );
+}
+
+function FarmerWallet({ ledger, farmerId, onPayout }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  const wallet = farmerWallet(ledger, farmerId);
+  const [amount, setAmount] = useState("");
+  async function withdraw(e) {
+    e.preventDefault();
+    if (await onPayout(farmerId, amount || wallet.availableINR)) setAmount("");
+  }
+  return (
+    <div>
+      <div className="text-sm text-blue-900/60">{t("wallet.available")}</div>
+      <div className="text-2xl font-bold text-pink-700">{money(wallet.availableINR)}</div>
+      <div className="mt-1 text-xs text-blue-900/60">{t("wallet.pendingPaidOut", { pending: money(wallet.pendingINR), paidOut: money(wallet.paidOutINR) })}</div>
+      <form onSubmit={withdraw} className="mt-2 flex gap-2">
+        <input type="number" min={0} step="0.01" value={amount} onChange={(e) => setAmount(e.target.value)} placeholder={t("wallet.amount", { max: wallet.availableINR })} className="w-full px-3 py-2 rounded-2xl border border-blue-200 text-sm" />
+        <button disabled={!(wallet.availableINR > 0)} className="px-3 py-2 rounded-2xl bg-blue-700 text-white hover:bg-blue-800 text-sm disabled:opacity-50">{t("wallet.withdraw")}</button>
+      </form>
+      <LedgerList entries={wallet.entries} />
+    </div>
+  );
+}
+
+function ServicesPage() {
+  const { t } = useI18n();
+  const items = [
+    { key: "rfq", icon: "📦" },
+    { key: "grading", icon: "🧪" },
+    { key: "escrow", icon: "💳" },
+    { key: "logistics", icon: "🚚" },
+  ];
+  return (
+    <section id="services" className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
+      <SectionTitle title={t("services.title")} subtitle={t("services.subtitle")} />
+      <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-5">
+        {items.map((it)=> (
+          <div key={it.key} className="rounded-3xl border border-blue-100 p-5 bg-white">
+            <div className="text-3xl">{it.icon}</div>
+            <h4 className="mt-2 font-semibold text-blue-900">{t(`services.${it.key}.title`)}</h4>
+            <p className="text-sm text-blue-900/80 mt-1">{t(`services.${it.key}.desc`)}</p>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+function PricingPage() {
+  const { currency, rates, format: money } = useContext(MoneyContext);
+  const { t, date } = useI18n();
+  const { user, changeSubscription, keepSubscription } = useSession();
+  const navigate = useNavigate();
+  const sub = subscriptionOf(user);
+  const [period, setPeriod] = useState(sub.period);
+  const isAdmin = hasRole(user, "admin");
+  async function choose(plan) {
+    if (!user) return navigate("/signup");
+    const quote = quotePlanChange(user, plan.key, period);
+    const name = t(`plan.${plan.key}`);
+    const message = quote.kind === "upgrade"
+      ? t(quote.creditINR > 0 ? "pricing.confirmUpgradeCredit" : "pricing.confirmUpgrade", { plan: name, amount: money(quote.amountINR), credit: money(quote.creditINR) })
+      : t("pricing.confirmDowngrade", { plan: name, date: date(quote.effectiveAt) });
+    if (!confirm(message)) return;
+    try {
+      await changeSubscription(plan.key, period);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+  function action(plan) {
+    if (!user) return t("pricing.getStarted");
+    const { kind } = quotePlanChange(user, plan.key, period);
+    return kind === "current" ? t("pricing.current") : t(`pricing.${kind}`);
+  }
+  return (
+    <section className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
+      <SectionTitle title={t("pricing.title")} subtitle={t("pricing.subtitle")} />
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="inline-flex rounded-2xl border border-blue-200 p-1">
+          {Object.keys(BILLING_PERIODS).map((key) => (
+            <button key={key} onClick={() => setPeriod(key)} className={classNames("px-4 py-2 rounded-xl text-sm", period === key ? "bg-blue-700 text-white" : "text-blue-800 hover:bg-blue-50")}>{t(`pricing.${key}`)}</button>
+          ))}
+        </div>
+        {user && !isAdmin && sub.renewsAt && (
+          <p className="text-sm text-blue-900/70">
+            {sub.pendingChange
+              ? t("pricing.switchesTo", { plan: t(`plan.${sub.pendingChange.plan}`), date: date(sub.renewsAt) })
+              : t("pricing.renews", { plan: t(`plan.${sub.plan}`), date: date(sub.renewsAt) })}
+            {sub.pendingChange && <button onClick={keepSubscription} className="ml-2 text-blue-700 underline hover:text-pink-700">{t("pricing.keep", { plan: t(`plan.${sub.plan}`) })}</button>}
+          </p>
+        )}
+      </div>
+      <div className="grid md:grid-cols-3 gap-5">
+        {PLANS.map(p => {
+          const current = user && quotePlanChange(user, p.key, period).kind === "current";
+          return (
+            <div key={p.key} className={classNames("rounded-3xl border p-6 bg-white", current ? "border-pink-300" : "border-blue-100")}>
+              <h3 className="text-xl font-semibold text-blue-900">{t(`plan.${p.key}`)}</h3>
+              <div className="mt-2 text-3xl font-extrabold text-pink-700">
+                {money(planPrice(p.key, period))}
+                {p.monthlyINR > 0 && <span className="text-sm font-normal text-blue-900/60"> {t(period === "yearly" ? "pricing.perYear" : "pricing.perMonth")}</span>}
+              </div>
+              <ul className="mt-3 text-sm text-blue-900/80 list-disc ml-5">
+                {p.features.map(f => <li key={f}>{t(`plan.feature.${f}`, { count: p.entitlements.rfqsPerMonth })}</li>)}
+              </ul>
+              {isAdmin ? (
+                <p className="mt-4 text-sm text-blue-900/60">{t("pricing.adminIncluded")}</p>
+              ) : (
+                <button onClick={() => choose(p)} disabled={current} className="mt-4 w-full px-4 py-3 rounded-2xl bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-50">{action(p)}</button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {currency !== BASE_CURRENCY && (
+        <p className="text-xs text-blue-900/60">{t("pricing.fxNote", { currency, rate: rates.inrPerUnit[currency], date: date(rates.updatedAt) })}</p>
+      )}
+    </section>
+  );
+}
+
+function AboutPage() {
+  const { t } = useI18n();
+  return (
+    <section className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
+      <SectionTitle title={t("about.title")} subtitle={t("about.subtitle")} />
+      <div className="grid md:grid-cols-2 gap-6 items-center">
+        <img className="rounded-3xl shadow border border-blue-100" alt="Farm teamwork" src="https://images.unsplash.com/photo-1599599810694-9f532a0d4d4e?q=80&w=1600&auto=format&fit=crop" />
+        <div className="text-blue-900/80">
+          {t("about.body")}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+const CONTACT_FIELDS = ["name", "contact", "subject"];
+
+function ContactPage({ orders, tickets, onSubmit, onReply }) {
+  const { t } = useI18n();
+  const { user } = useSession();
+  const blank = () => ({ name: user?.name || "", contact: user?.email || "", category: "", orderRef: "", subject: "", message: "" });
+  const [form, setForm] = useState(blank);
+  const [errors, setErrors] = useState({});
+  const [sent, setSent] = useState(null);
+  useEffect(() => { if (user) setForm((f) => ({ ...f, name: f.name || user.name, contact: f.contact || user.email })); }, [user]);
+  function handleSubmit(e) {
+    e.preventDefault();
+    // signed-in customers can only refer to their own orders
+    const result = validateTicket(form, { orders: user ? orders.filter((o) => o.buyer?.id === user.id) : null });
+    setErrors(result.errors);
+    if (!result.valid) return;
+    setSent(onSubmit(result.ticket));
+    setForm(blank());
+  }
+  const error = (field) => errors[field] && <span className="text-xs text-pink-700">{t(`contact.error.${field}.${errors[field]}`)}</span>;
+  const border = (field) => (errors[field] ? "border-pink-400" : "border-blue-200");
+  return (
+    <section className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
+      <SectionTitle title={t("contact.title")} subtitle={t("contact.subtitle")} />
+      {sent && (
+        <div className="rounded-2xl border border-green-200 bg-green-50 p-4 text-sm text-green-800">
+          {t("contact.sent", { reference: sent.reference })}{" "}
+          {user ? <Link to="/account" className="font-medium underline">{t("contact.trackInAccount")}</Link> : t("contact.keepReference")}
+        </div>
+      )}
+      <form onSubmit={handleSubmit} className="grid md:grid-cols-2 gap-3" noValidate>
+        {CONTACT_FIELDS.map((field) => (
+          <label key={field} className={classNames("grid gap-1", field === "subject" && "md:col-span-2")}>
+            <input value={form[field]} onChange={(e)=>setForm({ ...form, [field]: e.target.value })} className={classNames("px-4 py-2.5 rounded-2xl border", border(field))} placeholder={t(`contact.${field}`)} aria-label={t(`contact.${field}`)} />
+            {error(field)}
+          </label>
+        ))}
+        <label className="grid gap-1">
+          <select value={form.category} onChange={(e)=>setForm({ ...form, category: e.target.value })} className={classNames("px-4 py-2.5 rounded-2xl border", border("category"))} aria-label={t("contact.category")}>
+            <option value="">{t("contact.category")}</option>
+            {TICKET_CATEGORIES.map((c) => <option key={c} value={c}>{t(`contact.category.${c}`)}</option>)}
+          </select>
+          {error("category")}
+        </label>
+        <label className="grid gap-1">
+          <input value={form.orderRef} onChange={(e)=>setForm({ ...form, orderRef: e.target.value })} className={classNames("px-4 py-2.5 rounded-2xl border", border("orderRef"))} placeholder={t("contact.orderRef")} aria-label={t("contact.orderRef")} />
+          {error("orderRef")}
+        </label>
+        <label className="md:col-span-2 grid gap-1">
+          <textarea value={form.message} onChange={(e)=>setForm({ ...form, message: e.target.value })} className={classNames("px-4 py-2.5 rounded-2xl border", border("message"))} placeholder={t("contact.message")} aria-label={t("contact.message")} rows={5} />
+          {error("message")}
+        </label>
+        <button className="md:col-span-2 px-5 py-3 rounded-2xl bg-pink-700 text-white hover:bg-pink-800">{t("contact.send")}</button>
+      </form>
+      {!user && <TicketLookup tickets={tickets} onReply={onReply} />}
+    </section>
+  );
+}
+
+// Signed-out submitters check a request with its reference and the email or phone they gave.
+function TicketLookup({ tickets, onReply }) {
+  const { t } = useI18n();
+  const [query, setQuery] = useState({ reference: "", contact: "" });
+  const [ticketId, setTicketId] = useState(undefined);
+  const ticket = tickets.find((tk) => tk.id === ticketId);
+  function handleSubmit(e) {
+    e.preventDefault();
+    setTicketId(findTicket(tickets, query.reference, query.contact)?.id || null);
+  }
+  return (
+    <div className="rounded-3xl border border-blue-100 p-4 space-y-3">
+      <h3 className="font-semibold text-blue-900">{t("contact.track.title")}</h3>
+      <form onSubmit={handleSubmit} className="flex flex-wrap gap-2 text-sm">
+        <input value={query.reference} onChange={(e)=>setQuery({ ...query, reference: e.target.value })} className="px-3 py-2 rounded-xl border border-blue-200" placeholder={t("contact.track.reference")} aria-label={t("contact.track.reference")} />
+        <input value={query.contact} onChange={(e)=>setQuery({ ...query, contact: e.target.value })} className="px-3 py-2 rounded-xl border border-blue-200" placeholder={t("contact.contact")} aria-label={t("contact.contact")} />
+        <button className="px-4 py-2 rounded-xl bg-blue-700 text-white hover:bg-blue-800">{t("contact.track.check")}</button>
+      </form>
+      {ticketId === null && <p className="text-sm text-pink-700">{t("contact.track.notFound")}</p>}
+      {ticket && <TicketThread ticket={ticket} viewer="customer" onReply={onReply} />}
+    </div>
+  );
+}
+
+function TicketStatusBadge({ status }) {
+  const { t } = useI18n();
+  const tone = { open: "bg-pink-50 border-pink-200 text-pink-700", answered: "bg-blue-50 border-blue-200 text-blue-800", closed: "bg-gray-50 border-gray-200 text-gray-600" }[status];
+  return <span className={classNames("px-2 py-0.5 rounded-lg border text-xs", tone)}>{t(`ticket.status.${status}`)}</span>;
+}
+
+// One ticket's conversation, for the customer or for support. A reply from either side is appended.
+function TicketThread({ ticket, viewer, onReply }) {
+  const { t, dateTime } = useI18n();
+  const [body, setBody] = useState("");
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (onReply(ticket.id, body)) setBody("");
+  }
+  const canReply = viewer === "customer" || ticket.status !== "closed";
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium text-blue-900">{ticket.reference} · {ticket.subject}</span>
+        <TicketStatusBadge status={ticket.status} />
+        <span className="text-xs text-blue-900/60">{t(`contact.category.${ticket.category}`)}{ticket.orderId && ` · #${ticket.orderId.slice(0,5)}`}</span>
+      </div>
+      <ol className="space-y-1">
+        {ticket.messages.map((m) => (
+          <li key={m.id} className={classNames("rounded-xl px-3 py-2", m.by === "support" ? "bg-pink-50" : "bg-blue-50")}>
+            <div className="text-xs text-blue-900/60">{m.by === "support" ? t("ticket.support") : m.author} · {dateTime(m.date)}</div>
+            <div className="whitespace-pre-line text-blue-900">{m.body}</div>
+          </li>
+        ))}
+      </ol>
+      {canReply && (
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <input value={body} onChange={(e)=>setBody(e.target.value)} className="flex-1 px-3 py-2 rounded-xl border border-blue-200" placeholder={t("ticket.reply")} aria-label={t("ticket.reply")} />
+          <button className="px-4 py-2 rounded-xl bg-blue-700 text-white hover:bg-blue-800">{t("ticket.send")}</button>
+        </form>
+      )}
+      {viewer === "customer" && ticket.status === "closed" && <p className="text-xs text-blue-900/60">{t("ticket.closedNote")}</p>}
+    </div>
+  );
+}
+
+// Admin triage: filter, re-categorise, answer and close tickets.
+function SupportInbox({ tickets, onReply, onStatus, onCategory }) {
+  const { t } = useI18n();
+  const [filter, setFilter] = useState({ status: "open", category: "" });
+  const shown = inbox(tickets, filter);
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 text-sm">
+        <select value={filter.status} onChange={(e)=>setFilter({ ...filter, status: e.target.value })} className="px-3 py-2 rounded-xl border border-blue-200" aria-label={t("inbox.status")}>
+          <option value="">{t("inbox.allStatuses")}</option>
+          {TICKET_STATUSES.map((st) => <option key={st} value={st}>{t(`ticket.status.${st}`)}</option>)}
+        </select>
+        <select value={filter.category} onChange={(e)=>setFilter({ ...filter, category: e.target.value })} className="px-3 py-2 rounded-xl border border-blue-200" aria-label={t("inbox.category")}>
+          <option value="">{t("inbox.allCategories")}</option>
+          {TICKET_CATEGORIES.map((c) => <option key={c} value={c}>{t(`contact.category.${c}`)}</option>)}
+        </select>
+      </div>
+      {shown.length === 0 && <p className="text-sm text-blue-900/70">{t("inbox.empty")}</p>}
+      {shown.map((tk) => (
+        <details key={tk.id} className="border border-blue-100 rounded-2xl p-3">
+          <summary className="cursor-pointer text-sm">
+            <span className="font-medium text-blue-900">{tk.reference}</span> · {tk.subject} · {t(`ticket.status.${tk.status}`)} · {t(`contact.category.${tk.category}`)}
+          </summary>
+          <div className="mt-2 space-y-2">
+            <div className="text-xs text-blue-900/70">
+              {t("inbox.from", { name: tk.name, contact: tk.email || tk.phone })}{tk.userId ? ` · ${t("inbox.signedIn")}` : ""}
+            </div>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <select value={tk.category} onChange={(e)=>onCategory(tk.id, e.target.value)} className="px-3 py-1.5 rounded-xl border border-blue-200" aria-label={t("inbox.changeCategory")}>
+                {TICKET_CATEGORIES.map((c) => <option key={c} value={c}>{t(`contact.category.${c}`)}</option>)}
+              </select>
+              {tk.status === "closed"
+                ? <button onClick={() => onStatus(tk.id, "open")} className="text-blue-700 hover:text-pink-700">{t("inbox.reopen")}</button>
+                : <button onClick={() => onStatus(tk.id, "closed")} className="text-pink-700 hover:underline">{t("inbox.close")}</button>}
+            </div>
+            <TicketThread ticket={tk} viewer="support" onReply={onReply} />
+          </div>
+        </details>
+      ))}
+    </div>
+  );
+}
+
+function TierTable({ product }) {
+  const money = useMoney();
+  const tiers = sortedTiers(product);
+  return (
+    <table className="mt-3 w-full text-sm">
+      <thead>
+        <tr className="text-left text-blue-900/60">
+          <th className="py-1 font-medium">Quantity</th>
+          <th className="py-1 font-medium">Unit price</th>
+          <th className="py-1 font-medium">Saving vs. list</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr className="border-t border-blue-100">
+          <td className="py-1.5">{minQty(product)}+ (list)</td>
+          <td className="py-1.5">{money(product.priceINR)}</td>
+          <td className="py-1.5">—</td>
+        </tr>
+        {tiers.map((t, i) => (
+          <tr key={t.min} className="border-t border-blue-100">
+            <td className="py-1.5">{t.min}{tiers[i + 1] ? `–${tiers[i + 1].min - 1}` : "+"}</td>
+            <td className="py-1.5 font-semibold text-pink-700">{money(t.priceINR)}</td>
+            <td className="py-1.5">{product.priceINR > t.priceINR ? `${Math.round((1 - t.priceINR / product.priceINR) * 100)}%` : "—"}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function ProductGallery({ product, canEdit, onAddImages, onRemoveImage }) {
+  const images = [{ id: "cover", src: product.image, thumb: product.image, name: product.name }, ...(product.gallery || [])];
+  const [selected, setSelected] = useState("cover");
+  const [busy, setBusy] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const current = images.find((img) => img.id === selected) || images[0];
+  async function handleFiles(e) {
+    const files = e.target.files;
+    if (!files?.length) return;
+    setBusy(true);
+    const result = await processImageFiles(files, (product.gallery || []).length);
+    setBusy(false);
+    setErrors(result.errors);
+    if (result.images.length) onAddImages(product.id, result.images);
+    e.target.value = "";
+  }
+  return (
+    <div>
+      <img src={current.src} alt={current.name} className="w-full h-80 object-cover rounded-3xl border border-blue-100" />
+      <div className="mt-3 flex flex-wrap gap-2">
+        {images.map((img) => (
+          <div key={img.id} className="relative">
+            <button onClick={() => setSelected(img.id)} className={classNames("h-16 w-16 rounded-xl overflow-hidden border-2", img.id === current.id ? "border-pink-700" : "border-blue-100")}>
+              <img src={img.thumb} alt={img.name} className="h-full w-full object-cover" />
+            </button>
+            {canEdit && img.id !== "cover" && (
+              <button onClick={() => { onRemoveImage(product.id, img.id); if (selected === img.id) setSelected("cover"); }} className="absolute -top-2 -right-2 h-5 w-5 rounded-full bg-pink-700 text-white text-xs" aria-label={`Remove ${img.name}`}>✕</button>
+            )}
+          </div>
+        ))}
+      </div>
+      {canEdit && (
+        <div className="mt-3 text-sm">
+          <label className={classNames("inline-block px-4 py-2 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50 cursor-pointer", busy && "opacity-50")}>
+            {busy ? "Processing…" : "Upload farm photos"}
+            <input type="file" accept="image/*" multiple className="hidden" onChange={handleFiles} disabled={busy} />
+          </label>
+          <div className="mt-1 text-xs text-blue-900/60">Up to {MAX_GALLERY_IMAGES} photos, {MAX_UPLOAD_BYTES / 1024 / 1024} MB each. Photos are resized and stored in this browser.</div>
+          {errors.map((err) => <div key={err} className="text-xs text-pink-700">{err}</div>)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---- Quality lots ----
+function lotLabel(lot, t) {
+  return lot ? ` · ${t("lot.label", { code: lot.code, grade: lot.grade })}` : "";
+}
+
+const CERTIFICATE_TONE = { valid: "text-green-800", expiring: "text-amber-700", expired: "text-pink-700" };
+
+function CertificateList({ certificates, onRemove }) {
+  const { t, date } = useI18n();
+  if (certificates.length === 0) return <span className="text-blue-900/50">{t("certificate.none")}</span>;
+  return (
+    <ul className="space-y-0.5">
+      {certificates.map((c) => {
+        const status = certificateStatus(c);
+        return (
+          <li key={c.id}>
+            <a href={c.dataUrl} download={c.name} target="_blank" rel="noreferrer" className="text-blue-700 hover:text-pink-700">{c.issuer}{c.number ? ` ${c.number}` : ""}</a>
+            <span className={classNames("ml-1 text-xs", CERTIFICATE_TONE[status])}>{t(status === "expired" ? "certificate.expired" : "certificate.validUntil", { date: date(c.validUntil) })}</span>
+            {onRemove && <button onClick={() => onRemove(c.id)} className="ml-2 text-xs text-pink-700 hover:underline">{t("certificate.remove")}</button>}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+function CertificateForm({ onAdd, onCancel }) {
+  const { t } = useI18n();
+  const [file, setFile] = useState(null);
+  const [meta, setMeta] = useState({ issuer: "", number: "", validUntil: "" });
+  const [busy, setBusy] = useState(false);
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!file) return alert(t("certificate.chooseFile"));
+    setBusy(true);
+    try {
+      if (onAdd(await readDocument(file, "certificate"), meta)) onCancel();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+  const field = "px-3 py-1.5 rounded-xl border border-blue-200";
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 flex flex-wrap gap-2 text-sm">
+      <input type="file" accept="application/pdf,image/jpeg,image/png,image/webp" onChange={(e) => setFile(e.target.files?.[0] || null)} aria-label={t("certificate.file")} className="text-xs" />
+      <input value={meta.issuer} onChange={(e)=>setMeta({ ...meta, issuer: e.target.value })} className={field} placeholder={t("certificate.issuer")} />
+      <input value={meta.number} onChange={(e)=>setMeta({ ...meta, number: e.target.value })} className={field} placeholder={t("certificate.number")} />
+      <label className="flex items-center gap-1">{t("certificate.validUntilField")} <input type="date" value={meta.validUntil} onChange={(e)=>setMeta({ ...meta, validUntil: e.target.value })} className={field} /></label>
+      <button disabled={busy} className="px-3 py-1.5 rounded-xl bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-50">{t("certificate.attach")}</button>
+      <button type="button" onClick={onCancel} className="px-3 py-1.5 rounded-xl border border-blue-200 text-blue-800 hover:bg-blue-50">{t("lot.cancel")}</button>
+    </form>
+  );
+}
+
+function LotForm({ product, initial, onSave, onCancel }) {
+  const { t } = useI18n();
+  const metric = QUALITY_METRICS[product.category];
+  const blank = { code: "", grade: "A", size: "", metric: "", harvestDate: "", stock: "" };
+  const [form, setForm] = useState(() => (initial ? { ...initial, metric: initial.metric ?? "" } : blank));
+  const [errors, setErrors] = useState([]);
+  function handleSubmit(e) {
+    e.preventDefault();
+    const { lot, errors: problems, valid } = validateLot(form, product);
+    if (!valid) { setErrors(errorMessages(problems)); return; }
+    setErrors([]);
+    onSave(lot);
+    if (!initial) setForm(blank);
+  }
+  const field = "px-3 py-2 rounded-xl border border-blue-200";
+  return (
+    <form onSubmit={handleSubmit} className="grid sm:grid-cols-3 gap-2 text-sm">
+      <input value={form.code} onChange={(e)=>setForm({ ...form, code: e.target.value })} className={classNames(field, "uppercase")} placeholder={t("lot.code")} required />
+      <select value={form.grade} onChange={(e)=>setForm({ ...form, grade: e.target.value })} className={field} aria-label={t("filters.grade")}>
+        {GRADES.map((g) => <option key={g} value={g}>{t("filters.grade.option", { grade: g })}</option>)}
+      </select>
+      <input value={form.size} onChange={(e)=>setForm({ ...form, size: e.target.value })} className={field} placeholder={t("lot.size")} />
+      {metric && <input type="number" min={0} max={metric.max} step="0.1" value={form.metric} onChange={(e)=>setForm({ ...form, metric: e.target.value })} className={field} placeholder={`${metric.label} (${metric.unit})`} />}
+      <label className="flex items-center gap-2">{t("lot.harvested")} <input type="date" value={form.harvestDate} onChange={(e)=>setForm({ ...form, harvestDate: e.target.value })} className={field} /></label>
+      <input type="number" min={0} value={form.stock} onChange={(e)=>setForm({ ...form, stock: e.target.value })} className={field} placeholder={t("lot.units")} required />
+      {errors.length > 0 && <ul className="sm:col-span-3 text-pink-700 list-disc ml-5">{errors.map((err) => <li key={err}>{err}</li>)}</ul>}
+      <div className="sm:col-span-3 flex gap-2">
+        <button className="px-4 py-2 rounded-xl bg-pink-700 text-white hover:bg-pink-800">{t(initial ? "lot.save" : "lot.add")}</button>
+        {onCancel && <button type="button" onClick={onCancel} className="px-4 py-2 rounded-xl border border-blue-200 text-blue-800 hover:bg-blue-50">{t("lot.cancel")}</button>}
+      </div>
+    </form>
+  );
+}
+
+// Graded lots of a product with their certificates; its farmer (or an admin) manages them here.
+function ProductLots({ product, canEdit, live, reservations, onAdd, onSaveLot, onRemoveLot, onCertificate, onRemoveCertificate }) {
+  const { t, date } = useI18n();
+  const [editingId, setEditingId] = useState(null);
+  const [certLotId, setCertLotId] = useState(null);
+  const lots = lotsOf(product);
+  if (!lots.length && !canEdit) return null;
+  return (
+    <div className="rounded-3xl border border-blue-100 p-4 space-y-3">
+      <h3 className="font-semibold text-blue-900">{t("lot.title")}</h3>
+      {canEdit && <p className="text-xs text-blue-900/60">{t("lot.note")}</p>}
+      {lots.length > 0 && (
+        <div className="space-y-2">
+          {lots.map((l) => editingId === l.id ? (
+            <div key={l.id} className="border border-blue-200 rounded-2xl p-3">
+              <LotForm product={product} initial={l} onSave={(lot) => { onSaveLot(product.id, lot); setEditingId(null); }} onCancel={() => setEditingId(null)} />
+            </div>
+          ) : (
+            <div key={l.id} className="border border-blue-100 rounded-2xl p-3 text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-medium text-blue-900">{t("lot.name", { code: l.code })}</span>
+                <span className="px-2 py-0.5 rounded-lg border border-blue-200 text-xs text-blue-800">{t("filters.grade.option", { grade: l.grade })}</span>
+                <span className="text-blue-900/70">{describeQuality(l, product.category)}</span>
+                <span className="ml-auto text-blue-900/70">{t("lot.stock", { count: availableStock(product, reservations, { lotId: l.id }) })}{l.harvestDate ? ` · ${t("lot.harvestedOn", { date: date(l.harvestDate) })}` : ""}</span>
+              </div>
+              <div className="mt-1 flex flex-wrap items-start gap-2">
+                <span className="text-blue-900/70">{t("lot.certificates")}</span>
+                <CertificateList certificates={l.certificates} onRemove={canEdit ? (certId) => onRemoveCertificate(product.id, l.id, certId) : undefined} />
+              </div>
+              <div className="mt-2 flex gap-3">
+                {live && <button onClick={() => onAdd(product, l.id)} disabled={availableStock(product, reservations, { lotId: l.id }) < minQty(product)} className="text-blue-700 hover:text-pink-700 disabled:opacity-40">{t("lot.addToCart")}</button>}
+                {canEdit && (
+                  <>
+                    <button onClick={() => setEditingId(l.id)} className="text-blue-700 hover:text-pink-700">{t("lot.edit")}</button>
+                    <button onClick={() => setCertLotId(certLotId === l.id ? null : l.id)} className="text-blue-700 hover:text-pink-700">{t("certificate.attachTo")}</button>
+                    <button onClick={() => onRemoveLot(product.id, l.id)} className="ml-auto text-pink-700 hover:underline">{t("lot.remove")}</button>
+                  </>
+                )}
+              </div>
+              {certLotId === l.id && <CertificateForm onAdd={(doc, meta) => onCertificate(product.id, l.id, doc, meta)} onCancel={() => setCertLotId(null)} />}
+            </div>
+          ))}
+        </div>
+      )}
+      {canEdit && (
+        <details className="text-sm">
+          <summary className="cursor-pointer text-blue-700 hover:text-pink-700">{t("lot.addNew")}</summary>
+          <div className="mt-2"><LotForm product={product} onSave={(lot) => onSaveLot(product.id, lot)} /></div>
+        </details>
+      )}
+    </div>
+  );
+}
+
+// ---- Procurement ----
+function FavouriteButton({ active, onToggle }) {
+  const { t } = useI18n();
+  return (
+    <button type="button" onClick={onToggle} aria-pressed={active} className={classNames("px-4 py-3 rounded-2xl border", active ? "border-pink-700 bg-pink-50 text-pink-700" : "border-blue-200 text-blue-800 hover:bg-blue-50")}>
+      {t(active ? "favourites.in" : "favourites.add")}
+    </button>
+  );
+}
+
+// Save a product to one of the buyer's lists, or to a new one.
+function SaveToListForm({ product, lists, onSave }) {
+  const { t } = useI18n();
+  const [listId, setListId] = useState(lists[0]?.id || "");
+  const [name, setName] = useState("");
+  const [qty, setQty] = useState(minQty(product));
+  const [lotId, setLotId] = useState("");
+  const submit = (e) => {
+    e.preventDefault();
+    if (onSave(listId, name, product, qty, lotId)) setName("");
+  };
+  return (
+    <form onSubmit={submit} className="flex flex-wrap gap-2 text-sm">
+      <select aria-label={t("lists.list")} value={listId} onChange={(e) => setListId(e.target.value)} className="px-3 py-2 rounded-xl border border-blue-200">
+        {lists.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+        <option value="">{t("lists.newOption")}</option>
+      </select>
+      {!listId && <input value={name} onChange={(e) => setName(e.target.value)} placeholder={t("lists.name")} className="flex-1 min-w-[12rem] px-3 py-2 rounded-xl border border-blue-200" required />}
+      <input type="number" min={minQty(product)} value={qty} onChange={(e) => setQty(e.target.value)} aria-label={t("lists.qty")} className="w-24 px-3 py-2 rounded-xl border border-blue-200" />
+      {lotsOf(product).length > 0 && (
+        <select aria-label={t("lists.lot")} value={lotId} onChange={(e) => setLotId(e.target.value)} className="px-3 py-2 rounded-xl border border-blue-200">
+          <option value="">{t("lists.anyLot")}</option>
+          {lotsOf(product).map((l) => <option key={l.id} value={l.id}>{t("lists.lotOption", { code: l.code, grade: l.grade })}</option>)}
+        </select>
+      )}
+      <button className="px-3 py-2 rounded-xl border border-blue-200 text-blue-800 hover:bg-blue-50">{t("lists.save")}</button>
+    </form>
+  );
+}
+
+function PriceAlertText({ alert, status }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  if (status.state === "unlisted") return <span className="text-blue-900/60">{t("alerts.unlisted")}</span>;
+  if (status.state === "met") return <span className="text-pink-700 font-medium">{t("alerts.met", { price: money(status.priceINR), count: alert.qty })}</span>;
+  if (status.state === "tier") return <span className="text-pink-700 font-medium">{t("alerts.tier", { best: money(status.bestINR), count: status.tier.min, price: money(status.priceINR), qty: alert.qty })}</span>;
+  return <span className="text-blue-900/70">{t("alerts.now", { price: money(status.priceINR), count: alert.qty })}</span>;
+}
+
+// Watch a product for its price, at the buyer's usual quantity, to reach a target.
+function PriceAlertForm({ product, alert, onSave, onRemove }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  const [target, setTarget] = useState(alert?.targetINR ?? "");
+  const [qty, setQty] = useState(alert?.qty ?? minQty(product));
+  const submit = (e) => {
+    e.preventDefault();
+    onSave(product, { targetINR: target, qty });
+  };
+  return (
+    <div className="space-y-2 text-sm">
+      {alert && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-blue-900">{t("alerts.current", { price: money(alert.targetINR), count: alert.qty })}</span>
+          <PriceAlertText alert={alert} status={priceAlertStatus(alert, product)} />
+          <button type="button" onClick={() => onRemove(alert.id)} className="ml-auto text-pink-700 hover:underline">{t("alerts.remove")}</button>
+        </div>
+      )}
+      <form onSubmit={submit} className="flex flex-wrap gap-2">
+        <input type="number" min={0} step="0.01" value={target} onChange={(e) => setTarget(e.target.value)} placeholder={t("alerts.target")} className="flex-1 min-w-[10rem] px-3 py-2 rounded-xl border border-blue-200" required />
+        <input type="number" min={minQty(product)} value={qty} onChange={(e) => setQty(e.target.value)} aria-label={t("alerts.qty")} className="w-24 px-3 py-2 rounded-xl border border-blue-200" />
+        <button className="px-3 py-2 rounded-xl border border-blue-200 text-blue-800 hover:bg-blue-50">{t(alert ? "alerts.update" : "alerts.set")}</button>
+      </form>
+    </div>
+  );
+}
+
+function SavedLists({ lists, productsById, onCreate, onRename, onDelete, onQty, onRemoveItem, onAddToCart }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  const [name, setName] = useState("");
+  const create = (e) => {
+    e.preventDefault();
+    if (onCreate(name)) setName("");
+  };
+  return (
+    <div className="mt-2 space-y-3">
+      {lists.length === 0 && <p className="text-sm text-blue-900/70">{t("lists.none")}</p>}
+      {lists.map((l) => {
+        const estimateINR = l.items.reduce((s, i) => s + (productsById[i.productId] ? unitPriceINR(productsById[i.productId], i.qty) * i.qty : 0), 0);
+        return (
+          <div key={l.id} className="border border-blue-100 rounded-2xl p-3 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium text-blue-900">{l.name}</span>
+              <span className="text-blue-900/60">· {t("lists.summary", { count: l.items.length, estimate: money(estimateINR) })}</span>
+              <button onClick={() => onAddToCart(l)} disabled={l.items.length === 0} className="ml-auto px-3 py-1.5 rounded-xl bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-50">{t("lists.addToCart")}</button>
+              <button onClick={() => { const next = prompt(t("lists.renamePrompt"), l.name); if (next != null) onRename(l.id, next); }} className="text-blue-700 hover:text-pink-700">{t("lists.rename")}</button>
+              <button onClick={() => onDelete(l.id)} className="text-pink-700 hover:underline">{t("lists.delete")}</button>
+            </div>
+            {l.items.length === 0 ? <p className="mt-1 text-blue-900/60">{t("lists.empty")}</p> : (
+              <ul className="mt-2 space-y-1">
+                {l.items.map((i) => {
+                  const p = productsById[i.productId];
+                  const lot = findLot(p, i.lotId);
+                  return (
+                    <li key={i.productId} className="flex flex-wrap items-center gap-2">
+                      {p ? <Link to={`/products/${p.id}`} className="text-blue-900 hover:text-pink-700">{i.name}</Link> : <span className="text-blue-900/60">{i.name}</span>}
+                      <span className="text-xs text-blue-900/60">{[lot && t("lot.label", { code: lot.code, grade: lot.grade }), p && isLive(p) && i.qty < minQty(p) && t("lists.belowMoq", { moq: minQty(p) }), !(p && isLive(p)) && t("lists.unlisted")].filter(Boolean).join(" · ")}</span>
+                      <input key={i.qty} type="number" min={1} defaultValue={i.qty} onBlur={(e) => { if (Number(e.target.value) !== i.qty && !onQty(l.id, i.productId, e.target.value)) e.target.value = i.qty; }} aria-label={t("lists.itemQty", { name: i.name })} className="ml-auto w-20 px-2 py-1 rounded-lg border border-blue-200" />
+                      <button onClick={() => onRemoveItem(l.id, i.productId)} className="text-pink-700 hover:underline">{t("lists.remove")}</button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+      <form onSubmit={create} className="flex gap-2 text-sm">
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder={t("lists.newName")} className="flex-1 px-3 py-2 rounded-xl border border-blue-200" />
+        <button className="px-3 py-2 rounded-xl border border-blue-200 text-blue-800 hover:bg-blue-50">{t("lists.create")}</button>
+      </form>
+    </div>
+  );
+}
+
+function Favourites({ favourites, productsById, farmersById, onFavourite, onAdd }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  const products = favourites.products.map((id) => productsById[id]).filter(Boolean);
+  const farms = favourites.farmers.map((id) => farmersById[id]).filter(Boolean);
+  if (products.length + farms.length === 0) return <p className="text-sm text-blue-900/70">{t("favourites.none")}</p>;
+  return (
+    <div className="mt-2 space-y-3 text-sm">
+      {products.length > 0 && (
+        <ul className="space-y-1">
+          {products.map((p) => (
+            <li key={p.id} className="flex flex-wrap items-center gap-2">
+              <Link to={`/products/${p.id}`} className="text-blue-900 hover:text-pink-700">{p.name}</Link>
+              <span className="text-blue-900/60">{t("favourites.price", { price: money(p.priceINR), moq: minQty(p) })}</span>
+              {isLive(p) ? <button onClick={() => onAdd(p)} className="ml-auto text-blue-700 hover:text-pink-700">{t("favourites.addToCart")}</button> : <span className="ml-auto text-blue-900/50">{t("favourites.unlisted")}</span>}
+              <button onClick={() => onFavourite("products", p.id)} className="text-pink-700 hover:underline">{t("favourites.remove")}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {farms.length > 0 && (
+        <ul className="space-y-1">
+          {farms.map((f) => (
+            <li key={f.id} className="flex flex-wrap items-center gap-2">
+              <Link to={`/farmers/${f.id}`} className="text-blue-900 hover:text-pink-700">{f.name}</Link><VerifiedBadge farmer={f} />
+              <span className="text-blue-900/60">{f.location}</span>
+              <button onClick={() => onFavourite("farmers", f.id)} className="ml-auto text-pink-700 hover:underline">{t("favourites.remove")}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function PriceAlerts({ alerts, productsById, onAddItems, onDismiss, onRemove }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  if (alerts.length === 0) return <p className="text-sm text-blue-900/70">{t("alerts.none")}</p>;
+  return (
+    <ul className="mt-2 space-y-2 text-sm">
+      {alerts.map((a) => {
+        const p = productsById[a.productId];
+        const status = priceAlertStatus(a, p);
+        const qty = status.state === "tier" ? status.tier.min : a.qty;
+        return (
+          <li key={a.id} className={classNames("rounded-2xl border p-2", status.fresh ? "border-pink-300 bg-pink-50/40" : "border-blue-100")}>
+            <div className="flex flex-wrap items-center gap-2">
+              {p ? <Link to={`/products/${p.id}`} className="font-medium text-blue-900 hover:text-pink-700">{a.name}</Link> : <span className="font-medium text-blue-900/60">{a.name}</span>}
+              <span className="text-blue-900/60">{t("alerts.targetLine", { price: money(a.targetINR) })}</span>
+              <button onClick={() => onRemove(a.id)} className="ml-auto text-pink-700 hover:underline">{t("alerts.removeShort")}</button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <PriceAlertText alert={a} status={status} />
+              {(status.state === "met" || status.state === "tier") && <button onClick={() => onAddItems([{ productId: a.productId, name: a.name, lotId: null, qty }])} className="ml-auto text-blue-700 hover:text-pink-700">{t("alerts.addToCart", { count: qty })}</button>}
+              {status.fresh && <button onClick={() => onDismiss(a.id, status.bestINR)} className="text-blue-900/60 hover:text-pink-700">{t("alerts.dismiss")}</button>}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// ---- Reviews ----
+function ratingText(x, fallback) {
+  return x?.rating ? `⭐ ${x.rating} (${x.reviewCount} review${x.reviewCount === 1 ? "" : "s"})` : fallback;
+}
+
+function ReviewForm({ item, onSubmit, onCancel }) {
+  const [stars, setStars] = useState(5);
+  const [text, setText] = useState("");
+  const [photo, setPhoto] = useState(null);
+  const [busy, setBusy] = useState(false);
+  async function handlePhoto(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setBusy(true);
+    try {
+      setPhoto(await processImageFile(file));
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusy(false);
+      e.target.value = "";
+    }
+  }
+  function submit(e) {
+    e.preventDefault();
+    try {
+      onSubmit({ stars, text, photo });
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+  return (
+    <form onSubmit={submit} className="mt-2 rounded-2xl border border-blue-100 bg-blue-50/40 p-3 space-y-2">
+      <div className="font-medium text-blue-900">Review {item.name}</div>
+      <div className="flex gap-1" role="radiogroup" aria-label="Stars">
+        {[1, 2, 3, 4, 5].map((n) => (
+          <button key={n} type="button" role="radio" aria-checked={stars === n} aria-label={`${n} star${n === 1 ? "" : "s"}`} onClick={() => setStars(n)} className={classNames("text-2xl leading-none", n <= stars ? "text-pink-700" : "text-blue-200")}>★</button>
+        ))}
+      </div>
+      <textarea value={text} onChange={(e) => setText(e.target.value)} maxLength={MAX_REVIEW_LENGTH} rows={3} placeholder="How were the quality, packing and delivery?" className="w-full px-3 py-2 rounded-2xl border border-blue-200" />
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className={classNames("inline-block px-3 py-1.5 rounded-xl border border-blue-200 text-blue-800 hover:bg-blue-50 cursor-pointer", busy && "opacity-50")}>
+          {busy ? "Processing…" : photo ? "Change photo" : "Add a photo (optional)"}
+          <input type="file" accept="image/*" className="hidden" onChange={handlePhoto} disabled={busy} />
+        </label>
+        {photo && <img src={photo.thumb} alt="" className="h-10 w-10 rounded-lg object-cover border border-blue-100" />}
+        <div className="ml-auto flex gap-2">
+          <button type="button" onClick={onCancel} className="px-3 py-1.5 rounded-xl border border-blue-200">Cancel</button>
+          <button disabled={busy} className="px-3 py-1.5 rounded-xl bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-50">Post review</button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+// Reviews newest first. `onReport` / `onModerate` are omitted where those actions don't apply.
+function ReviewList({ reviews, showProduct = false, empty = "No reviews yet.", onReport, onModerate }) {
+  const { user } = useSession();
+  const { date } = useI18n();
+  if (reviews.length === 0) return <p className="text-sm text-blue-900/70">{empty}</p>;
+  function report(r) {
+    const reason = prompt("Why should this review be checked? (spam, abusive, not about the product…)");
+    if (reason === null) return;
+    try {
+      onReport(r.id, reason);
+      alert("Thanks — an admin will take a look.");
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+  return (
+    <ul className="space-y-3">
+      {reviews.map((r) => (
+        <li key={r.id} className={classNames("border border-blue-100 rounded-2xl p-3 text-sm", r.hidden && "bg-gray-50")}>
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-pink-700" aria-label={`${r.stars} out of 5 stars`}>{starText(r.stars)}</span>
+            <span className="font-medium text-blue-900">{r.buyerName}</span>
+            <span className="text-blue-900/60">· {date(r.date)}</span>
+            {showProduct && <Link to={`/products/${r.productId}`} className="text-blue-700 hover:text-pink-700">· {r.productName}</Link>}
+            {r.hidden && <span className="px-2 py-0.5 rounded-lg border border-gray-200 text-xs text-gray-600">Hidden</span>}
+            {onModerate && r.reports.length > 0 && <span className="px-2 py-0.5 rounded-lg border border-pink-200 text-xs text-pink-700">{r.reports.length} report{r.reports.length === 1 ? "" : "s"}</span>}
+          </div>
+          {r.text && <p className="mt-1 text-blue-900/80 whitespace-pre-line">{r.text}</p>}
+          {r.photo && <a href={r.photo.src} target="_blank" rel="noreferrer"><img src={r.photo.thumb} alt={`Photo from ${r.buyerName}`} className="mt-2 h-20 w-20 rounded-xl object-cover border border-blue-100" /></a>}
+          {onModerate && r.reports.length > 0 && (
+            <ul className="mt-1 ml-5 list-disc text-xs text-blue-900/60">{r.reports.map((rep) => <li key={rep.by}>{rep.reason || "No reason given"} · {date(rep.date)}</li>)}</ul>
+          )}
+          <div className="mt-1 flex gap-3 text-xs">
+            {onReport && user && user.id !== r.buyerId && !r.hidden && (
+              <button onClick={() => report(r)} className="text-blue-700 hover:text-pink-700">Report</button>
+            )}
+            {onModerate && (r.hidden
+              ? <button onClick={() => onModerate(r.id, false)} className="text-blue-700 hover:text-pink-700">Restore</button>
+              : <>
+                  <button onClick={() => onModerate(r.id, true)} className="text-pink-700 hover:text-pink-800">Hide</button>
+                  {r.reports.length > 0 && <button onClick={() => onModerate(r.id, false)} className="text-blue-700 hover:text-pink-700">Dismiss reports</button>}
+                </>)}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function ProductDetailPage({ productsById, farmersById, reviews, reservations, onAdd, onBulk, onAddImages, onRemoveImage, onReport, onModerate, onStanding, lotActions, procurementActions }) {
+  const { t } = useI18n();
+  const { id } = useParams();
+  const { user } = useSession();
+  const p = productsById[id];
+  if (!p) return <NotFoundPage what="product" />;
+  const farmer = farmersById[p.farmerId];
+  const stock = stockState(p, reservations);
+  const paused = !isListed(p);
+  const moderation = moderationStatus(p);
+  const live = isLive(p);
+  const canEdit = hasRole(user, "admin") || (hasRole(user, "farmer") && user.farmerId === p.farmerId);
+  return (
+    <section className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
+      {paused && <div className="rounded-2xl border border-gray-200 bg-gray-50 p-3 text-sm text-gray-700">This listing is paused and hidden from the shop.</div>}
+      {moderation === "pending" && <div className="rounded-2xl border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">This listing is awaiting review by our team and is not in the shop yet.</div>}
+      {moderation === "rejected" && <div className="rounded-2xl border border-pink-200 bg-pink-50 p-3 text-sm text-pink-800">This listing was not approved. Reason: {p.moderation.reason}<br />Edit it from the Farmer Dashboard to submit it again.</div>}
+      <Link to="/shop" className="text-sm text-blue-700 hover:text-pink-700">← Back to marketplace</Link>
+      <div className="grid md:grid-cols-2 gap-8">
+        <div className="relative">
+          <ProductGallery product={p} canEdit={canEdit} onAddImages={onAddImages} onRemoveImage={onRemoveImage} />
+          <StockBadge stock={stock} />
+        </div>
+        <div className="space-y-4">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold text-blue-900">{p.name}</h1>
+            <div className="mt-1 text-blue-900/70">{p.category} · {ratingText(p, "New listing")}</div>
+            <div className="mt-3 text-2xl"><PriceBlock priceINR={p.priceINR} /> <span className="text-sm text-blue-900/60">list price / unit</span></div>
+            <div className="mt-1 text-sm text-blue-900/70">MOQ {minQty(p)} · {stock.available} units available</div>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => onAdd(p)} disabled={stock.state === "out" || !live} className="px-5 py-3 rounded-2xl bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-50">Add to cart</button>
+            <button onClick={() => onBulk(p)} disabled={moderation !== "approved"} className="px-5 py-3 rounded-2xl border border-pink-700 text-pink-700 hover:bg-pink-50 disabled:opacity-50">Bulk RFQ</button>
+            {user && user.farmerId !== p.farmerId && <FavouriteButton active={isFavourite(favouritesOf(user), "products", p.id)} onToggle={() => procurementActions.onFavourite("products", p.id)} />}
+          </div>
+          <div className="rounded-3xl border border-blue-100 p-4">
+            <h3 className="font-semibold text-blue-900">Bulk pricing</h3>
+            <TierTable product={p} />
+          </div>
+          {user && live && user.farmerId !== p.farmerId && (
+            <div className="rounded-3xl border border-blue-100 p-4 space-y-3">
+              <h3 className="font-semibold text-blue-900">{t("lists.buyAgain")}</h3>
+              <SaveToListForm key={`list-${p.id}`} product={p} lists={savedListsOf(user)} onSave={procurementActions.onSaveToList} />
+              <PriceAlertForm key={priceAlertsOf(user).find((a) => a.productId === p.id)?.id || `alert-${p.id}`} product={p} alert={priceAlertsOf(user).find((a) => a.productId === p.id)} onSave={procurementActions.onPriceAlert} onRemove={procurementActions.onRemoveAlert} />
+            </div>
+          )}
+          {user && live && user.farmerId !== p.farmerId && (
+            <div className="rounded-3xl border border-blue-100 p-4 space-y-2">
+              <h3 className="font-semibold text-blue-900">Regular deliveries</h3>
+              <StandingOrderForm product={p} farmersById={farmersById} addresses={user.addresses || []} onCreate={onStanding} />
+            </div>
+          )}
+          {farmer && (
+            <div className="rounded-3xl border border-blue-100 p-4">
+              <h3 className="font-semibold text-blue-900">Sold by</h3>
+              <div className="mt-1"><Link to={`/farmers/${farmer.id}`} className="font-medium hover:text-pink-700">{farmer.name}</Link><VerifiedBadge farmer={farmer} /></div>
+              <div className="text-sm text-blue-900/70">{farmer.location} · {ratingText(farmer, "New farm")}</div>
+            </div>
+          )}
+        </div>
+      </div>
+      <ProductLots product={p} canEdit={canEdit} live={live} reservations={reservations} onAdd={onAdd} {...lotActions} />
+      <div className="rounded-3xl border border-blue-100 p-4 space-y-3">
+        <h3 className="font-semibold text-blue-900">Reviews</h3>
+        <p className="text-xs text-blue-900/60">Only buyers whose order of this product was delivered can review it.</p>
+        <ReviewList reviews={visibleReviews(reviews.filter((r) => r.productId === p.id))} onReport={onReport} onModerate={hasRole(user, "admin") ? onModerate : undefined} />
+      </div>
+    </section>
+  );
+}
+
+function FarmerProfilePage({ farmersById, products, reviews, reservations, onAdd, onBulk, onReport, onModerate, onFavourite }) {
+  const { t, date } = useI18n();
+  const { id } = useParams();
+  const { user } = useSession();
+  const farmer = farmersById[id];
+  if (!farmer) return <NotFoundPage what="farmer" />;
+  const listed = products.filter((p) => p.farmerId === farmer.id && isLive(p));
+  const kyc = kycOf(farmer);
+  return (
+    <section className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
+      <SectionTitle title={farmer.name} subtitle={`📍 ${farmer.location} · ${ratingText(farmer, "New farm")}`} />
+      {user && user.farmerId !== farmer.id && <FavouriteButton active={isFavourite(favouritesOf(user), "farmers", farmer.id)} onToggle={() => onFavourite("farmers", farmer.id)} />}
+      {isVerified(farmer) && (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-blue-900/70">
+          <VerifiedBadge farmer={farmer} />
+          {kyc.fssaiNumber && <span>{t("farmer.fssai")}</span>}
+          {kyc.organicCertNumber && <span>· {t("farmer.organicUntil", { date: date(kyc.organicValidUntil) })}</span>}
+        </div>
+      )}
+      <h3 className="font-semibold text-blue-900">Products ({listed.length})</h3>
+      {listed.length === 0 ? <p className="text-sm text-blue-900/70">No products listed right now.</p> : (
+        <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-5">
+          {listed.map((p) => (
+            <ProductCard key={p.id} p={p} farmer={farmer} stock={stockState(p, reservations)} favourite={user && isFavourite(favouritesOf(user), "products", p.id)} onAdd={onAdd} onBulk={onBulk} onFavourite={user ? onFavourite : undefined} />
+          ))}
+        </div>
+      )}
+      <div className="rounded-3xl border border-blue-100 p-4 space-y-3">
+        <h3 className="font-semibold text-blue-900">Review history</h3>
+        <ReviewList reviews={visibleReviews(reviews.filter((r) => r.farmerId === farmer.id))} showProduct onReport={onReport} onModerate={hasRole(user, "admin") ? onModerate : undefined} />
+      </div>
+    </section>
+  );
+}
+
+// ---- Invoices & quotations ----
+function canSeeDocument(user, doc) {
+  return !!user && (hasRole(user, "admin") || doc.buyerId === user.id || (user.farmerId && user.farmerId === doc.farmerId));
+}
+
+function PartyBlock({ heading, party }) {
+  return (
+    <div>
+      <div className="text-xs font-semibold text-blue-900/60 uppercase">{heading}</div>
+      <div className="font-medium">{party.name}</div>
+      <div className="text-blue-900/80">{party.address}</div>
+      <div className="text-blue-900/70">State: {party.state ? `${party.state} (${party.stateCode})` : "—"}</div>
+      <div className="text-blue-900/70">GSTIN: {party.gstin || "Unregistered"}</div>
+    </div>
+  );
+}
+
+// Printable invoice or quotation. Anyone it belongs to can view it here; printing and the PDF download
+// are the plans' "Downloadable invoices" feature, so both are gated, as the print dialog can save a PDF too.
+function TaxDocumentPage({ doc, cancelled = false }) {
+  const { t, date } = useI18n();
+  const { user } = useSession();
+  const inr = (x) => formatMoney(x, BASE_CURRENCY);
+  return (
+    <section className="mx-auto max-w-4xl px-4 sm:px-6 py-8 print:p-0">
+      <div className="mb-4 flex flex-wrap gap-2 print:hidden">
+        {can(user, "invoices") ? (
+          <>
+            <button onClick={() => window.print()} className="px-4 py-2 rounded-xl bg-blue-700 text-white hover:bg-blue-800">{t("document.print")}</button>
+            <button onClick={() => downloadBlob(documentFilename(doc), taxDocumentPdf(doc, { cancelled }).toBlob())} className="px-4 py-2 rounded-xl border border-blue-200 hover:bg-blue-50">{t("document.downloadPdf")}</button>
+          </>
+        ) : (
+          <UpgradePrompt feature="invoices" />
+        )}
+      </div>
+      <article className="rounded-3xl border border-blue-100 p-6 bg-white text-sm print:border-0">
+        <h1 className="text-center text-xl font-bold uppercase tracking-wide">{DOCUMENT_TITLE[doc.kind]}</h1>
+        {cancelled && <div className="text-center font-semibold text-pink-700">CANCELLED</div>}
+        <div className="mt-3 flex justify-between">
+          <span className="font-semibold">No. {doc.number}</span>
+          <span>Date {date(doc.date)}</span>
+        </div>
+        <div className="mt-4 grid sm:grid-cols-2 gap-4">
+          <PartyBlock heading="Seller" party={doc.seller} />
+          <PartyBlock heading={doc.kind === "invoice" ? "Bill to / ship to" : "Prepared for"} party={doc.buyer} />
+        </div>
+        <div className="mt-3 text-blue-900/70">
+          Place of supply: {doc.placeOfSupply.name || "—"}{doc.placeOfSupply.code && ` (${doc.placeOfSupply.code})`} · {doc.interState ? "Inter-state (IGST)" : "Intra-state (CGST + SGST)"}
+        </div>
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-left">
+            <thead className="border-y border-blue-100 text-xs text-blue-900/70">
+              <tr>
+                <th className="py-1">Description</th><th>HSN/SAC</th><th className="text-right">Qty</th><th className="text-right">List</th>
+                <th className="text-right">Rate</th><th className="text-right">Taxable</th><th className="text-right">GST</th><th className="text-right">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {doc.lines.map((l, i) => (
+                <tr key={i} className="border-b border-blue-50">
+                  <td className="py-1">{l.description}</td>
+                  <td>{l.hsn || "—"}</td>
+                  <td className="text-right">{l.qty}</td>
+                  <td className="text-right">{l.listPriceINR != null ? inr(l.listPriceINR) : ""}</td>
+                  <td className="text-right">{inr(l.unitPriceINR)}</td>
+                  <td className="text-right">{inr(l.taxableINR)}</td>
+                  <td className="text-right">{l.ratePct}% · {inr(l.cgstINR + l.sgstINR + l.igstINR)}</td>
+                  <td className="text-right">{inr(l.amountINR)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <dl className="mt-3 ml-auto max-w-xs grid grid-cols-2 gap-y-1">
+          <dt>Taxable value</dt><dd className="text-right">{inr(doc.totals.taxableINR)}</dd>
+          {doc.interState ? (
+            <><dt>IGST</dt><dd className="text-right">{inr(doc.totals.igstINR)}</dd></>
+          ) : (
+            <><dt>CGST</dt><dd className="text-right">{inr(doc.totals.cgstINR)}</dd><dt>SGST</dt><dd className="text-right">{inr(doc.totals.sgstINR)}</dd></>
+          )}
+          <dt className="font-semibold">Total</dt><dd className="text-right font-semibold">{inr(doc.totals.totalINR)}</dd>
+        </dl>
+        <div className="mt-3 font-medium">{amountInWords(doc.totals.totalINR)}</div>
+        <ul className="mt-3 text-blue-900/70">
+          {doc.notes.map((n, i) => <li key={i}>{n}</li>)}
+        </ul>
+        <p className="mt-6 text-xs text-blue-900/50">This is a computer-generated {doc.kind}. Issued through Farmers Market on behalf of the seller.</p>
+      </article>
+    </section>
+  );
+}
+
+function InvoicePage({ invoices, orders }) {
+  const { id } = useParams();
+  const { user } = useSession();
+  const invoice = invoices.find((i) => i.id === id);
+  if (!invoice || !canSeeDocument(user, invoice)) return <NotFoundPage what="invoice" />;
+  const order = orders.find((o) => o.id === invoice.orderId);
+  return <TaxDocumentPage doc={invoice} cancelled={order ? findSplit(order, invoice.farmerId)?.status === "cancelled" : false} />;
+}
+
+function QuotationPage({ rfqs, farmersById, productsById, users }) {
+  const { id } = useParams();
+  const { user } = useSession();
+  const rfq = rfqs.find((r) => r.id === id);
+  if (!rfq?.acceptedOffer || !canSeeDocument(user, rfq)) return <NotFoundPage what="quotation" />;
+  const doc = quotationFor(rfq, { farmer: farmersById[rfq.farmerId] || { id: rfq.farmerId, name: "Farmer" }, buyer: users.find((u) => u.id === rfq.buyerId), product: productsById[rfq.productId] });
+  return <TaxDocumentPage doc={doc} />;
+}
+
+function NotFoundPage({ what = "page" }) {
+  return (
+    <section className="mx-auto max-w-7xl px-4 sm:px-6 py-16 text-center space-y-3">
+      <h1 className="text-2xl font-bold text-blue-900">We couldn't find that {what}.</h1>
+      <Link to="/shop" className="inline-block px-5 py-3 rounded-2xl bg-blue-700 text-white hover:bg-blue-800">Browse the marketplace</Link>
+    </section>
+  );
+}
+
+// Scroll back to the top on navigation (but not when only the query string changes).
+function ScrollToTop() {
+  const { pathname } = useLocation();
+  useEffect(() => { window.scrollTo(0, 0); }, [pathname]);
+  return null;
+}
+
+// ----------------------------- AI Assistant -----------------------------
+// Floating chat on every page. The provider (lib/assistant.js) is either an OpenAI-compatible
+// endpoint behind the proxy or the offline mock; `context` is the marketplace snapshot it answers from.
+function AssistantWidget({ provider, context }) {
+  const voice = useVoice();
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [draft, setDraft] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [readAloud, setReadAloud] = useState(false);
+  const endRef = useRef(null);
+  useEffect(() => { endRef.current?.scrollIntoView?.({ block: "end" }); }, [history, open]);
+  // stop talking when the panel closes
+  useEffect(() => { if (!open) voice.provider?.cancel(); }, [open]);
+
+  function speak(text) {
+    voice.provider?.speak(text, { language: detectLanguage(text) }).catch((err) => console.error("Speech failed", err));
+  }
+
+  async function ask(content) {
+    content = content.trim();
+    if (!content || busy) return;
+    const next = [...history, { role: "user", content }];
+    setHistory(next);
+    setDraft("");
+    setBusy(true);
+    try {
+      const reply = await provider.reply({ messages: toChatMessages(next.filter((m) => !m.error), context), context });
+      setHistory([...next, { role: "assistant", content: reply }]);
+      if (readAloud) speak(reply);
+    } catch (err) {
+      // shown in the thread but left out of the history sent to the provider
+      setHistory([...next, { role: "assistant", content: err.message, error: true }]);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function send(e) {
+    e.preventDefault();
+    ask(draft);
+  }
+
+  if (!open) {
+    return (
+      <button onClick={() => setOpen(true)} className="fixed bottom-5 right-5 z-30 px-4 py-3 rounded-full bg-gradient-to-br from-blue-700 to-pink-700 text-white shadow-lg hover:opacity-90" aria-label={t("assistant.openLabel")}>
+        {t("assistant.open")}
+      </button>
+    );
+  }
+  return (
+    <div className="fixed bottom-5 right-5 z-30 w-[22rem] max-w-[calc(100vw-2.5rem)] h-[30rem] max-h-[calc(100vh-6rem)] flex flex-col rounded-3xl border border-blue-100 bg-white shadow-2xl" role="dialog" aria-label={t("assistant.title")}>
+      <div className="flex items-center justify-between px-4 py-3 rounded-t-3xl bg-gradient-to-br from-blue-700 to-pink-700 text-white">
+        <div>
+          <div className="font-semibold">{t("assistant.title")}</div>
+          <div className="text-xs text-white/80">{provider.label}</div>
+        </div>
+        <div className="flex items-center gap-2 text-sm">
+          <button onClick={() => { setReadAloud(!readAloud); voice.provider?.cancel(); }} aria-pressed={readAloud} title={readAloud ? t("assistant.stopReading") : t("assistant.readAloud")} aria-label={readAloud ? t("assistant.stopReading") : t("assistant.readAloud")}>{readAloud ? "🔊" : "🔇"}</button>
+          {history.length > 0 && <button onClick={() => setHistory([])} className="hover:underline">{t("assistant.clear")}</button>}
+          <button onClick={() => setOpen(false)} aria-label={t("assistant.close")}>✕</button>
+        </div>
+      </div>
+      <div className="flex-1 overflow-auto p-3 space-y-2 text-sm">
+        <div className="rounded-2xl bg-blue-50 px-3 py-2 text-blue-900">{ASSISTANT_GREETING}</div>
+        {history.map((m, i) => (
+          <div key={i} className={classNames("rounded-2xl px-3 py-2 whitespace-pre-line", m.role === "user" ? "ml-8 bg-blue-700 text-white" : m.error ? "mr-8 bg-pink-50 text-pink-700" : "mr-8 bg-blue-50 text-blue-900")}>
+            {m.content}
+            {m.role === "assistant" && !m.error && <button onClick={() => speak(m.content)} className="ml-1 text-xs opacity-60 hover:opacity-100" aria-label={t("assistant.readMessage")}>🔊</button>}
+          </div>
+        ))}
+        {busy && <div className="mr-8 rounded-2xl bg-blue-50 px-3 py-2 text-blue-900/60">{t("assistant.thinking")}</div>}
+        <div ref={endRef} />
+      </div>
+      <form onSubmit={send} className="flex gap-2 p-3 border-t border-blue-100">
+        <input value={draft} onChange={(e) => setDraft(e.target.value)} placeholder={t("assistant.placeholder")} className="flex-1 min-w-0 px-3 py-2 rounded-2xl border border-blue-200" aria-label="Message" />
+        <MicButton onText={ask} />
+        <button type="submit" disabled={busy || !draft.trim()} className="px-4 py-2 rounded-2xl bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-50">{t("assistant.send")}</button>
+      </form>
+    </div>
+  );
+}
+
+// ----------------------------- Account pages -----------------------------
+function AuthCard({ title, subtitle, children }) {
+  return (
+    <section className="mx-auto max-w-md px-4 sm:px-6 py-10 space-y-6">
+      <SectionTitle title={title} subtitle={subtitle} />
+      <div className="rounded-3xl border border-blue-100 p-5 bg-white">{children}</div>
+    </section>
+  );
+}
+
+function LoginPage() {
+  const { user, signIn } = useSession();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const next = searchParams.get("next");
+  async function handleSubmit(e) {
+    e.preventDefault();
+    try {
+      const signedIn = await signIn(email, password);
+      navigate(next || homeDashboard(signedIn), { replace: true });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+  if (user) return <AuthCard title="You're signed in" subtitle={`${user.name} · ${user.role}`}><Link to={homeDashboard(user)} className="text-blue-700 hover:text-pink-700">Go to your dashboard →</Link></AuthCard>;
+  return (
+    <AuthCard title="Sign in" subtitle="Buyers, farmers and admins">
+      <form onSubmit={handleSubmit} className="grid gap-3">
+        <input type="email" value={email} onChange={(e)=>setEmail(e.target.value)} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Email" autoComplete="email" required />
+        <input type="password" value={password} onChange={(e)=>setPassword(e.target.value)} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Password" autoComplete="current-password" required />
+        {error && <div className="text-sm text-pink-700">{error}</div>}
+        <button className="px-5 py-3 rounded-2xl bg-blue-700 text-white hover:bg-blue-800">Sign in</button>
+      </form>
+      <p className="mt-3 text-sm text-blue-900/70">New here? <Link to={`/signup${next ? `?next=${encodeURIComponent(next)}` : ""}`} className="text-blue-700 hover:text-pink-700">Create an account</Link></p>
+      <div className="mt-4 text-xs text-blue-900/60">
+        Demo accounts (password <code>{DEMO_PASSWORD}</code>):
+        <ul className="mt-1 space-y-0.5">
+          {DEMO_ACCOUNTS.map((a) => (
+            <li key={a.id}><button type="button" onClick={() => { setEmail(a.email); setPassword(a.password); }} className="hover:text-pink-700">{a.email}</button> · {a.role}</li>
+          ))}
+        </ul>
+      </div>
+    </AuthCard>
+  );
+}
+
+function SignupPage() {
+  const { signUp } = useSession();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [form, setForm] = useState({ name: "", email: "", password: "", role: "buyer", farmName: "", location: "" });
+  const [error, setError] = useState("");
+  async function handleSubmit(e) {
+    e.preventDefault();
+    try {
+      const user = await signUp(form);
+      navigate(searchParams.get("next") || homeDashboard(user), { replace: true });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+  return (
+    <AuthCard title="Create an account" subtitle="Buy in bulk or sell your produce directly">
+      <form onSubmit={handleSubmit} className="grid gap-3">
+        <div className="flex gap-2 text-sm">
+          {[["buyer", "I'm buying"], ["farmer", "I'm a farmer"]].map(([role, label]) => (
+            <button type="button" key={role} onClick={() => setForm({ ...form, role })} className={classNames("flex-1 px-4 py-2 rounded-2xl border", form.role === role ? "bg-blue-700 text-white border-blue-700" : "border-blue-200 text-blue-800 hover:bg-blue-50")}>{label}</button>
+          ))}
+        </div>
+        <input value={form.name} onChange={(e)=>setForm({ ...form, name: e.target.value })} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Your name" autoComplete="name" required />
+        <input type="email" value={form.email} onChange={(e)=>setForm({ ...form, email: e.target.value })} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Email" autoComplete="email" required />
+        <input type="password" value={form.password} onChange={(e)=>setForm({ ...form, password: e.target.value })} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Password (6+ characters)" autoComplete="new-password" required />
+        {form.role === "farmer" && (
+          <>
+            <input value={form.farmName} onChange={(e)=>setForm({ ...form, farmName: e.target.value })} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Farm name" required />
+            <input value={form.location} onChange={(e)=>setForm({ ...form, location: e.target.value })} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Farm location (town / district)" required />
+          </>
+        )}
+        {error && <div className="text-sm text-pink-700">{error}</div>}
+        <button className="px-5 py-3 rounded-2xl bg-pink-700 text-white hover:bg-pink-800">Create account</button>
+      </form>
+      <p className="mt-3 text-sm text-blue-900/70">Already registered? <Link to="/login" className="text-blue-700 hover:text-pink-700">Sign in</Link></p>
+    </AuthCard>
+  );
+}
+
+// ---- Subscription ----
+// The account's plan at a glance: renewal or pending change, and what the plan allows.
+function PlanSummary({ user, rfqs }) {
+  const { t, date } = useI18n();
+  const sub = subscriptionOf(user);
+  const plan = planOf(user);
+  const usage = rfqs && rfqUsage(user, rfqs);
+  return (
+    <div className="space-y-2 text-sm text-blue-900/80">
+      <div>
+        <span className="font-medium text-blue-900">{t(`plan.${plan.key}`)}</span>
+        {hasRole(user, "admin") ? " · included for admins" : sub.renewsAt ? ` · billed ${sub.period} · ${sub.pendingChange ? `switches to ${t(`plan.${sub.pendingChange.plan}`)}` : "renews"} on ${date(sub.renewsAt)}` : " · free"}
+      </div>
+      {usage && (Number.isFinite(usage.limit)
+        ? <div>{usage.used} of {usage.limit} bulk RFQs used this month</div>
+        : <div>Unlimited bulk RFQs</div>)}
+      {usage && usage.remaining <= 0 && <UpgradePrompt feature="rfqsPerMonth" vars={{ limit: usage.limit }} />}
+      {user.farmerId && (can(user, "priorityListing")
+        ? <div>Your products are featured ahead of others in the shop.</div>
+        : <UpgradePrompt feature="priorityListing" />)}
+      <Link to="/pricing" className="inline-block text-blue-700 hover:text-pink-700">Change plan →</Link>
+    </div>
+  );
+}
+
+function SubscriptionSettings({ user }) {
+  const money = useMoney();
+  const { t, date } = useI18n();
+  const { issueApiKey } = useSession();
+  const payments = subscriptionOf(user).payments;
+  function generate() {
+    if (user.apiKey && !confirm("Generate a new key? Apps using the current key will stop working.")) return;
+    try {
+      issueApiKey();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+  return (
+    <>
+      <h3 className="mt-6 mb-2 font-semibold text-blue-900">Subscription</h3>
+      <PlanSummary user={user} />
+      {payments.length > 0 && (
+        <ul className="mt-2 space-y-1 text-xs text-blue-900/70">
+          {[...payments].reverse().map((p) => (
+            <li key={p.date}>{date(p.date)} · {t(`plan.${p.plan}`)} ({p.period}) · {money(p.amountINR)}{p.reference && ` · ${p.reference}`}</li>
+          ))}
+        </ul>
+      )}
+      <h3 className="mt-6 mb-2 font-semibold text-blue-900">API access</h3>
+      {can(user, "api") ? (
+        <div className="space-y-2 text-sm">
+          {user.apiKey ? <code className="block break-all rounded-xl bg-blue-50 px-3 py-2 text-blue-900">{user.apiKey}</code> : <p className="text-blue-900/70">No API key yet.</p>}
+          <button onClick={generate} className="px-4 py-2 rounded-xl border border-blue-200 hover:bg-blue-50">{user.apiKey ? "Regenerate key" : "Generate API key"}</button>
+        </div>
+      ) : (
+        <UpgradePrompt feature="api" />
+      )}
+    </>
+  );
+}
+
+function AccountPage({ farmersById, tickets, onReply }) {
+  const { user, updateProfile, saveAddresses } = useSession();
+  const farmer = user?.farmerId ? farmersById[user.farmerId] : null;
+  const [form, setForm] = useState({ name: user?.name || "", farmName: farmer?.name || "", location: farmer?.location || "", state: farmer?.state || "", gstin: (farmer ? farmer.gstin : user?.gstin) || "" });
+  const [saved, setSaved] = useState(false);
+  function handleSubmit(e) {
+    e.preventDefault();
+    try {
+      updateProfile(form);
+      setSaved(true);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+  return (
+    <AuthCard title="Your account" subtitle={`${user.email} · ${user.role}`}>
+      <form onSubmit={handleSubmit} className="grid gap-3" onChange={() => setSaved(false)}>
+        <input value={form.name} onChange={(e)=>setForm({ ...form, name: e.target.value })} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Your name" required />
+        {farmer && (
+          <>
+            <input value={form.farmName} onChange={(e)=>setForm({ ...form, farmName: e.target.value })} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Farm name" required />
+            <input value={form.location} onChange={(e)=>setForm({ ...form, location: e.target.value })} className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder="Farm location" required />
+            <select value={form.state} onChange={(e)=>setForm({ ...form, state: e.target.value })} className="px-4 py-2.5 rounded-2xl border border-blue-200" aria-label="Farm state">
+              <option value="">State (for GST invoices)</option>
+              {GST_STATES.map((s) => <option key={s.code} value={s.name}>{s.name}</option>)}
+            </select>
+            <Link to={`/farmers/${farmer.id}`} className="text-sm text-blue-700 hover:text-pink-700">View your public farm page →</Link>
+          </>
+        )}
+        <input value={form.gstin} onChange={(e)=>setForm({ ...form, gstin: e.target.value })} className="px-4 py-2.5 rounded-2xl border border-blue-200 uppercase" placeholder={farmer ? "Farm GSTIN (optional)" : "GSTIN for business invoices (optional)"} maxLength={15} />
+        <button className="px-5 py-3 rounded-2xl bg-blue-700 text-white hover:bg-blue-800">Save profile</button>
+        {saved && <div className="text-sm text-green-800">Profile saved.</div>}
+      </form>
+      <h3 className="mt-6 mb-2 font-semibold text-blue-900">Delivery addresses</h3>
+      <AddressBook addresses={user.addresses || []} onChange={saveAddresses} />
+      <SubscriptionSettings user={user} />
+      <h3 className="mt-6 mb-2 font-semibold text-blue-900">Support requests</h3>
+      {tickets.length === 0 ? <p className="text-sm text-blue-900/70">No requests yet. <Link to="/contact" className="text-blue-700 hover:text-pink-700">Contact us</Link> if something is wrong.</p> : (
+        <div className="space-y-3">
+          {tickets.map((tk) => <div key={tk.id} className="border border-blue-100 rounded-2xl p-3"><TicketThread ticket={tk} viewer="customer" onReply={onReply} /></div>)}
+        </div>
+      )}
+    </AuthCard>
+  );
+}
+
+// Gate a page on being signed in (and optionally on a role); waits for the session to load.
+function RequireRole({ roles, children }) {
+  const { user, ready } = useSession();
+  const { pathname, search } = useLocation();
+  if (!ready) return <section className="mx-auto max-w-7xl px-4 sm:px-6 py-16 text-center text-blue-900/70">Loading…</section>;
+  if (!user) return <Navigate to={`/login?next=${encodeURIComponent(pathname + search)}`} replace />;
+  if (roles && !hasRole(user, ...roles)) {
+    return (
+      <section className="mx-auto max-w-7xl px-4 sm:px-6 py-16 text-center space-y-3">
+        <h1 className="text-2xl font-bold text-blue-900">This area is for {roles.join(" / ")} accounts.</h1>
+        <Link to={homeDashboard(user)} className="inline-block px-5 py-3 rounded-2xl bg-blue-700 text-white hover:bg-blue-800">Go to your dashboard</Link>
+      </section>
+    );
+  }
+  return children;
+}
+
+function emptyProductForm(farmerId) {
+  return { name: "", priceINR: "", stock: "", moq: 10, category: PRODUCT_CATEGORIES[0], image: "", farmerId, status: "active", bulkTiers: [] };
+}
+
+// Editable price ladder; rows stay as strings until the form validates them.
+function TierEditor({ tiers, onChange }) {
+  const { t } = useI18n();
+  const update = (i, patch) => onChange(tiers.map((t, j) => (j === i ? { ...t, ...patch } : t)));
+  return (
+    <div className="md:col-span-2 rounded-2xl border border-blue-100 p-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-blue-900">{t("tiers.title")}</span>
+        <button type="button" onClick={() => onChange([...tiers, { min: "", priceINR: "" }])} className="text-sm text-blue-700 hover:text-pink-700">{t("tiers.add")}</button>
+      </div>
+      {tiers.length === 0 && <p className="mt-1 text-xs text-blue-900/60">{t("tiers.none")}</p>}
+      <div className="mt-2 space-y-2">
+        {tiers.map((tier, i) => (
+          <div key={i} className="flex items-center gap-2 text-sm">
+            <input type="number" min={1} value={tier.min} onChange={(e)=>update(i, { min: e.target.value })} className="w-28 px-3 py-2 rounded-xl border border-blue-200" placeholder={t("tiers.fromQty")} aria-label={t("tiers.minLabel", { n: i + 1 })} />
+            <span className="text-blue-900/60">{t("tiers.unitsAt")}</span>
+            <input type="number" min={0} step="0.01" value={tier.priceINR} onChange={(e)=>update(i, { priceINR: e.target.value })} className="w-28 px-3 py-2 rounded-xl border border-blue-200" placeholder={t("tiers.price")} aria-label={t("tiers.priceLabel", { n: i + 1 })} />
+            <button type="button" onClick={() => onChange(tiers.filter((_, j) => j !== i))} className="ml-auto text-pink-700 hover:underline">{t("tiers.remove")}</button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Create a listing, or edit one when `initial` is an existing product. Listings belong to
+// `defaultFarmerId`; pass `farmers` (admins only) to allow choosing another farm.
+function FarmerForm({ onSave, onCancel, farmers, defaultFarmerId, initial }) {
+  const editing = !!initial;
+  const [form, setForm] = useState(() => (initial ? { ...initial, bulkTiers: initial.bulkTiers || [] } : emptyProductForm(defaultFarmerId || farmers?.[0]?.id || "")));
+  const [errors, setErrors] = useState([]);
+  const { t } = useI18n();
+  useEffect(() => { if (!editing) setForm((f) => ({ ...f, farmerId: defaultFarmerId || f.farmerId })); }, [defaultFarmerId, editing]);
+  function handleSubmit(e) {
+    e.preventDefault();
+    const { product, errors: problems, valid } = validateProduct(form);
+    if (!valid) { setErrors(errorMessages(problems)); return; }
+    setErrors([]);
+    onSave(editing ? product : { ...product, id: Math.random().toString(36).slice(2), gallery: [] });
+    if (!editing) setForm(emptyProductForm(form.farmerId));
+  }
+  return (
+    <form onSubmit={handleSubmit} className="grid md:grid-cols-2 gap-3">
+      <input className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder={t("farmerForm.name")} value={form.name} onChange={(e)=>setForm({ ...form, name: e.target.value })} required />
+      <input className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder={t("farmerForm.price")} type="number" min={0} step="0.01" value={form.priceINR} onChange={(e)=>setForm({ ...form, priceINR: e.target.value })} required />
+      <input className="px-4 py-2.5 rounded-2xl border border-blue-200 disabled:bg-gray-50" placeholder={t("farmerForm.stock")} type="number" min={0} value={form.stock} onChange={(e)=>setForm({ ...form, stock: e.target.value })} disabled={lotsOf(form).length > 0} title={lotsOf(form).length > 0 ? t("farmerForm.stockFromLots") : undefined} required />
+      <input className="px-4 py-2.5 rounded-2xl border border-blue-200" placeholder={t("farmerForm.moq")} type="number" min={1} value={form.moq} onChange={(e)=>setForm({ ...form, moq: e.target.value })} />
+      <select className="px-4 py-2.5 rounded-2xl border border-blue-200" value={form.category} onChange={(e)=>setForm({ ...form, category: e.target.value })}>
+        {PRODUCT_CATEGORIES.map(c=> <option key={c} value={c}>{t(`category.${c}`)}</option>)}
+      </select>
+      <select className="px-4 py-2.5 rounded-2xl border border-blue-200" value={form.status} onChange={(e)=>setForm({ ...form, status: e.target.value })} aria-label={t("farmerForm.status")}>
+        <option value="active">{t("farmerForm.status.active")}</option>
+        <option value="paused">{t("farmerForm.status.paused")}</option>
+      </select>
+      <input className="px-4 py-2.5 rounded-2xl border border-blue-200 md:col-span-2" placeholder={t("farmerForm.image")} value={form.image === DEFAULT_PRODUCT_IMAGE ? "" : form.image} onChange={(e)=>setForm({ ...form, image: e.target.value })} />
+      {!editing && farmers && (
+        <select className="px-4 py-2.5 rounded-2xl border border-blue-200 md:col-span-2" value={form.farmerId} onChange={(e)=>setForm({ ...form, farmerId: e.target.value })}>
+          {farmers.map(f=> <option key={f.id} value={f.id}>{f.name} ({f.location})</option>)}
+        </select>
+      )}
+      <TierEditor tiers={form.bulkTiers} onChange={(bulkTiers)=>setForm({ ...form, bulkTiers })} />
+      {errors.length > 0 && (
+        <ul className="md:col-span-2 text-sm text-pink-700 list-disc ml-5">{errors.map((err) => <li key={err}>{err}</li>)}</ul>
+      )}
+      <div className="mt-2 md:col-span-2 flex gap-2">
+        <button className="flex-1 px-5 py-3 rounded-2xl bg-pink-700 text-white hover:bg-pink-800">{editing ? t("farmerForm.saveChanges") : t("farmerForm.save")}</button>
+        {onCancel && <button type="button" onClick={onCancel} className="px-5 py-3 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50">{t("farmerForm.cancel")}</button>}
+      </div>
+    </form>
+  );
+}
+
+function FarmerListings({ products, onSave, onSetStatus, onDelete }) {
+  const { t } = useI18n();
+  const money = useMoney();
+  const [editingId, setEditingId] = useState(null);
+  if (products.length === 0) return <p className="mt-2 text-sm text-blue-900/70">{t("farmerListings.empty")}</p>;
+  return (
+    <div className="mt-3 grid sm:grid-cols-2 gap-4">
+      {products.map((p) => (
+        editingId === p.id ? (
+          <div key={p.id} className="sm:col-span-2 border border-blue-200 rounded-2xl p-3">
+            <FarmerForm initial={p} onSave={(next) => { onSave(next); setEditingId(null); }} onCancel={() => setEditingId(null)} />
+          </div>
+        ) : (
+          <div key={p.id} className={classNames("border border-blue-100 rounded-2xl p-3", !isLive(p) && "bg-gray-50")}>
+            <div className="flex gap-3">
+              <img src={p.image} alt={p.name} className="h-16 w-16 rounded-xl object-cover" />
+              <div className="flex-1">
+                <div className="flex items-center gap-2">
+                  <div className="font-medium line-clamp-1">{p.name}</div>
+                  {!isListed(p) && <span className="px-2 py-0.5 rounded-lg border border-gray-200 text-xs text-gray-600">{t("farmerListings.paused")}</span>}
+                  {moderationStatus(p) !== "approved" && <ModerationBadge status={moderationStatus(p)} />}
+                </div>
+                {moderationStatus(p) === "rejected" && <div className="text-xs text-pink-700">{t("farmerListings.reason", { reason: p.moderation.reason })}</div>}
+                <div className="text-sm text-blue-900/70">{t("farmerListings.summary", { price: money(p.priceINR), stock: p.stock, moq: p.moq, count: (p.bulkTiers || []).length })}</div>
+                {lotsOf(p).length > 0 && <LotSummary product={p} />}
+                <Link to={`/products/${p.id}`} className="text-xs text-blue-700 hover:text-pink-700">{t("farmerListings.photos", { count: (p.gallery || []).length })}</Link>
+              </div>
+            </div>
+            <div className="mt-2 flex gap-3 text-sm">
+              <button onClick={() => setEditingId(p.id)} className="text-blue-700 hover:text-pink-700">{t("farmerListings.edit")}</button>
+              <button onClick={() => onSetStatus(p.id, isListed(p) ? "paused" : "active")} className="text-blue-700 hover:text-pink-700">{t(isListed(p) ? "farmerListings.pause" : "farmerListings.resume")}</button>
+              <button onClick={() => onDelete(p.id)} className="ml-auto text-pink-700 hover:underline">{t("farmerListings.delete")}</button>
+            </div>
+          </div>
+        )
+      ))}
+    </div>
+  );
+}
+
+// Lots at a glance, flagging certificates that have expired or expire soon.
+function LotSummary({ product }) {
+  const { t } = useI18n();
+  const statuses = lotsOf(product).flatMap((l) => l.certificates.map((c) => certificateStatus(c)));
+  const expired = statuses.filter((st) => st === "expired").length;
+  const expiring = statuses.filter((st) => st === "expiring").length;
+  return (
+    <div className="text-xs text-blue-900/70">
+      {t("lot.summary", { count: lotsOf(product).length, grades: availableGrades(product).join(", ") || t("lot.noGrades") })}
+      {expired > 0 && <span className="ml-1 text-pink-700">· {t("lot.certificatesExpired", { count: expired })}</span>}
+      {expiring > 0 && <span className="ml-1 text-amber-700">· {t("lot.certificatesExpiring", { count: expiring })}</span>}
+    </div>
+  );
+}
+
+function ModerationBadge({ status }) {
+  const { t } = useI18n();
+  const tone = { pending: "border-amber-200 text-amber-700", approved: "border-green-200 text-green-800", rejected: "border-pink-200 text-pink-700" }[status];
+  return <span className={classNames("px-2 py-0.5 rounded-lg border text-xs", tone)}>{t(MODERATION_LABEL_KEY[status])}</span>;
+}
+
+function KycDocumentLinks({ documents }) {
+  return (
+    <ul className="space-y-1">
+      {documents.map((d) => (
+        <li key={d.id}>
+          <a href={d.dataUrl} download={d.name} target="_blank" rel="noreferrer" className="text-blue-700 hover:text-pink-700">{KYC_DOCUMENTS.find((k) => k.kind === d.kind)?.label.split(" (")[0]}: {d.name}</a>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// A farm's KYC status, and the submission form while it is unverified or was rejected.
+function KycForm({ farmer, onSubmit }) {
+  const { t, date } = useI18n();
+  const kyc = kycOf(farmer);
+  const [form, setForm] = useState(() => ({
+    documents: kyc.documents || [],
+    farmLocation: { village: "", district: "", state: farmer?.state || "", pincode: "", ...kyc.farmLocation },
+    fssaiNumber: kyc.fssaiNumber || "",
+    organicCertNumber: kyc.organicCertNumber || "",
+    organicValidUntil: kyc.organicValidUntil || "",
+  }));
+  const [busy, setBusy] = useState(false);
+  if (!farmer) return null;
+  const location = (field, value) => setForm({ ...form, farmLocation: { ...form.farmLocation, [field]: value } });
+  async function handleFile(kind, e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    try {
+      const doc = await readDocument(file, kind);
+      setForm((f) => ({ ...f, documents: [...f.documents.filter((d) => d.kind !== kind), doc] }));
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+  if (kyc.status === "verified") {
+    return (
+      <div className="text-sm space-y-1">
+        <div><VerifiedBadge farmer={farmer} />{kyc.reviewedAt && <span className="text-blue-900/70"> since {date(kyc.reviewedAt)}</span>}</div>
+        <p className="text-blue-900/70">Buyers see the badge on your listings and farm page.</p>
+      </div>
+    );
+  }
+  if (kyc.status === "pending") {
+    return (
+      <div className="text-sm space-y-2">
+        <p><span className="font-medium">{t(KYC_STATUS_LABEL_KEY.pending)}</span> · submitted {date(kyc.submittedAt)}. We'll let you know here once it has been checked.</p>
+        <KycDocumentLinks documents={kyc.documents} />
+      </div>
+    );
+  }
+  const field = "px-3 py-2 rounded-xl border border-blue-200";
+  return (
+    <form onSubmit={(e) => { e.preventDefault(); onSubmit(form); }} className="text-sm space-y-3">
+      {kyc.status === "rejected"
+        ? <p className="rounded-2xl border border-pink-200 bg-pink-50 p-3 text-pink-800">Your last submission was rejected. Reason: {kyc.reason}<br />Fix it below and send it again.</p>
+        : <p className="text-blue-900/70">Verified farms get a badge on every listing. Upload the documents below as photos, or as PDFs of up to {MAX_DOCUMENT_BYTES / 1024} KB each.</p>}
+      <div className="space-y-2">
+        {KYC_DOCUMENTS.map((doc) => {
+          const uploaded = form.documents.find((d) => d.kind === doc.kind);
+          return (
+            <div key={doc.kind} className="flex flex-wrap items-center gap-2">
+              <span className="flex-1 min-w-[12rem]">{doc.label}{doc.required ? "" : " (optional)"}</span>
+              {uploaded && <span className="text-blue-900/70">{uploaded.name}</span>}
+              <label className="px-3 py-1.5 rounded-xl border border-blue-200 text-blue-800 hover:bg-blue-50 cursor-pointer">
+                {uploaded ? "Replace" : "Upload"}
+                <input type="file" accept="application/pdf,image/jpeg,image/png,image/webp" className="hidden" onChange={(e) => handleFile(doc.kind, e)} disabled={busy} aria-label={doc.label} />
+              </label>
+            </div>
+          );
+        })}
+      </div>
+      <div className="grid sm:grid-cols-2 gap-2">
+        <input value={form.farmLocation.village} onChange={(e)=>location("village", e.target.value)} className={field} placeholder="Village or town" />
+        <input value={form.farmLocation.district} onChange={(e)=>location("district", e.target.value)} className={field} placeholder="District" />
+        <select value={form.farmLocation.state} onChange={(e)=>location("state", e.target.value)} className={field} aria-label="Farm state">
+          <option value="">State</option>
+          {GST_STATES.map((st) => <option key={st.code} value={st.name}>{st.name}</option>)}
+        </select>
+        <input value={form.farmLocation.pincode} onChange={(e)=>location("pincode", e.target.value)} className={field} placeholder="Pincode" inputMode="numeric" maxLength={6} />
+        <input value={form.fssaiNumber} onChange={(e)=>setForm({ ...form, fssaiNumber: e.target.value })} className={field} placeholder="FSSAI number (optional)" inputMode="numeric" />
+        <input value={form.organicCertNumber} onChange={(e)=>setForm({ ...form, organicCertNumber: e.target.value })} className={field} placeholder="Organic certificate number (optional)" />
+        {form.organicCertNumber && (
+          <label className="sm:col-span-2 flex items-center gap-2">Organic certificate valid until
+            <input type="date" value={form.organicValidUntil} onChange={(e)=>setForm({ ...form, organicValidUntil: e.target.value })} className={field} />
+          </label>
+        )}
+      </div>
+      <button disabled={busy} className="px-5 py-2.5 rounded-2xl bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-50">Submit for verification</button>
+    </form>
+  );
+}
+
+// Admin: pending KYC submissions, oldest first.
+function KycQueue({ farmers, onReview }) {
+  const { date } = useI18n();
+  const queue = kycQueue(farmers);
+  if (queue.length === 0) return <p className="text-sm text-blue-900/70">No farms waiting for verification.</p>;
+  return (
+    <div className="space-y-3">
+      {queue.map((f) => {
+        const { farmLocation, fssaiNumber, organicCertNumber, organicValidUntil, documents, submittedAt } = f.kyc;
+        return (
+          <div key={f.id} className="border border-blue-100 rounded-2xl p-3 text-sm space-y-2">
+            <div className="flex flex-wrap items-baseline gap-2">
+              <Link to={`/farmers/${f.id}`} className="font-medium text-blue-900 hover:text-pink-700">{f.name}</Link>
+              <span className="text-xs text-blue-900/60">submitted {date(submittedAt)}</span>
+            </div>
+            <div className="text-blue-900/80">📍 {farmLocation.village}, {farmLocation.district}, {farmLocation.state} {farmLocation.pincode}</div>
+            {fssaiNumber && <div>FSSAI: {fssaiNumber}</div>}
+            {organicCertNumber && <div>Organic certificate: {organicCertNumber}, valid until {organicValidUntil}</div>}
+            <KycDocumentLinks documents={documents} />
+            <div className="flex gap-3">
+              <button onClick={() => onReview(f.id, true)} className="text-blue-700 hover:text-pink-700">Approve</button>
+              <button onClick={() => onReview(f.id, false)} className="text-pink-700 hover:underline">Reject</button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Admin: new and edited listings waiting for approval.
+function ListingQueue({ products, farmersById, onReview }) {
+  const money = useMoney();
+  const queue = listingQueue(products);
+  if (queue.length === 0) return <p className="text-sm text-blue-900/70">No listings waiting for review.</p>;
+  return (
+    <div className="grid sm:grid-cols-2 gap-3">
+      {queue.map((p) => (
+        <div key={p.id} className="border border-blue-100 rounded-2xl p-3 text-sm">
+          <div className="flex gap-3">
+            <img src={p.image} alt={p.name} className="h-16 w-16 rounded-xl object-cover" />
+            <div className="flex-1">
+              <Link to={`/products/${p.id}`} className="font-medium text-blue-900 hover:text-pink-700">{p.name}</Link>
+              <div className="text-blue-900/70">{p.category} · {money(p.priceINR)} · {(p.gallery || []).length} photos</div>
+              <div className="text-blue-900/70">{farmersById[p.farmerId]?.name}<VerifiedBadge farmer={farmersById[p.farmerId]} /></div>
+            </div>
+          </div>
+          <div className="mt-2 flex gap-3">
+            <button onClick={() => onReview(p.id, true)} className="text-blue-700 hover:text-pink-700">Approve</button>
+            <button onClick={() => onReview(p.id, false)} className="text-pink-700 hover:underline">Reject</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function CatalogCsvTools({ farmer, products, allProducts, onImport }) {
+  const [report, setReport] = useState(null);
+  function handleExport() {
+    downloadText(`${farmer.name.replace(/\W+/g, "-").toLowerCase()}-catalog.csv`, exportCatalogCsv(products), "text/csv");
+  }
+  async function handleImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const result = importCatalogCsv(await file.text(), { farmerId: farmer.id, products: allProducts });
+    onImport(result);
+    setReport({ file: file.name, ...result });
+  }
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap gap-2">
+        <button onClick={handleExport} className="px-4 py-2 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50">Export CSV</button>
+        <label className="px-4 py-2 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50 cursor-pointer">
+          Import CSV
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleImport} />
+        </label>
+      </div>
+      <p className="mt-1 text-xs text-blue-900/60">Columns: id, name, category, priceINR, stock, moq, tiers (e.g. 50:285|200:270), status, image. Rows with an existing id update that listing; rows without one are added.</p>
+      {report && (
+        <div className="mt-2 rounded-2xl border border-blue-100 p-3">
+          <div className="font-medium text-blue-900">{report.file}: {report.created.length} added, {report.updated.length} updated, {report.errors.length} rejected</div>
+          {report.errors.length > 0 && (
+            <ul className="mt-1 max-h-48 overflow-auto text-xs text-pink-700 space-y-1">
+              {report.errors.map((err) => <li key={err.line}>Row {err.line}: {err.messages.join(" ")}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Admin editor for the rate table: edit in place, or import a JSON/CSV file (e.g. from a bank feed).
+function ExchangeRatesEditor({ rates, onSave }) {
+  const { dateTime } = useI18n();
+  const [draft, setDraft] = useState(rates.inrPerUnit);
+  const [errors, setErrors] = useState([]);
+  useEffect(() => { setDraft(rates.inrPerUnit); }, [rates]);
+  const foreign = CURRENCIES.filter((c) => c !== BASE_CURRENCY);
+  const dirty = foreign.some((c) => String(draft[c]) !== String(rates.inrPerUnit[c]));
+  function handleSave(e) {
+    e.preventDefault();
+    const result = validateRates(draft);
+    setErrors(result.errors);
+    if (result.table) onSave(result.table);
+  }
+  async function handleImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const result = parseRateFile(await file.text(), `Imported from ${file.name}`);
+    setErrors(result.errors);
+    if (result.table) onSave(result.table);
+  }
+  function handleExport() {
+    downloadText("exchange-rates.json", JSON.stringify(rates, null, 2), "application/json");
+  }
+  return (
+    <form onSubmit={handleSave} className="text-sm">
+      <p className="text-blue-900/70">Rupees per unit of each currency. Prices are stored in INR and converted for display.</p>
+      <p className="mt-1 text-xs text-blue-900/60">Last updated {dateTime(rates.updatedAt)} · {rates.source}</p>
+      <div className="mt-3 grid sm:grid-cols-2 gap-2">
+        {foreign.map((c) => (
+          <label key={c} className="flex items-center gap-2">
+            <span className="w-12 font-medium text-blue-900" title={CURRENCY_META[c].name}>{c}</span>
+            <span className="text-blue-900/60">₹</span>
+            <input type="number" min="0" step="any" value={draft[c] ?? ""} onChange={(e) => setDraft({ ...draft, [c]: e.target.value })} className="flex-1 px-3 py-2 rounded-xl border border-blue-200" />
+          </label>
+        ))}
+      </div>
+      {errors.length > 0 && <ul className="mt-2 text-xs text-pink-700 space-y-1">{errors.map((err) => <li key={err}>{err}</li>)}</ul>}
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button type="submit" disabled={!dirty} className="px-4 py-2 rounded-2xl bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-50">Save rates</button>
+        <label className="px-4 py-2 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50 cursor-pointer">
+          Import JSON / CSV
+          <input type="file" accept=".json,.csv,application/json,text/csv" className="hidden" onChange={handleImport} />
+        </label>
+        <button type="button" onClick={handleExport} className="px-4 py-2 rounded-2xl border border-blue-200 text-blue-800 hover:bg-blue-50">Export JSON</button>
+      </div>
+      <p className="mt-1 text-xs text-blue-900/60">Import accepts {"{ \"USD\": 83.1, … }"} or CSV lines such as USD,83.1.</p>
+    </form>
+  );
+}
+
+// tabs are locale keys
+function Tabs({ tabs, active, onChange }) {
+  const { t } = useI18n();
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2">
+        {tabs.map((tab) => (
+          <button key={tab} onClick={() => onChange(tab)} className={classNames("px-4 py-2 rounded-2xl border", active === tab ? "bg-blue-700 text-white border-blue-700" : "border-blue-200 text-blue-800 hover:bg-blue-50")}>{t(tab)}</button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function App() {
+  // Routing
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // State
+  const [farmers, setFarmers] = useState(initialFarmers);
+  const [products, setProducts] = useState(initialProducts);
+  const [cartOpen, setCartOpen] = useState(false);
+  const [cart, setCart] = useState([]);
+  const [currency, setCurrency] = useState(BASE_CURRENCY);
+  const [rates, setRates] = useState(DEFAULT_RATE_TABLE);
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+  const [rfqProduct, setRfqProduct] = useState(null);
+  const [rfqs, setRfqs] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [reviews, setReviews] = useState(initialReviews);
+  const [ledger, setLedger] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [standingOrders, setStandingOrders] = useState([]);
+  const [tickets, setTickets] = useState([]);
+  const [reservations, setReservations] = useState([]);
+  const [checkoutHoldId, setCheckoutHoldId] = useState(null);
+  const [dashFarmerId, setDashFarmerId] = useState(initialFarmers[0].id);
+  const [users, setUsers] = useState([]);
+  const [sessionUserId, setSessionUserId] = useState(null);
+
+  // Persistence: load once from the repository, then write each collection back as it changes.
+  // If loading fails (e.g. data from a newer app version) we keep running on the seed data
+  // and never write, so nothing stored gets clobbered.
+  const repo = useMemo(() => createRepository(createBrowserBackend(), {
+    seed: { farmers: initialFarmers, products: initialProducts, rfqs: [], orders: [], cart: [], reviews: initialReviews, ledger: [], invoices: [], standingOrders: [], tickets: [], settings: { currency: BASE_CURRENCY, language: DEFAULT_LANGUAGE } },
+  }), []);
+  const [hydrated, setHydrated] = useState(false);
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      await repo.open();
+      const [f, p, r, o, c, u, rv, l, inv, so, tk, settings, session, savedRates] = await Promise.all([
+        repo.farmers.list(), repo.products.list(), repo.rfqs.list(), repo.orders.list(), repo.cart.list(), repo.users.list(), repo.reviews.list(), repo.ledger.list(), repo.invoices.list(), repo.standingOrders.list(), repo.tickets.list(),
+        repo.settings.get(), repo.session.get(), repo.rates.get(),
+      ]);
+      const accounts = u.length ? u : await createDemoAccounts(DEMO_ACCOUNTS);
+      if (cancelled) return;
+      setFarmers(f); setProducts(p); setRfqs(r); setOrders(o); setCart(c); setUsers(accounts); setReviews(rv); setLedger(l); setInvoices(inv); setStandingOrders(so); setTickets(tk);
+      setSessionUserId(session?.userId || null);
+      if (CURRENCIES.includes(settings.currency)) setCurrency(settings.currency);
+      if (LANGUAGES.some((l) => l.code === settings.language)) setLanguage(settings.language);
+      // a saved table may predate newly supported currencies; fill the gaps from the defaults
+      if (savedRates) setRates({ ...savedRates, inrPerUnit: { ...DEFAULT_RATE_TABLE.inrPerUnit, ...savedRates.inrPerUnit } });
+      setHydrated(true);
+    })().catch((err) => console.error("Failed to load saved marketplace data", err));
+    return () => { cancelled = true; };
+  }, [repo]);
+  // the last failed save, shown in a banner until dismissed
+  const [saveError, setSaveError] = useState(null);
+  usePersisted(hydrated, repo.farmers.saveAll, farmers, setSaveError);
+  usePersisted(hydrated, repo.products.saveAll, products, setSaveError);
+  usePersisted(hydrated, repo.rfqs.saveAll, rfqs, setSaveError);
+  usePersisted(hydrated, repo.orders.saveAll, orders, setSaveError);
+  usePersisted(hydrated, repo.cart.saveAll, cart, setSaveError);
+  usePersisted(hydrated, repo.reviews.saveAll, reviews, setSaveError);
+  usePersisted(hydrated, repo.ledger.saveAll, ledger, setSaveError);
+  usePersisted(hydrated, repo.invoices.saveAll, invoices, setSaveError);
+  usePersisted(hydrated, repo.standingOrders.saveAll, standingOrders, setSaveError);
+  usePersisted(hydrated, repo.tickets.saveAll, tickets, setSaveError);
+  const settings = useMemo(() => ({ currency, language }), [currency, language]);
+  usePersisted(hydrated, repo.settings.set, settings, setSaveError);
+  usePersisted(hydrated, (table) => (table === DEFAULT_RATE_TABLE ? null : repo.rates.set(table)), rates, setSaveError);
+  usePersisted(hydrated, repo.users.saveAll, users, setSaveError);
+  usePersisted(hydrated, (userId) => (userId ? repo.session.set({ userId }) : repo.session.clear()), sessionUserId, setSaveError);
+
+  // Session
+  const currentUser = useMemo(() => publicUser(users.find((u) => u.id === sessionUserId)), [users, sessionUserId]);
+  const isAdmin = hasRole(currentUser, "admin");
+  // the farm whose dashboard is shown: a farmer's own, or any farm an admin picks
+  const actingFarmerId = hasRole(currentUser, "farmer") ? currentUser.farmerId : isAdmin ? dashFarmerId : null;
+  async function signIn(email, password) {
+    const user = await authenticate(users, email, password);
+    setSessionUserId(user.id);
+    return publicUser(user);
+  }
+  async function signUp({ name, email, password, role, farmName, location }) {
+    if (role !== "buyer" && role !== "farmer") throw new Error("Choose whether you are buying or selling.");
+    let farmer = null;
+    if (role === "farmer") {
+      if (!farmName.trim() || !location.trim()) throw new Error("Farmer accounts need a farm name and location.");
+      farmer = { id: Math.random().toString(36).slice(2), name: farmName.trim(), location: location.trim() };
+    }
+    const user = await createAccount({ name, email, password, role, farmerId: farmer?.id }, users);
+    if (farmer) setFarmers((prev) => [...prev, farmer]);
+    setUsers((prev) => [...prev, user]);
+    setSessionUserId(user.id);
+    return publicUser(user);
+  }
+  function signOut() {
+    setSessionUserId(null);
+    navigate("/");
+  }
+  // GSTINs go on invoices: a farm's on the farmer record (it is the seller), a buyer's on their account.
+  function updateProfile({ name, farmName, location, state = "", gstin = "" }) {
+    if (!name.trim()) throw new Error("Please enter your name.");
+    const validGstin = validateGstin(gstin);
+    if (currentUser.farmerId) {
+      if (!farmName.trim() || !location.trim()) throw new Error("Farm name and location are required.");
+      const stateCode = GST_STATES.find((s) => s.name === state)?.code;
+      if (validGstin && stateCode && validGstin.slice(0, 2) !== stateCode) throw new Error(`This GSTIN is registered outside ${state}.`);
+      setFarmers((prev) => prev.map((f) => (f.id === currentUser.farmerId ? { ...f, name: farmName.trim(), location: location.trim(), state, gstin: validGstin } : f)));
+    }
+    setUsers((prev) => prev.map((u) => (u.id === currentUser.id ? { ...u, name: name.trim(), ...(currentUser.farmerId ? {} : { gstin: validGstin }) } : u)));
+  }
+  // the address book lives on the user record
+  function saveAddresses(addresses) {
+    setUsers((prev) => prev.map((u) => (u.id === currentUser.id ? { ...u, addresses } : u)));
+  }
+  // The subscription lives on the user record too; upgrades are charged through the payment gateway.
+  function setSubscription(subscription) {
+    setUsers((prev) => prev.map((u) => (u.id === currentUser.id ? { ...u, subscription } : u)));
+  }
+  async function changeSubscription(planKey, period) {
+    const quote = quotePlanChange(currentUser, planKey, period);
+    let payment = null;
+    if (quote.kind === "upgrade" && quote.amountINR > 0) {
+      const reference = `sub_${Math.random().toString(36).slice(2)}`;
+      const charge = await gateway.charge({ amountINR: quote.amountINR, reference, customer: { id: currentUser.id, name: currentUser.name } });
+      payment = { reference: charge.id };
+    }
+    setSubscription(changePlan(currentUser, planKey, period, payment));
+    return quote;
+  }
+  function keepSubscription() {
+    setSubscription(cancelPendingChange(currentUser));
+  }
+  function issueApiKey() {
+    if (!can(currentUser, "api")) throw new Error("API access is included in the Enterprise plan.");
+    setUsers((prev) => prev.map((u) => (u.id === currentUser.id ? { ...u, apiKey: createApiKey() } : u)));
+  }
+  const session = { user: currentUser, ready: hydrated, signIn, signUp, signOut, updateProfile, saveAddresses, changeSubscription, keepSubscription, issueApiKey };
+
+  // Language
+  const i18n = useMemo(() => makeI18n(language, setLanguage), [language]);
+  useEffect(() => { document.documentElement.lang = language; }, [language]);
+
+  // Money
+  const moneyContext = useMemo(() => ({
+    currency, setCurrency, rates,
+    format: (amountINR) => formatMoney(amountINR, currency, rates, localeFor(language)),
+  }), [currency, rates, language]);
+  const money = moneyContext.format;
+  function saveRates(table) {
+    if (!isAdmin) return alert("Only admins can change exchange rates.");
+    setRates(table);
+  }
+  // Send guests to sign in first, then back to where they were.
+  function requireSignIn() {
+    if (currentUser) return true;
+    setCartOpen(false);
+    navigate(`/login?next=${encodeURIComponent(location.pathname + location.search)}`);
+    return false;
+  }
+
+  async function resetDemoData() {
+    if (!confirm("Reset all products, RFQs, orders and your cart to the demo data?")) return;
+    setHydrated(false);
+    await repo.reset();
+    window.location.reload();
+  }
+
+  // Filters live in the query string so searches can be shared, bookmarked and navigated with back/forward.
+  const q = searchParams.get("q") || "";
+  const category = CATEGORIES.includes(searchParams.get("category")) ? searchParams.get("category") : "All";
+  const sort = SORTS.includes(searchParams.get("sort")) ? searchParams.get("sort") : "relevance";
+  const facetParams = ["price", "loc", "rating", "stock", "moq", "grade"].map((k) => searchParams.get(k) || "").join("|");
+  const facets = useMemo(() => {
+    const [price, loc, rating, stock, moq, grade] = facetParams.split("|");
+    return {
+      price: PRICE_RANGES.some((r) => r.key === price) ? price : "",
+      locations: loc ? loc.split(",") : [],
+      rating: RATING_OPTIONS.includes(rating) ? rating : "",
+      inStock: stock === "1",
+      moq: MOQ_OPTIONS.includes(moq) ? moq : "",
+      grade: GRADES.includes(grade) ? grade : "",
+    };
+  }, [facetParams]);
+  function setFilter(key, value, fallback, replace = false) {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (!value || value === fallback) next.delete(key); else next.set(key, value);
+      return next;
+    }, { replace });
+  }
+  // typing replaces the current history entry instead of pushing one per keystroke
+  const setQ = (v) => setFilter("q", v, "", true);
+  const setCategory = (v) => setFilter("category", v, "All");
+  const setSort = (v) => setFilter("sort", v, "relevance");
+  function setFacet(name, value) {
+    if (name === "locations") setFilter("loc", value.join(","), "");
+    else if (name === "inStock") setFilter("stock", value ? "1" : "", "");
+    else setFilter(name, value, "");
+  }
+  function clearFilters() {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      for (const key of ["category", "price", "loc", "rating", "stock", "moq", "grade"]) next.delete(key);
+      return next;
+    });
+  }
+
+  // Derived
+  // ratings are averaged from visible reviews on the fly and never stored on products or farmers
+  const ratings = useMemo(() => aggregateRatings(reviews), [reviews]);
+  const ratedProducts = useMemo(() => withRatings(products, ratings.products), [products, ratings]);
+  const farmersById = useMemo(() => Object.fromEntries(withRatings(farmers, ratings.farmers).map((f) => [f.id, f])), [farmers, ratings]);
+  const productsById = useMemo(() => Object.fromEntries(ratedProducts.map((p) => [p.id, p])), [ratedProducts]);
+  // farms whose account includes priority listing
+  const featuredFarmerIds = useMemo(() => new Set(users.filter((u) => u.farmerId && can(u, "priorityListing")).map((u) => u.farmerId)), [users]);
+  const search = useMemo(() => searchProducts(ratedProducts.filter(isLive), { q, category, sort, ...facets }, {
+    farmersById,
+    inStock: (p) => stockState(p, reservations).state !== "out",
+    priority: (p) => featuredFarmerIds.has(p.farmerId),
+  }), [ratedProducts, q, category, sort, facets, farmersById, reservations, featuredFarmerIds]);
+  const filtered = search.results;
+  // cart lines are priced from the live listing, so a farmer's edit reaches carts already holding it
+  const cartLines = useMemo(() => cart.map((it) => ({ ...(productsById[it.id] || it), qty: it.qty, lotId: it.lotId })), [cart, productsById]);
+  const checkoutHold = reservations.find((r) => r.id === checkoutHoldId) || null;
+  // our own hold never counts against us
+  const cartIssues = useMemo(() => validateCart(cart, productsById, reservations, { except: checkoutHoldId }), [cart, productsById, reservations, checkoutHoldId]);
+  const availableById = Object.fromEntries(cart.map((it) => [it.id, availableStock(productsById[it.id], reservations, { except: checkoutHoldId, lotId: it.lotId })]));
+
+  // Cart handlers
+  // Graded products are bought from one lot: the one asked for, the one already in the cart, or the best in stock.
+  function addToCart(p, lotId) {
+    if (checkoutHoldId) cancelCheckout();
+    if (!isLive(p)) { alert(`${p.name} is not currently listed.`); return; }
+    const existing = cart.find((x) => x.id === p.id);
+    const lot = lotsOf(p).length ? findLot(p, lotId || existing?.lotId) || defaultLot(p, minQty(p)) : null;
+    if (lotsOf(p).length && !lot) { alert(`${p.name} is out of stock.`); return; }
+    const sameLot = existing && existing.lotId === lot?.id;
+    const available = availableStock(productsById[p.id] || p, reservations, { except: checkoutHoldId, lotId: lot?.id });
+    const wanted = sameLot ? clampQty(existing, existing.qty + 1) : existing ? existing.qty : minQty(p);
+    if (wanted > available) {
+      alert(available < minQty(p) ? `${p.name}${lot ? ` (lot ${lot.code})` : ""} is out of stock.` : `Only ${available} units of ${p.name}${lot ? ` in lot ${lot.code}` : ""} are available.`);
+      return;
+    }
+    setCart((prev) => {
+      if (prev.some((x) => x.id === p.id)) return prev.map((x) => (x.id === p.id ? { ...x, qty: wanted, lotId: lot?.id } : x));
+      return [...prev, { ...p, qty: wanted, lotId: lot?.id }];
+    });
+    setCartOpen(true);
+  }
+  // quantities stay between the product's MOQ and what is in stock
+  function setQty(id, qty) {
+    const capped = Math.min(qty, availableById[id] ?? qty);
+    setCart((prev) => prev.map((x) => (x.id === id ? { ...x, qty: clampQty(x, capped) } : x)));
+  }
+  // switching lots keeps the quantity when the new lot can cover it
+  function setLot(id, lotId) {
+    const available = availableStock(productsById[id], reservations, { except: checkoutHoldId, lotId });
+    const line = cart.find((x) => x.id === id);
+    if (available < minQty(line)) return alert("That lot does not have enough stock for the minimum order.");
+    setCart((prev) => prev.map((x) => (x.id === id ? { ...x, lotId, qty: clampQty(x, Math.min(x.qty, available)) } : x)));
+  }
+  function removeItem(id) { setCart((prev) => prev.filter((x) => x.id !== id)); }
+  // Checkout reserves the cart's units, then placing the order converts the hold into a stock decrement.
+  function startCheckout() {
+    if (!requireSignIn()) return;
+    if (Object.keys(cartIssues).length) return;
+    const hold = createReservation(cart);
+    setReservations((prev) => [...pruneReservations(prev), hold]);
+    setCheckoutHoldId(hold.id);
+  }
+  function cancelCheckout() {
+    setReservations((prev) => releaseReservation(prev, checkoutHoldId));
+    setCheckoutHoldId(null);
+  }
+  function closeCart() {
+    if (checkoutHoldId) cancelCheckout();
+    setCartOpen(false);
+  }
+  async function placeOrder({ addressId, windowId }) {
+    if (!checkoutHold || !isReservationActive(checkoutHold)) {
+      cancelCheckout();
+      alert("Your stock reservation expired. Please review your cart and check out again.");
+      return;
+    }
+    // quote again here rather than trusting the drawer, so the charge matches the current cart
+    const shipTo = (currentUser.addresses || []).find((a) => a.id === addressId);
+    if (!shipTo) return alert("Choose a delivery address.");
+    const quotes = quoteCart(cartLines, farmersById, shipTo);
+    const slot = deliveryWindows(Math.max(...quotes.map((q) => q.transitDays))).find((w) => w.id === windowId);
+    if (!slot) return alert("That delivery window is no longer available. Please choose another.");
+    let order, items;
+    try {
+      items = itemsFromCart(cartLines);
+      // fail early when the cart no longer fits the stock; the units are taken once payment succeeds
+      deductStock(products, items);
+      // keep the rate the buyer saw so the order can be shown in their currency later
+      order = createOrder({
+        items,
+        buyer: { id: currentUser.id, name: currentUser.name },
+        currency,
+        fx: { inrPerUnit: rates.inrPerUnit[currency], ratesUpdatedAt: rates.updatedAt },
+        shippingByFarmer: Object.fromEntries(quotes.map((q) => [q.farmerId, q.costINR])),
+        shipTo,
+        delivery: { date: slot.date, slot: slot.slot },
+      });
+    } catch (err) {
+      cancelCheckout();
+      alert(err.message);
+      return;
+    }
+    // a declined payment keeps the reservation so the buyer can try again
+    let holds;
+    try {
+      holds = await payOrder(order, ledger, gateway);
+      setLedger((prev) => [...holds, ...prev]);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    // stock can change while the payment is out (a farmer edits a listing); if it no longer covers
+    // the order, the order fails and the charge goes back
+    const shortage = takeStock(items);
+    if (shortage) {
+      cancelCheckout();
+      const refunds = await Promise.allSettled(holds.map((h) => refundFunds(order, h.farmerId, holds, gateway)));
+      setLedger((prev) => [...refunds.filter((r) => r.status === "fulfilled").map((r) => r.value), ...prev]);
+      const failed = refunds.find((r) => r.status === "rejected");
+      alert(`${shortage.message} Your order was not placed${failed ? `, and the refund failed: ${failed.reason.message}` : " and your payment has been refunded"}.`);
+      return;
+    }
+    setOrders(prev => [order, ...prev]);
+    setInvoices((prev) => [...prev, ...issueInvoices(order, prev, { farmersById, productsById, buyer: currentUser })]);
+    cancelCheckout();
+    setCart([]); setCartOpen(false);
+    navigate("/dashboard/buyer");
+  }
+
+  // Order handlers
+  // Take sold units off the current stock rather than a copy made before an await. Returns the error
+  // when the stock no longer covers the items, in which case nothing is taken.
+  function takeStock(items) {
+    let shortage = null;
+    flushSync(() => setProducts((prev) => {
+      try {
+        return deductStock(prev, items);
+      } catch (err) {
+        shortage = err;
+        return prev;
+      }
+    }));
+    return shortage;
+  }
+  const gateway = useMemo(() => createPaymentGateway(import.meta.env || {}), []);
+  // Renew the signed-in account's plan once its period ends; a declined charge drops it to Starter.
+  const renewing = useRef(false);
+  useEffect(() => {
+    const due = hydrated && currentUser && dueRenewal(currentUser);
+    if (!due || renewing.current) return;
+    renewing.current = true;
+    const userId = currentUser.id;
+    const charge = due.amountINR > 0
+      ? gateway.charge({ amountINR: due.amountINR, reference: `sub_${Math.random().toString(36).slice(2)}`, customer: { id: userId, name: currentUser.name } })
+      : Promise.resolve(null);
+    charge
+      .then((c) => (c ? { reference: c.id } : null))
+      .catch((err) => {
+        alert(`Your subscription could not be renewed (${err.message}). Your account is back on Starter.`);
+        return null;
+      })
+      .then((payment) => setUsers((prev) => prev.map((u) => (u.id === userId ? { ...u, subscription: renewSubscription(u, payment) } : u))))
+      .finally(() => { renewing.current = false; });
+  }, [hydrated, currentUser, gateway]);
+  function updateOrder(id, step) {
+    const current = orders.find((o) => o.id === id);
+    try {
+      const next = step(current);
+      const restock = newlyCancelledItems(current, next);
+      setOrders(prev => prev.map((o) => (o.id === id ? next : o)));
+      if (restock.length) setProducts(prev => restoreStock(prev, restock));
+      for (const split of newlyCancelledSplits(current, next)) {
+        if (escrowStatus(ledger, id, split.farmerId) !== "held") continue;
+        refundFunds(next, split.farmerId, ledger, gateway)
+          .then((refund) => setLedger((prev) => [refund, ...prev]))
+          .catch((err) => alert(`Refund failed: ${err.message}`));
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+  function advanceOrder(id, farmerId) { updateOrder(id, (o) => syncShipment(advanceSplit(o, farmerId), farmerId, farmersById[farmerId]?.location)); }
+  function addTransitUpdate(id, farmerId) {
+    const location = prompt("Where is the shipment now? (town or hub)");
+    if (location === null) return;
+    updateOrder(id, (o) => addTransitScan(o, farmerId, location.trim()));
+  }
+  function cancelOrderSplit(id, farmerId) { updateOrder(id, (o) => cancelSplit(o, farmerId, "Cancelled by farmer")); }
+  async function payForOrder(id) {
+    try {
+      const holds = await payOrder(orders.find((o) => o.id === id), ledger, gateway);
+      setLedger((prev) => [...holds, ...prev]);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+  function confirmDelivery(id, farmerId) {
+    try {
+      const release = releaseFunds(orders.find((o) => o.id === id), farmerId, ledger);
+      setLedger((prev) => [release, ...prev]);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+  async function payoutFarmer(farmerId, amountINR) {
+    try {
+      const payout = await requestPayout(farmerId, amountINR, ledger, gateway);
+      setLedger((prev) => [payout, ...prev]);
+      return true;
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+  }
+  // Invoices are issued with the order; orders placed before invoicing get theirs on first request.
+  function buyerOf(order) {
+    return users.find((u) => u.id === order.buyer?.id);
+  }
+  function openInvoice(orderId, farmerId) {
+    const order = orders.find((o) => o.id === orderId);
+    try {
+      let invoice = findInvoice(invoices, orderId, farmerId);
+      if (!invoice) {
+        invoice = issueInvoice({ order, farmer: farmersById[farmerId], buyer: buyerOf(order), productsById }, invoices);
+        setInvoices((prev) => [...prev, invoice]);
+      }
+      navigate(`/documents/invoices/${invoice.id}`);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+  function cancelBuyerOrder(id) {
+    if (!confirm("Cancel this order? Items that have already shipped cannot be cancelled.")) return;
+    updateOrder(id, (o) => cancelOrder(o, "Cancelled by buyer"));
+  }
+
+  // Review handlers — the review helpers throw, and the forms show the message
+  function submitReview(orderId, productId, { stars, text, photo }) {
+    const order = orders.find((o) => o.id === orderId);
+    const review = createReview({ order, productId, buyer: currentUser, stars, text, photo }, reviews);
+    setReviews((prev) => [review, ...prev]);
+  }
+  function reportReviewById(id, reason) {
+    if (!currentUser) throw new Error("Sign in to report a review.");
+    const review = reviews.find((r) => r.id === id);
+    const next = reportReview(review, currentUser, reason);
+    setReviews((prev) => prev.map((r) => (r.id === id ? next : r)));
+  }
+  function moderateReviewById(id, hidden) {
+    if (!isAdmin) return alert("Only admins can moderate reviews.");
+    setReviews((prev) => prev.map((r) => (r.id === id ? moderateReview(r, currentUser, hidden) : r)));
+  }
+
+  // Standing order handlers
+  function createStanding(data, product) {
+    try {
+      const address = (currentUser.addresses || []).find((a) => a.id === data.addressId);
+      if (!address) throw new Error(i18n.t("standing.chooseAddress"));
+      const earliestDate = deliveryWindows(standingLeadDays(product, Number(data.qty) || minQty(product), farmersById, address))[0].date;
+      const standing = createStandingOrder(data, product, currentUser, { earliestDate });
+      setStandingOrders((prev) => [standing, ...prev]);
+      alert(i18n.t("standing.created", { schedule: describeSchedule(standing.schedule, i18n.t), date: i18n.day(standing.startDate) }));
+      return true;
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+  }
+  // the shipment quote for one delivery, or null when the product or address is gone
+  function standingQuote(s) {
+    const product = productsById[s.productId];
+    const address = users.find((u) => u.id === s.buyerId)?.addresses?.find((a) => a.id === s.addressId);
+    return product && address ? quoteCart([{ ...product, qty: s.qty }], farmersById, address)[0] : null;
+  }
+  function updateStanding(id, step) {
+    setStandingOrders((prev) => prev.map((s) => (s.id === id && s.buyerId === currentUser?.id ? step(s) : s)));
+  }
+  const standingActions = {
+    onPause: (id) => updateStanding(id, pauseStandingOrder),
+    onResume: (id) => updateStanding(id, (s) => resumeStandingOrder(s, standingQuote(s)?.transitDays ?? 1)),
+    onSkip: (id, date) => updateStanding(id, (s) => skipDelivery(s, date)),
+    onUnskip: (id, date) => updateStanding(id, (s) => unskipDelivery(s, date)),
+    onCancel: (id) => setStandingOrders((prev) => prev.filter((s) => s.id !== id || s.buyerId !== currentUser?.id)),
+  };
+  // Place the orders of standing deliveries that have come within their transit time. In this
+  // front-end demo whichever browser has the marketplace open runs every buyer's schedule, the way
+  // a server job would; payments go through the gateway and stock is deducted as for a checkout.
+  const runningStanding = useRef(false);
+  useEffect(() => {
+    if (!hydrated || runningStanding.current) return;
+    const work = standingOrders.map((s) => {
+      const buyer = users.find((u) => u.id === s.buyerId);
+      const quote = standingQuote(s);
+      return { s, product: productsById[s.productId], buyer, address: buyer?.addresses?.find((a) => a.id === s.addressId), quote, due: dueDeliveries(s, quote?.transitDays ?? 1) };
+    }).filter(({ s, due }) => s.status === "active" && !(s.lastRunDate && s.lastRunDate >= due.through));
+    if (!work.length) return;
+    runningStanding.current = true;
+    (async () => {
+      let stock = products;
+      const placed = [];
+      const entries = [];
+      const updated = {};
+      for (const { s, product, buyer, address, quote, due } of work) {
+        const runs = [...due.skipped.map((date) => ({ date, status: "skipped" })), ...due.missed.map((date) => ({ date, status: "missed" }))];
+        for (const date of due.place) {
+          try {
+            if (!product || !isLive(product)) throw new Error("The product is no longer listed.");
+            if (!address) throw new Error("The delivery address was removed.");
+            const order = orderFromStanding(s, product, { buyer: { id: s.buyerId, name: buyer?.name || s.buyerName }, date, shippingINR: quote.costINR, shipTo: address });
+            if (availableStock(stock.find((p) => p.id === product.id), reservations, { lotId: s.lot?.id }) < s.qty) throw new Error(s.lot ? `Lot ${s.lot.code} does not have enough stock.` : "The farm does not have enough stock.");
+            const nextStock = deductStock(stock, order.items);
+            const holds = await payOrder(order, ledger, gateway);
+            entries.push(...holds);
+            const shortage = takeStock(order.items);
+            if (shortage) {
+              entries.push(...await Promise.all(holds.map((h) => refundFunds(order, h.farmerId, holds, gateway))));
+              throw shortage;
+            }
+            stock = nextStock;
+            placed.push(order);
+            runs.push({ date, status: "ordered", orderId: order.id });
+          } catch (err) {
+            runs.push({ date, status: "failed", reason: err.message });
+          }
+        }
+        updated[s.id] = recordRuns(s, runs.sort((a, b) => b.date.localeCompare(a.date)), due.through);
+      }
+      if (entries.length) setLedger((prev) => [...entries, ...prev]);
+      if (placed.length) {
+        setOrders((prev) => [...placed, ...prev]);
+        setInvoices((prev) => placed.reduce((all, order) => [...all, ...issueInvoices(order, all, { farmersById, productsById, buyer: buyerOf(order) })], prev));
+      }
+      setStandingOrders((prev) => prev.map((s) => updated[s.id] || s));
+    })().catch((err) => console.error("Standing orders could not run", err)).finally(() => { runningStanding.current = false; });
+  }, [hydrated, standingOrders]);
+
+  // Support handlers
+  function submitTicket(valid) {
+    const ticket = createTicket(valid, tickets, currentUser);
+    setTickets((prev) => [ticket, ...prev]);
+    return ticket;
+  }
+  // Apply a step to one ticket; invalid moves are reported instead of applied.
+  function updateTicket(id, step) {
+    try {
+      const next = step(tickets.find((t) => t.id === id));
+      setTickets((prev) => prev.map((t) => (t.id === id ? next : t)));
+      return true;
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+  }
+  const supportActions = {
+    onReply: (id, body) => isAdmin && updateTicket(id, (t) => replyAsSupport(t, currentUser, body)),
+    onStatus: (id, status) => isAdmin && updateTicket(id, (t) => setTicketStatus(t, status)),
+    onCategory: (id, category) => isAdmin && updateTicket(id, (t) => recategorize(t, category)),
+  };
+  // customers reply to their own tickets, or to one they looked up by reference and contact
+  function replyToTicket(id, body) {
+    return updateTicket(id, (t) => replyAsCustomer(t, body));
   }
 
   // RFQ handlers
+  function openRfq(product) { if (requireSignIn()) setRfqProduct(product); }
   function submitRFQ(data) {
-    const rfq = { id: Math.random().toString(36).slice(2), date: new Date().toISOString(), ...data };
-    setRfqs(prev => [rfq, ...prev]);
-    alert("RFQ submitted! Farmers will respond with quotes in the dashboard (demo).");
+    const product = productsById[data.productId];
+    try {
+      assertCanSendRfq(currentUser, rfqs);
+      const rfq = createRfq({ ...data, location: formatAddress(data.address) }, product, currentUser);
+      setRfqs(prev => [rfq, ...prev]);
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+    alert(`RFQ sent to ${farmersById[product.farmerId]?.name || "the farmer"}. Quotes will appear in your Buyer Dashboard.`);
+    return true;
+  }
+  // Apply a workflow step to one RFQ; invalid moves are reported instead of applied.
+  function updateRfq(id, step) {
+    const current = rfqs.find((r) => r.id === id);
+    try {
+      const next = step(current);
+      setRfqs(prev => prev.map((r) => (r.id === id ? next : r)));
+      return next;
+    } catch (err) {
+      alert(err.message);
+      return null;
+    }
+  }
+  function quoteRfq(id, quote) { return !!updateRfq(id, (r) => submitQuote(r, quote)); }
+  function counterRfq(id, counter) { return !!updateRfq(id, (r) => counterOffer(r, counter)); }
+  function declineRfqBy(id, party) { updateRfq(id, (r) => declineRfq(r, party)); }
+  // the order is worked out and its stock taken before the RFQ is marked accepted
+  function acceptRfq(id, party) {
+    const current = rfqs.find((r) => r.id === id);
+    let accepted, order;
+    try {
+      accepted = acceptOffer(current, party);
+      order = orderFromRfq(accepted, productsById[current.productId], { id: current.buyerId, name: current.buyerName });
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    const shortage = takeStock(order.items);
+    if (shortage) return alert(shortage.message);
+    setOrders(prev => [order, ...prev]);
+    setInvoices((prev) => [...prev, ...issueInvoices(order, prev, { farmersById, productsById, buyer: buyerOf(order) })]);
+    updateRfq(id, () => ({ ...accepted, orderId: order.id }));
+  }
+  const rfqActions = { onQuote: quoteRfq, onCounter: counterRfq, onAccept: acceptRfq, onDecline: declineRfqBy };
+
+  // Farmer CRUD
+  // a farmer's new listing, or a change to what buyers see of one, waits for an admin
+  function saveProduct(product) {
+    const before = products.find((p) => p.id === product.id);
+    const next = withModeration(before, withLotStock(product), { byAdmin: isAdmin });
+    setProducts((prev) => (before ? prev.map((p) => (p.id === next.id ? next : p)) : [next, ...prev]));
+    if (moderationStatus(next) === "pending" && (!before || moderationStatus(before) !== "pending")) {
+      alert(`${next.name} is saved and will be in the shop once our team has reviewed it.`);
+    }
+  }
+  function setListingStatus(id, status) { setProducts((prev) => prev.map((p) => (p.id === id ? { ...p, status } : p))); }
+  function deleteProduct(id) {
+    if (!confirm("Delete this listing? Past orders keep their records, but buyers can no longer find it.")) return;
+    setProducts((prev) => prev.filter((p) => p.id !== id));
+  }
+  function importCatalog({ created, updated }) {
+    const byId = Object.fromEntries(updated.map((p) => [p.id, withLotStock(p)]));
+    const moderate = (before, after) => withModeration(before, after, { byAdmin: isAdmin });
+    setProducts((prev) => [...created.map((p) => moderate(null, p)), ...prev.map((p) => (byId[p.id] ? moderate(p, byId[p.id]) : p))]);
+  }
+  function addProductImages(productId, images) {
+    setProducts((prev) => prev.map((p) => (p.id === productId ? withModeration(p, { ...p, gallery: [...(p.gallery || []), ...images] }, { byAdmin: isAdmin }) : p)));
+  }
+  function removeProductImage(productId, imageId) {
+    setProducts((prev) => prev.map((p) => (p.id === productId ? { ...p, gallery: (p.gallery || []).filter((img) => img.id !== imageId) } : p)));
+  }
+
+  // Quality lots; the product's stock follows its lots
+  function updateProduct(id, step) {
+    try {
+      const next = step(products.find((p) => p.id === id));
+      setProducts((prev) => prev.map((p) => (p.id === id ? next : p)));
+      return true;
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+  }
+  const lotActions = {
+    onSaveLot: (productId, lot) => updateProduct(productId, (p) => saveLot(p, lot)),
+    onRemoveLot: (productId, lotId) => confirm(i18n.t("lot.removeConfirm")) && updateProduct(productId, (p) => removeLot(p, lotId)),
+    onCertificate: (productId, lotId, doc, meta) => updateProduct(productId, (p) => saveLot(p, addCertificate(findLot(p, lotId), doc, meta))),
+    onRemoveCertificate: (productId, lotId, certId) => updateProduct(productId, (p) => saveLot(p, removeCertificate(findLot(p, lotId), certId))),
+  };
+
+  // Procurement: saved lists, favourites and price alerts live on the buyer's user record
+  function updateBuyer(step) {
+    if (!requireSignIn()) return false;
+    try {
+      const patch = step(currentUser);
+      setUsers((prev) => prev.map((u) => (u.id === currentUser.id ? { ...u, ...patch } : u)));
+      return true;
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+  }
+  // saved lists and past orders go through the same MOQ and stock checks as adding by hand
+  function fillNote(n) {
+    const item = n.lot ? i18n.t("lists.note.lot", { name: n.name, lot: n.lot }) : n.name || i18n.t("lists.note.aProduct");
+    return i18n.t(`lists.note.${n.kind}`, { item, count: n.moq ?? n.available, qty: n.qty });
+  }
+  function addItemsToCart(items) {
+    if (items.length === 0) return alert(i18n.t("lists.emptyAlert"));
+    if (checkoutHoldId) cancelCheckout();
+    const filled = fillCart(cart, items, productsById, reservations, { except: checkoutHoldId });
+    if (filled.added) { setCart(filled.cart); setCartOpen(true); }
+    if (filled.notes.length) alert(filled.notes.map(fillNote).join("\n"));
+  }
+  function reorder(order) {
+    addItemsToCart(itemsFromOrder(order));
+  }
+  function saveCartAsList(name) {
+    if (updateBuyer((u) => ({ savedLists: createList(savedListsOf(u), name, itemsFromCartLines(cart)) }))) {
+      alert(i18n.t("lists.saved", { name: name.trim() }));
+    }
+  }
+  const favourites = favouritesOf(currentUser);
+  function toggleFavouriteOf(kind, id) {
+    return updateBuyer((u) => ({ favourites: toggleFavourite(favouritesOf(u), kind, id) }));
+  }
+  const listActions = {
+    onCreate: (name) => updateBuyer((u) => ({ savedLists: createList(savedListsOf(u), name) })),
+    onRename: (id, name) => updateBuyer((u) => ({ savedLists: renameList(savedListsOf(u), id, name) })),
+    onDelete: (id) => confirm(i18n.t("lists.deleteConfirm")) && updateBuyer((u) => ({ savedLists: deleteList(savedListsOf(u), id) })),
+    onQty: (id, productId, qty) => updateBuyer((u) => ({ savedLists: setListQty(savedListsOf(u), id, productId, qty) })),
+    onRemoveItem: (id, productId) => updateBuyer((u) => ({ savedLists: removeFromList(savedListsOf(u), id, productId) })),
+    onAddToCart: (list) => addItemsToCart(list.items),
+  };
+  const alertActions = {
+    onAddItems: addItemsToCart,
+    onDismiss: (id, priceINR) => updateBuyer((u) => ({ priceAlerts: dismissPriceAlert(priceAlertsOf(u), id, priceINR) })),
+    onRemove: (id) => updateBuyer((u) => ({ priceAlerts: removePriceAlert(priceAlertsOf(u), id) })),
+  };
+  const procurementActions = {
+    onFavourite: toggleFavouriteOf,
+    // a blank list id starts a new list called `name`
+    onSaveToList: (listId, name, product, qty, lotId) => updateBuyer((u) => {
+      let lists = savedListsOf(u);
+      if (!listId) {
+        lists = createList(lists, name);
+        listId = lists[lists.length - 1].id;
+      }
+      return { savedLists: addToList(lists, listId, product, qty, lotId) };
+    }),
+    onPriceAlert: (product, data) => updateBuyer((u) => ({ priceAlerts: setPriceAlert(priceAlertsOf(u), product, data) })),
+    onRemoveAlert: alertActions.onRemove,
+  };
+
+  // Verification & listing moderation
+  function submitFarmKyc(data) {
+    try {
+      const kyc = submitKyc(farmersById[actingFarmerId], data);
+      setFarmers((prev) => prev.map((f) => (f.id === actingFarmerId ? { ...f, kyc } : f)));
+      alert("Thanks — your documents are with our team. We'll review them within two working days.");
+      return true;
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+  }
+  // rejections ask the admin for the reason the farmer will see
+  function rejectionReason(approve) {
+    return approve ? "" : prompt("Reason for the rejection (shown to the farmer):");
+  }
+  function reviewFarmKyc(farmerId, approve) {
+    if (!isAdmin) return;
+    const reason = rejectionReason(approve);
+    if (reason === null) return;
+    try {
+      const kyc = reviewKyc(farmersById[farmerId], currentUser, approve, reason);
+      setFarmers((prev) => prev.map((f) => (f.id === farmerId ? { ...f, kyc } : f)));
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+  function reviewListingById(id, approve) {
+    if (!isAdmin) return;
+    const reason = rejectionReason(approve);
+    if (reason === null) return;
+    try {
+      const next = reviewListing(products.find((p) => p.id === id), approve, reason);
+      setProducts((prev) => prev.map((p) => (p.id === id ? next : p)));
+    } catch (err) {
+      alert(err.message);
+    }
   }
 
-  // Farmer CRUD (minimal)
-  function saveProduct(newP) { setProducts((prev) => [newP, ...prev]); setActiveTab("Shop"); }
+  // What the signed-in user gets to see (admins see everything)
+  const myRfqs = isAdmin ? rfqs : rfqs.filter((r) => r.buyerId === currentUser?.id);
+  const myOrders = isAdmin ? orders : orders.filter((o) => o.buyer?.id === currentUser?.id);
+  const farmRfqs = rfqs.filter((r) => r.farmerId === actingFarmerId);
+  const farmProducts = products.filter((p) => p.farmerId === actingFarmerId);
+
+  // AI assistant: provider chosen from env, context rebuilt as the marketplace changes
+  const assistant = useMemo(() => createAssistantProvider(import.meta.env || {}), []);
+  const speech = useMemo(() => createSpeechProvider(import.meta.env || {}), []);
+  const voice = useMemo(() => ({ provider: speech }), [speech]);
+  const assistantContext = buildAssistantContext({
+    products: ratedProducts.filter(isLive), farmersById, cart: cartLines,
+    rfqs: hasRole(currentUser, "farmer") ? farmRfqs : myRfqs, user: currentUser, currency, format: money,
+  });
 
   // Pages
+  const filterProps = { q, setQ, category, setCategory, sort, setSort, facets, setFacet, counts: search.counts, total: search.total, onClear: clearFilters };
   const HomePage = (
     <>
       <Hero3D />
       <section id="shop" className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
-        <SectionTitle title="Shop fresh produce" subtitle="Retail & bulk purchasing" />
-        <Filters q={q} setQ={setQ} category={category} setCategory={setCategory} sort={sort} setSort={setSort} />
+        <SectionTitle title={i18n.t("home.shopTitle")} subtitle={i18n.t("home.shopSubtitle")} />
+        <Filters {...filterProps} />
         <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-5">
           {filtered.map((p) => (
-            <ProductCard key={p.id} p={p} farmer={farmersById[p.farmerId]} onAdd={addToCart} onBulk={(prod)=>setRfqProduct(prod)} />
+            <ProductCard key={p.id} p={p} farmer={farmersById[p.farmerId]} featured={featuredFarmerIds.has(p.farmerId)} stock={stockState(p, reservations)} favourite={isFavourite(favourites, "products", p.id)} onAdd={addToCart} onBulk={openRfq} onFavourite={currentUser ? toggleFavouriteOf : undefined} />
           ))}
         </div>
       </section>
@@ -669,109 +4185,223 @@ export default function App() {
 
   const ShopPage = (
     <section className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
-      <SectionTitle title="Marketplace" subtitle="Direct deals with verified farmers" />
-      <Filters q={q} setQ={setQ} category={category} setCategory={setCategory} sort={sort} setSort={setSort} />
+      <SectionTitle title={i18n.t("shop.title")} subtitle={i18n.t("shop.subtitle")} />
+      <Filters {...filterProps} />
       <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-5">
         {filtered.map((p) => (
-          <ProductCard key={p.id} p={p} farmer={farmersById[p.farmerId]} onAdd={addToCart} onBulk={(prod)=>setRfqProduct(prod)} />
+          <ProductCard key={p.id} p={p} farmer={farmersById[p.farmerId]} featured={featuredFarmerIds.has(p.farmerId)} stock={stockState(p, reservations)} favourite={isFavourite(favourites, "products", p.id)} onAdd={addToCart} onBulk={openRfq} onFavourite={currentUser ? toggleFavouriteOf : undefined} />
         ))}
       </div>
       <div className="mt-8 rounded-3xl border border-blue-100 p-5 bg-white">
         <h3 className="font-semibold text-blue-900">Recent RFQs</h3>
-        {rfqs.length===0 ? (
+        {myRfqs.length===0 ? (
           <p className="text-sm text-blue-900/70">No RFQs yet. Use the Bulk button on a product to submit one.</p>
         ) : (
           <ul className="text-sm text-blue-900/80 list-disc ml-5">
-            {rfqs.map(r => <li key={r.id}>Req: {r.qty} of product #{r.productId} to {r.location} · {new Date(r.date).toLocaleString()}</li>)}
+            {myRfqs.map(r => <li key={r.id}>Req: {r.qty} of {r.productName} to {r.location} · {i18n.dateTime(r.date)} · <RFQStatusBadge status={r.status} /></li>)}
           </ul>
         )}
       </div>
     </section>
   );
 
-  const Dashboards = (
+  const dashboardTabs = Object.keys(DASHBOARD_TABS).filter((t) =>
+    t === "dashboard.farmer" ? hasRole(currentUser, "farmer", "admin") : t === "dashboard.admin" ? isAdmin : true);
+  const dashboard = (active, body) => (
     <section className="mx-auto max-w-7xl px-4 sm:px-6 py-10 space-y-6">
-      <SectionTitle title="Dashboards" subtitle="Buyer & Farmer tools" />
-      <Tabs tabs={["Buyer Dashboard", "Farmer Dashboard"]} active={activeTab} onChange={setActiveTab} />
-      {activeTab === "Buyer Dashboard" && (
+      <SectionTitle title={i18n.t("dashboard.title")} subtitle={i18n.t("dashboard.subtitle")} />
+      <Tabs tabs={dashboardTabs} active={active} onChange={(t) => navigate(DASHBOARD_TABS[t])} />
+      {body}
+    </section>
+  );
+
+  const freshAlerts = freshPriceAlerts(priceAlertsOf(currentUser), productsById);
+  const BuyerDashboard = dashboard("dashboard.buyer", (
         <div className="mt-6 grid lg:grid-cols-3 gap-6">
           <div className="lg:col-span-2 space-y-3">
+            {freshAlerts.length > 0 && (
+              <div className="rounded-2xl border border-pink-200 bg-pink-50 p-3 text-sm text-pink-800">
+                🔔 {freshAlerts.length === 1 ? i18n.t("alerts.bannerOne", { name: freshAlerts[0].alert.name }) : i18n.t("alerts.banner", { count: freshAlerts.length })} {i18n.t("alerts.bannerSee")}
+              </div>
+            )}
+            <div className="rounded-3xl border border-blue-100 p-4">
+              <h3 className="font-semibold text-blue-900">{i18n.t("lists.title")}</h3>
+              <SavedLists lists={savedListsOf(currentUser)} productsById={productsById} {...listActions} />
+            </div>
             <div className="rounded-3xl border border-blue-100 p-4">
               <h3 className="font-semibold text-blue-900">RFQs</h3>
-              {rfqs.length===0 ? <p className="text-sm text-blue-900/70">You haven't posted any RFQs yet.</p> : (
-                <ul className="mt-2 list-disc ml-5 text-sm text-blue-900/80">{rfqs.map(r=> <li key={r.id}>#{r.id.slice(0,5)} · {r.qty} units to {r.location} · Target {r.target || '—'}</li>)}</ul>
+              {myRfqs.length===0 ? <p className="text-sm text-blue-900/70">You haven't posted any RFQs yet.</p> : (
+                <div className="mt-2 space-y-3">{myRfqs.map(r=> <RFQCard key={r.id} rfq={r} party="buyer" farmer={farmersById[r.farmerId]} {...rfqActions} />)}</div>
               )}
             </div>
+            <div className="rounded-3xl border border-blue-100 p-4">
+              <h3 className="font-semibold text-blue-900">Standing orders</h3>
+              <StandingOrderList standingOrders={standingOrders.filter((s) => s.buyerId === currentUser?.id)} productsById={productsById} {...standingActions} />
+            </div>
             <div className="rounded-3xl border border-blue-100 p-4">
               <h3 className="font-semibold text-blue-900">Recent Orders</h3>
-              <p className="text-sm text-blue-900/70">(Demo) Orders will appear here after checkout.</p>
+              <BuyerOrders orders={myOrders} farmersById={farmersById} reviews={reviews} ledger={ledger} invoices={invoices} onCancel={cancelBuyerOrder} onReview={submitReview} onPay={payForOrder} onConfirmDelivery={confirmDelivery} onInvoice={openInvoice} onReorder={reorder} />
             </div>
           </div>
           <div className="space-y-3">
-            <div className="rounded-3xl border border-blue-100 p-4"><h3 className="font-semibold text-blue-900">Wallet</h3><div className="text-2xl font-bold text-pink-700">{toCurrency(0, currency)}</div><p className="text-sm text-blue-900/70">(Demo) Link UPI/cards in production.</p></div>
+            <div className="rounded-3xl border border-blue-100 p-4"><h3 className="font-semibold text-blue-900">Wallet</h3><BuyerWallet ledger={ledger} buyerId={currentUser?.id} /></div>
+            <div className="rounded-3xl border border-blue-100 p-4"><h3 className="font-semibold text-blue-900">{i18n.t("alerts.title")}</h3><PriceAlerts alerts={priceAlertsOf(currentUser)} productsById={productsById} {...alertActions} /></div>
+            <div className="rounded-3xl border border-blue-100 p-4"><h3 className="font-semibold text-blue-900">{i18n.t("favourites.title")}</h3><Favourites favourites={favourites} productsById={productsById} farmersById={farmersById} onFavourite={toggleFavouriteOf} onAdd={addToCart} /></div>
+            <div className="rounded-3xl border border-blue-100 p-4"><h3 className="font-semibold text-blue-900">Plan</h3><PlanSummary user={currentUser} rfqs={rfqs} /></div>
           </div>
         </div>
-      )}
-      {activeTab === "Farmer Dashboard" && (
+  ));
+
+  const FarmerDashboard = dashboard("dashboard.farmer", (
         <div className="mt-6 grid lg:grid-cols-3 gap-6">
           <div className="lg:col-span-2 space-y-6">
+            {isAdmin ? (
+              <div className="flex items-center gap-2 text-sm">
+                <span className="text-blue-900/70">Admin — viewing</span>
+                <select value={dashFarmerId} onChange={(e)=>setDashFarmerId(e.target.value)} className="px-3 py-2 rounded-2xl border border-blue-200 text-blue-800">
+                  {farmers.map(f=> <option key={f.id} value={f.id}>{f.name}</option>)}
+                </select>
+              </div>
+            ) : (
+              <div className="text-sm text-blue-900/70">Signed in as <span className="font-medium text-blue-900">{farmersById[actingFarmerId]?.name}</span> · <Link to="/account" className="text-blue-700 hover:text-pink-700">Edit farm profile</Link></div>
+            )}
+            <div className="rounded-3xl border border-blue-100 p-4">
+              <h3 className="font-semibold text-blue-900">{i18n.t("analytics.title")}</h3>
+              <FarmerAnalytics key={actingFarmerId} farmer={farmersById[actingFarmerId]} orders={orders} rfqs={rfqs} products={products} reservations={reservations} />
+            </div>
+            <div className="rounded-3xl border border-blue-100 p-4">
+              <h3 className="font-semibold text-blue-900">Incoming RFQs</h3>
+              {farmRfqs.length===0 ? <p className="text-sm text-blue-900/70">No RFQs for your products yet.</p> : (
+                <div className="mt-2 space-y-3">{farmRfqs.map(r=> <RFQCard key={r.id} rfq={r} party="farmer" {...rfqActions} />)}</div>
+              )}
+            </div>
+            <div className="rounded-3xl border border-blue-100 p-4">
+              <h3 className="font-semibold text-blue-900">Incoming Orders</h3>
+              <FarmerOrders orders={orders} farmerId={actingFarmerId} ledger={ledger} invoices={invoices} onAdvance={advanceOrder} onTransit={addTransitUpdate} onCancel={cancelOrderSplit} onInvoice={openInvoice} />
+            </div>
+            <div className="rounded-3xl border border-blue-100 p-4">
+              <h3 className="font-semibold text-blue-900">Standing order calendar</h3>
+              <StandingOrderCalendar standingOrders={standingOrders} products={farmProducts} farmerId={actingFarmerId} />
+            </div>
+            <div className="rounded-3xl border border-blue-100 p-4 space-y-2">
+              <h3 className="font-semibold text-blue-900">Verification · {i18n.t(KYC_STATUS_LABEL_KEY[kycOf(farmersById[actingFarmerId]).status])}</h3>
+              <KycForm key={actingFarmerId} farmer={farmersById[actingFarmerId]} onSubmit={submitFarmKyc} />
+            </div>
             <div className="rounded-3xl border border-blue-100 p-4">
               <h3 className="font-semibold text-blue-900">Add a New Product</h3>
               <p className="text-sm text-blue-900/70 mb-3">Include bulk info (MOQ, tiers) via the form.</p>
-              <FarmerForm onSave={saveProduct} farmers={farmers} />
+              <FarmerForm onSave={saveProduct} farmers={isAdmin ? farmers : undefined} defaultFarmerId={actingFarmerId} />
             </div>
             <div className="rounded-3xl border border-blue-100 p-4">
               <h3 className="font-semibold text-blue-900">Your Products</h3>
-              <div className="mt-3 grid sm:grid-cols-2 gap-4">
-                {products.filter((p) => p.farmerId === farmers[0].id).map((p) => (
-                  <div key={p.id} className="border border-blue-100 rounded-2xl p-3">
-                    <div className="flex gap-3">
-                      <img src={p.image} alt={p.name} className="h-16 w-16 rounded-xl object-cover" />
-                      <div className="flex-1">
-                        <div className="font-medium line-clamp-1">{p.name}</div>
-                        <div className="text-sm text-blue-900/70">{toCurrency(p.priceINR, currency)} · Stock {p.stock} · MOQ {p.moq}</div>
-                      </div>
-                    </div>
-                  </div>
-                ))}
-              </div>
+              <FarmerListings products={farmProducts} onSave={saveProduct} onSetStatus={setListingStatus} onDelete={deleteProduct} />
+            </div>
+            <div className="rounded-3xl border border-blue-100 p-4">
+              <h3 className="font-semibold text-blue-900">Catalog import / export</h3>
+              {can(currentUser, "catalogCsv") ? (
+                <CatalogCsvTools farmer={farmersById[actingFarmerId]} products={farmProducts} allProducts={products} onImport={importCatalog} />
+              ) : (
+                <UpgradePrompt feature="catalogCsv" />
+              )}
             </div>
           </div>
           <div className="space-y-3">
-            <div className="rounded-3xl border border-blue-100 p-4"><h3 className="font-semibold text-blue-900">Sales Summary</h3><div className="text-sm text-blue-900/70">(Demo) Connect to real orders to populate.</div></div>
-            <div className="rounded-3xl border border-blue-100 p-4"><h3 className="font-semibold text-blue-900">Payouts</h3><p className="text-sm text-blue-900/70">(Demo) Link bank/UPI for withdrawals. Use Razorpay/Stripe in prod.</p></div>
+            <div className="rounded-3xl border border-blue-100 p-4"><h3 className="font-semibold text-blue-900">Payouts</h3><FarmerWallet ledger={ledger} farmerId={actingFarmerId} onPayout={payoutFarmer} /></div>
+            {!isAdmin && <div className="rounded-3xl border border-blue-100 p-4"><h3 className="font-semibold text-blue-900">Plan</h3><PlanSummary user={currentUser} /></div>}
           </div>
         </div>
-      )}
-    </section>
-  );
+  ));
+
+  const hiddenReviews = reviews.filter((r) => r.hidden);
+  const AdminConsole = dashboard("dashboard.admin", (
+        <div className="mt-6 grid lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 space-y-6">
+            <div className="rounded-3xl border border-blue-100 p-4">
+              <h3 className="font-semibold text-blue-900">Exchange rates</h3>
+              <ExchangeRatesEditor rates={rates} onSave={saveRates} />
+            </div>
+            <div className="rounded-3xl border border-blue-100 p-4 space-y-3">
+              <h3 className="font-semibold text-blue-900">Farmer verification ({kycQueue(farmers).length} waiting)</h3>
+              <KycQueue farmers={farmers} onReview={reviewFarmKyc} />
+            </div>
+            <div className="rounded-3xl border border-blue-100 p-4 space-y-3">
+              <h3 className="font-semibold text-blue-900">Listing moderation ({listingQueue(products).length} waiting)</h3>
+              <ListingQueue products={products} farmersById={farmersById} onReview={reviewListingById} />
+            </div>
+            <div className="rounded-3xl border border-blue-100 p-4 space-y-3">
+              <h3 className="font-semibold text-blue-900">Support inbox ({tickets.filter((t) => t.status === "open").length} open)</h3>
+              <SupportInbox tickets={tickets} {...supportActions} />
+            </div>
+            <div className="rounded-3xl border border-blue-100 p-4 space-y-3">
+              <h3 className="font-semibold text-blue-900">Reported reviews</h3>
+              <ReviewList reviews={moderationQueue(reviews)} showProduct empty="Nothing reported." onModerate={moderateReviewById} />
+            </div>
+            {hiddenReviews.length > 0 && (
+              <div className="rounded-3xl border border-blue-100 p-4 space-y-3">
+                <h3 className="font-semibold text-blue-900">Hidden reviews</h3>
+                <ReviewList reviews={hiddenReviews} showProduct onModerate={moderateReviewById} />
+              </div>
+            )}
+          </div>
+        </div>
+  ));
 
   return (
+    <SessionContext.Provider value={session}>
+    <I18nContext.Provider value={i18n}>
+    <MoneyContext.Provider value={moneyContext}>
+    <VoiceContext.Provider value={voice}>
     <div className="min-h-screen bg-white text-blue-900">
-      <Header onOpenCart={() => setCartOpen(true)} cartCount={cart.length} page={page} setPage={setPage} currency={currency} setCurrency={setCurrency} />
+      <ScrollToTop />
+      <Header onOpenCart={() => setCartOpen(true)} cartCount={cart.length} />
+      {saveError && (
+        <div role="alert" className="print:hidden border-b border-pink-200 bg-pink-50 px-4 py-2 text-sm text-pink-800 flex flex-wrap items-center justify-center gap-3">
+          <span>{i18n.t(/quota/i.test(saveError.name) ? "save.storageFull" : "save.failed")}</span>
+          <button onClick={() => setSaveError(null)} className="underline">{i18n.t("save.dismiss")}</button>
+        </div>
+      )}
       <main>
-        {page === "Home" && HomePage}
-        {page === "Shop" && ShopPage}
-        {page === "Services" && <ServicesPage />}
-        {page === "Pricing" && <PricingPage currency={currency} />}
-        {page === "About" && <AboutPage />}
-        {page === "Contact" && <ContactPage />}
-        {page === "Home" && <div className="mx-auto max-w-7xl px-4 sm:px-6">{Dashboards}</div>}
+        <Routes>
+          <Route path="/" element={HomePage} />
+          <Route path="/shop" element={ShopPage} />
+          <Route path="/services" element={<ServicesPage />} />
+          <Route path="/pricing" element={<PricingPage />} />
+          <Route path="/about" element={<AboutPage />} />
+          <Route path="/contact" element={<ContactPage orders={orders} tickets={tickets} onSubmit={submitTicket} onReply={replyToTicket} />} />
+          <Route path="/products/:id" element={<ProductDetailPage productsById={productsById} farmersById={farmersById} reviews={reviews} reservations={reservations} onAdd={addToCart} onBulk={openRfq} onAddImages={addProductImages} onRemoveImage={removeProductImage} onReport={reportReviewById} onModerate={moderateReviewById} onStanding={createStanding} lotActions={lotActions} procurementActions={procurementActions} />} />
+          <Route path="/farmers/:id" element={<FarmerProfilePage farmersById={farmersById} products={ratedProducts} reviews={reviews} reservations={reservations} onAdd={addToCart} onBulk={openRfq} onReport={reportReviewById} onModerate={moderateReviewById} onFavourite={toggleFavouriteOf} />} />
+          <Route path="/login" element={<LoginPage />} />
+          <Route path="/signup" element={<SignupPage />} />
+          <Route path="/account" element={<RequireRole><AccountPage farmersById={farmersById} tickets={tickets.filter((t) => t.userId === currentUser?.id)} onReply={replyToTicket} /></RequireRole>} />
+          <Route path="/documents/invoices/:id" element={<RequireRole><InvoicePage invoices={invoices} orders={orders} /></RequireRole>} />
+          <Route path="/documents/quotations/:id" element={<RequireRole><QuotationPage rfqs={rfqs} farmersById={farmersById} productsById={productsById} users={users} /></RequireRole>} />
+          <Route path="/dashboard" element={<RequireRole><Navigate to={homeDashboard(currentUser)} replace /></RequireRole>} />
+          <Route path="/dashboard/buyer" element={<RequireRole>{BuyerDashboard}</RequireRole>} />
+          <Route path="/dashboard/farmer" element={<RequireRole roles={["farmer", "admin"]}>{FarmerDashboard}</RequireRole>} />
+          <Route path="/dashboard/admin" element={<RequireRole roles={["admin"]}>{AdminConsole}</RequireRole>} />
+          <Route path="*" element={<NotFoundPage />} />
+        </Routes>
       </main>
 
-      <footer className="border-t border-blue-100 mt-10">
+      <footer className="print:hidden border-t border-blue-100 mt-10">
         <div className="mx-auto max-w-7xl px-4 sm:px-6 py-8 text-sm text-blue-900/70 flex flex-col md:flex-row gap-3 md:items-center md:justify-between">
-          <div>© {new Date().getFullYear()} Farmers Market</div>
+          <div>© {new Date().getFullYear()} {i18n.t("brand.name")}</div>
           <div className="flex gap-4">
-            <button onClick={()=>setPage("About")} className="hover:text-pink-700">About</button>
-            <button onClick={()=>setPage("Pricing")} className="hover:text-pink-700">Pricing</button>
-            <button onClick={()=>setPage("Contact")} className="hover:text-pink-700">Contact</button>
+            <Link to="/about" className="hover:text-pink-700">{i18n.t("nav.about")}</Link>
+            <Link to="/pricing" className="hover:text-pink-700">{i18n.t("nav.pricing")}</Link>
+            <Link to="/contact" className="hover:text-pink-700">{i18n.t("nav.contact")}</Link>
+            <button onClick={resetDemoData} className="hover:text-pink-700">{i18n.t("footer.resetDemo")}</button>
           </div>
         </div>
       </footer>
 
-      <CartDrawer open={cartOpen} items={cart} onClose={() => setCartOpen(false)} onQty={setQty} onRemove={removeItem} onCheckout={checkout} currency={currency} />
-      <RFQModal open={!!rfqProduct} product={rfqProduct} onClose={()=>setRfqProduct(null)} onSubmit={submitRFQ} />
+      <CartDrawer open={cartOpen} items={cartLines} onClose={closeCart} onQty={setQty} onLot={setLot} onRemove={removeItem} onCheckout={startCheckout} onPlaceOrder={placeOrder} onCancelCheckout={cancelCheckout} onSaveList={currentUser ? saveCartAsList : undefined} hold={checkoutHold} issues={cartIssues} availableById={availableById} addresses={currentUser?.addresses || []} farmersById={farmersById} onSaveAddress={(a) => saveAddresses(saveAddress(currentUser.addresses || [], a))} />
+      <RFQModal open={!!rfqProduct} product={rfqProduct} addresses={currentUser?.addresses || []} usage={rfqUsage(currentUser, rfqs)} onClose={()=>setRfqProduct(null)} onSubmit={submitRFQ} />
+      <div className="print:hidden"><AssistantWidget provider={assistant} context={assistantContext} /></div>
     </div>
+    </VoiceContext.Provider>
+    </MoneyContext.Provider>
+    </I18nContext.Provider>
+    </SessionContext.Provider>
   );
 }
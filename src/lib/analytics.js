@@ -0,0 +1,211 @@
+import { toCsv } from "./csv.js";
+import { stockState } from "./inventory.js";
+import { findSplit, itemsForFarmer } from "./orders.js";
+import { addDays, dayKey } from "./recurring.js";
+import { RFQ_STATUS } from "./rfq.js";
+
+// ----------------------------- Farm analytics -----------------------------
+// Sales figures for one farm over a date range ({ from, to } as yyyy-mm-dd, inclusive, UTC), worked
+// out from its order splits; cancelled splits are left out. Everything starts from sales lines:
+//   { date, orderId, source, buyerId, buyerName, productId, name, category, qty, listPriceINR, unitPriceINR, revenueINR }
+// "List" is the listing's price when the order was placed, so list − realized is what bulk tiers
+// (or an RFQ negotiation) took off the price. Labels are locale keys (`labelKey`) for the UI to translate.
+
+export const RANGE_PRESETS = Object.freeze([
+  { key: "7", labelKey: "analytics.range.7", days: 7 },
+  { key: "30", labelKey: "analytics.range.30", days: 30 },
+  { key: "90", labelKey: "analytics.range.90", days: 90 },
+  { key: "365", labelKey: "analytics.range.365", days: 365 },
+]);
+
+export const METRICS = Object.freeze([
+  { key: "revenueINR", labelKey: "analytics.metric.revenueINR" },
+  { key: "units", labelKey: "analytics.metric.units" },
+  { key: "orders", labelKey: "analytics.metric.orders" },
+]);
+
+// a product selling less than this many days of cover is flagged before it runs out
+export const COVER_WARNING_DAYS = 7;
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+export function presetRange(days, now = new Date()) {
+  const to = dayKey(now);
+  return { from: addDays(to, 1 - days), to };
+}
+
+export function rangeDays({ from, to }) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000) + 1;
+}
+
+export function salesLines(orders, farmerId, { from, to }) {
+  const lines = [];
+  for (const o of orders) {
+    const split = findSplit(o, farmerId);
+    const date = o.date.slice(0, 10);
+    if (!split || split.status === "cancelled" || date < from || date > to) continue;
+    for (const i of itemsForFarmer(o, farmerId)) {
+      lines.push({
+        date,
+        orderId: o.id,
+        source: o.source || "cart",
+        buyerId: o.buyer?.id || null,
+        buyerName: o.buyer?.name || "—",
+        productId: i.productId,
+        name: i.name,
+        category: i.category || "Other",
+        qty: i.qty,
+        listPriceINR: i.listPriceINR,
+        unitPriceINR: i.unitPriceINR,
+        revenueINR: i.lineTotalINR,
+      });
+    }
+  }
+  return lines.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function totals(lines) {
+  return {
+    revenueINR: round2(lines.reduce((s, l) => s + l.revenueINR, 0)),
+    units: lines.reduce((s, l) => s + l.qty, 0),
+    orders: new Set(lines.map((l) => l.orderId)).size,
+  };
+}
+
+// ----------------------------- Time series -----------------------------
+// Days for ranges up to a month, weeks (starting Monday) up to six months, months beyond.
+export function bucketSize(range) {
+  const days = rangeDays(range);
+  return days <= 31 ? "day" : days <= 183 ? "week" : "month";
+}
+
+export function bucketOf(day, size) {
+  if (size === "month") return `${day.slice(0, 7)}-01`;
+  if (size === "week") return addDays(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+  return day;
+}
+
+export function buckets(range, size = bucketSize(range)) {
+  const keys = [];
+  for (let day = range.from; day <= range.to; day = addDays(day, 1)) {
+    const key = bucketOf(day, size);
+    if (keys[keys.length - 1] !== key) keys.push(key);
+  }
+  return keys;
+}
+
+// One series per product or category (or a single "All sales" one), each with revenue, units and
+// order counts per bucket: { size, buckets, series: [{ key, label, labelKey, revenueINR: [], units: [], orders: [] }] }.
+// Product series carry the product's name as `label`; category and total series a `labelKey`.
+export function timeSeries(lines, range, groupBy = "total") {
+  const size = bucketSize(range);
+  const keys = buckets(range, size);
+  const index = Object.fromEntries(keys.map((k, i) => [k, i]));
+  const groups = new Map();
+  for (const l of lines) {
+    const key = groupBy === "product" ? l.productId : groupBy === "category" ? l.category : "all";
+    if (!groups.has(key)) {
+      const label = groupBy === "product" ? l.name : null;
+      const labelKey = groupBy === "product" ? null : groupBy === "category" ? `category.${l.category}` : "analytics.allSales";
+      groups.set(key, { key, label, labelKey, revenueINR: keys.map(() => 0), units: keys.map(() => 0), orderSets: keys.map(() => new Set()) });
+    }
+    const g = groups.get(key);
+    const i = index[bucketOf(l.date, size)];
+    g.revenueINR[i] = round2(g.revenueINR[i] + l.revenueINR);
+    g.units[i] += l.qty;
+    g.orderSets[i].add(l.orderId);
+  }
+  const series = [...groups.values()]
+    .map(({ orderSets, ...g }) => ({ ...g, orders: orderSets.map((s) => s.size) }))
+    .sort((a, b) => b.revenueINR.reduce((s, x) => s + x, 0) - a.revenueINR.reduce((s, x) => s + x, 0));
+  return { size, buckets: keys, series };
+}
+
+// ----------------------------- Pricing -----------------------------
+// Per product: average realized vs. list price and what discounting cost, split between bulk tiers
+// (cart and standing orders) and negotiated RFQ prices.
+export function priceRealization(lines) {
+  const byProduct = new Map();
+  for (const l of lines) {
+    const p = byProduct.get(l.productId) || { productId: l.productId, name: l.name, units: 0, listRevenueINR: 0, revenueINR: 0, tierDiscountINR: 0, rfqDiscountINR: 0 };
+    const discount = (l.listPriceINR - l.unitPriceINR) * l.qty;
+    p.units += l.qty;
+    p.listRevenueINR += l.listPriceINR * l.qty;
+    p.revenueINR += l.revenueINR;
+    if (l.source === "rfq") p.rfqDiscountINR += discount;
+    else p.tierDiscountINR += discount;
+    byProduct.set(l.productId, p);
+  }
+  return [...byProduct.values()]
+    .map((p) => ({
+      ...p,
+      listRevenueINR: round2(p.listRevenueINR),
+      revenueINR: round2(p.revenueINR),
+      tierDiscountINR: round2(p.tierDiscountINR),
+      rfqDiscountINR: round2(p.rfqDiscountINR),
+      avgListINR: round2(p.listRevenueINR / p.units),
+      avgRealizedINR: round2(p.revenueINR / p.units),
+      discountPct: p.listRevenueINR ? Math.round((1 - p.revenueINR / p.listRevenueINR) * 1000) / 10 : 0,
+    }))
+    .sort((a, b) => b.revenueINR - a.revenueINR);
+}
+
+export function topBuyers(lines, limit = 5) {
+  const byBuyer = new Map();
+  for (const l of lines) {
+    const key = l.buyerId || l.buyerName;
+    const b = byBuyer.get(key) || { buyerId: l.buyerId, name: l.buyerName, revenueINR: 0, units: 0, orderIds: new Set() };
+    b.revenueINR += l.revenueINR;
+    b.units += l.qty;
+    b.orderIds.add(l.orderId);
+    byBuyer.set(key, b);
+  }
+  return [...byBuyer.values()]
+    .map(({ orderIds, ...b }) => ({ ...b, revenueINR: round2(b.revenueINR), orders: orderIds.size }))
+    .sort((a, b) => b.revenueINR - a.revenueINR)
+    .slice(0, limit);
+}
+
+// RFQs received in the range: how many were quoted, won (accepted) and lost (declined).
+// The win rate counts decided RFQs only, so open negotiations do not drag it down.
+export function rfqWinRate(rfqs, farmerId, { from, to }) {
+  const mine = rfqs.filter((r) => r.farmerId === farmerId && r.date.slice(0, 10) >= from && r.date.slice(0, 10) <= to);
+  const won = mine.filter((r) => r.status === RFQ_STATUS.ACCEPTED).length;
+  const lost = mine.filter((r) => r.status === RFQ_STATUS.DECLINED).length;
+  return {
+    received: mine.length,
+    quoted: mine.filter((r) => r.offers.some((o) => o.by === "farmer")).length,
+    won,
+    lost,
+    open: mine.length - won - lost,
+    winRate: won + lost ? Math.round((won / (won + lost)) * 1000) / 10 : null,
+  };
+}
+
+// Listings that are low or out (see stockState), or will be within COVER_WARNING_DAYS at the rate
+// they sold over `recentLines` (spanning `recentDays`), most urgent first.
+export function lowStockWarnings(products, farmerId, recentLines, recentDays, reservations = []) {
+  const sold = {};
+  for (const l of recentLines) sold[l.productId] = (sold[l.productId] || 0) + l.qty;
+  return products
+    .filter((p) => p.farmerId === farmerId)
+    .map((p) => {
+      const { state, available } = stockState(p, reservations);
+      const perDay = (sold[p.id] || 0) / recentDays;
+      const daysLeft = perDay > 0 ? Math.floor(available / perDay) : null;
+      return { productId: p.id, name: p.name, state, available, perDay: round2(perDay), daysLeft };
+    })
+    .filter((w) => w.state !== "ok" || (w.daysLeft !== null && w.daysLeft < COVER_WARNING_DAYS))
+    .sort((a, b) => a.available - b.available);
+}
+
+export const ANALYTICS_COLUMNS = Object.freeze(["date", "order", "source", "buyer", "product", "category", "qty", "listPriceINR", "unitPriceINR", "revenueINR", "discountINR"]);
+
+export function analyticsCsv(lines) {
+  return toCsv([
+    ANALYTICS_COLUMNS,
+    ...lines.map((l) => [l.date, l.orderId, l.source, l.buyerName, l.name, l.category, l.qty, l.listPriceINR, l.unitPriceINR, l.revenueINR, round2((l.listPriceINR - l.unitPriceINR) * l.qty)]),
+  ]);
+}
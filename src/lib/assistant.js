@@ -0,0 +1,149 @@
+import { minQty, sortedTiers } from "./pricing.js";
+
+// ----------------------------- Assistant -----------------------------
+// The floating assistant talks to a provider: `{ id, label, reply({ messages, context }) → Promise<string> }`.
+// `messages` are OpenAI-style chat turns that already include a system prompt describing the
+// marketplace (catalog, the user's cart and RFQs), so any OpenAI-compatible endpoint can answer;
+// the mock provider reads the structured `context` instead and works offline.
+
+export const ASSISTANT_GREETING = "Hi! I can help with products, bulk pricing, RFQs and your cart — or general farming questions. Ask in English, हिंदी or मराठी.";
+
+// Marathi and Hindi share Devanagari; a few very common Marathi words tell them apart well enough.
+const MARATHI_MARKERS = /(आहे|आहेत|काय|मला|तुम्ही|नाही|कसे|किती|मध्ये|आणि)/;
+
+export function detectLanguage(text) {
+  if (/[ऀ-ॿ]/.test(text)) return MARATHI_MARKERS.test(text) ? "mr" : "hi";
+  return "en";
+}
+
+// Snapshot of what the assistant may talk about. `format` turns INR into the user's currency.
+export function buildAssistantContext({ products, farmersById, cart = [], rfqs = [], user = null, currency = "INR", format }) {
+  return {
+    user: user ? { name: user.name, role: user.role } : null,
+    currency,
+    products: products.map((p) => ({
+      id: p.id,
+      name: p.name,
+      category: p.category,
+      priceINR: p.priceINR,
+      moq: minQty(p),
+      stock: p.stock,
+      tiers: sortedTiers(p),
+      farmer: farmersById[p.farmerId]?.name,
+      location: farmersById[p.farmerId]?.location,
+    })),
+    cart: cart.map((it) => ({ name: it.name, qty: it.qty })),
+    rfqs: rfqs.map((r) => ({ productName: r.productName, qty: r.qty, status: r.status })),
+    format: format || ((amountINR) => `₹${amountINR}`),
+  };
+}
+
+export function systemPrompt(context) {
+  const lines = [
+    "You are the Farmers Market assistant, an agriculture expert helping farmers and bulk buyers in India.",
+    "Answer briefly and practically. Reply in the same language as the user's last message (English, Hindi or Marathi).",
+    "Only quote prices, stock and MOQs from the catalog below; say so when something is not listed.",
+    `Show prices in ${context.currency}.`,
+    "",
+    "Catalog (price per unit; tiers are min qty → unit price):",
+    ...context.products.map((p) =>
+      `- ${p.name} [${p.category}] by ${p.farmer || "unknown farm"}${p.location ? `, ${p.location}` : ""}: ${context.format(p.priceINR)}, MOQ ${p.moq}, stock ${p.stock}` +
+      (p.tiers.length ? `, tiers ${p.tiers.map((t) => `${t.min}+ → ${context.format(t.priceINR)}`).join("; ")}` : "")),
+  ];
+  if (context.user) lines.push("", `User: ${context.user.name} (${context.user.role}).`);
+  if (context.cart.length) lines.push(`Cart: ${context.cart.map((c) => `${c.qty} × ${c.name}`).join(", ")}.`);
+  if (context.rfqs.length) lines.push(`RFQs: ${context.rfqs.map((r) => `${r.qty} × ${r.productName} (${r.status})`).join(", ")}.`);
+  return lines.join("\n");
+}
+
+// Chat history in OpenAI format, system prompt first.
+export function toChatMessages(history, context) {
+  return [{ role: "system", content: systemPrompt(context) }, ...history.map(({ role, content }) => ({ role, content }))];
+}
+
+// ----------------------------- Providers -----------------------------
+// Any endpoint that speaks the OpenAI chat-completions API: the bundled proxy (server/assistant-proxy.js,
+// which adds the API key server-side), or a local model server. Never put an API key in the browser.
+export function createOpenAICompatibleProvider({ endpoint, model = "gpt-4o-mini", fetchImpl = (...args) => fetch(...args) }) {
+  return {
+    id: "openai",
+    label: model,
+    async reply({ messages }) {
+      let res;
+      try {
+        res = await fetchImpl(endpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ model, messages, temperature: 0.3 }),
+        });
+      } catch {
+        throw new Error("The assistant is unreachable. Check your connection and try again.");
+      }
+      if (!res.ok) throw new Error(`The assistant failed to answer (HTTP ${res.status}).`);
+      const data = await res.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (!content) throw new Error("The assistant returned an empty answer.");
+      return content.trim();
+    },
+  };
+}
+
+const FARMING_TIPS = [
+  [/pest|insect|कीट|कीड/, "For pests, scout fields weekly, use sticky traps and neem-based sprays first, and only move to chemical control at the economic threshold — follow the label's dose and pre-harvest interval."],
+  [/soil|fertili[sz]|manure|मिट्टी|खत|माती/, "Get a soil test (Soil Health Card) before fertilising; balance N-P-K to the crop, and add compost or farmyard manure to keep organic matter up."],
+  [/irrigat|water|drip|पानी|पाणी|सिंचाई/, "Drip irrigation saves 30–50% water over flooding; water early morning or evening and mulch to cut evaporation."],
+  [/weather|rain|monsoon|बारिश|पाऊस/, "Check the IMD district forecast before spraying or harvesting; avoid spraying when rain is expected within 24 hours."],
+  [/store|storage|shelf|cold|भंडारण|साठवण/, "Pre-cool produce soon after harvest and keep it shaded; cold storage or ventilated crates greatly extend shelf life for fruit and vegetables."],
+];
+
+function findProducts(text, products) {
+  const words = text.toLowerCase().split(/[^a-zऀ-ॿ]+/).filter((w) => w.length > 3);
+  return products.filter((p) => {
+    const name = `${p.name} ${p.category}`.toLowerCase();
+    return words.some((w) => name.includes(w) || name.includes(w.replace(/e?s$/, "")));
+  });
+}
+
+function describeProduct(p, format) {
+  const tiers = p.tiers.length ? ` Bulk: ${p.tiers.map((t) => `${t.min}+ at ${format(t.priceINR)}`).join(", ")}.` : "";
+  return `${p.name} from ${p.farmer || "our farmers"}${p.location ? ` (${p.location})` : ""}: ${format(p.priceINR)} per unit, MOQ ${p.moq}, ${p.stock} in stock.${tiers}`;
+}
+
+// Deterministic, offline answers from the marketplace context — for development, demos and tests.
+export function createMockProvider() {
+  return {
+    id: "mock",
+    label: "Offline demo",
+    async reply({ messages, context }) {
+      const last = [...messages].reverse().find((m) => m.role === "user")?.content || "";
+      const text = last.toLowerCase();
+      const parts = [];
+      const matches = findProducts(text, context.products);
+      if (/cart|basket|कार्ट/.test(text)) {
+        parts.push(context.cart.length ? `Your cart has ${context.cart.map((c) => `${c.qty} × ${c.name}`).join(", ")}.` : "Your cart is empty — add products from the Shop.");
+      }
+      if (/rfq|quote|bulk|negotiat/.test(text)) {
+        parts.push(context.rfqs.length
+          ? `You have ${context.rfqs.length} RFQ(s): ${context.rfqs.map((r) => `${r.qty} × ${r.productName} (${r.status})`).join(", ")}.`
+          : "For large orders press “Bulk” on a product to send an RFQ; the farmer replies with a quote you can accept or counter.");
+      }
+      if (/moq|minimum/.test(text)) parts.push("MOQ is the minimum order quantity per product; the cart will not let you order less.");
+      parts.push(...matches.slice(0, 3).map((p) => describeProduct(p, context.format)));
+      for (const [pattern, tip] of FARMING_TIPS) if (pattern.test(text)) parts.push(tip);
+      if (!parts.length) {
+        parts.push(`I can look up prices, MOQs and bulk tiers for ${context.products.length} listed products, explain RFQs, or share farming tips. Try “price of tomatoes” or “how do I request a bulk quote?”`);
+      }
+      if (detectLanguage(last) !== "en") parts.push("(Offline demo answers are in English; connect an AI provider for replies in Hindi or Marathi.)");
+      return parts.join("\n\n");
+    },
+  };
+}
+
+// Pick a provider from Vite env: VITE_ASSISTANT_ENDPOINT enables the OpenAI-compatible provider,
+// otherwise the assistant runs on the offline mock.
+export function createAssistantProvider(env = {}) {
+  if (env.VITE_ASSISTANT_ENDPOINT) {
+    return createOpenAICompatibleProvider({ endpoint: env.VITE_ASSISTANT_ENDPOINT, model: env.VITE_ASSISTANT_MODEL || undefined });
+  }
+  return createMockProvider();
+}
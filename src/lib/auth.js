@@ -0,0 +1,78 @@
+// ----------------------------- Accounts -----------------------------
+// Local accounts for the demo: users live in the repository next to the marketplace data and the
+// session is just the signed-in user id. Passwords are salted SHA-256 hashes so they are not kept
+// in plain text, but this is not real authentication — move it server-side with the data.
+// Roles: "buyer" (shops, RFQs), "farmer" (linked to a farmer profile via farmerId), "admin".
+
+export const ROLES = Object.freeze(["buyer", "farmer", "admin"]);
+export const MIN_PASSWORD_LENGTH = 6;
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function hashPassword(password, salt) {
+  const data = new TextEncoder().encode(`${salt}:${password}`);
+  return toHex(await crypto.subtle.digest("SHA-256", data));
+}
+
+export function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+export function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Build a new user record. `farmerId` links farmer accounts to their public farmer profile.
+export async function createAccount({ name, email, password, role = "buyer", farmerId, id }, users) {
+  const cleanEmail = normalizeEmail(email);
+  if (!String(name || "").trim()) throw new Error("Please enter your name.");
+  if (!isValidEmail(cleanEmail)) throw new Error("Please enter a valid email address.");
+  if (String(password || "").length < MIN_PASSWORD_LENGTH) throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+  if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}".`);
+  if (role === "farmer" && !farmerId) throw new Error("Farmer accounts need a farm profile.");
+  if (users.some((u) => u.email === cleanEmail)) throw new Error("An account with this email already exists.");
+  const salt = newId();
+  return {
+    id: id || newId(),
+    name: String(name).trim(),
+    email: cleanEmail,
+    role,
+    farmerId: role === "farmer" ? farmerId : undefined,
+    salt,
+    passwordHash: await hashPassword(password, salt),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export async function authenticate(users, email, password) {
+  const user = users.find((u) => u.email === normalizeEmail(email));
+  // same message either way so the form does not reveal which emails exist
+  if (!user || (await hashPassword(password, user.salt)) !== user.passwordHash) {
+    throw new Error("Email or password is incorrect.");
+  }
+  return user;
+}
+
+// What the UI gets to see of a user.
+export function publicUser(user) {
+  if (!user) return null;
+  const { salt, passwordHash, ...rest } = user;
+  return rest;
+}
+
+export function hasRole(user, ...roles) {
+  return !!user && roles.includes(user.role);
+}
+
+// Seed accounts created on first run so every role can be tried out.
+export async function createDemoAccounts(accounts) {
+  const users = [];
+  for (const account of accounts) users.push(await createAccount(account, users));
+  return users;
+}
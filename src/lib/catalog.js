@@ -0,0 +1,187 @@
+import { parseCsv, toCsv } from "./csv.js";
+
+// ----------------------------- Farmer catalog -----------------------------
+// Validation, moderation and CSV import/export for a farmer's listings. A listing is "active" (shown
+// in the shop) or "paused" (kept, but hidden from buyers). Bulk tiers must read as a price ladder:
+// strictly ascending `min`, prices never rising and never above list, first breakpoint ≥ MOQ.
+// New listings, and edits to what buyers see of one (name, category, photos), wait for an admin's
+// approval before they are in the shop: product.moderation = { status, submittedAt, reviewedAt, reason }.
+
+export const PRODUCT_CATEGORIES = Object.freeze(["Fruits", "Vegetables", "Dairy", "Grains"]);
+export const LISTING_STATUSES = Object.freeze(["active", "paused"]);
+export const DEFAULT_PRODUCT_IMAGE = "https://images.unsplash.com/photo-1542838132-92c53300491e?q=80&w=1200&auto=format&fit=crop";
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+function isWhole(n) {
+  return Number.isInteger(n) && n >= 0;
+}
+
+// Returns a list of human-readable problems (empty when the ladder is valid).
+export function validateTiers(tiers, { moq, priceINR }) {
+  const errors = [];
+  tiers.forEach((t, i) => {
+    const label = `Tier ${i + 1}`;
+    if (!isWhole(t.min) || t.min < 1) errors.push(`${label}: minimum quantity must be a whole number of at least 1.`);
+    if (!(t.priceINR > 0)) errors.push(`${label}: price must be greater than zero.`);
+    if (i === 0 && t.min < moq) errors.push(`${label}: starts at ${t.min}, below the MOQ of ${moq}.`);
+    if (i === 0 && t.priceINR > priceINR) errors.push(`${label}: price is above the list price.`);
+    const prev = tiers[i - 1];
+    if (prev && t.min <= prev.min) errors.push(`${label}: minimum must be greater than tier ${i}'s (${prev.min}).`);
+    if (prev && t.priceINR > prev.priceINR) errors.push(`${label}: price must not be higher than tier ${i}'s.`);
+  });
+  return errors;
+}
+
+// Coerce form/CSV input into a product and collect problems keyed by field ("tiers" is a list).
+export function validateProduct(draft) {
+  const product = {
+    ...draft,
+    name: String(draft.name || "").trim(),
+    category: draft.category,
+    priceINR: Number(draft.priceINR),
+    stock: Number(draft.stock),
+    moq: Number(draft.moq),
+    image: String(draft.image || "").trim() || DEFAULT_PRODUCT_IMAGE,
+    status: draft.status || "active",
+    bulkTiers: (draft.bulkTiers || []).map((t) => ({ min: Number(t.min), priceINR: Number(t.priceINR) })),
+  };
+  const errors = {};
+  if (!product.name) errors.name = "Name is required.";
+  if (!PRODUCT_CATEGORIES.includes(product.category)) errors.category = `Category must be one of ${PRODUCT_CATEGORIES.join(", ")}.`;
+  if (!/^(https:\/\/|data:image\/)/.test(product.image)) errors.image = "The image must be an https:// link or an uploaded photo.";
+  if (!(product.priceINR > 0)) errors.priceINR = "Price must be greater than zero.";
+  if (!isWhole(product.stock)) errors.stock = "Stock must be a whole number.";
+  if (!isWhole(product.moq) || product.moq < 1) errors.moq = "MOQ must be a whole number of at least 1.";
+  if (!LISTING_STATUSES.includes(product.status)) errors.status = `Status must be ${LISTING_STATUSES.join(" or ")}.`;
+  if (!errors.moq && !errors.priceINR) {
+    const tierErrors = validateTiers(product.bulkTiers, product);
+    if (tierErrors.length) errors.tiers = tierErrors;
+  }
+  return { product, errors, valid: Object.keys(errors).length === 0 };
+}
+
+export function errorMessages(errors) {
+  return Object.values(errors).flat();
+}
+
+export function isListed(product) {
+  return (product.status || "active") === "active";
+}
+
+// ----------------------------- Moderation -----------------------------
+export const MODERATION_LABEL_KEY = {
+  pending: "moderation.pending",
+  approved: "moderation.approved",
+  rejected: "moderation.rejected",
+};
+
+// Listings from before moderation existed count as approved.
+export function moderationStatus(product) {
+  return product.moderation?.status || "approved";
+}
+
+// In the shop: active and approved.
+export function isLive(product) {
+  return isListed(product) && moderationStatus(product) === "approved";
+}
+
+function reviewedFields(product) {
+  return JSON.stringify([product.name, product.category, product.image, (product.gallery || []).map((img) => img.id)]);
+}
+
+// Stamp a saved listing: admins' saves are approved as they are; a farmer's new listing or change
+// to what buyers see goes (back) to review, anything else keeps its current state.
+export function withModeration(before, after, { byAdmin = false } = {}) {
+  const now = new Date().toISOString();
+  if (byAdmin) return { ...after, moderation: { status: "approved", submittedAt: after.moderation?.submittedAt || now, reviewedAt: now, reason: "" } };
+  if (before && reviewedFields(before) === reviewedFields(after)) return { ...after, moderation: before.moderation };
+  return { ...after, moderation: { status: "pending", submittedAt: now, reviewedAt: null, reason: "" } };
+}
+
+export function reviewListing(product, approve, reason = "") {
+  if (moderationStatus(product) !== "pending") throw new Error("This listing is not waiting for review.");
+  if (!approve && !reason.trim()) throw new Error("Give the farmer a reason for the rejection.");
+  return { ...product, moderation: { ...product.moderation, status: approve ? "approved" : "rejected", reviewedAt: new Date().toISOString(), reason: approve ? "" : reason.trim() } };
+}
+
+// Listings waiting for an admin, oldest first.
+export function listingQueue(products) {
+  return products.filter((p) => moderationStatus(p) === "pending").sort((a, b) => a.moderation.submittedAt.localeCompare(b.moderation.submittedAt));
+}
+
+// ----------------------------- CSV -----------------------------
+// One row per product; tiers are packed as "min:price|min:price" so the sheet stays flat.
+export const CATALOG_COLUMNS = Object.freeze(["id", "name", "category", "priceINR", "stock", "moq", "tiers", "status", "image"]);
+
+export function formatTiers(tiers) {
+  return (tiers || []).map((t) => `${t.min}:${t.priceINR}`).join("|");
+}
+
+export function parseTiers(text) {
+  const raw = String(text || "").trim();
+  if (!raw) return [];
+  return raw.split("|").map((part) => {
+    const [min, price] = part.split(":").map((x) => x.trim());
+    return { min: Number(min), priceINR: Number(price) };
+  });
+}
+
+export function exportCatalogCsv(products) {
+  return toCsv([
+    CATALOG_COLUMNS,
+    ...products.map((p) => [p.id, p.name, p.category, p.priceINR, p.stock, p.moq, formatTiers(p.bulkTiers), p.status || "active", p.image]),
+  ]);
+}
+
+// Parse a catalog sheet for one farmer. Rows whose id matches one of the farmer's products update
+// it; rows without an id (or with an unknown one) create new listings. Invalid rows are reported
+// by line number and skipped, so one bad row never blocks a large seasonal import.
+export function importCatalogCsv(text, { farmerId, products }) {
+  const rows = parseCsv(text);
+  const header = (rows.shift() || []).map((h) => h.trim());
+  const missing = ["name", "category", "priceINR", "stock", "moq"].filter((c) => !header.includes(c));
+  if (missing.length) return { created: [], updated: [], errors: [{ line: 1, messages: [`Missing column(s): ${missing.join(", ")}.`] }] };
+
+  const byId = Object.fromEntries(products.map((p) => [p.id, p]));
+  const created = [];
+  const updated = [];
+  const errors = [];
+  const seen = new Set();
+  rows.forEach((cells, i) => {
+    const line = i + 2;
+    if (cells.every((c) => !c.trim())) return;
+    const row = Object.fromEntries(header.map((h, j) => [h, (cells[j] ?? "").trim()]));
+    const existing = row.id ? byId[row.id] : null;
+    if (existing && existing.farmerId !== farmerId) {
+      errors.push({ line, messages: [`Product ${row.id} belongs to another farmer.`] });
+      return;
+    }
+    if (row.id && seen.has(row.id)) {
+      errors.push({ line, messages: [`Product ${row.id} appears more than once.`] });
+      return;
+    }
+    const { tiers: tiersText, ...fields } = row;
+    const tiers = tiersText !== undefined ? parseTiers(tiersText) : existing?.bulkTiers || [];
+    const { product, errors: problems, valid } = validateProduct({
+      ...existing,
+      ...fields,
+      image: row.image || existing?.image,
+      status: row.status || existing?.status || "active",
+      bulkTiers: tiers,
+    });
+    if (!valid) {
+      errors.push({ line, messages: errorMessages(problems) });
+      return;
+    }
+    if (existing) {
+      seen.add(existing.id);
+      updated.push({ ...product, id: existing.id, farmerId });
+    } else {
+      created.push({ ...product, id: newId(), farmerId });
+    }
+  });
+  return { created, updated, errors };
+}
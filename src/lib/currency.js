@@ -0,0 +1,92 @@
+// ----------------------------- Currency -----------------------------
+// Prices are stored in INR. A rate table says how many rupees one unit of each currency costs
+// (`inrPerUnit.USD = 83` means $1 = ₹83); conversion divides by that and rounds to the
+// currency's minor unit (half away from zero), so totals never show sub-paisa/sub-cent noise.
+
+export const BASE_CURRENCY = "INR";
+
+// decimals = minor units per ISO 4217; locale is the default display locale for the currency
+export const CURRENCY_META = Object.freeze({
+  INR: { name: "Indian rupee", decimals: 2, locale: "en-IN" },
+  USD: { name: "US dollar", decimals: 2, locale: "en-US" },
+  EUR: { name: "Euro", decimals: 2, locale: "en-IE" },
+  GBP: { name: "British pound", decimals: 2, locale: "en-GB" },
+  AED: { name: "UAE dirham", decimals: 2, locale: "en-AE" },
+  SGD: { name: "Singapore dollar", decimals: 2, locale: "en-SG" },
+  JPY: { name: "Japanese yen", decimals: 0, locale: "ja-JP" },
+  BHD: { name: "Bahraini dinar", decimals: 3, locale: "en-BH" },
+});
+
+export const CURRENCIES = Object.freeze(Object.keys(CURRENCY_META));
+
+// demo rates; replace with a live feed (or import a table in the admin console)
+export const DEFAULT_RATE_TABLE = Object.freeze({
+  inrPerUnit: { INR: 1, USD: 83, EUR: 90, GBP: 105, AED: 22.6, SGD: 61.5, JPY: 0.56, BHD: 220 },
+  updatedAt: "2024-08-01T00:00:00.000Z",
+  source: "Built-in demo rates",
+});
+
+export function roundTo(amount, decimals) {
+  const factor = 10 ** decimals;
+  const scaled = Math.abs(amount) * factor;
+  // nudge by a relative epsilon so 1.005 → 1.01 despite binary floating point
+  return (Math.sign(amount) * Math.round(scaled * (1 + Number.EPSILON))) / factor;
+}
+
+export function convertFromINR(amountINR, currency, table = DEFAULT_RATE_TABLE) {
+  const rate = currency === BASE_CURRENCY ? 1 : table.inrPerUnit[currency];
+  if (!(rate > 0)) throw new Error(`No exchange rate for ${currency}.`);
+  return roundTo(amountINR / rate, CURRENCY_META[currency].decimals);
+}
+
+export function formatMoney(amountINR, currency, table = DEFAULT_RATE_TABLE, locale) {
+  const meta = CURRENCY_META[currency] || CURRENCY_META[BASE_CURRENCY];
+  const code = CURRENCY_META[currency] ? currency : BASE_CURRENCY;
+  return convertFromINR(amountINR, code, table).toLocaleString(locale || meta.locale, {
+    style: "currency",
+    currency: code,
+    minimumFractionDigits: meta.decimals,
+    maximumFractionDigits: meta.decimals,
+  });
+}
+
+// Check an edited or imported { CODE: inrPerUnit } map; returns a normalised table or errors.
+export function validateRates(rates, { source = "Manual edit", now = new Date() } = {}) {
+  const errors = [];
+  const inrPerUnit = { [BASE_CURRENCY]: 1 };
+  for (const [code, raw] of Object.entries(rates)) {
+    const key = String(code).trim().toUpperCase();
+    if (key === BASE_CURRENCY) continue;
+    const value = Number(raw);
+    if (!CURRENCY_META[key]) errors.push(`${key}: unsupported currency.`);
+    else if (!(value > 0) || !Number.isFinite(value)) errors.push(`${key}: rate must be a positive number.`);
+    else inrPerUnit[key] = value;
+  }
+  for (const code of CURRENCIES) {
+    if (!inrPerUnit[code] && !errors.some((e) => e.startsWith(`${code}:`))) errors.push(`${code}: rate is missing.`);
+  }
+  if (errors.length) return { errors };
+  return { table: { inrPerUnit, updatedAt: now.toISOString(), source }, errors: [] };
+}
+
+// Accepts JSON ({ "USD": 83.1, … } or an exported table { inrPerUnit: {…} }) or CSV lines "USD,83.1".
+export function parseRateFile(text, source) {
+  const trimmed = String(text).trim();
+  let rates;
+  if (trimmed.startsWith("{")) {
+    try {
+      const json = JSON.parse(trimmed);
+      rates = json.inrPerUnit || json;
+    } catch {
+      return { errors: ["The file is not valid JSON."] };
+    }
+  } else {
+    rates = {};
+    for (const line of trimmed.split(/\r?\n/)) {
+      const [code, value] = line.split(",").map((x) => x.trim());
+      if (!code || /^currency$/i.test(code)) continue;
+      rates[code] = value;
+    }
+  }
+  return validateRates(rates, { source });
+}
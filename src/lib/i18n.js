@@ -0,0 +1,66 @@
+import en from "./locales/en.js";
+import hi from "./locales/hi.js";
+import mr from "./locales/mr.js";
+
+// ----------------------------- i18n -----------------------------
+// Message catalogs are flat { "section.key": "text" } objects per language. Lookups fall back to
+// English, then to the key itself, so a missing translation shows up as readable English (or an
+// obvious key) instead of an empty string. `{name}` placeholders are filled from `vars`; when
+// `vars.count` is given, "<key>_one" / "<key>_other" are tried first (Intl plural rules).
+
+export const LANGUAGES = Object.freeze([
+  { code: "en", label: "English", locale: "en-IN" },
+  { code: "hi", label: "हिंदी", locale: "hi-IN" },
+  { code: "mr", label: "मराठी", locale: "mr-IN" },
+]);
+export const FALLBACK_LANGUAGE = "en";
+export const CATALOGS = Object.freeze({ en, hi, mr });
+
+export function localeFor(language) {
+  return (LANGUAGES.find((l) => l.code === language) || LANGUAGES[0]).locale;
+}
+
+function interpolate(text, vars, locale) {
+  return text.replace(/\{(\w+)\}/g, (m, name) => {
+    if (!(name in vars)) return m;
+    const value = vars[name];
+    return typeof value === "number" ? value.toLocaleString(locale) : String(value);
+  });
+}
+
+// `onMissing(key, language)` is called once per key a catalog lacks — handy for spotting gaps in dev.
+export function createTranslator(language, { catalogs = CATALOGS, onMissing } = {}) {
+  const locale = localeFor(language);
+  const primary = catalogs[language] || {};
+  const fallback = catalogs[FALLBACK_LANGUAGE] || {};
+  const plural = new Intl.PluralRules(locale);
+  const reported = new Set();
+  function candidates(key, vars) {
+    return typeof vars.count === "number" ? [`${key}_${plural.select(vars.count)}`, `${key}_other`, key] : [key];
+  }
+  return function t(key, vars = {}) {
+    const keys = candidates(key, vars);
+    let text = keys.map((k) => primary[k]).find((x) => x != null);
+    if (text == null) {
+      if (onMissing && !reported.has(key)) { reported.add(key); onMissing(key, language); }
+      text = keys.map((k) => fallback[k]).find((x) => x != null);
+    }
+    return text == null ? key : interpolate(text, vars, locale);
+  };
+}
+
+export function formatNumber(value, language, options) {
+  return Number(value).toLocaleString(localeFor(language), options);
+}
+
+export function formatDate(date, language, options = { dateStyle: "medium" }) {
+  return new Date(date).toLocaleString(localeFor(language), options);
+}
+
+export function formatDateTime(date, language) {
+  return formatDate(date, language, { dateStyle: "medium", timeStyle: "short" });
+}
+
+export function formatTime(date, language) {
+  return formatDate(date, language, { timeStyle: "short" });
+}
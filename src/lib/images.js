@@ -0,0 +1,75 @@
+// ----------------------------- Image uploads -----------------------------
+// Farmer photos are kept with the product as JPEG data URLs, so they persist through the same
+// storage as everything else. Uploads are validated, then downscaled in a canvas to a display
+// size and a thumbnail; browser storage is small, so the limits below are deliberately tight.
+
+export const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+export const MAX_GALLERY_IMAGES = 6;
+const FULL_EDGE = 1200;
+const THUMB_EDGE = 200;
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+export function validateImageFile(file) {
+  if (!file.type?.startsWith("image/")) return `${file.name} is not an image.`;
+  if (file.size > MAX_UPLOAD_BYTES) return `${file.name} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB.`;
+  return null;
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`${file.name} could not be read as an image.`)); };
+    img.src = url;
+  });
+}
+
+// Scale so the longest edge is at most `edge` (never upscale) and encode as JPEG.
+function resize(img, edge, quality) {
+  const scale = Math.min(1, edge / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", quality);
+}
+
+// A photo scaled down for storage, as a JPEG data URL; also used for verification documents.
+export async function downscaleImage(file, edge = FULL_EDGE, quality = 0.82) {
+  return resize(await loadImage(file), edge, quality);
+}
+
+export async function processImageFile(file) {
+  const problem = validateImageFile(file);
+  if (problem) throw new Error(problem);
+  const img = await loadImage(file);
+  return {
+    id: newId(),
+    name: file.name,
+    src: resize(img, FULL_EDGE, 0.82),
+    thumb: resize(img, THUMB_EDGE, 0.7),
+    date: new Date().toISOString(),
+  };
+}
+
+// Process a FileList, keeping within the gallery limit; returns the images plus per-file errors.
+export async function processImageFiles(files, existingCount = 0) {
+  const images = [];
+  const errors = [];
+  for (const file of Array.from(files)) {
+    if (existingCount + images.length >= MAX_GALLERY_IMAGES) {
+      errors.push(`Galleries hold up to ${MAX_GALLERY_IMAGES} photos; ${file.name} was skipped.`);
+      continue;
+    }
+    try {
+      images.push(await processImageFile(file));
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  return { images, errors };
+}
@@ -0,0 +1,97 @@
+import { isLive } from "./catalog.js";
+import { adjustLots, findLot, lotsOf, withLotStock } from "./lots.js";
+import { minQty } from "./pricing.js";
+
+// ----------------------------- Inventory -----------------------------
+// `product.stock` is on-hand units. A checkout places a short-lived reservation on the units it is
+// about to buy so they cannot be sold twice; placing the order turns the reservation into a stock
+// decrement, and cancelling an order puts the units back.
+// Reservations are { id, lines: [{ productId, lotId, qty }], expiresAt } (ISO timestamp). For a
+// product split into lots (lib/lots.js) a line holds units of one lot.
+
+export const RESERVATION_MINUTES = 10;
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+export function isReservationActive(r, now = new Date()) {
+  return new Date(r.expiresAt) > now;
+}
+
+export function reservedQty(productId, reservations, { except, lotId, now = new Date() } = {}) {
+  return reservations
+    .filter((r) => r.id !== except && isReservationActive(r, now))
+    .reduce((s, r) => s + r.lines.filter((l) => l.productId === productId && (!lotId || l.lotId === lotId)).reduce((q, l) => q + l.qty, 0), 0);
+}
+
+// Units a buyer can still take: on-hand stock minus everyone else's holds, for one lot when `lotId` is given.
+export function availableStock(product, reservations = [], opts = {}) {
+  const onHand = opts.lotId ? findLot(product, opts.lotId)?.stock : product?.stock;
+  return Math.max(0, (Number(onHand) || 0) - reservedQty(product?.id, reservations, opts));
+}
+
+// "out" when not even the MOQ can be bought, "low" when fewer than three MOQs remain.
+export function stockState(product, reservations = []) {
+  const available = availableStock(product, reservations);
+  if (available < minQty(product)) return { state: "out", available };
+  if (available < minQty(product) * 3) return { state: "low", available };
+  return { state: "ok", available };
+}
+
+// Flag cart lines that the current stock cannot cover; keyed by product id.
+export function validateCart(cart, productsById, reservations = [], opts) {
+  const issues = {};
+  for (const it of cart) {
+    const product = productsById[it.id];
+    // deleted, paused or unapproved listings can no longer be bought
+    if (!product || !isLive(product)) { issues[it.id] = { kind: "unavailable", available: 0 }; continue; }
+    if (it.lotId && !findLot(product, it.lotId)) { issues[it.id] = { kind: "unavailable", available: 0 }; continue; }
+    const available = availableStock(product, reservations, { ...opts, lotId: it.lotId });
+    if (available < it.qty) issues[it.id] = { kind: available < minQty(product) ? "out" : "exceeds", available };
+  }
+  return issues;
+}
+
+export function createReservation(cart, minutes = RESERVATION_MINUTES) {
+  return {
+    id: newId(),
+    lines: cart.map((it) => ({ productId: it.id, lotId: it.lotId || null, qty: it.qty })),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000).toISOString(),
+  };
+}
+
+export function releaseReservation(reservations, id) {
+  return reservations.filter((r) => r.id !== id);
+}
+
+export function pruneReservations(reservations, now = new Date()) {
+  return reservations.filter((r) => isReservationActive(r, now));
+}
+
+function adjustStock(products, items, sign) {
+  const byId = Object.fromEntries(products.map((p) => [p.id, p]));
+  for (const i of items) {
+    const p = byId[i.productId];
+    if (!p) continue;
+    if (!lotsOf(p).length) { byId[i.productId] = { ...p, stock: p.stock + sign * i.qty }; continue; }
+    if (sign < 0 && !findLot(p, i.lot?.id)) throw new Error(`Choose a lot of ${p.name} for this order.`);
+    byId[i.productId] = withLotStock({ ...p, lots: adjustLots(p.lots, sign * i.qty, i.lot?.id) });
+  }
+  return products.map((p) => byId[p.id]);
+}
+
+// Decrement stock for placed order items; refuses to take any product or lot below zero, and
+// refuses quantities that are not positive, so a sale can never add stock.
+export function deductStock(products, items) {
+  const bad = items.find((i) => !(i.qty > 0));
+  if (bad) throw new Error(`Invalid quantity ${bad.qty} for ${bad.name || bad.productId}.`);
+  const next = adjustStock(products, items, -1);
+  const short = next.find((p) => p.stock < 0 || lotsOf(p).some((l) => l.stock < 0));
+  if (short) throw new Error(`Not enough stock for ${short.name}.`);
+  return next;
+}
+
+export function restoreStock(products, items) {
+  return adjustStock(products, items, 1);
+}
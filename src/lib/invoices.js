@@ -0,0 +1,337 @@
+import { findSplit, itemsForFarmer } from "./orders.js";
+import { formatAddress } from "./logistics.js";
+import { PAGE_WIDTH, createPdfDocument } from "./pdf.js";
+import { transliterate } from "./search.js";
+
+// ----------------------------- Invoices -----------------------------
+// GST tax invoices for order splits and quotations for accepted RFQs. Every farmer is the seller
+// of their own split, so invoices are numbered per farmer and financial year (April–March), e.g.
+// "GVF/26-27/0001", with no gaps. An issued invoice snapshots seller, buyer and lines, so later
+// profile or catalog edits never change a document that was already sent.
+// Marketplace prices include GST; each line's taxable value is backed out of the price paid.
+// Supplies within the seller's state carry CGST and SGST (half each), other states IGST.
+// Invoice: { id, kind: "invoice", number, seq, financialYear, orderId, farmerId, buyerId, date,
+//            seller, buyer, placeOfSupply, interState, lines, totals, notes }
+
+export const GST_STATES = Object.freeze([
+  ["01", "Jammu and Kashmir"], ["02", "Himachal Pradesh"], ["03", "Punjab"], ["04", "Chandigarh"], ["05", "Uttarakhand"],
+  ["06", "Haryana"], ["07", "Delhi"], ["08", "Rajasthan"], ["09", "Uttar Pradesh"], ["10", "Bihar"], ["11", "Sikkim"],
+  ["12", "Arunachal Pradesh"], ["13", "Nagaland"], ["14", "Manipur"], ["15", "Mizoram"], ["16", "Tripura"], ["17", "Meghalaya"],
+  ["18", "Assam"], ["19", "West Bengal"], ["20", "Jharkhand"], ["21", "Odisha"], ["22", "Chhattisgarh"], ["23", "Madhya Pradesh"],
+  ["24", "Gujarat"], ["26", "Dadra and Nagar Haveli and Daman and Diu"], ["27", "Maharashtra"], ["29", "Karnataka"], ["30", "Goa"],
+  ["31", "Lakshadweep"], ["32", "Kerala"], ["33", "Tamil Nadu"], ["34", "Puducherry"], ["35", "Andaman and Nicobar Islands"],
+  ["36", "Telangana"], ["37", "Andhra Pradesh"], ["38", "Ladakh"],
+].map(([code, name]) => ({ code, name })));
+
+// towns farms commonly list as their location → state, for farms that have not set one
+const TOWN_STATES = {
+  nashik: "Maharashtra", pune: "Maharashtra", nagpur: "Maharashtra", mumbai: "Maharashtra", aurangabad: "Maharashtra",
+  kolhapur: "Maharashtra", solapur: "Maharashtra", amravati: "Maharashtra", ratnagiri: "Maharashtra",
+  ahmedabad: "Gujarat", surat: "Gujarat", indore: "Madhya Pradesh", bhopal: "Madhya Pradesh", jaipur: "Rajasthan",
+  lucknow: "Uttar Pradesh", bengaluru: "Karnataka", bangalore: "Karnataka", hyderabad: "Telangana", chennai: "Tamil Nadu",
+  kochi: "Kerala", kolkata: "West Bengal", panaji: "Goa", patna: "Bihar", bhubaneswar: "Odisha", guwahati: "Assam",
+};
+
+// HSN chapter headings by category; fresh produce is nil-rated, packaged and labelled cereals carry 5%.
+export const GST_CATEGORIES = Object.freeze({
+  Fruits: { hsn: "0804", ratePct: 0 },
+  Vegetables: { hsn: "0709", ratePct: 0 },
+  Dairy: { hsn: "0401", ratePct: 0 },
+  Grains: { hsn: "1006", ratePct: 5 },
+});
+// products whose heading differs from their category's
+const HSN_OVERRIDES = [{ match: /\beggs?\b/i, hsn: "0407", ratePct: 0 }];
+// road transport of agricultural produce (SAC 9965) is exempt
+const SHIPPING_SAC = { hsn: "996511", ratePct: 0 };
+
+const GSTIN = /^([0-9]{2})[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function normalize(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z]+/g, " ").trim();
+}
+
+// "Maharashtra", "maharashtra 411001" or a known town → { code, name }, else null.
+export function stateFor(text) {
+  const words = normalize(text);
+  if (!words) return null;
+  const byName = GST_STATES.find((s) => ` ${words} `.includes(` ${normalize(s.name)} `));
+  if (byName) return byName;
+  const town = words.split(" ").find((w) => TOWN_STATES[w]);
+  return town ? GST_STATES.find((s) => s.name === TOWN_STATES[town]) : null;
+}
+
+// "" stays "" (GSTIN is optional); anything else must be a well-formed GSTIN of a known state.
+export function validateGstin(value) {
+  const gstin = String(value || "").replace(/\s+/g, "").toUpperCase();
+  if (!gstin) return "";
+  const match = gstin.match(GSTIN);
+  if (!match || !GST_STATES.some((s) => s.code === match[1])) throw new Error("Enter a valid 15-character GSTIN, e.g. 27ABCDE1234F1Z5.");
+  return gstin;
+}
+
+export function gstFor(item) {
+  const override = HSN_OVERRIDES.find((o) => o.match.test(item.name));
+  if (override) return { hsn: override.hsn, ratePct: override.ratePct };
+  return GST_CATEGORIES[item.category] || { hsn: "", ratePct: 0 };
+}
+
+// Indian financial years run April–March: 2026-10-19 → "26-27".
+export function financialYear(date = new Date()) {
+  const d = new Date(date);
+  const start = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${String(start).slice(2)}-${String(start + 1).slice(2)}`;
+}
+
+// "Green Valley Farm" → "GVF"
+export function invoicePrefix(farmer) {
+  const initials = transliterate(farmer?.name || "").toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean).map((w) => w[0]).join("");
+  return initials.slice(0, 4) || "FM";
+}
+
+export function nextInvoiceNumber(invoices, farmer, date = new Date()) {
+  const fy = financialYear(date);
+  const seq = 1 + Math.max(0, ...invoices.filter((i) => i.farmerId === farmer.id && i.financialYear === fy).map((i) => i.seq));
+  return { seq, financialYear: fy, number: `${invoicePrefix(farmer)}/${fy}/${String(seq).padStart(4, "0")}` };
+}
+
+export function findInvoice(invoices, orderId, farmerId) {
+  return invoices.find((i) => i.orderId === orderId && i.farmerId === farmerId) || null;
+}
+
+function party({ name, address, state, gstin }) {
+  const st = stateFor(state) || stateFor(address);
+  return { name, address: address || "", state: st?.name || "", stateCode: st?.code || "", gstin: gstin || "" };
+}
+
+function sellerOf(farmer) {
+  return party({ name: farmer.name, address: farmer.location, state: farmer.state || farmer.location, gstin: farmer.gstin });
+}
+
+function taxLine(line, interState) {
+  const amountINR = round2(line.amountINR);
+  const taxableINR = round2(amountINR / (1 + line.ratePct / 100));
+  const taxINR = round2(amountINR - taxableINR);
+  const half = round2(taxINR / 2);
+  return {
+    ...line,
+    amountINR,
+    taxableINR,
+    cgstINR: interState ? 0 : half,
+    sgstINR: interState ? 0 : round2(taxINR - half),
+    igstINR: interState ? taxINR : 0,
+  };
+}
+
+function totalsOf(lines) {
+  const sum = (key) => round2(lines.reduce((s, l) => s + l[key], 0));
+  return { taxableINR: sum("taxableINR"), cgstINR: sum("cgstINR"), sgstINR: sum("sgstINR"), igstINR: sum("igstINR"), totalINR: sum("amountINR") };
+}
+
+// Lines, tax split and totals for a seller/buyer pair. rawLines: [{ description, hsn, ratePct, qty, listPriceINR?, unitPriceINR, amountINR }]
+function taxDocument(seller, buyer, rawLines) {
+  const placeOfSupply = buyer.state ? { name: buyer.state, code: buyer.stateCode } : { name: seller.state, code: seller.stateCode };
+  const interState = !!(seller.stateCode && placeOfSupply.code && seller.stateCode !== placeOfSupply.code);
+  const lines = rawLines.map((l) => taxLine(l, interState));
+  return { seller, buyer, placeOfSupply, interState, lines, totals: totalsOf(lines) };
+}
+
+// Issue the invoice for one farmer's split. buyer is the buyer's user record (for their GSTIN);
+// productsById fills in categories for orders placed before items carried them.
+export function issueInvoice({ order, farmer, buyer, productsById = {} }, invoices, now = new Date()) {
+  const split = findSplit(order, farmer.id);
+  if (!split) throw new Error("This farmer has no items in the order.");
+  if (split.status === "cancelled") throw new Error("Cancelled orders are not invoiced.");
+  if (findInvoice(invoices, order.id, farmer.id)) throw new Error("This order already has an invoice.");
+  const shipTo = order.shipTo;
+  const buyerParty = party({
+    name: buyer?.name || order.buyer?.name || "Buyer",
+    address: shipTo ? formatAddress(shipTo) : order.location,
+    state: shipTo?.state,
+    gstin: buyer?.gstin,
+  });
+  const rawLines = itemsForFarmer(order, farmer.id).map((item) => ({
+    description: item.name,
+    ...gstFor({ name: item.name, category: item.category || productsById[item.productId]?.category }),
+    qty: item.qty,
+    listPriceINR: item.listPriceINR,
+    unitPriceINR: item.unitPriceINR,
+    amountINR: item.lineTotalINR,
+  }));
+  if (split.shippingINR > 0) {
+    rawLines.push({ description: "Freight and delivery", ...SHIPPING_SAC, qty: 1, unitPriceINR: split.shippingINR, amountINR: split.shippingINR });
+  }
+  return {
+    id: newId(),
+    kind: "invoice",
+    ...nextInvoiceNumber(invoices, farmer, now),
+    orderId: order.id,
+    farmerId: farmer.id,
+    buyerId: order.buyer?.id,
+    date: now.toISOString(),
+    ...taxDocument(sellerOf(farmer), buyerParty, rawLines),
+    notes: [`Order #${order.id.slice(0, 5)}${order.source === "rfq" ? " (from RFQ)" : ""}`, "Prices include GST."],
+  };
+}
+
+// Invoices for every live split of an order that does not have one yet, numbered in turn.
+export function issueInvoices(order, invoices, { farmersById, productsById, buyer }) {
+  const issued = [];
+  for (const split of order.splits) {
+    const farmer = farmersById[split.farmerId];
+    if (!farmer || split.status === "cancelled" || findInvoice(invoices, order.id, split.farmerId)) continue;
+    issued.push(issueInvoice({ order, farmer, buyer, productsById }, [...invoices, ...issued]));
+  }
+  return issued;
+}
+
+// Formal quotation for an accepted RFQ, built on demand from the accepted offer.
+export function quotationFor(rfq, { farmer, buyer, product }) {
+  const offer = rfq.acceptedOffer;
+  if (!offer) throw new Error("Quotations are available once an RFQ is accepted.");
+  const address = rfq.address ? formatAddress(rfq.address) : rfq.location;
+  const buyerParty = party({ name: buyer?.name || rfq.buyerName, address, state: rfq.address?.state, gstin: buyer?.gstin });
+  const doc = taxDocument(sellerOf(farmer), buyerParty, [{
+    description: rfq.productName,
+    ...gstFor({ name: rfq.productName, category: product?.category }),
+    qty: rfq.qty,
+    listPriceINR: product?.priceINR,
+    unitPriceINR: offer.unitPriceINR,
+    amountINR: offer.unitPriceINR * rfq.qty,
+  }]);
+  return {
+    kind: "quotation",
+    number: `QTN/${invoicePrefix(farmer)}/${rfq.id.slice(0, 6).toUpperCase()}`,
+    rfqId: rfq.id,
+    farmerId: rfq.farmerId,
+    buyerId: rfq.buyerId,
+    date: rfq.acceptedAt || offer.date,
+    ...doc,
+    notes: [
+      offer.validUntil && `Valid until ${offer.validUntil}.`,
+      offer.deliveryWindow && `Delivery: ${offer.deliveryWindow}${address ? ` to ${address}` : ""}.`,
+      "Prices include GST. Freight is charged at actuals.",
+      offer.note,
+    ].filter(Boolean),
+  };
+}
+
+// ---- Amount in words (Indian numbering: thousand, lakh, crore) ----
+const ONES = ["", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten", "Eleven", "Twelve",
+  "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen"];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+function belowHundred(n) {
+  return n < 20 ? ONES[n] : [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(" ");
+}
+
+function words(n) {
+  if (n === 0) return "Zero";
+  const parts = [];
+  for (const [size, name] of [[10000000, "Crore"], [100000, "Lakh"], [1000, "Thousand"], [100, "Hundred"]]) {
+    if (n >= size) {
+      parts.push(`${words(Math.floor(n / size))} ${name}`);
+      n %= size;
+    }
+  }
+  if (n) parts.push(belowHundred(n));
+  return parts.join(" ");
+}
+
+// 14610.5 → "Rupees Fourteen Thousand Six Hundred Ten and Fifty Paise Only"
+export function amountInWords(amountINR) {
+  const paise = Math.round(amountINR * 100);
+  const rupees = Math.floor(paise / 100);
+  const rest = paise % 100;
+  return `Rupees ${words(rupees)}${rest ? ` and ${belowHundred(rest)} Paise` : ""} Only`;
+}
+
+// ---- PDF ----
+function inr(x) {
+  return x.toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+export const DOCUMENT_TITLE = { invoice: "Tax Invoice", quotation: "Quotation" };
+
+export function documentFilename(doc) {
+  return `${doc.kind}-${doc.number.replace(/[^A-Za-z0-9-]+/g, "_")}.pdf`;
+}
+
+// Render an invoice or quotation (same shape) as a PDF; returns the pdf document (see lib/pdf.js).
+export function taxDocumentPdf(doc, { cancelled = false } = {}) {
+  const pdf = createPdfDocument({ title: `${DOCUMENT_TITLE[doc.kind]} ${doc.number}` });
+  const left = 40;
+  const right = PAGE_WIDTH - 40;
+  const text = (x, y, value, options) => pdf.text(x, y, transliterate(value ?? ""), options);
+  pdf.addPage();
+  text(PAGE_WIDTH / 2, 50, DOCUMENT_TITLE[doc.kind].toUpperCase(), { size: 16, bold: true, align: "center" });
+  if (cancelled) text(PAGE_WIDTH / 2, 68, "CANCELLED", { size: 11, bold: true, align: "center" });
+  text(left, 90, `No. ${doc.number}`, { bold: true });
+  text(right, 90, `Date ${new Date(doc.date).toLocaleDateString("en-IN")}`, { align: "right" });
+  const block = (x, y, heading, p) => {
+    text(x, y, heading, { size: 8, bold: true });
+    text(x, y + 14, p.name, { bold: true });
+    text(x, y + 28, p.address.slice(0, 60));
+    text(x, y + 42, p.state ? `State: ${p.state} (${p.stateCode})` : "State: -");
+    text(x, y + 56, `GSTIN: ${p.gstin || "Unregistered"}`);
+  };
+  block(left, 115, "SELLER", doc.seller);
+  block(PAGE_WIDTH / 2 + 10, 115, doc.kind === "invoice" ? "BILL TO / SHIP TO" : "PREPARED FOR", doc.buyer);
+  text(left, 192, `Place of supply: ${doc.placeOfSupply.name || "-"}${doc.placeOfSupply.code ? ` (${doc.placeOfSupply.code})` : ""} · ${doc.interState ? "Inter-state (IGST)" : "Intra-state (CGST + SGST)"}`);
+
+  const columns = [
+    { title: "Description", x: left, value: (l) => l.description.slice(0, 34) },
+    { title: "HSN/SAC", x: 195, value: (l) => l.hsn || "-" },
+    { title: "Qty", x: 265, align: "right", value: (l) => String(l.qty) },
+    { title: "List", x: 315, align: "right", value: (l) => (l.listPriceINR != null ? inr(l.listPriceINR) : "") },
+    { title: "Rate", x: 365, align: "right", value: (l) => inr(l.unitPriceINR) },
+    { title: "Taxable", x: 420, align: "right", value: (l) => inr(l.taxableINR) },
+    { title: "GST", x: 445, align: "right", value: (l) => `${l.ratePct}%` },
+    { title: "Tax", x: 495, align: "right", value: (l) => inr(l.cgstINR + l.sgstINR + l.igstINR) },
+    { title: "Amount", x: right, align: "right", value: (l) => inr(l.amountINR) },
+  ];
+  const header = (y) => {
+    pdf.line(left, y - 12, right, y - 12);
+    for (const c of columns) text(c.x, y, c.title, { size: 8, bold: true, align: c.align });
+    pdf.line(left, y + 5, right, y + 5);
+    return y + 20;
+  };
+  let y = header(220);
+  for (const line of doc.lines) {
+    if (y > 740) {
+      pdf.addPage();
+      y = header(60);
+    }
+    for (const c of columns) text(c.x, y, c.value(line), { size: 9, align: c.align });
+    y += 16;
+  }
+  pdf.line(left, y - 8, right, y - 8);
+  const totals = [
+    ["Taxable value", doc.totals.taxableINR],
+    ...(doc.interState ? [["IGST", doc.totals.igstINR]] : [["CGST", doc.totals.cgstINR], ["SGST", doc.totals.sgstINR]]),
+    ["Total (Rs.)", doc.totals.totalINR],
+  ];
+  for (const [label, value] of totals) {
+    y += 6;
+    const last = label.startsWith("Total");
+    text(right - 110, y, label, { bold: last, align: "right" });
+    text(right, y, inr(value), { bold: last, align: "right" });
+    y += 10;
+  }
+  y += 14;
+  text(left, y, amountInWords(doc.totals.totalINR), { size: 9, bold: true });
+  y += 20;
+  for (const note of doc.notes) {
+    text(left, y, note, { size: 9 });
+    y += 13;
+  }
+  text(left, 800, `This is a computer-generated ${doc.kind}. Issued through Farmers Market on behalf of the seller.`, { size: 8 });
+  return pdf;
+}
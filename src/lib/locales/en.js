@@ -0,0 +1,595 @@
+// English — the reference catalog; every key used in the UI must exist here.
+export default {
+  "brand.name": "Farmers Market",
+
+  "nav.home": "Home",
+  "nav.shop": "Shop",
+  "nav.services": "Services",
+  "nav.pricing": "Pricing",
+  "nav.dashboard": "Dashboard",
+  "nav.about": "About",
+  "nav.contact": "Contact",
+
+  "header.currency": "Currency",
+  "header.language": "Language",
+  "header.ratesUpdated": "Rates updated {date}",
+  "header.cart": "🛒 Cart",
+  "header.openCart": "Open cart",
+  "header.signIn": "Sign in",
+  "header.signOut": "Sign out",
+  "header.signedInAs": "Signed in as {email} ({role})",
+
+  "footer.resetDemo": "Reset demo data",
+
+  "save.failed": "Your latest changes could not be saved in this browser. Please try again.",
+  "save.storageFull": "This browser's storage for the marketplace is full, so your latest changes were not saved. Remove some photos or documents and try again.",
+  "save.dismiss": "Dismiss",
+
+  "hero.title": "Bulk & retail <farm‑fresh> marketplace.",
+  "hero.subtitle": "Order pallets or single packs directly from verified farmers—no agents, no middlemen.",
+  "hero.shop": "Start shopping",
+  "hero.services": "Explore services",
+  "hero.modelNote": "3D model is a demo asset — if it fails to load we show a static hero image.",
+
+  "home.shopTitle": "Shop fresh produce",
+  "home.shopSubtitle": "Retail & bulk purchasing",
+  "shop.title": "Marketplace",
+  "shop.subtitle": "Direct deals with verified farmers",
+  "about.title": "About us",
+  "about.subtitle": "Our mission is fair, transparent farm trade",
+  "about.body": "We connect farmers and buyers directly using secure payments and data‑backed quality. Our platform supports both household shopping and container‑scale procurement.",
+  "contact.title": "Contact us",
+  "contact.subtitle": "We usually reply within 1 business day",
+  "contact.name": "Your name",
+  "contact.contact": "Email or phone",
+  "contact.subject": "Subject",
+  "contact.category": "What is it about?",
+  "contact.category.order": "Order issue",
+  "contact.category.payment": "Payment",
+  "contact.category.listing": "Listing",
+  "contact.category.other": "Other",
+  "contact.orderRef": "Order reference (optional, e.g. #ab12c)",
+  "contact.message": "Message",
+  "contact.send": "Send message",
+  "contact.sent": "Thanks! We've received your request {reference}.",
+  "contact.trackInAccount": "Track it in your account →",
+  "contact.keepReference": "Keep this reference to check its status below.",
+  "contact.error.name.required": "Enter your name.",
+  "contact.error.contact.required": "Enter your email or phone number.",
+  "contact.error.contact.invalid": "Enter a valid email address or a 10-digit Indian mobile number.",
+  "contact.error.category.required": "Choose what your message is about.",
+  "contact.error.orderRef.unknown": "We couldn't find that order. Use the number shown on it, e.g. #ab12c.",
+  "contact.error.subject.required": "Add a subject.",
+  "contact.error.message.required": "Write your message.",
+  "contact.error.message.tooLong": "Keep your message under 2,000 characters.",
+  "contact.track.title": "Check a request",
+  "contact.track.reference": "Reference (e.g. SUP-1001)",
+  "contact.track.check": "Check status",
+  "contact.track.notFound": "No request matches that reference and email or phone.",
+  "ticket.status.open": "Open",
+  "ticket.status.answered": "Answered",
+  "ticket.status.closed": "Closed",
+  "ticket.support": "Support team",
+  "ticket.reply": "Write a reply",
+  "ticket.send": "Send",
+  "ticket.closedNote": "This request is closed. Replying re-opens it.",
+
+  "inbox.status": "Status",
+  "inbox.allStatuses": "All statuses",
+  "inbox.category": "Category",
+  "inbox.allCategories": "All categories",
+  "inbox.empty": "No tickets here.",
+  "inbox.from": "From {name} · {contact}",
+  "inbox.signedIn": "signed in",
+  "inbox.changeCategory": "Change category",
+  "inbox.reopen": "Re-open",
+  "inbox.close": "Close ticket",
+  "dashboard.title": "Dashboards",
+  "dashboard.subtitle": "Buyer & Farmer tools",
+
+  "dashboard.buyer": "Buyer Dashboard",
+  "dashboard.farmer": "Farmer Dashboard",
+  "dashboard.admin": "Admin Console",
+
+  "filters.search": "Search products...",
+  "filters.sort.relevance": "Sort: Relevance",
+  "filters.sort.priceAsc": "Price: Low → High",
+  "filters.sort.priceDesc": "Price: High → Low",
+  "filters.sort.ratingDesc": "Rating: High → Low",
+  "filters.option": "{label} ({count})",
+  "filters.price": "Price range",
+  "filters.price.any": "Any price",
+  "filters.price.under": "Under {max}",
+  "filters.price.between": "{min} – {max}",
+  "filters.price.over": "{min} and up",
+  "filters.rating": "Minimum rating",
+  "filters.rating.any": "Any rating",
+  "filters.rating.min": "{rating}★ & up",
+  "filters.moq": "Maximum MOQ",
+  "filters.moq.any": "Any MOQ",
+  "filters.moq.max": "MOQ ≤ {moq}",
+  "filters.grade": "Grade",
+  "filters.grade.any": "Any grade",
+  "filters.grade.option": "Grade {grade}",
+  "filters.inStock": "In stock only",
+  "filters.locations": "Farm location:",
+  "filters.results_one": "{count} product",
+  "filters.results_other": "{count} products",
+  "filters.clear": "Clear filters",
+
+  "category.All": "All",
+  "category.Fruits": "Fruits",
+  "category.Vegetables": "Vegetables",
+  "category.Dairy": "Dairy",
+  "category.Grains": "Grains",
+  "category.Other": "Other",
+
+  "product.add": "Add",
+  "product.bulk": "Bulk",
+  "product.newListing": "New listing",
+  "product.featured": "Featured",
+  "product.verified": "Verified farm",
+  "product.favourite": "Add to favourites",
+  "product.unfavourite": "Remove from favourites",
+  "product.grades": "Grades in stock: {grades}",
+  "product.rating_one": "⭐ {rating} ({count} review)",
+  "product.rating_other": "⭐ {rating} ({count} reviews)",
+  "product.moq": "MOQ: {moq}",
+  "product.tier": "{min}+ @ {price}",
+
+  "farmer.fssai": "FSSAI licensed",
+  "farmer.organicUntil": "Organic certified until {date}",
+  "kyc.status.unverified": "Not verified",
+  "kyc.status.pending": "Under review",
+  "kyc.status.verified": "Verified",
+  "kyc.status.rejected": "Rejected",
+  "stock.out": "Out of stock",
+  "stock.low": "Only {count} left",
+
+  "cart.title": "Your Cart",
+  "cart.close": "Close cart",
+  "cart.empty": "Your cart is empty.",
+  "cart.perUnit": "{price} / unit",
+  "cart.youSave": "You save {amount} ({min}+ tier)",
+  "cart.nextTier": "Add {count} more for {price} / unit",
+  "cart.minimum": "Minimum order is {moq}",
+  "cart.noMoreStock": "No more stock available",
+  "cart.remove": "Remove",
+  "cart.lot": "Lot",
+  "lot.option": "Lot {code} · Grade {grade} · {count} available",
+  "lot.summary_one": "{count} lot · grades in stock {grades}",
+  "lot.summary_other": "{count} lots · grades in stock {grades}",
+  "lot.noGrades": "none",
+  "lot.certificatesExpired_one": "{count} certificate expired",
+  "lot.certificatesExpired_other": "{count} certificates expired",
+  "lot.certificatesExpiring": "{count} expiring soon",
+
+  "lot.label": "lot {code} (grade {grade})",
+  "lot.title": "Quality lots",
+  "lot.note": "Once a product has lots, its stock is the total of their units and buyers choose a lot in the cart or an RFQ.",
+  "lot.name": "Lot {code}",
+  "lot.stock_one": "{count} unit",
+  "lot.stock_other": "{count} units",
+  "lot.harvestedOn": "harvested {date}",
+  "lot.certificates": "Certificates:",
+  "lot.addToCart": "Add this lot to cart",
+  "lot.edit": "Edit",
+  "lot.remove": "Remove lot",
+  "lot.removeConfirm": "Remove this lot? Its units leave the listing's stock.",
+  "lot.addNew": "+ Add a lot",
+  "lot.code": "Lot code",
+  "lot.size": "Size (e.g. Large, 280–320 g)",
+  "lot.harvested": "Harvested",
+  "lot.units": "Units in this lot",
+  "lot.save": "Save lot",
+  "lot.add": "Add lot",
+  "lot.cancel": "Cancel",
+  "certificate.none": "None",
+  "certificate.validUntil": "valid until {date}",
+  "certificate.expired": "expired {date}",
+  "certificate.remove": "Remove",
+  "certificate.attachTo": "Attach certificate",
+  "certificate.chooseFile": "Choose the certificate file.",
+  "certificate.file": "Certificate file",
+  "certificate.issuer": "Issued by (lab or certifier)",
+  "certificate.number": "Certificate no. (optional)",
+  "certificate.validUntilField": "Valid until",
+  "certificate.attach": "Attach",
+  "cart.lineSummary": "MOQ {moq} · Line {total}",
+  "cart.issue.exceeds": "Only {count} in stock — reduce the quantity.",
+  "cart.issue.out": "Out of stock — remove this item.",
+  "cart.issue.unavailable": "No longer available — remove this item.",
+  "cart.listPrice": "List price",
+  "cart.bulkSavings": "Bulk savings",
+  "cart.total": "Total",
+  "cart.reservedUntil": "Stock reserved until {time}.",
+  "cart.placeOrder": "Place order",
+  "cart.back": "Back to cart",
+  "cart.fixIssues": "Fix the highlighted items before checking out.",
+  "cart.checkout": "Proceed to Checkout",
+  "cart.saveList": "Save cart as a list",
+  "cart.saveListPrompt": "Name this list (e.g. Weekly hotel produce)",
+
+  "checkout.deliverTo": "Deliver to",
+  "checkout.addAddress": "+ Add a new address",
+  "checkout.shipmentFrom": "Shipping from {farm}",
+  "checkout.shipmentDetails_one": "{km} km · {kg} kg · {count} day in transit",
+  "checkout.shipmentDetails_other": "{km} km · {kg} kg · {count} days in transit",
+  "checkout.approximate": "distance estimated",
+  "checkout.window": "Delivery window",
+  "checkout.chooseWindow": "Choose a delivery window",
+  "checkout.slot.morning": "Morning (8 am – 12 pm)",
+  "checkout.slot.afternoon": "Afternoon (12 – 4 pm)",
+  "checkout.slot.evening": "Evening (4 – 8 pm)",
+  "checkout.shipping": "Shipping",
+  "checkout.needDetails": "Choose a delivery address and window to place the order.",
+
+  "address.label": "Label (e.g. Home, Warehouse)",
+  "address.name": "Recipient name",
+  "address.phone": "Mobile number",
+  "address.line1": "House / street",
+  "address.line2": "Area / landmark (optional)",
+  "address.city": "City / town",
+  "address.state": "State",
+  "address.pincode": "Pincode",
+  "address.default": "Make this my default address",
+  "address.save": "Save address",
+  "address.cancel": "Cancel",
+  "address.error.name": "Enter the recipient's name.",
+  "address.error.phone": "Enter a 10-digit Indian mobile number.",
+  "address.error.line1": "Enter the house and street.",
+  "address.error.city": "Enter the city or town.",
+  "address.error.pincode": "Pincodes are 6 digits and do not start with 0.",
+
+  "address.none": "No saved addresses. Add one to check out and send RFQs.",
+  "address.isDefault": "Default",
+  "address.edit": "Edit",
+  "address.makeDefault": "Make default",
+  "address.remove": "Remove",
+  "address.removeConfirm": "Remove the {label} address?",
+  "address.add": "+ Add an address",
+
+  "shipment.deliverTo": "Deliver to {where}",
+  "shipment.window": "Window {when}",
+  "shipment.tracking": "Tracking",
+  "shipment.picked_up": "Picked up",
+  "shipment.in_transit": "In transit",
+  "shipment.delivered": "Delivered",
+
+  "document.quotation": "Quotation",
+  "document.invoice": "Invoice",
+  "document.print": "Print",
+  "document.downloadPdf": "Download PDF",
+
+  "rfq.title": "Bulk RFQ — {product}",
+  "rfq.quantity": "Quantity",
+  "rfq.location": "Delivery location",
+  "rfq.target": "Target price (optional)",
+  "rfq.notes": "Notes (quality, packaging, logistics)",
+  "rfq.lot": "Lot",
+  "rfq.send": "Send RFQ",
+  "rfq.addAddress": "Add a delivery address in your account first →",
+  "rfq.remaining_one": "{count} of {limit} bulk RFQs left this month",
+  "rfq.remaining_other": "{count} of {limit} bulk RFQs left this month",
+
+  "rfq.status.open": "Awaiting quote",
+  "rfq.status.quoted": "Quote received",
+  "rfq.status.countered": "Counter-offer",
+  "rfq.status.accepted": "Accepted",
+  "rfq.status.declined": "Declined",
+  "rfq.card.summary_one": "#{id} · {count} unit{lot} to {location} · Target {target}",
+  "rfq.card.summary_other": "#{id} · {count} units{lot} to {location} · Target {target}",
+  "rfq.card.farmer": "Farmer",
+  "rfq.card.buyer": "Buyer",
+  "rfq.card.perUnit": "{price} / unit",
+  "rfq.card.delivery": "delivery {window}",
+  "rfq.card.validUntil": "valid until {date}",
+  "rfq.card.expired": "This quote has expired.",
+  "rfq.card.agreed": "Agreed at {price} / unit",
+  "rfq.card.order": "order #{id}",
+  "rfq.card.acceptQuote": "Accept quote",
+  "rfq.card.acceptCounter": "Accept counter-offer",
+  "rfq.card.decline": "Decline",
+  "offer.price": "Unit price (₹)",
+  "offer.validUntil": "Valid until",
+  "offer.deliveryWindow": "Delivery window (e.g. 3–5 days)",
+  "offer.note": "Note (optional)",
+  "offer.sendQuote": "Send quote",
+  "offer.sendCounter": "Send counter-offer",
+
+  "order.status.placed": "Placed",
+  "order.status.packed": "Packed",
+  "order.status.shipped": "Shipped",
+  "order.status.delivered": "Delivered",
+  "order.status.cancelled": "Cancelled",
+
+  "review.write": "Write a review",
+  "review.hidden": "(hidden)",
+  "review.hiddenTitle": "Hidden by a moderator",
+
+  "ledger.hold": "Paid into escrow",
+  "ledger.release": "Released to farmer",
+  "ledger.refund": "Refunded to buyer",
+  "ledger.payout": "Payout to bank",
+  "escrow.held": "Payment held in escrow",
+  "escrow.released": "Payment released to farmer",
+  "escrow.refunded": "Payment refunded",
+  "escrow.pay": "Pay into escrow",
+  "escrow.confirmRelease": "Confirm delivery & release {amount}",
+  "escrow.awaitingPayment": "Awaiting payment",
+  "wallet.empty": "No transactions yet.",
+  "wallet.held": "Held in escrow",
+  "wallet.paidRefunded": "Paid {paid} · Refunded {refunded}",
+  "wallet.buyerNote": "Payments stay in escrow until you confirm delivery; cancelled items are refunded to your payment method.",
+  "wallet.available": "Available to withdraw",
+  "wallet.pendingPaidOut": "In escrow {pending} · Paid out {paidOut}",
+  "wallet.amount": "Amount (₹), max {max}",
+  "wallet.withdraw": "Withdraw",
+
+  "services.title": "Services",
+  "services.subtitle": "Everything you need for direct farm trade",
+  "services.rfq.title": "Bulk RFQ Matching",
+  "services.rfq.desc": "Post requirements and get direct quotes from verified farmers.",
+  "services.grading.title": "Quality & Grading",
+  "services.grading.desc": "Optional third‑party grading and certifications upload.",
+  "services.escrow.title": "Escrow Payments",
+  "services.escrow.desc": "Funds released to farmers after buyer confirmation.",
+  "services.logistics.title": "Logistics Support",
+  "services.logistics.desc": "Integrated courier/freight partners and shipment tracking.",
+
+  "pricing.title": "Pricing",
+  "pricing.subtitle": "Choose a plan; prices display in your currency",
+  "pricing.getStarted": "Get started",
+  "pricing.fxNote": "Billed in INR; {currency} prices are converted at ₹{rate} = 1 {currency} (rates updated {date}).",
+  "pricing.monthly": "Monthly",
+  "pricing.yearly": "Yearly — 2 months free",
+  "pricing.perMonth": "/ month",
+  "pricing.perYear": "/ year",
+  "pricing.current": "Current plan",
+  "pricing.upgrade": "Upgrade",
+  "pricing.downgrade": "Downgrade",
+  "pricing.confirmUpgrade": "Switch to {plan} now for {amount}?",
+  "pricing.confirmUpgradeCredit": "Switch to {plan} now for {amount}? That is after {credit} credit for the unused part of your current plan.",
+  "pricing.confirmDowngrade": "Switch to {plan} on {date}? You keep your current plan until then.",
+  "pricing.renews": "{plan} renews on {date}.",
+  "pricing.switchesTo": "Switching to {plan} on {date}.",
+  "pricing.keep": "Keep {plan}",
+  "pricing.adminIncluded": "Included for admin accounts.",
+  "plan.starter": "Starter",
+  "plan.pro": "Pro Trader",
+  "plan.enterprise": "Enterprise",
+  "plan.feature.browsing": "Unlimited browsing",
+  "plan.feature.checkout": "Cart checkout",
+  "plan.feature.emailSupport": "Email support",
+  "plan.feature.rfqs": "Unlimited bulk RFQs",
+  "plan.feature.prioritySupport": "Priority support",
+  "plan.feature.invoices": "Downloadable invoices",
+  "plan.feature.workflows": "Custom workflows",
+  "plan.feature.accountManager": "Account manager",
+  "plan.feature.api": "API access",
+  "plan.feature.rfqLimit": "{count} bulk RFQs a month",
+  "plan.feature.priorityListing": "Priority listing in the shop",
+  "plan.feature.catalogCsv": "Catalog CSV import / export",
+  "plan.feature.everythingInPro": "Everything in Pro Trader",
+  "upgrade.rfqsPerMonth": "You've used all {limit} bulk RFQs for this month. {plan} includes unlimited RFQs.",
+  "upgrade.invoices": "Invoice PDFs are included in {plan}.",
+  "upgrade.catalogCsv": "Catalog CSV import and export are included in {plan}.",
+  "upgrade.priorityListing": "{plan} features your products ahead of others in the shop.",
+  "upgrade.api": "API access is included in {plan}.",
+  "upgrade.cta": "See plans →",
+
+  "farmerForm.name": "Product name",
+  "farmerForm.price": "Price (₹)",
+  "farmerForm.stock": "Stock",
+  "farmerForm.stockFromLots": "Stock is the total of this product's lots; change it on the product page.",
+  "farmerForm.moq": "MOQ",
+  "farmerForm.status": "Listing status",
+  "farmerForm.status.active": "Active — visible to buyers",
+  "farmerForm.status.paused": "Paused — hidden from the shop",
+  "farmerForm.image": "Image URL (ensure license to use)",
+  "farmerForm.save": "Save Product",
+  "farmerForm.saveChanges": "Save changes",
+  "farmerForm.cancel": "Cancel",
+
+  "farmerListings.empty": "No listings yet. Add one above or import a CSV.",
+  "farmerListings.paused": "Paused",
+  "farmerListings.reason": "Reason: {reason}",
+  "farmerListings.summary_one": "{price} · Stock {stock} · MOQ {moq} · {count} tier",
+  "farmerListings.summary_other": "{price} · Stock {stock} · MOQ {moq} · {count} tiers",
+  "farmerListings.photos": "Manage photos ({count})",
+  "farmerListings.edit": "Edit",
+  "farmerListings.pause": "Pause",
+  "farmerListings.resume": "Resume",
+  "farmerListings.delete": "Delete",
+
+  "moderation.pending": "Awaiting review",
+  "moderation.approved": "Approved",
+  "moderation.rejected": "Rejected",
+
+  "tiers.title": "Bulk tiers",
+  "tiers.add": "+ Add tier",
+  "tiers.none": "No bulk discounts — every quantity sells at the list price.",
+  "tiers.fromQty": "From qty",
+  "tiers.unitsAt": "units @",
+  "tiers.price": "Price (₹)",
+  "tiers.minLabel": "Tier {n} minimum quantity",
+  "tiers.priceLabel": "Tier {n} unit price",
+  "tiers.remove": "Remove",
+
+  "assistant.open": "💬 Ask AI",
+  "assistant.openLabel": "Open AI assistant",
+  "assistant.title": "Farm Assistant",
+  "assistant.clear": "Clear",
+  "assistant.close": "Close AI assistant",
+  "assistant.placeholder": "Ask about crops, prices, RFQs…",
+  "assistant.send": "Send",
+  "assistant.thinking": "Thinking…",
+  "assistant.readAloud": "Read replies aloud",
+  "assistant.stopReading": "Stop reading replies aloud",
+  "assistant.readMessage": "Read aloud",
+
+  "voice.speak": "Speak ({language})",
+  "voice.stop": "Stop and transcribe",
+  "voice.notHeard": "Sorry, I didn't catch that. Please try again.",
+
+  "standing.frequency.daily": "Every day",
+  "standing.frequency.weekly": "Once a week",
+  "standing.frequency.custom": "Chosen days",
+  "standing.day.1": "Mon",
+  "standing.day.2": "Tue",
+  "standing.day.3": "Wed",
+  "standing.day.4": "Thu",
+  "standing.day.5": "Fri",
+  "standing.day.6": "Sat",
+  "standing.schedule.daily": "Every day except Sunday",
+  "standing.schedule.every": "Every {days}",
+  "standing.run.ordered": "Ordered",
+  "standing.run.skipped": "Skipped",
+  "standing.run.missed": "Missed",
+  "standing.run.failed": "Not placed",
+
+  "standing.setUp": "Set up a standing order →",
+  "standing.addAddress": "Add a delivery address in your account to set up a standing order →",
+  "standing.unitsPerDelivery": "Units per delivery",
+  "standing.priceEach": "units per delivery · {price} each time before shipping",
+  "standing.lot": "Deliver from lot",
+  "standing.howOften": "How often",
+  "standing.deliveryDay": "Delivery day",
+  "standing.deliverTo": "Deliver to",
+  "standing.deliveryTime": "Delivery time",
+  "standing.firstDelivery": "First delivery",
+  "standing.autoNote": "Each delivery is ordered and paid automatically when it is its transit time away; skip or pause any time before that.",
+  "standing.start": "Start standing order",
+  "standing.cancel": "Cancel",
+  "standing.chooseAddress": "Choose a delivery address.",
+  "standing.created": "Standing order set up ({schedule}), first delivery {date}. Manage it from your Buyer Dashboard.",
+  "standing.none": "No standing orders. Set one up from a product page to have it delivered on a schedule.",
+  "standing.active": "Active",
+  "standing.paused": "Paused",
+  "standing.perDelivery": "{price} per delivery + shipping",
+  "standing.next": "Next delivery {date}",
+  "standing.skip": "Skip it",
+  "standing.skipping": "Skipping",
+  "standing.undo": "undo",
+  "standing.order": "order #{id}",
+  "standing.pause": "Pause",
+  "standing.resume": "Resume",
+  "standing.cancelConfirm": "Cancel this standing order? Orders already placed are not affected.",
+  "standing.calendar.none": "No standing orders for your products.",
+  "standing.calendar.product": "Product",
+  "standing.calendar.committed": "Committed / stock",
+  "standing.calendar.note": "Highlighted in pink: deliveries your current stock does not cover yet.",
+
+  "analytics.title": "Sales analytics",
+  "analytics.dateRange": "Date range",
+  "analytics.range.7": "Last 7 days",
+  "analytics.range.30": "Last 30 days",
+  "analytics.range.90": "Last 90 days",
+  "analytics.range.365": "Last 12 months",
+  "analytics.range.custom": "Custom range",
+  "analytics.from": "From",
+  "analytics.to": "To",
+  "analytics.rangeTo": "to",
+  "analytics.exportCsv": "Export CSV",
+  "analytics.badRange": "Pick a start date on or before the end date.",
+  "analytics.revenue": "Revenue",
+  "analytics.orders": "Orders",
+  "analytics.unitsSold": "Units sold",
+  "analytics.discounts": "Given up to discounts",
+  "analytics.noSales": "No sales in this period.",
+  "analytics.metric": "Metric",
+  "analytics.metric.revenueINR": "Revenue",
+  "analytics.metric.units": "Units",
+  "analytics.metric.orders": "Orders",
+  "analytics.groupBy": "Group by",
+  "analytics.group.total": "All sales",
+  "analytics.group.product": "By product",
+  "analytics.group.category": "By category",
+  "analytics.allSales": "All sales",
+  "analytics.per.day": "per day",
+  "analytics.per.week": "per week",
+  "analytics.per.month": "per month",
+  "analytics.chart": "Sales chart",
+  "analytics.chartMore": "Top {shown} of {total} by revenue; the CSV has them all.",
+  "analytics.realization": "Realized vs list price",
+  "analytics.realizedVsList": "{realized} realized vs {list} list",
+  "analytics.discountCost": "Discounts cost {total} ({pct}% of list) · bulk tiers {tiers} · RFQ pricing {rfq}",
+  "analytics.topBuyers": "Top buyers",
+  "analytics.buyerLine_one": "{revenue} · {count} order · {units} units",
+  "analytics.buyerLine_other": "{revenue} · {count} orders · {units} units",
+  "analytics.winRate": "RFQ win rate",
+  "analytics.noRfqs": "No RFQs received in this period.",
+  "analytics.rfqSummary": "{won} won, {lost} lost, {open} open of {received} received ({quoted} quoted)",
+  "analytics.lowStock": "Low-stock warnings",
+  "analytics.allCovered": "Every listing has at least {count} days of stock at the current sales rate.",
+  "analytics.left": "{count} left",
+  "analytics.cover_one": "about {count} day of cover at {rate}/day",
+  "analytics.cover_other": "about {count} days of cover at {rate}/day",
+
+  "favourites.title": "Favourites",
+  "favourites.in": "♥ In favourites",
+  "favourites.add": "♡ Add to favourites",
+  "favourites.none": "Tap ♡ on a product or farm to keep it here.",
+  "favourites.price": "{price} · MOQ {moq}",
+  "favourites.addToCart": "Add to cart",
+  "favourites.unlisted": "Not listed",
+  "favourites.remove": "Remove",
+  "lists.title": "Saved lists",
+  "lists.buyAgain": "Buy it again",
+  "lists.list": "List",
+  "lists.newOption": "New list…",
+  "lists.name": "List name, e.g. Weekly hotel produce",
+  "lists.qty": "List quantity",
+  "lists.lot": "List lot",
+  "lists.anyLot": "Any lot",
+  "lists.lotOption": "{code} (grade {grade})",
+  "lists.save": "Save to list",
+  "lists.none": "Save products you buy regularly to a list from their product page, or save your cart as a list, then add the whole list to your cart in one click.",
+  "lists.summary_one": "{count} item · about {estimate} at today's prices",
+  "lists.summary_other": "{count} items · about {estimate} at today's prices",
+  "lists.addToCart": "Add list to cart",
+  "lists.rename": "Rename",
+  "lists.renamePrompt": "Rename the list",
+  "lists.delete": "Delete",
+  "lists.deleteConfirm": "Delete this list?",
+  "lists.empty": "Nothing on this list yet.",
+  "lists.emptyAlert": "That list is empty.",
+  "lists.belowMoq": "below the MOQ of {moq}",
+  "lists.unlisted": "no longer listed",
+  "lists.itemQty": "Quantity of {name}",
+  "lists.remove": "Remove",
+  "lists.newName": "New list, e.g. Weekly hotel produce",
+  "lists.create": "Create list",
+  "lists.saved": "Saved as \"{name}\". Add it to your cart again from Saved lists on your Buyer Dashboard.",
+  "lists.note.aProduct": "A product",
+  "lists.note.lot": "{name} (lot {lot})",
+  "lists.note.unlisted": "{item} is no longer listed.",
+  "lists.note.outOfStock": "{item} is out of stock.",
+  "lists.note.raisedToMoq_one": "{item}: raised to the minimum order of {count} unit.",
+  "lists.note.raisedToMoq_other": "{item}: raised to the minimum order of {count} units.",
+  "lists.note.partial_one": "Only {count} unit of {item} is available, so your cart has {qty}.",
+  "lists.note.partial_other": "Only {count} units of {item} are available, so your cart has {qty}.",
+  "alerts.title": "Price alerts",
+  "alerts.none": "Set a target price on a product page and we'll flag it here when the price or a bulk tier reaches it.",
+  "alerts.unlisted": "No longer listed",
+  "alerts.met_one": "Now {price} for {count} unit — at or below your target",
+  "alerts.met_other": "Now {price} for {count} units — at or below your target",
+  "alerts.tier": "{best} from {count} units — at or below your target (now {price} for {qty})",
+  "alerts.now_one": "Now {price} for {count} unit",
+  "alerts.now_other": "Now {price} for {count} units",
+  "alerts.current_one": "Alert at {price}/unit for {count} unit:",
+  "alerts.current_other": "Alert at {price}/unit for {count} units:",
+  "alerts.remove": "Remove alert",
+  "alerts.removeShort": "Remove",
+  "alerts.target": "Target price (₹ / unit)",
+  "alerts.qty": "Alert quantity",
+  "alerts.set": "Set price alert",
+  "alerts.update": "Update alert",
+  "alerts.targetLine": "target {price}/unit",
+  "alerts.addToCart": "Add {count} to cart",
+  "alerts.dismiss": "Dismiss",
+  "alerts.bannerOne": "{name} has reached your target price.",
+  "alerts.banner_one": "{count} product has reached your target price.",
+  "alerts.banner_other": "{count} products have reached your target prices.",
+  "alerts.bannerSee": "See Price alerts.",
+};
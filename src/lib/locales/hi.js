@@ -0,0 +1,595 @@
+// हिंदी — keys missing here fall back to English (see lib/i18n.js).
+export default {
+  "brand.name": "फ़ार्मर्स मार्केट",
+
+  "nav.home": "होम",
+  "nav.shop": "दुकान",
+  "nav.services": "सेवाएँ",
+  "nav.pricing": "कीमतें",
+  "nav.dashboard": "डैशबोर्ड",
+  "nav.about": "हमारे बारे में",
+  "nav.contact": "संपर्क",
+
+  "header.currency": "मुद्रा",
+  "header.language": "भाषा",
+  "header.ratesUpdated": "दरें {date} को अपडेट हुईं",
+  "header.cart": "🛒 कार्ट",
+  "header.openCart": "कार्ट खोलें",
+  "header.signIn": "साइन इन",
+  "header.signOut": "साइन आउट",
+  "header.signedInAs": "{email} ({role}) के रूप में साइन इन",
+
+  "footer.resetDemo": "डेमो डेटा रीसेट करें",
+
+  "save.failed": "आपके हाल के बदलाव इस ब्राउज़र में सहेजे नहीं जा सके। कृपया फिर से कोशिश करें।",
+  "save.storageFull": "इस ब्राउज़र में मार्केटप्लेस की स्टोरेज भर गई है, इसलिए आपके हाल के बदलाव सहेजे नहीं गए। कुछ फ़ोटो या दस्तावेज़ हटाकर फिर से कोशिश करें।",
+  "save.dismiss": "बंद करें",
+
+  "hero.title": "थोक और खुदरा <खेत‑ताज़ा> बाज़ार।",
+  "hero.subtitle": "सत्यापित किसानों से सीधे पैलेट या एक पैक ऑर्डर करें—कोई एजेंट नहीं, कोई बिचौलिया नहीं।",
+  "hero.shop": "खरीदारी शुरू करें",
+  "hero.services": "सेवाएँ देखें",
+  "hero.modelNote": "3D मॉडल डेमो है — लोड न होने पर हम एक तस्वीर दिखाते हैं।",
+
+  "home.shopTitle": "ताज़ी उपज खरीदें",
+  "home.shopSubtitle": "खुदरा और थोक खरीद",
+  "shop.title": "बाज़ार",
+  "shop.subtitle": "सत्यापित किसानों से सीधे सौदे",
+  "about.title": "हमारे बारे में",
+  "about.subtitle": "हमारा लक्ष्य निष्पक्ष और पारदर्शी कृषि व्यापार है",
+  "about.body": "हम सुरक्षित भुगतान और डेटा‑आधारित गुणवत्ता के साथ किसानों और खरीदारों को सीधे जोड़ते हैं। हमारा प्लेटफ़ॉर्म घरेलू खरीदारी और कंटेनर‑स्तर की खरीद दोनों के लिए है।",
+  "contact.title": "संपर्क करें",
+  "contact.subtitle": "हम आमतौर पर 1 कार्यदिवस में जवाब देते हैं",
+  "contact.name": "आपका नाम",
+  "contact.contact": "ईमेल या फ़ोन",
+  "contact.subject": "विषय",
+  "contact.category": "किस बारे में है?",
+  "contact.category.order": "ऑर्डर की समस्या",
+  "contact.category.payment": "भुगतान",
+  "contact.category.listing": "लिस्टिंग",
+  "contact.category.other": "अन्य",
+  "contact.orderRef": "ऑर्डर संदर्भ (वैकल्पिक, जैसे #ab12c)",
+  "contact.message": "संदेश",
+  "contact.send": "संदेश भेजें",
+  "contact.sent": "धन्यवाद! हमें आपका अनुरोध {reference} मिल गया है।",
+  "contact.trackInAccount": "अपने खाते में स्थिति देखें →",
+  "contact.keepReference": "नीचे स्थिति देखने के लिए यह संदर्भ संभाल कर रखें।",
+  "contact.error.name.required": "अपना नाम लिखें।",
+  "contact.error.contact.required": "अपना ईमेल या फ़ोन नंबर लिखें।",
+  "contact.error.contact.invalid": "सही ईमेल पता या 10 अंकों का भारतीय मोबाइल नंबर लिखें।",
+  "contact.error.category.required": "चुनें कि आपका संदेश किस बारे में है।",
+  "contact.error.orderRef.unknown": "यह ऑर्डर नहीं मिला। ऑर्डर पर दिखा नंबर लिखें, जैसे #ab12c।",
+  "contact.error.subject.required": "विषय जोड़ें।",
+  "contact.error.message.required": "अपना संदेश लिखें।",
+  "contact.error.message.tooLong": "संदेश 2,000 अक्षरों से छोटा रखें।",
+  "contact.track.title": "अनुरोध की स्थिति देखें",
+  "contact.track.reference": "संदर्भ (जैसे SUP-1001)",
+  "contact.track.check": "स्थिति देखें",
+  "contact.track.notFound": "इस संदर्भ और ईमेल या फ़ोन से कोई अनुरोध नहीं मिला।",
+  "ticket.status.open": "खुला",
+  "ticket.status.answered": "जवाब दिया गया",
+  "ticket.status.closed": "बंद",
+  "ticket.support": "सहायता टीम",
+  "ticket.reply": "जवाब लिखें",
+  "ticket.send": "भेजें",
+  "ticket.closedNote": "यह अनुरोध बंद है। जवाब देने पर यह फिर से खुल जाएगा।",
+
+  "inbox.status": "स्थिति",
+  "inbox.allStatuses": "सभी स्थितियाँ",
+  "inbox.category": "श्रेणी",
+  "inbox.allCategories": "सभी श्रेणियाँ",
+  "inbox.empty": "यहाँ कोई टिकट नहीं।",
+  "inbox.from": "{name} से · {contact}",
+  "inbox.signedIn": "साइन इन",
+  "inbox.changeCategory": "श्रेणी बदलें",
+  "inbox.reopen": "फिर से खोलें",
+  "inbox.close": "टिकट बंद करें",
+  "dashboard.title": "डैशबोर्ड",
+  "dashboard.subtitle": "खरीदार और किसान के टूल",
+
+  "dashboard.buyer": "खरीदार डैशबोर्ड",
+  "dashboard.farmer": "किसान डैशबोर्ड",
+  "dashboard.admin": "एडमिन कंसोल",
+
+  "filters.search": "उत्पाद खोजें...",
+  "filters.sort.relevance": "क्रम: प्रासंगिकता",
+  "filters.sort.priceAsc": "कीमत: कम → ज़्यादा",
+  "filters.sort.priceDesc": "कीमत: ज़्यादा → कम",
+  "filters.sort.ratingDesc": "रेटिंग: ज़्यादा → कम",
+  "filters.option": "{label} ({count})",
+  "filters.price": "कीमत सीमा",
+  "filters.price.any": "कोई भी कीमत",
+  "filters.price.under": "{max} से कम",
+  "filters.price.between": "{min} – {max}",
+  "filters.price.over": "{min} और ऊपर",
+  "filters.rating": "न्यूनतम रेटिंग",
+  "filters.rating.any": "कोई भी रेटिंग",
+  "filters.rating.min": "{rating}★ और ऊपर",
+  "filters.moq": "अधिकतम न्यूनतम ऑर्डर",
+  "filters.moq.any": "कोई भी न्यूनतम ऑर्डर",
+  "filters.moq.max": "न्यूनतम ऑर्डर ≤ {moq}",
+  "filters.grade": "ग्रेड",
+  "filters.grade.any": "कोई भी ग्रेड",
+  "filters.grade.option": "ग्रेड {grade}",
+  "filters.inStock": "केवल स्टॉक में",
+  "filters.locations": "खेत का स्थान:",
+  "filters.results_one": "{count} उत्पाद",
+  "filters.results_other": "{count} उत्पाद",
+  "filters.clear": "फ़िल्टर हटाएँ",
+
+  "category.All": "सभी",
+  "category.Fruits": "फल",
+  "category.Vegetables": "सब्ज़ियाँ",
+  "category.Dairy": "डेयरी",
+  "category.Grains": "अनाज",
+  "category.Other": "अन्य",
+
+  "product.add": "जोड़ें",
+  "product.bulk": "थोक",
+  "product.newListing": "नई लिस्टिंग",
+  "product.featured": "विशेष",
+  "product.verified": "सत्यापित फ़ार्म",
+  "product.favourite": "पसंदीदा में जोड़ें",
+  "product.unfavourite": "पसंदीदा से हटाएँ",
+  "product.grades": "स्टॉक में ग्रेड: {grades}",
+  "product.rating_one": "⭐ {rating} ({count} समीक्षा)",
+  "product.rating_other": "⭐ {rating} ({count} समीक्षाएँ)",
+  "product.moq": "न्यूनतम ऑर्डर: {moq}",
+  "product.tier": "{min}+ @ {price}",
+
+  "farmer.fssai": "FSSAI लाइसेंस प्राप्त",
+  "farmer.organicUntil": "{date} तक जैविक प्रमाणित",
+  "kyc.status.unverified": "सत्यापित नहीं",
+  "kyc.status.pending": "समीक्षा में",
+  "kyc.status.verified": "सत्यापित",
+  "kyc.status.rejected": "अस्वीकृत",
+  "stock.out": "स्टॉक खत्म",
+  "stock.low": "केवल {count} बचे",
+
+  "cart.title": "आपका कार्ट",
+  "cart.close": "कार्ट बंद करें",
+  "cart.empty": "आपका कार्ट खाली है।",
+  "cart.perUnit": "{price} / इकाई",
+  "cart.youSave": "आपकी बचत {amount} ({min}+ स्तर)",
+  "cart.nextTier": "{count} और जोड़ें, कीमत {price} / इकाई",
+  "cart.minimum": "न्यूनतम ऑर्डर {moq} है",
+  "cart.noMoreStock": "और स्टॉक उपलब्ध नहीं",
+  "cart.remove": "हटाएँ",
+  "cart.lot": "लॉट",
+  "lot.option": "लॉट {code} · ग्रेड {grade} · {count} उपलब्ध",
+  "lot.summary_one": "{count} लॉट · स्टॉक में ग्रेड {grades}",
+  "lot.summary_other": "{count} लॉट · स्टॉक में ग्रेड {grades}",
+  "lot.noGrades": "कोई नहीं",
+  "lot.certificatesExpired_one": "{count} प्रमाणपत्र की अवधि समाप्त",
+  "lot.certificatesExpired_other": "{count} प्रमाणपत्रों की अवधि समाप्त",
+  "lot.certificatesExpiring": "{count} जल्द समाप्त होंगे",
+
+  "lot.label": "लॉट {code} (ग्रेड {grade})",
+  "lot.title": "गुणवत्ता लॉट",
+  "lot.note": "किसी उत्पाद के लॉट होने पर उसका स्टॉक उनकी यूनिट का कुल होता है और खरीदार कार्ट या RFQ में लॉट चुनते हैं।",
+  "lot.name": "लॉट {code}",
+  "lot.stock_one": "{count} यूनिट",
+  "lot.stock_other": "{count} यूनिट",
+  "lot.harvestedOn": "{date} को काटा गया",
+  "lot.certificates": "प्रमाणपत्र:",
+  "lot.addToCart": "यह लॉट कार्ट में डालें",
+  "lot.edit": "संपादित करें",
+  "lot.remove": "लॉट हटाएँ",
+  "lot.removeConfirm": "यह लॉट हटाएँ? इसकी यूनिट लिस्टिंग के स्टॉक से हट जाएँगी।",
+  "lot.addNew": "+ लॉट जोड़ें",
+  "lot.code": "लॉट कोड",
+  "lot.size": "आकार (जैसे बड़ा, 280–320 ग्रा.)",
+  "lot.harvested": "कटाई",
+  "lot.units": "इस लॉट में यूनिट",
+  "lot.save": "लॉट सहेजें",
+  "lot.add": "लॉट जोड़ें",
+  "lot.cancel": "रद्द करें",
+  "certificate.none": "कोई नहीं",
+  "certificate.validUntil": "{date} तक मान्य",
+  "certificate.expired": "{date} को समाप्त",
+  "certificate.remove": "हटाएँ",
+  "certificate.attachTo": "प्रमाणपत्र जोड़ें",
+  "certificate.chooseFile": "प्रमाणपत्र फ़ाइल चुनें।",
+  "certificate.file": "प्रमाणपत्र फ़ाइल",
+  "certificate.issuer": "जारीकर्ता (लैब या प्रमाणक)",
+  "certificate.number": "प्रमाणपत्र संख्या (वैकल्पिक)",
+  "certificate.validUntilField": "तक मान्य",
+  "certificate.attach": "जोड़ें",
+  "cart.lineSummary": "न्यूनतम {moq} · कुल {total}",
+  "cart.issue.exceeds": "स्टॉक में केवल {count} — मात्रा कम करें।",
+  "cart.issue.out": "स्टॉक खत्म — यह आइटम हटाएँ।",
+  "cart.issue.unavailable": "अब उपलब्ध नहीं — यह आइटम हटाएँ।",
+  "cart.listPrice": "सूची मूल्य",
+  "cart.bulkSavings": "थोक बचत",
+  "cart.total": "कुल",
+  "cart.reservedUntil": "स्टॉक {time} तक आरक्षित है।",
+  "cart.placeOrder": "ऑर्डर करें",
+  "cart.back": "कार्ट पर वापस",
+  "cart.fixIssues": "चेकआउट से पहले चिह्नित आइटम ठीक करें।",
+  "cart.checkout": "चेकआउट करें",
+  "cart.saveList": "कार्ट को सूची के रूप में सहेजें",
+  "cart.saveListPrompt": "इस सूची का नाम दें (जैसे साप्ताहिक होटल सब्ज़ियाँ)",
+
+  "checkout.deliverTo": "डिलीवरी पता",
+  "checkout.addAddress": "+ नया पता जोड़ें",
+  "checkout.shipmentFrom": "{farm} से शिपमेंट",
+  "checkout.shipmentDetails_one": "{km} किमी · {kg} किग्रा · {count} दिन रास्ते में",
+  "checkout.shipmentDetails_other": "{km} किमी · {kg} किग्रा · {count} दिन रास्ते में",
+  "checkout.approximate": "अनुमानित दूरी",
+  "checkout.window": "डिलीवरी का समय",
+  "checkout.chooseWindow": "डिलीवरी का समय चुनें",
+  "checkout.slot.morning": "सुबह (8 – 12 बजे)",
+  "checkout.slot.afternoon": "दोपहर (12 – 4 बजे)",
+  "checkout.slot.evening": "शाम (4 – 8 बजे)",
+  "checkout.shipping": "शिपिंग",
+  "checkout.needDetails": "ऑर्डर देने के लिए डिलीवरी पता और समय चुनें।",
+
+  "address.label": "नाम (जैसे घर, गोदाम)",
+  "address.name": "प्राप्तकर्ता का नाम",
+  "address.phone": "मोबाइल नंबर",
+  "address.line1": "मकान / गली",
+  "address.line2": "क्षेत्र / लैंडमार्क (वैकल्पिक)",
+  "address.city": "शहर / कस्बा",
+  "address.state": "राज्य",
+  "address.pincode": "पिनकोड",
+  "address.default": "इसे मेरा डिफ़ॉल्ट पता बनाएं",
+  "address.save": "पता सहेजें",
+  "address.cancel": "रद्द करें",
+  "address.error.name": "प्राप्तकर्ता का नाम दर्ज करें।",
+  "address.error.phone": "10 अंकों का भारतीय मोबाइल नंबर दर्ज करें।",
+  "address.error.line1": "मकान और गली दर्ज करें।",
+  "address.error.city": "शहर या कस्बा दर्ज करें।",
+  "address.error.pincode": "पिनकोड 6 अंकों का होता है और 0 से शुरू नहीं होता।",
+
+  "address.none": "कोई सहेजा गया पता नहीं। चेकआउट और RFQ भेजने के लिए एक जोड़ें।",
+  "address.isDefault": "डिफ़ॉल्ट",
+  "address.edit": "संपादित करें",
+  "address.makeDefault": "डिफ़ॉल्ट बनाएँ",
+  "address.remove": "हटाएँ",
+  "address.removeConfirm": "{label} पता हटाएँ?",
+  "address.add": "+ पता जोड़ें",
+
+  "shipment.deliverTo": "{where} पर डिलीवर करें",
+  "shipment.window": "समय {when}",
+  "shipment.tracking": "ट्रैकिंग",
+  "shipment.picked_up": "उठाया गया",
+  "shipment.in_transit": "रास्ते में",
+  "shipment.delivered": "डिलीवर किया गया",
+
+  "document.quotation": "कोटेशन",
+  "document.invoice": "इनवॉइस",
+  "document.print": "प्रिंट करें",
+  "document.downloadPdf": "PDF डाउनलोड करें",
+
+  "rfq.title": "थोक RFQ — {product}",
+  "rfq.quantity": "मात्रा",
+  "rfq.location": "डिलीवरी स्थान",
+  "rfq.target": "लक्ष्य कीमत (वैकल्पिक)",
+  "rfq.notes": "नोट्स (गुणवत्ता, पैकिंग, परिवहन)",
+  "rfq.lot": "लॉट",
+  "rfq.send": "RFQ भेजें",
+  "rfq.addAddress": "पहले अपने खाते में डिलीवरी पता जोड़ें →",
+  "rfq.remaining_one": "इस महीने {limit} में से {count} थोक RFQ बाकी",
+  "rfq.remaining_other": "इस महीने {limit} में से {count} थोक RFQ बाकी",
+
+  "rfq.status.open": "कोटेशन की प्रतीक्षा",
+  "rfq.status.quoted": "कोटेशन मिला",
+  "rfq.status.countered": "प्रति-प्रस्ताव",
+  "rfq.status.accepted": "स्वीकृत",
+  "rfq.status.declined": "अस्वीकृत",
+  "rfq.card.summary_one": "#{id} · {count} यूनिट{lot} {location} तक · लक्ष्य {target}",
+  "rfq.card.summary_other": "#{id} · {count} यूनिट{lot} {location} तक · लक्ष्य {target}",
+  "rfq.card.farmer": "किसान",
+  "rfq.card.buyer": "खरीदार",
+  "rfq.card.perUnit": "{price} / यूनिट",
+  "rfq.card.delivery": "डिलीवरी {window}",
+  "rfq.card.validUntil": "{date} तक मान्य",
+  "rfq.card.expired": "इस कोटेशन की अवधि समाप्त हो गई है।",
+  "rfq.card.agreed": "{price} / यूनिट पर सहमति",
+  "rfq.card.order": "ऑर्डर #{id}",
+  "rfq.card.acceptQuote": "कोटेशन स्वीकारें",
+  "rfq.card.acceptCounter": "प्रति-प्रस्ताव स्वीकारें",
+  "rfq.card.decline": "अस्वीकार करें",
+  "offer.price": "यूनिट मूल्य (₹)",
+  "offer.validUntil": "तक मान्य",
+  "offer.deliveryWindow": "डिलीवरी अवधि (जैसे 3–5 दिन)",
+  "offer.note": "टिप्पणी (वैकल्पिक)",
+  "offer.sendQuote": "कोटेशन भेजें",
+  "offer.sendCounter": "प्रति-प्रस्ताव भेजें",
+
+  "order.status.placed": "दिया गया",
+  "order.status.packed": "पैक किया गया",
+  "order.status.shipped": "भेजा गया",
+  "order.status.delivered": "डिलीवर किया गया",
+  "order.status.cancelled": "रद्द",
+
+  "review.write": "समीक्षा लिखें",
+  "review.hidden": "(छिपी हुई)",
+  "review.hiddenTitle": "मॉडरेटर द्वारा छिपाई गई",
+
+  "ledger.hold": "एस्क्रो में भुगतान",
+  "ledger.release": "किसान को जारी",
+  "ledger.refund": "खरीदार को वापस",
+  "ledger.payout": "बैंक में भुगतान",
+  "escrow.held": "भुगतान एस्क्रो में रखा गया",
+  "escrow.released": "भुगतान किसान को जारी",
+  "escrow.refunded": "भुगतान वापस किया गया",
+  "escrow.pay": "एस्क्रो में भुगतान करें",
+  "escrow.confirmRelease": "डिलीवरी की पुष्टि करें और {amount} जारी करें",
+  "escrow.awaitingPayment": "भुगतान की प्रतीक्षा",
+  "wallet.empty": "अभी कोई लेन-देन नहीं।",
+  "wallet.held": "एस्क्रो में रखा गया",
+  "wallet.paidRefunded": "भुगतान {paid} · वापस {refunded}",
+  "wallet.buyerNote": "डिलीवरी की पुष्टि करने तक भुगतान एस्क्रो में रहता है; रद्द की गई वस्तुओं का पैसा आपके भुगतान माध्यम में वापस आता है।",
+  "wallet.available": "निकालने के लिए उपलब्ध",
+  "wallet.pendingPaidOut": "एस्क्रो में {pending} · भुगतान हो चुका {paidOut}",
+  "wallet.amount": "राशि (₹), अधिकतम {max}",
+  "wallet.withdraw": "निकालें",
+
+  "services.title": "सेवाएँ",
+  "services.subtitle": "सीधे कृषि व्यापार के लिए सब कुछ",
+  "services.rfq.title": "थोक RFQ मिलान",
+  "services.rfq.desc": "अपनी ज़रूरत बताएँ और सत्यापित किसानों से सीधे कोटेशन पाएँ।",
+  "services.grading.title": "गुणवत्ता और ग्रेडिंग",
+  "services.grading.desc": "वैकल्पिक तृतीय‑पक्ष ग्रेडिंग और प्रमाणपत्र अपलोड।",
+  "services.escrow.title": "एस्क्रो भुगतान",
+  "services.escrow.desc": "खरीदार की पुष्टि के बाद किसान को भुगतान।",
+  "services.logistics.title": "लॉजिस्टिक्स सहायता",
+  "services.logistics.desc": "कूरियर/माल परिवहन साझेदार और शिपमेंट ट्रैकिंग।",
+
+  "pricing.title": "कीमतें",
+  "pricing.subtitle": "प्लान चुनें; कीमतें आपकी मुद्रा में दिखती हैं",
+  "pricing.getStarted": "शुरू करें",
+  "pricing.fxNote": "बिलिंग INR में; {currency} कीमतें ₹{rate} = 1 {currency} की दर से (दरें {date} को अपडेट हुईं)।",
+  "pricing.monthly": "मासिक",
+  "pricing.yearly": "वार्षिक — 2 महीने मुफ़्त",
+  "pricing.perMonth": "/ महीना",
+  "pricing.perYear": "/ साल",
+  "pricing.current": "मौजूदा प्लान",
+  "pricing.upgrade": "अपग्रेड करें",
+  "pricing.downgrade": "डाउनग्रेड करें",
+  "pricing.confirmUpgrade": "अभी {amount} में {plan} पर जाएँ?",
+  "pricing.confirmUpgradeCredit": "अभी {amount} में {plan} पर जाएँ? इसमें मौजूदा प्लान के बचे समय का {credit} क्रेडिट घटाया गया है।",
+  "pricing.confirmDowngrade": "{date} को {plan} पर जाएँ? तब तक आपका मौजूदा प्लान चलेगा।",
+  "pricing.renews": "{plan} {date} को रिन्यू होगा।",
+  "pricing.switchesTo": "{date} को {plan} पर बदलेगा।",
+  "pricing.keep": "{plan} रखें",
+  "pricing.adminIncluded": "एडमिन खातों में शामिल।",
+  "plan.starter": "स्टार्टर",
+  "plan.pro": "प्रो ट्रेडर",
+  "plan.enterprise": "एंटरप्राइज़",
+  "plan.feature.browsing": "असीमित ब्राउज़िंग",
+  "plan.feature.checkout": "कार्ट चेकआउट",
+  "plan.feature.emailSupport": "ईमेल सहायता",
+  "plan.feature.rfqs": "असीमित थोक RFQ",
+  "plan.feature.prioritySupport": "प्राथमिकता सहायता",
+  "plan.feature.invoices": "डाउनलोड करने योग्य इनवॉइस",
+  "plan.feature.workflows": "कस्टम वर्कफ़्लो",
+  "plan.feature.accountManager": "अकाउंट मैनेजर",
+  "plan.feature.api": "API एक्सेस",
+  "plan.feature.rfqLimit": "हर महीने {count} थोक RFQ",
+  "plan.feature.priorityListing": "दुकान में प्राथमिकता लिस्टिंग",
+  "plan.feature.catalogCsv": "कैटलॉग CSV इंपोर्ट / एक्सपोर्ट",
+  "plan.feature.everythingInPro": "प्रो ट्रेडर की सभी सुविधाएँ",
+  "upgrade.rfqsPerMonth": "आपने इस महीने के सभी {limit} थोक RFQ इस्तेमाल कर लिए हैं। {plan} में असीमित RFQ हैं।",
+  "upgrade.invoices": "इनवॉइस PDF {plan} में शामिल हैं।",
+  "upgrade.catalogCsv": "कैटलॉग CSV इंपोर्ट और एक्सपोर्ट {plan} में शामिल हैं।",
+  "upgrade.priorityListing": "{plan} आपके उत्पादों को दुकान में सबसे आगे दिखाता है।",
+  "upgrade.api": "API एक्सेस {plan} में शामिल है।",
+  "upgrade.cta": "प्लान देखें →",
+
+  "farmerForm.name": "उत्पाद का नाम",
+  "farmerForm.price": "कीमत (₹)",
+  "farmerForm.stock": "स्टॉक",
+  "farmerForm.stockFromLots": "स्टॉक इस उत्पाद के लॉट का योग है; इसे उत्पाद पेज पर बदलें।",
+  "farmerForm.moq": "न्यूनतम ऑर्डर",
+  "farmerForm.status": "लिस्टिंग स्थिति",
+  "farmerForm.status.active": "सक्रिय — खरीदारों को दिखेगा",
+  "farmerForm.status.paused": "रुका हुआ — दुकान में नहीं दिखेगा",
+  "farmerForm.image": "तस्वीर का URL (उपयोग का अधिकार सुनिश्चित करें)",
+  "farmerForm.save": "उत्पाद सहेजें",
+  "farmerForm.saveChanges": "बदलाव सहेजें",
+  "farmerForm.cancel": "रद्द करें",
+
+  "farmerListings.empty": "अभी कोई लिस्टिंग नहीं। ऊपर एक जोड़ें या CSV आयात करें।",
+  "farmerListings.paused": "रोका गया",
+  "farmerListings.reason": "कारण: {reason}",
+  "farmerListings.summary_one": "{price} · स्टॉक {stock} · MOQ {moq} · {count} स्तर",
+  "farmerListings.summary_other": "{price} · स्टॉक {stock} · MOQ {moq} · {count} स्तर",
+  "farmerListings.photos": "फ़ोटो प्रबंधित करें ({count})",
+  "farmerListings.edit": "संपादित करें",
+  "farmerListings.pause": "रोकें",
+  "farmerListings.resume": "फिर शुरू करें",
+  "farmerListings.delete": "हटाएँ",
+
+  "moderation.pending": "समीक्षा की प्रतीक्षा",
+  "moderation.approved": "स्वीकृत",
+  "moderation.rejected": "अस्वीकृत",
+
+  "tiers.title": "थोक स्तर",
+  "tiers.add": "+ स्तर जोड़ें",
+  "tiers.none": "कोई थोक छूट नहीं — हर मात्रा सूची मूल्य पर बिकेगी।",
+  "tiers.fromQty": "मात्रा से",
+  "tiers.unitsAt": "इकाई @",
+  "tiers.price": "कीमत (₹)",
+  "tiers.minLabel": "स्तर {n} न्यूनतम मात्रा",
+  "tiers.priceLabel": "स्तर {n} इकाई कीमत",
+  "tiers.remove": "हटाएँ",
+
+  "assistant.open": "💬 AI से पूछें",
+  "assistant.openLabel": "AI सहायक खोलें",
+  "assistant.title": "कृषि सहायक",
+  "assistant.clear": "साफ़ करें",
+  "assistant.close": "AI सहायक बंद करें",
+  "assistant.placeholder": "फसल, कीमत, RFQ के बारे में पूछें…",
+  "assistant.send": "भेजें",
+  "assistant.thinking": "सोच रहा है…",
+  "assistant.readAloud": "जवाब पढ़कर सुनाएँ",
+  "assistant.stopReading": "जवाब पढ़ना बंद करें",
+  "assistant.readMessage": "पढ़कर सुनाएँ",
+
+  "voice.speak": "बोलें ({language})",
+  "voice.stop": "रोकें और लिखें",
+  "voice.notHeard": "माफ़ कीजिए, समझ नहीं आया। फिर से कोशिश करें।",
+
+  "standing.frequency.daily": "हर दिन",
+  "standing.frequency.weekly": "हफ़्ते में एक बार",
+  "standing.frequency.custom": "चुने हुए दिन",
+  "standing.day.1": "सोम",
+  "standing.day.2": "मंगल",
+  "standing.day.3": "बुध",
+  "standing.day.4": "गुरु",
+  "standing.day.5": "शुक्र",
+  "standing.day.6": "शनि",
+  "standing.schedule.daily": "रविवार छोड़कर हर दिन",
+  "standing.schedule.every": "हर {days}",
+  "standing.run.ordered": "ऑर्डर किया गया",
+  "standing.run.skipped": "छोड़ा गया",
+  "standing.run.missed": "छूट गया",
+  "standing.run.failed": "ऑर्डर नहीं हुआ",
+
+  "standing.setUp": "स्थायी ऑर्डर सेट करें →",
+  "standing.addAddress": "स्थायी ऑर्डर सेट करने के लिए अपने खाते में डिलीवरी पता जोड़ें →",
+  "standing.unitsPerDelivery": "प्रति डिलीवरी यूनिट",
+  "standing.priceEach": "यूनिट प्रति डिलीवरी · हर बार {price}, शिपिंग से पहले",
+  "standing.lot": "इस लॉट से डिलीवर करें",
+  "standing.howOften": "कितनी बार",
+  "standing.deliveryDay": "डिलीवरी का दिन",
+  "standing.deliverTo": "यहाँ डिलीवर करें",
+  "standing.deliveryTime": "डिलीवरी का समय",
+  "standing.firstDelivery": "पहली डिलीवरी",
+  "standing.autoNote": "हर डिलीवरी का ऑर्डर और भुगतान उसके परिवहन समय पहले अपने आप हो जाता है; उससे पहले कभी भी छोड़ें या रोकें।",
+  "standing.start": "स्थायी ऑर्डर शुरू करें",
+  "standing.cancel": "रद्द करें",
+  "standing.chooseAddress": "डिलीवरी पता चुनें।",
+  "standing.created": "स्थायी ऑर्डर सेट हो गया ({schedule}), पहली डिलीवरी {date}। इसे अपने खरीदार डैशबोर्ड से प्रबंधित करें।",
+  "standing.none": "कोई स्थायी ऑर्डर नहीं। तय समय पर डिलीवरी के लिए किसी उत्पाद पेज से एक सेट करें।",
+  "standing.active": "सक्रिय",
+  "standing.paused": "रुका हुआ",
+  "standing.perDelivery": "{price} प्रति डिलीवरी + शिपिंग",
+  "standing.next": "अगली डिलीवरी {date}",
+  "standing.skip": "इसे छोड़ें",
+  "standing.skipping": "छोड़ी जा रही",
+  "standing.undo": "वापस लें",
+  "standing.order": "ऑर्डर #{id}",
+  "standing.pause": "रोकें",
+  "standing.resume": "फिर शुरू करें",
+  "standing.cancelConfirm": "यह स्थायी ऑर्डर रद्द करें? पहले से दिए गए ऑर्डर पर असर नहीं पड़ेगा।",
+  "standing.calendar.none": "आपके उत्पादों के लिए कोई स्थायी ऑर्डर नहीं।",
+  "standing.calendar.product": "उत्पाद",
+  "standing.calendar.committed": "प्रतिबद्ध / स्टॉक",
+  "standing.calendar.note": "गुलाबी में: वे डिलीवरी जिन्हें आपका मौजूदा स्टॉक अभी पूरा नहीं करता।",
+
+  "analytics.title": "बिक्री विश्लेषण",
+  "analytics.dateRange": "तारीख़ सीमा",
+  "analytics.range.7": "पिछले 7 दिन",
+  "analytics.range.30": "पिछले 30 दिन",
+  "analytics.range.90": "पिछले 90 दिन",
+  "analytics.range.365": "पिछले 12 महीने",
+  "analytics.range.custom": "अपनी सीमा चुनें",
+  "analytics.from": "से",
+  "analytics.to": "तक",
+  "analytics.rangeTo": "से",
+  "analytics.exportCsv": "CSV निर्यात करें",
+  "analytics.badRange": "ऐसी शुरुआती तारीख़ चुनें जो अंतिम तारीख़ से पहले या उसी दिन हो।",
+  "analytics.revenue": "राजस्व",
+  "analytics.orders": "ऑर्डर",
+  "analytics.unitsSold": "बिकी इकाइयाँ",
+  "analytics.discounts": "छूट में दिया गया",
+  "analytics.noSales": "इस अवधि में कोई बिक्री नहीं।",
+  "analytics.metric": "माप",
+  "analytics.metric.revenueINR": "राजस्व",
+  "analytics.metric.units": "इकाइयाँ",
+  "analytics.metric.orders": "ऑर्डर",
+  "analytics.groupBy": "समूह बनाएँ",
+  "analytics.group.total": "सारी बिक्री",
+  "analytics.group.product": "उत्पाद के अनुसार",
+  "analytics.group.category": "श्रेणी के अनुसार",
+  "analytics.allSales": "सारी बिक्री",
+  "analytics.per.day": "प्रति दिन",
+  "analytics.per.week": "प्रति सप्ताह",
+  "analytics.per.month": "प्रति माह",
+  "analytics.chart": "बिक्री चार्ट",
+  "analytics.chartMore": "राजस्व के अनुसार {total} में से शीर्ष {shown}; CSV में सभी हैं।",
+  "analytics.realization": "प्राप्त बनाम सूची मूल्य",
+  "analytics.realizedVsList": "{realized} प्राप्त बनाम {list} सूची",
+  "analytics.discountCost": "छूट की लागत {total} (सूची का {pct}%) · थोक स्तर {tiers} · RFQ मूल्य {rfq}",
+  "analytics.topBuyers": "शीर्ष खरीदार",
+  "analytics.buyerLine_one": "{revenue} · {count} ऑर्डर · {units} इकाइयाँ",
+  "analytics.buyerLine_other": "{revenue} · {count} ऑर्डर · {units} इकाइयाँ",
+  "analytics.winRate": "RFQ जीत दर",
+  "analytics.noRfqs": "इस अवधि में कोई RFQ नहीं मिला।",
+  "analytics.rfqSummary": "मिले {received} में से {won} जीते, {lost} हारे, {open} खुले ({quoted} पर कोटेशन दिया)",
+  "analytics.lowStock": "कम स्टॉक चेतावनी",
+  "analytics.allCovered": "मौजूदा बिक्री दर पर हर लिस्टिंग में कम से कम {count} दिन का स्टॉक है।",
+  "analytics.left": "{count} बचे",
+  "analytics.cover_one": "{rate}/दिन की दर से लगभग {count} दिन का स्टॉक",
+  "analytics.cover_other": "{rate}/दिन की दर से लगभग {count} दिन का स्टॉक",
+
+  "favourites.title": "पसंदीदा",
+  "favourites.in": "♥ पसंदीदा में",
+  "favourites.add": "♡ पसंदीदा में जोड़ें",
+  "favourites.none": "किसी उत्पाद या फ़ार्म पर ♡ दबाएँ, वह यहाँ रहेगा।",
+  "favourites.price": "{price} · न्यूनतम {moq}",
+  "favourites.addToCart": "कार्ट में डालें",
+  "favourites.unlisted": "सूचीबद्ध नहीं",
+  "favourites.remove": "हटाएँ",
+  "lists.title": "सहेजी गई सूचियाँ",
+  "lists.buyAgain": "फिर से खरीदें",
+  "lists.list": "सूची",
+  "lists.newOption": "नई सूची…",
+  "lists.name": "सूची का नाम, जैसे होटल का साप्ताहिक सामान",
+  "lists.qty": "सूची में मात्रा",
+  "lists.lot": "सूची का लॉट",
+  "lists.anyLot": "कोई भी लॉट",
+  "lists.lotOption": "{code} (ग्रेड {grade})",
+  "lists.save": "सूची में सहेजें",
+  "lists.none": "नियमित रूप से खरीदे जाने वाले उत्पाद उनके पेज से किसी सूची में सहेजें, या अपना कार्ट सूची के रूप में सहेजें, फिर पूरी सूची एक क्लिक में कार्ट में डालें।",
+  "lists.summary_one": "{count} वस्तु · आज के भाव पर लगभग {estimate}",
+  "lists.summary_other": "{count} वस्तुएँ · आज के भाव पर लगभग {estimate}",
+  "lists.addToCart": "सूची कार्ट में डालें",
+  "lists.rename": "नाम बदलें",
+  "lists.renamePrompt": "सूची का नाम बदलें",
+  "lists.delete": "हटाएँ",
+  "lists.deleteConfirm": "यह सूची हटाएँ?",
+  "lists.empty": "इस सूची में अभी कुछ नहीं है।",
+  "lists.emptyAlert": "वह सूची खाली है।",
+  "lists.belowMoq": "न्यूनतम ऑर्डर {moq} से कम",
+  "lists.unlisted": "अब सूचीबद्ध नहीं",
+  "lists.itemQty": "{name} की मात्रा",
+  "lists.remove": "हटाएँ",
+  "lists.newName": "नई सूची, जैसे होटल का साप्ताहिक सामान",
+  "lists.create": "सूची बनाएँ",
+  "lists.saved": "\"{name}\" के रूप में सहेजा गया। इसे खरीदार डैशबोर्ड की सहेजी गई सूचियों से फिर कार्ट में डालें।",
+  "lists.note.aProduct": "एक उत्पाद",
+  "lists.note.lot": "{name} (लॉट {lot})",
+  "lists.note.unlisted": "{item} अब सूचीबद्ध नहीं है।",
+  "lists.note.outOfStock": "{item} स्टॉक में नहीं है।",
+  "lists.note.raisedToMoq_one": "{item}: न्यूनतम ऑर्डर {count} यूनिट तक बढ़ाया गया।",
+  "lists.note.raisedToMoq_other": "{item}: न्यूनतम ऑर्डर {count} यूनिट तक बढ़ाया गया।",
+  "lists.note.partial_one": "{item} की केवल {count} यूनिट उपलब्ध है, इसलिए आपके कार्ट में {qty} हैं।",
+  "lists.note.partial_other": "{item} की केवल {count} यूनिट उपलब्ध हैं, इसलिए आपके कार्ट में {qty} हैं।",
+  "alerts.title": "मूल्य अलर्ट",
+  "alerts.none": "किसी उत्पाद पेज पर लक्ष्य मूल्य तय करें; मूल्य या थोक स्तर उस तक पहुँचने पर हम यहाँ बताएँगे।",
+  "alerts.unlisted": "अब सूचीबद्ध नहीं",
+  "alerts.met_one": "अब {count} यूनिट के लिए {price} — आपके लक्ष्य पर या उससे कम",
+  "alerts.met_other": "अब {count} यूनिट के लिए {price} — आपके लक्ष्य पर या उससे कम",
+  "alerts.tier": "{count} यूनिट से {best} — आपके लक्ष्य पर या उससे कम (अभी {qty} के लिए {price})",
+  "alerts.now_one": "अब {count} यूनिट के लिए {price}",
+  "alerts.now_other": "अब {count} यूनिट के लिए {price}",
+  "alerts.current_one": "{count} यूनिट के लिए {price}/यूनिट पर अलर्ट:",
+  "alerts.current_other": "{count} यूनिट के लिए {price}/यूनिट पर अलर्ट:",
+  "alerts.remove": "अलर्ट हटाएँ",
+  "alerts.removeShort": "हटाएँ",
+  "alerts.target": "लक्ष्य मूल्य (₹ / यूनिट)",
+  "alerts.qty": "अलर्ट मात्रा",
+  "alerts.set": "मूल्य अलर्ट सेट करें",
+  "alerts.update": "अलर्ट अपडेट करें",
+  "alerts.targetLine": "लक्ष्य {price}/यूनिट",
+  "alerts.addToCart": "{count} कार्ट में डालें",
+  "alerts.dismiss": "हटाएँ",
+  "alerts.bannerOne": "{name} आपके लक्ष्य मूल्य तक पहुँच गया है।",
+  "alerts.banner_one": "{count} उत्पाद आपके लक्ष्य मूल्य तक पहुँच गया है।",
+  "alerts.banner_other": "{count} उत्पाद आपके लक्ष्य मूल्यों तक पहुँच गए हैं।",
+  "alerts.bannerSee": "मूल्य अलर्ट देखें।",
+};
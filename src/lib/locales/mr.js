@@ -0,0 +1,595 @@
+// मराठी — keys missing here fall back to English (see lib/i18n.js).
+export default {
+  "brand.name": "फार्मर्स मार्केट",
+
+  "nav.home": "मुख्यपृष्ठ",
+  "nav.shop": "दुकान",
+  "nav.services": "सेवा",
+  "nav.pricing": "किंमती",
+  "nav.dashboard": "डॅशबोर्ड",
+  "nav.about": "आमच्याबद्दल",
+  "nav.contact": "संपर्क",
+
+  "header.currency": "चलन",
+  "header.language": "भाषा",
+  "header.ratesUpdated": "दर {date} रोजी अद्ययावत",
+  "header.cart": "🛒 कार्ट",
+  "header.openCart": "कार्ट उघडा",
+  "header.signIn": "साइन इन",
+  "header.signOut": "साइन आउट",
+  "header.signedInAs": "{email} ({role}) म्हणून साइन इन",
+
+  "footer.resetDemo": "डेमो डेटा रीसेट करा",
+
+  "save.failed": "तुमचे अलीकडील बदल या ब्राउझरमध्ये जतन होऊ शकले नाहीत. कृपया पुन्हा प्रयत्न करा.",
+  "save.storageFull": "या ब्राउझरमधील मार्केटप्लेसची साठवण भरली आहे, त्यामुळे तुमचे अलीकडील बदल जतन झाले नाहीत. काही फोटो किंवा कागदपत्रे काढून पुन्हा प्रयत्न करा.",
+  "save.dismiss": "बंद करा",
+
+  "hero.title": "घाऊक व किरकोळ <शेत‑ताजा> बाजार.",
+  "hero.subtitle": "पडताळलेल्या शेतकऱ्यांकडून थेट पॅलेट किंवा एक पॅक मागवा—एजंट नाही, दलाल नाही.",
+  "hero.shop": "खरेदी सुरू करा",
+  "hero.services": "सेवा पहा",
+  "hero.modelNote": "3D मॉडेल डेमो आहे — लोड न झाल्यास आम्ही एक चित्र दाखवतो.",
+
+  "home.shopTitle": "ताजा शेतमाल खरेदी करा",
+  "home.shopSubtitle": "किरकोळ व घाऊक खरेदी",
+  "shop.title": "बाजार",
+  "shop.subtitle": "पडताळलेल्या शेतकऱ्यांशी थेट व्यवहार",
+  "about.title": "आमच्याबद्दल",
+  "about.subtitle": "न्याय्य आणि पारदर्शक शेती व्यापार हे आमचे ध्येय",
+  "about.body": "सुरक्षित पेमेंट आणि डेटा‑आधारित गुणवत्तेसह आम्ही शेतकरी आणि खरेदीदारांना थेट जोडतो. आमचा प्लॅटफॉर्म घरगुती खरेदी आणि कंटेनर‑स्तरीय खरेदी दोन्हीसाठी आहे.",
+  "contact.title": "संपर्क साधा",
+  "contact.subtitle": "आम्ही साधारण 1 कामकाजाच्या दिवसात उत्तर देतो",
+  "contact.name": "तुमचे नाव",
+  "contact.contact": "ईमेल किंवा फोन",
+  "contact.subject": "विषय",
+  "contact.category": "कशाबद्दल आहे?",
+  "contact.category.order": "ऑर्डरची अडचण",
+  "contact.category.payment": "पेमेंट",
+  "contact.category.listing": "यादी",
+  "contact.category.other": "इतर",
+  "contact.orderRef": "ऑर्डर संदर्भ (ऐच्छिक, उदा. #ab12c)",
+  "contact.message": "संदेश",
+  "contact.send": "संदेश पाठवा",
+  "contact.sent": "धन्यवाद! तुमची विनंती {reference} आम्हाला मिळाली आहे.",
+  "contact.trackInAccount": "तुमच्या खात्यात स्थिती पहा →",
+  "contact.keepReference": "खाली स्थिती पाहण्यासाठी हा संदर्भ जपून ठेवा.",
+  "contact.error.name.required": "तुमचे नाव लिहा.",
+  "contact.error.contact.required": "तुमचा ईमेल किंवा फोन नंबर लिहा.",
+  "contact.error.contact.invalid": "योग्य ईमेल पत्ता किंवा 10 अंकी भारतीय मोबाइल नंबर लिहा.",
+  "contact.error.category.required": "तुमचा संदेश कशाबद्दल आहे ते निवडा.",
+  "contact.error.orderRef.unknown": "ही ऑर्डर सापडली नाही. ऑर्डरवर दिसणारा नंबर वापरा, उदा. #ab12c.",
+  "contact.error.subject.required": "विषय जोडा.",
+  "contact.error.message.required": "तुमचा संदेश लिहा.",
+  "contact.error.message.tooLong": "संदेश 2,000 अक्षरांपेक्षा लहान ठेवा.",
+  "contact.track.title": "विनंतीची स्थिती तपासा",
+  "contact.track.reference": "संदर्भ (उदा. SUP-1001)",
+  "contact.track.check": "स्थिती तपासा",
+  "contact.track.notFound": "या संदर्भ आणि ईमेल किंवा फोनशी जुळणारी विनंती नाही.",
+  "ticket.status.open": "खुली",
+  "ticket.status.answered": "उत्तर दिले",
+  "ticket.status.closed": "बंद",
+  "ticket.support": "सहाय्य टीम",
+  "ticket.reply": "उत्तर लिहा",
+  "ticket.send": "पाठवा",
+  "ticket.closedNote": "ही विनंती बंद आहे. उत्तर दिल्यास ती पुन्हा उघडेल.",
+
+  "inbox.status": "स्थिती",
+  "inbox.allStatuses": "सर्व स्थिती",
+  "inbox.category": "वर्ग",
+  "inbox.allCategories": "सर्व वर्ग",
+  "inbox.empty": "येथे तिकिटे नाहीत.",
+  "inbox.from": "{name} कडून · {contact}",
+  "inbox.signedIn": "साइन इन केलेले",
+  "inbox.changeCategory": "वर्ग बदला",
+  "inbox.reopen": "पुन्हा उघडा",
+  "inbox.close": "तिकीट बंद करा",
+  "dashboard.title": "डॅशबोर्ड",
+  "dashboard.subtitle": "खरेदीदार व शेतकरी साधने",
+
+  "dashboard.buyer": "खरेदीदार डॅशबोर्ड",
+  "dashboard.farmer": "शेतकरी डॅशबोर्ड",
+  "dashboard.admin": "अ‍ॅडमिन कन्सोल",
+
+  "filters.search": "उत्पादने शोधा...",
+  "filters.sort.relevance": "क्रम: संबंधितता",
+  "filters.sort.priceAsc": "किंमत: कमी → जास्त",
+  "filters.sort.priceDesc": "किंमत: जास्त → कमी",
+  "filters.sort.ratingDesc": "रेटिंग: जास्त → कमी",
+  "filters.option": "{label} ({count})",
+  "filters.price": "किंमत श्रेणी",
+  "filters.price.any": "कोणतीही किंमत",
+  "filters.price.under": "{max} पेक्षा कमी",
+  "filters.price.between": "{min} – {max}",
+  "filters.price.over": "{min} व अधिक",
+  "filters.rating": "किमान रेटिंग",
+  "filters.rating.any": "कोणतेही रेटिंग",
+  "filters.rating.min": "{rating}★ व अधिक",
+  "filters.moq": "कमाल किमान ऑर्डर",
+  "filters.moq.any": "कोणतीही किमान ऑर्डर",
+  "filters.moq.max": "किमान ऑर्डर ≤ {moq}",
+  "filters.grade": "ग्रेड",
+  "filters.grade.any": "कोणताही ग्रेड",
+  "filters.grade.option": "ग्रेड {grade}",
+  "filters.inStock": "फक्त उपलब्ध साठा",
+  "filters.locations": "शेताचे ठिकाण:",
+  "filters.results_one": "{count} उत्पादन",
+  "filters.results_other": "{count} उत्पादने",
+  "filters.clear": "फिल्टर काढा",
+
+  "category.All": "सर्व",
+  "category.Fruits": "फळे",
+  "category.Vegetables": "भाज्या",
+  "category.Dairy": "दुग्धजन्य",
+  "category.Grains": "धान्य",
+  "category.Other": "इतर",
+
+  "product.add": "जोडा",
+  "product.bulk": "घाऊक",
+  "product.newListing": "नवीन यादी",
+  "product.featured": "वैशिष्ट्यपूर्ण",
+  "product.verified": "सत्यापित शेत",
+  "product.favourite": "आवडीमध्ये जोडा",
+  "product.unfavourite": "आवडीतून काढा",
+  "product.grades": "स्टॉकमधील ग्रेड: {grades}",
+  "product.rating_one": "⭐ {rating} ({count} परीक्षण)",
+  "product.rating_other": "⭐ {rating} ({count} परीक्षणे)",
+  "product.moq": "किमान ऑर्डर: {moq}",
+  "product.tier": "{min}+ @ {price}",
+
+  "farmer.fssai": "FSSAI परवानाधारक",
+  "farmer.organicUntil": "{date} पर्यंत सेंद्रिय प्रमाणित",
+  "kyc.status.unverified": "सत्यापित नाही",
+  "kyc.status.pending": "तपासणी सुरू",
+  "kyc.status.verified": "सत्यापित",
+  "kyc.status.rejected": "नाकारले",
+  "stock.out": "साठा संपला",
+  "stock.low": "फक्त {count} शिल्लक",
+
+  "cart.title": "तुमचे कार्ट",
+  "cart.close": "कार्ट बंद करा",
+  "cart.empty": "तुमचे कार्ट रिकामे आहे.",
+  "cart.perUnit": "{price} / नग",
+  "cart.youSave": "तुमची बचत {amount} ({min}+ स्तर)",
+  "cart.nextTier": "आणखी {count} जोडा, किंमत {price} / नग",
+  "cart.minimum": "किमान ऑर्डर {moq} आहे",
+  "cart.noMoreStock": "आणखी साठा उपलब्ध नाही",
+  "cart.remove": "काढा",
+  "cart.lot": "लॉट",
+  "lot.option": "लॉट {code} · ग्रेड {grade} · {count} उपलब्ध",
+  "lot.summary_one": "{count} लॉट · साठ्यातील ग्रेड {grades}",
+  "lot.summary_other": "{count} लॉट · साठ्यातील ग्रेड {grades}",
+  "lot.noGrades": "एकही नाही",
+  "lot.certificatesExpired_one": "{count} प्रमाणपत्राची मुदत संपली",
+  "lot.certificatesExpired_other": "{count} प्रमाणपत्रांची मुदत संपली",
+  "lot.certificatesExpiring": "{count} लवकरच संपणार",
+
+  "lot.label": "लॉट {code} (ग्रेड {grade})",
+  "lot.title": "दर्जा लॉट",
+  "lot.note": "उत्पादनाला लॉट असल्यास त्याचा साठा त्यांच्या युनिट्सची बेरीज असतो आणि खरेदीदार कार्ट किंवा RFQ मध्ये लॉट निवडतात.",
+  "lot.name": "लॉट {code}",
+  "lot.stock_one": "{count} युनिट",
+  "lot.stock_other": "{count} युनिट्स",
+  "lot.harvestedOn": "{date} रोजी काढणी",
+  "lot.certificates": "प्रमाणपत्रे:",
+  "lot.addToCart": "हा लॉट कार्टमध्ये टाका",
+  "lot.edit": "संपादित करा",
+  "lot.remove": "लॉट काढा",
+  "lot.removeConfirm": "हा लॉट काढायचा? त्याची युनिट्स लिस्टिंगच्या साठ्यातून जातील.",
+  "lot.addNew": "+ लॉट जोडा",
+  "lot.code": "लॉट कोड",
+  "lot.size": "आकार (उदा. मोठा, 280–320 ग्रॅ.)",
+  "lot.harvested": "काढणी",
+  "lot.units": "या लॉटमधील युनिट्स",
+  "lot.save": "लॉट जतन करा",
+  "lot.add": "लॉट जोडा",
+  "lot.cancel": "रद्द करा",
+  "certificate.none": "एकही नाही",
+  "certificate.validUntil": "{date} पर्यंत वैध",
+  "certificate.expired": "{date} रोजी मुदत संपली",
+  "certificate.remove": "काढा",
+  "certificate.attachTo": "प्रमाणपत्र जोडा",
+  "certificate.chooseFile": "प्रमाणपत्राची फाइल निवडा.",
+  "certificate.file": "प्रमाणपत्र फाइल",
+  "certificate.issuer": "जारीकर्ता (प्रयोगशाळा किंवा प्रमाणक)",
+  "certificate.number": "प्रमाणपत्र क्र. (ऐच्छिक)",
+  "certificate.validUntilField": "पर्यंत वैध",
+  "certificate.attach": "जोडा",
+  "cart.lineSummary": "किमान {moq} · एकूण {total}",
+  "cart.issue.exceeds": "साठ्यात फक्त {count} — प्रमाण कमी करा.",
+  "cart.issue.out": "साठा संपला — हा आयटम काढा.",
+  "cart.issue.unavailable": "आता उपलब्ध नाही — हा आयटम काढा.",
+  "cart.listPrice": "सूची किंमत",
+  "cart.bulkSavings": "घाऊक बचत",
+  "cart.total": "एकूण",
+  "cart.reservedUntil": "साठा {time} पर्यंत राखीव आहे.",
+  "cart.placeOrder": "ऑर्डर द्या",
+  "cart.back": "कार्टवर परत",
+  "cart.fixIssues": "चेकआउटपूर्वी चिन्हांकित आयटम दुरुस्त करा.",
+  "cart.checkout": "चेकआउट करा",
+  "cart.saveList": "कार्ट यादी म्हणून जतन करा",
+  "cart.saveListPrompt": "या यादीला नाव द्या (उदा. साप्ताहिक हॉटेल भाजीपाला)",
+
+  "checkout.deliverTo": "डिलिव्हरीचा पत्ता",
+  "checkout.addAddress": "+ नवीन पत्ता जोडा",
+  "checkout.shipmentFrom": "{farm} कडून शिपमेंट",
+  "checkout.shipmentDetails_one": "{km} किमी · {kg} किलो · {count} दिवस प्रवासात",
+  "checkout.shipmentDetails_other": "{km} किमी · {kg} किलो · {count} दिवस प्रवासात",
+  "checkout.approximate": "अंदाजे अंतर",
+  "checkout.window": "डिलिव्हरीची वेळ",
+  "checkout.chooseWindow": "डिलिव्हरीची वेळ निवडा",
+  "checkout.slot.morning": "सकाळ (8 – 12)",
+  "checkout.slot.afternoon": "दुपार (12 – 4)",
+  "checkout.slot.evening": "संध्याकाळ (4 – 8)",
+  "checkout.shipping": "शिपिंग",
+  "checkout.needDetails": "ऑर्डर देण्यासाठी डिलिव्हरीचा पत्ता आणि वेळ निवडा.",
+
+  "address.label": "नाव (उदा. घर, गोदाम)",
+  "address.name": "प्राप्तकर्त्याचे नाव",
+  "address.phone": "मोबाइल नंबर",
+  "address.line1": "घर / रस्ता",
+  "address.line2": "परिसर / खूण (ऐच्छिक)",
+  "address.city": "शहर / गाव",
+  "address.state": "राज्य",
+  "address.pincode": "पिनकोड",
+  "address.default": "हा माझा मुख्य पत्ता करा",
+  "address.save": "पत्ता जतन करा",
+  "address.cancel": "रद्द करा",
+  "address.error.name": "प्राप्तकर्त्याचे नाव लिहा.",
+  "address.error.phone": "10 अंकी भारतीय मोबाइल नंबर लिहा.",
+  "address.error.line1": "घर आणि रस्ता लिहा.",
+  "address.error.city": "शहर किंवा गाव लिहा.",
+  "address.error.pincode": "पिनकोड 6 अंकी असतो आणि 0 ने सुरू होत नाही.",
+
+  "address.none": "जतन केलेले पत्ते नाहीत. चेकआउट आणि RFQ पाठवण्यासाठी एक जोडा.",
+  "address.isDefault": "डीफॉल्ट",
+  "address.edit": "संपादित करा",
+  "address.makeDefault": "डीफॉल्ट करा",
+  "address.remove": "काढा",
+  "address.removeConfirm": "{label} पत्ता काढायचा?",
+  "address.add": "+ पत्ता जोडा",
+
+  "shipment.deliverTo": "{where} येथे पोहोचवा",
+  "shipment.window": "वेळ {when}",
+  "shipment.tracking": "ट्रॅकिंग",
+  "shipment.picked_up": "उचलले",
+  "shipment.in_transit": "वाटेत",
+  "shipment.delivered": "पोहोचवले",
+
+  "document.quotation": "कोटेशन",
+  "document.invoice": "इन्व्हॉइस",
+  "document.print": "प्रिंट करा",
+  "document.downloadPdf": "PDF डाउनलोड करा",
+
+  "rfq.title": "घाऊक RFQ — {product}",
+  "rfq.quantity": "प्रमाण",
+  "rfq.location": "डिलिव्हरीचे ठिकाण",
+  "rfq.target": "अपेक्षित किंमत (ऐच्छिक)",
+  "rfq.notes": "टीपा (गुणवत्ता, पॅकिंग, वाहतूक)",
+  "rfq.lot": "लॉट",
+  "rfq.send": "RFQ पाठवा",
+  "rfq.addAddress": "आधी तुमच्या खात्यात डिलिव्हरीचा पत्ता जोडा →",
+  "rfq.remaining_one": "या महिन्यात {limit} पैकी {count} घाऊक RFQ शिल्लक",
+  "rfq.remaining_other": "या महिन्यात {limit} पैकी {count} घाऊक RFQ शिल्लक",
+
+  "rfq.status.open": "कोटेशनची प्रतीक्षा",
+  "rfq.status.quoted": "कोटेशन मिळाले",
+  "rfq.status.countered": "प्रति-प्रस्ताव",
+  "rfq.status.accepted": "स्वीकारले",
+  "rfq.status.declined": "नाकारले",
+  "rfq.card.summary_one": "#{id} · {count} युनिट{lot} {location} येथे · लक्ष्य {target}",
+  "rfq.card.summary_other": "#{id} · {count} युनिट्स{lot} {location} येथे · लक्ष्य {target}",
+  "rfq.card.farmer": "शेतकरी",
+  "rfq.card.buyer": "खरेदीदार",
+  "rfq.card.perUnit": "{price} / युनिट",
+  "rfq.card.delivery": "डिलिव्हरी {window}",
+  "rfq.card.validUntil": "{date} पर्यंत वैध",
+  "rfq.card.expired": "या कोटेशनची मुदत संपली आहे.",
+  "rfq.card.agreed": "{price} / युनिट दराने ठरले",
+  "rfq.card.order": "ऑर्डर #{id}",
+  "rfq.card.acceptQuote": "कोटेशन स्वीकारा",
+  "rfq.card.acceptCounter": "प्रति-प्रस्ताव स्वीकारा",
+  "rfq.card.decline": "नाकारा",
+  "offer.price": "युनिट किंमत (₹)",
+  "offer.validUntil": "पर्यंत वैध",
+  "offer.deliveryWindow": "डिलिव्हरी कालावधी (उदा. 3–5 दिवस)",
+  "offer.note": "टीप (ऐच्छिक)",
+  "offer.sendQuote": "कोटेशन पाठवा",
+  "offer.sendCounter": "प्रति-प्रस्ताव पाठवा",
+
+  "order.status.placed": "दिली",
+  "order.status.packed": "पॅक केली",
+  "order.status.shipped": "पाठवली",
+  "order.status.delivered": "पोहोचवली",
+  "order.status.cancelled": "रद्द",
+
+  "review.write": "पुनरावलोकन लिहा",
+  "review.hidden": "(लपवलेले)",
+  "review.hiddenTitle": "मॉडरेटरने लपवले",
+
+  "ledger.hold": "एस्क्रोमध्ये भरणा",
+  "ledger.release": "शेतकऱ्याला दिले",
+  "ledger.refund": "खरेदीदाराला परत",
+  "ledger.payout": "बँकेत जमा",
+  "escrow.held": "रक्कम एस्क्रोमध्ये ठेवली",
+  "escrow.released": "रक्कम शेतकऱ्याला दिली",
+  "escrow.refunded": "रक्कम परत केली",
+  "escrow.pay": "एस्क्रोमध्ये भरा",
+  "escrow.confirmRelease": "डिलिव्हरीची खात्री करा व {amount} द्या",
+  "escrow.awaitingPayment": "रकमेची प्रतीक्षा",
+  "wallet.empty": "अजून व्यवहार नाहीत.",
+  "wallet.held": "एस्क्रोमध्ये ठेवलेले",
+  "wallet.paidRefunded": "भरले {paid} · परत {refunded}",
+  "wallet.buyerNote": "तुम्ही डिलिव्हरीची खात्री करेपर्यंत रक्कम एस्क्रोमध्ये राहते; रद्द केलेल्या वस्तूंची रक्कम तुमच्या पेमेंट पद्धतीत परत येते.",
+  "wallet.available": "काढण्यासाठी उपलब्ध",
+  "wallet.pendingPaidOut": "एस्क्रोमध्ये {pending} · दिलेले {paidOut}",
+  "wallet.amount": "रक्कम (₹), कमाल {max}",
+  "wallet.withdraw": "काढा",
+
+  "services.title": "सेवा",
+  "services.subtitle": "थेट शेती व्यापारासाठी सर्व काही",
+  "services.rfq.title": "घाऊक RFQ जुळवणी",
+  "services.rfq.desc": "तुमची गरज नोंदवा आणि पडताळलेल्या शेतकऱ्यांकडून थेट दरपत्रक मिळवा.",
+  "services.grading.title": "गुणवत्ता व प्रतवारी",
+  "services.grading.desc": "ऐच्छिक त्रयस्थ प्रतवारी आणि प्रमाणपत्र अपलोड.",
+  "services.escrow.title": "एस्क्रो पेमेंट",
+  "services.escrow.desc": "खरेदीदाराच्या पुष्टीनंतर शेतकऱ्याला रक्कम.",
+  "services.logistics.title": "वाहतूक सहाय्य",
+  "services.logistics.desc": "कुरिअर/मालवाहतूक भागीदार आणि शिपमेंट ट्रॅकिंग.",
+
+  "pricing.title": "किंमती",
+  "pricing.subtitle": "योजना निवडा; किंमती तुमच्या चलनात दिसतात",
+  "pricing.getStarted": "सुरू करा",
+  "pricing.fxNote": "बिलिंग INR मध्ये; {currency} किंमती ₹{rate} = 1 {currency} दराने (दर {date} रोजी अद्ययावत).",
+  "pricing.monthly": "मासिक",
+  "pricing.yearly": "वार्षिक — 2 महिने मोफत",
+  "pricing.perMonth": "/ महिना",
+  "pricing.perYear": "/ वर्ष",
+  "pricing.current": "सध्याची योजना",
+  "pricing.upgrade": "अपग्रेड करा",
+  "pricing.downgrade": "डाउनग्रेड करा",
+  "pricing.confirmUpgrade": "आता {amount} मध्ये {plan} वर जायचे?",
+  "pricing.confirmUpgradeCredit": "आता {amount} मध्ये {plan} वर जायचे? सध्याच्या योजनेच्या उरलेल्या कालावधीचे {credit} क्रेडिट वजा केले आहे.",
+  "pricing.confirmDowngrade": "{date} रोजी {plan} वर जायचे? तोपर्यंत तुमची सध्याची योजना चालू राहील.",
+  "pricing.renews": "{plan} {date} रोजी नूतनीकरण होईल.",
+  "pricing.switchesTo": "{date} रोजी {plan} वर बदलेल.",
+  "pricing.keep": "{plan} ठेवा",
+  "pricing.adminIncluded": "अ‍ॅडमिन खात्यांसाठी समाविष्ट.",
+  "plan.starter": "स्टार्टर",
+  "plan.pro": "प्रो ट्रेडर",
+  "plan.enterprise": "एंटरप्राइझ",
+  "plan.feature.browsing": "अमर्याद ब्राउझिंग",
+  "plan.feature.checkout": "कार्ट चेकआउट",
+  "plan.feature.emailSupport": "ईमेल सहाय्य",
+  "plan.feature.rfqs": "अमर्याद घाऊक RFQ",
+  "plan.feature.prioritySupport": "प्राधान्य सहाय्य",
+  "plan.feature.invoices": "डाउनलोड करता येणारी बिले",
+  "plan.feature.workflows": "सानुकूल कार्यप्रवाह",
+  "plan.feature.accountManager": "खाते व्यवस्थापक",
+  "plan.feature.api": "API प्रवेश",
+  "plan.feature.rfqLimit": "दरमहा {count} घाऊक RFQ",
+  "plan.feature.priorityListing": "दुकानात प्राधान्य यादी",
+  "plan.feature.catalogCsv": "कॅटलॉग CSV आयात / निर्यात",
+  "plan.feature.everythingInPro": "प्रो ट्रेडरमधील सर्व काही",
+  "upgrade.rfqsPerMonth": "या महिन्याचे सर्व {limit} घाऊक RFQ वापरले आहेत. {plan} मध्ये अमर्याद RFQ आहेत.",
+  "upgrade.invoices": "बिलांचे PDF {plan} मध्ये समाविष्ट आहेत.",
+  "upgrade.catalogCsv": "कॅटलॉग CSV आयात आणि निर्यात {plan} मध्ये समाविष्ट आहे.",
+  "upgrade.priorityListing": "{plan} तुमची उत्पादने दुकानात सर्वात आधी दाखवते.",
+  "upgrade.api": "API प्रवेश {plan} मध्ये समाविष्ट आहे.",
+  "upgrade.cta": "योजना पहा →",
+
+  "farmerForm.name": "उत्पादनाचे नाव",
+  "farmerForm.price": "किंमत (₹)",
+  "farmerForm.stock": "साठा",
+  "farmerForm.stockFromLots": "साठा या उत्पादनाच्या लॉटची बेरीज आहे; तो उत्पादन पानावर बदला.",
+  "farmerForm.moq": "किमान ऑर्डर",
+  "farmerForm.status": "यादीची स्थिती",
+  "farmerForm.status.active": "सक्रिय — खरेदीदारांना दिसेल",
+  "farmerForm.status.paused": "थांबवलेले — दुकानात दिसणार नाही",
+  "farmerForm.image": "चित्राचा URL (वापराचा परवाना असल्याची खात्री करा)",
+  "farmerForm.save": "उत्पादन जतन करा",
+  "farmerForm.saveChanges": "बदल जतन करा",
+  "farmerForm.cancel": "रद्द करा",
+
+  "farmerListings.empty": "अजून लिस्टिंग नाहीत. वर एक जोडा किंवा CSV आयात करा.",
+  "farmerListings.paused": "थांबवले",
+  "farmerListings.reason": "कारण: {reason}",
+  "farmerListings.summary_one": "{price} · साठा {stock} · MOQ {moq} · {count} स्तर",
+  "farmerListings.summary_other": "{price} · साठा {stock} · MOQ {moq} · {count} स्तर",
+  "farmerListings.photos": "फोटो व्यवस्थापित करा ({count})",
+  "farmerListings.edit": "संपादित करा",
+  "farmerListings.pause": "थांबवा",
+  "farmerListings.resume": "पुन्हा सुरू करा",
+  "farmerListings.delete": "हटवा",
+
+  "moderation.pending": "तपासणीच्या प्रतीक्षेत",
+  "moderation.approved": "मंजूर",
+  "moderation.rejected": "नाकारले",
+
+  "tiers.title": "घाऊक स्तर",
+  "tiers.add": "+ स्तर जोडा",
+  "tiers.none": "घाऊक सवलत नाही — प्रत्येक प्रमाण सूची किमतीत विकले जाईल.",
+  "tiers.fromQty": "प्रमाणापासून",
+  "tiers.unitsAt": "नग @",
+  "tiers.price": "किंमत (₹)",
+  "tiers.minLabel": "स्तर {n} किमान प्रमाण",
+  "tiers.priceLabel": "स्तर {n} प्रति नग किंमत",
+  "tiers.remove": "काढा",
+
+  "assistant.open": "💬 AI ला विचारा",
+  "assistant.openLabel": "AI सहाय्यक उघडा",
+  "assistant.title": "शेती सहाय्यक",
+  "assistant.clear": "साफ करा",
+  "assistant.close": "AI सहाय्यक बंद करा",
+  "assistant.placeholder": "पीक, किंमत, RFQ बद्दल विचारा…",
+  "assistant.send": "पाठवा",
+  "assistant.thinking": "विचार करत आहे…",
+  "assistant.readAloud": "उत्तरे वाचून दाखवा",
+  "assistant.stopReading": "उत्तरे वाचणे थांबवा",
+  "assistant.readMessage": "वाचून दाखवा",
+
+  "voice.speak": "बोला ({language})",
+  "voice.stop": "थांबा आणि लिहा",
+  "voice.notHeard": "माफ करा, समजले नाही. पुन्हा प्रयत्न करा.",
+
+  "standing.frequency.daily": "दररोज",
+  "standing.frequency.weekly": "आठवड्यातून एकदा",
+  "standing.frequency.custom": "निवडलेले दिवस",
+  "standing.day.1": "सोम",
+  "standing.day.2": "मंगळ",
+  "standing.day.3": "बुध",
+  "standing.day.4": "गुरु",
+  "standing.day.5": "शुक्र",
+  "standing.day.6": "शनि",
+  "standing.schedule.daily": "रविवार सोडून दररोज",
+  "standing.schedule.every": "दर {days}",
+  "standing.run.ordered": "ऑर्डर केली",
+  "standing.run.skipped": "वगळली",
+  "standing.run.missed": "चुकली",
+  "standing.run.failed": "ऑर्डर झाली नाही",
+
+  "standing.setUp": "कायम ऑर्डर सुरू करा →",
+  "standing.addAddress": "कायम ऑर्डरसाठी तुमच्या खात्यात डिलिव्हरी पत्ता जोडा →",
+  "standing.unitsPerDelivery": "प्रत्येक डिलिव्हरीची युनिट्स",
+  "standing.priceEach": "युनिट्स प्रत्येक डिलिव्हरीला · दर वेळी {price}, शिपिंगपूर्वी",
+  "standing.lot": "या लॉटमधून पाठवा",
+  "standing.howOften": "किती वेळा",
+  "standing.deliveryDay": "डिलिव्हरीचा दिवस",
+  "standing.deliverTo": "येथे पोहोचवा",
+  "standing.deliveryTime": "डिलिव्हरीची वेळ",
+  "standing.firstDelivery": "पहिली डिलिव्हरी",
+  "standing.autoNote": "प्रत्येक डिलिव्हरीची ऑर्डर व रक्कम तिच्या वाहतूक वेळेआधी आपोआप होते; त्याआधी कधीही वगळा किंवा थांबवा.",
+  "standing.start": "कायम ऑर्डर सुरू करा",
+  "standing.cancel": "रद्द करा",
+  "standing.chooseAddress": "डिलिव्हरी पत्ता निवडा.",
+  "standing.created": "कायम ऑर्डर सुरू झाली ({schedule}), पहिली डिलिव्हरी {date}. ती तुमच्या खरेदीदार डॅशबोर्डवरून व्यवस्थापित करा.",
+  "standing.none": "कायम ऑर्डर नाहीत. ठरलेल्या वेळापत्रकानुसार डिलिव्हरीसाठी उत्पादन पानावरून एक सुरू करा.",
+  "standing.active": "सक्रिय",
+  "standing.paused": "थांबवलेली",
+  "standing.perDelivery": "{price} प्रति डिलिव्हरी + शिपिंग",
+  "standing.next": "पुढील डिलिव्हरी {date}",
+  "standing.skip": "ही वगळा",
+  "standing.skipping": "वगळत आहे",
+  "standing.undo": "पूर्ववत करा",
+  "standing.order": "ऑर्डर #{id}",
+  "standing.pause": "थांबवा",
+  "standing.resume": "पुन्हा सुरू करा",
+  "standing.cancelConfirm": "ही कायम ऑर्डर रद्द करायची? आधी दिलेल्या ऑर्डरवर परिणाम होणार नाही.",
+  "standing.calendar.none": "तुमच्या उत्पादनांसाठी कायम ऑर्डर नाहीत.",
+  "standing.calendar.product": "उत्पादन",
+  "standing.calendar.committed": "बांधील / साठा",
+  "standing.calendar.note": "गुलाबी रंगात: ज्या डिलिव्हरी तुमचा सध्याचा साठा अजून भागवत नाही.",
+
+  "analytics.title": "विक्री विश्लेषण",
+  "analytics.dateRange": "तारीख कालावधी",
+  "analytics.range.7": "मागील 7 दिवस",
+  "analytics.range.30": "मागील 30 दिवस",
+  "analytics.range.90": "मागील 90 दिवस",
+  "analytics.range.365": "मागील 12 महिने",
+  "analytics.range.custom": "स्वतःची कालावधी",
+  "analytics.from": "पासून",
+  "analytics.to": "पर्यंत",
+  "analytics.rangeTo": "ते",
+  "analytics.exportCsv": "CSV निर्यात करा",
+  "analytics.badRange": "शेवटच्या तारखेपूर्वीची किंवा त्याच दिवशीची सुरुवातीची तारीख निवडा.",
+  "analytics.revenue": "महसूल",
+  "analytics.orders": "ऑर्डर",
+  "analytics.unitsSold": "विकलेली युनिट्स",
+  "analytics.discounts": "सवलतीत सोडलेले",
+  "analytics.noSales": "या कालावधीत विक्री नाही.",
+  "analytics.metric": "मापक",
+  "analytics.metric.revenueINR": "महसूल",
+  "analytics.metric.units": "युनिट्स",
+  "analytics.metric.orders": "ऑर्डर",
+  "analytics.groupBy": "गट करा",
+  "analytics.group.total": "सर्व विक्री",
+  "analytics.group.product": "उत्पादनानुसार",
+  "analytics.group.category": "श्रेणीनुसार",
+  "analytics.allSales": "सर्व विक्री",
+  "analytics.per.day": "प्रति दिवस",
+  "analytics.per.week": "प्रति आठवडा",
+  "analytics.per.month": "प्रति महिना",
+  "analytics.chart": "विक्री तक्ता",
+  "analytics.chartMore": "महसुलानुसार {total} पैकी पहिले {shown}; CSV मध्ये सर्व आहेत.",
+  "analytics.realization": "मिळालेली विरुद्ध यादी किंमत",
+  "analytics.realizedVsList": "{realized} मिळाले विरुद्ध {list} यादी",
+  "analytics.discountCost": "सवलतींचा खर्च {total} (यादीच्या {pct}%) · घाऊक टप्पे {tiers} · RFQ किंमत {rfq}",
+  "analytics.topBuyers": "आघाडीचे खरेदीदार",
+  "analytics.buyerLine_one": "{revenue} · {count} ऑर्डर · {units} युनिट्स",
+  "analytics.buyerLine_other": "{revenue} · {count} ऑर्डर · {units} युनिट्स",
+  "analytics.winRate": "RFQ यश दर",
+  "analytics.noRfqs": "या कालावधीत एकही RFQ आले नाही.",
+  "analytics.rfqSummary": "आलेल्या {received} पैकी {won} मिळाले, {lost} गेले, {open} खुले ({quoted} ला कोटेशन दिले)",
+  "analytics.lowStock": "कमी साठा इशारे",
+  "analytics.allCovered": "सध्याच्या विक्री दराने प्रत्येक लिस्टिंगमध्ये किमान {count} दिवसांचा साठा आहे.",
+  "analytics.left": "{count} शिल्लक",
+  "analytics.cover_one": "{rate}/दिवस दराने सुमारे {count} दिवसाचा साठा",
+  "analytics.cover_other": "{rate}/दिवस दराने सुमारे {count} दिवसांचा साठा",
+
+  "favourites.title": "आवडते",
+  "favourites.in": "♥ आवडत्यांमध्ये",
+  "favourites.add": "♡ आवडत्यांमध्ये जोडा",
+  "favourites.none": "उत्पादन किंवा शेतावर ♡ दाबा, ते येथे राहील.",
+  "favourites.price": "{price} · किमान {moq}",
+  "favourites.addToCart": "कार्टमध्ये टाका",
+  "favourites.unlisted": "लिस्टेड नाही",
+  "favourites.remove": "काढा",
+  "lists.title": "जतन केलेल्या याद्या",
+  "lists.buyAgain": "पुन्हा खरेदी करा",
+  "lists.list": "यादी",
+  "lists.newOption": "नवी यादी…",
+  "lists.name": "यादीचे नाव, उदा. हॉटेलचा साप्ताहिक माल",
+  "lists.qty": "यादीतील प्रमाण",
+  "lists.lot": "यादीचा लॉट",
+  "lists.anyLot": "कोणताही लॉट",
+  "lists.lotOption": "{code} (ग्रेड {grade})",
+  "lists.save": "यादीत जतन करा",
+  "lists.none": "नेहमी घेत असलेली उत्पादने त्यांच्या पानावरून यादीत जतन करा, किंवा तुमचा कार्ट यादी म्हणून जतन करा, मग संपूर्ण यादी एका क्लिकमध्ये कार्टमध्ये टाका.",
+  "lists.summary_one": "{count} वस्तू · आजच्या दराने सुमारे {estimate}",
+  "lists.summary_other": "{count} वस्तू · आजच्या दराने सुमारे {estimate}",
+  "lists.addToCart": "यादी कार्टमध्ये टाका",
+  "lists.rename": "नाव बदला",
+  "lists.renamePrompt": "यादीचे नाव बदला",
+  "lists.delete": "हटवा",
+  "lists.deleteConfirm": "ही यादी हटवायची?",
+  "lists.empty": "या यादीत अजून काही नाही.",
+  "lists.emptyAlert": "ती यादी रिकामी आहे.",
+  "lists.belowMoq": "किमान ऑर्डर {moq} पेक्षा कमी",
+  "lists.unlisted": "आता लिस्टेड नाही",
+  "lists.itemQty": "{name} चे प्रमाण",
+  "lists.remove": "काढा",
+  "lists.newName": "नवी यादी, उदा. हॉटेलचा साप्ताहिक माल",
+  "lists.create": "यादी तयार करा",
+  "lists.saved": "\"{name}\" म्हणून जतन केले. खरेदीदार डॅशबोर्डवरील जतन केलेल्या याद्यांमधून ते पुन्हा कार्टमध्ये टाका.",
+  "lists.note.aProduct": "एक उत्पादन",
+  "lists.note.lot": "{name} (लॉट {lot})",
+  "lists.note.unlisted": "{item} आता लिस्टेड नाही.",
+  "lists.note.outOfStock": "{item} साठ्यात नाही.",
+  "lists.note.raisedToMoq_one": "{item}: किमान ऑर्डर {count} युनिटपर्यंत वाढवले.",
+  "lists.note.raisedToMoq_other": "{item}: किमान ऑर्डर {count} युनिट्सपर्यंत वाढवले.",
+  "lists.note.partial_one": "{item} चे फक्त {count} युनिट उपलब्ध आहे, म्हणून तुमच्या कार्टमध्ये {qty} आहेत.",
+  "lists.note.partial_other": "{item} चे फक्त {count} युनिट्स उपलब्ध आहेत, म्हणून तुमच्या कार्टमध्ये {qty} आहेत.",
+  "alerts.title": "किंमत सूचना",
+  "alerts.none": "उत्पादन पानावर लक्ष्य किंमत ठरवा; किंमत किंवा घाऊक टप्पा तिथे पोहोचल्यावर आम्ही येथे कळवू.",
+  "alerts.unlisted": "आता लिस्टेड नाही",
+  "alerts.met_one": "आता {count} युनिटसाठी {price} — तुमच्या लक्ष्याइतकी किंवा कमी",
+  "alerts.met_other": "आता {count} युनिट्ससाठी {price} — तुमच्या लक्ष्याइतकी किंवा कमी",
+  "alerts.tier": "{count} युनिट्सपासून {best} — तुमच्या लक्ष्याइतकी किंवा कमी (आता {qty} साठी {price})",
+  "alerts.now_one": "आता {count} युनिटसाठी {price}",
+  "alerts.now_other": "आता {count} युनिट्ससाठी {price}",
+  "alerts.current_one": "{count} युनिटसाठी {price}/युनिट वर सूचना:",
+  "alerts.current_other": "{count} युनिट्ससाठी {price}/युनिट वर सूचना:",
+  "alerts.remove": "सूचना काढा",
+  "alerts.removeShort": "काढा",
+  "alerts.target": "लक्ष्य किंमत (₹ / युनिट)",
+  "alerts.qty": "सूचनेचे प्रमाण",
+  "alerts.set": "किंमत सूचना लावा",
+  "alerts.update": "सूचना अद्ययावत करा",
+  "alerts.targetLine": "लक्ष्य {price}/युनिट",
+  "alerts.addToCart": "{count} कार्टमध्ये टाका",
+  "alerts.dismiss": "बंद करा",
+  "alerts.bannerOne": "{name} तुमच्या लक्ष्य किमतीपर्यंत पोहोचले आहे.",
+  "alerts.banner_one": "{count} उत्पादन तुमच्या लक्ष्य किमतीपर्यंत पोहोचले आहे.",
+  "alerts.banner_other": "{count} उत्पादने तुमच्या लक्ष्य किमतींपर्यंत पोहोचली आहेत.",
+  "alerts.bannerSee": "किंमत सूचना पहा.",
+};
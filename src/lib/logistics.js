@@ -0,0 +1,243 @@
+// ----------------------------- Logistics -----------------------------
+// Buyer address books, shipping quotes and shipment tracking. Each farmer ships their split of an
+// order separately, so quotes are per farmer: the parcel's chargeable weight (the larger of the
+// actual and the volumetric weight) is priced by the road distance between the farm and the
+// delivery pincode. Without a maps API, places are located through a small table of towns and
+// of pincode prefixes (the first two digits identify the postal region); the distance is the
+// straight line between them times a road factor, which is close enough to price and schedule.
+
+// Address: { id, label, name, phone, line1, line2, city, state, pincode, isDefault }
+const PINCODE = /^[1-9][0-9]{5}$/;
+const PHONE = /^(\+91)?[6-9][0-9]{9}$/;
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+// A 10-digit Indian mobile number, optionally written with +91, spaces or dashes.
+export function isIndianPhone(value) {
+  return PHONE.test(String(value || "").replace(/[\s-]/g, ""));
+}
+
+export function validateAddress(draft) {
+  const address = {
+    id: draft.id || newId(),
+    label: String(draft.label || "").trim() || "Home",
+    name: String(draft.name || "").trim(),
+    phone: String(draft.phone || "").replace(/\s+/g, ""),
+    line1: String(draft.line1 || "").trim(),
+    line2: String(draft.line2 || "").trim(),
+    city: String(draft.city || "").trim(),
+    state: String(draft.state || "").trim(),
+    pincode: String(draft.pincode || "").trim(),
+    isDefault: !!draft.isDefault,
+  };
+  const errors = {};
+  if (!address.name) errors.name = "Enter the recipient's name.";
+  if (!isIndianPhone(address.phone)) errors.phone = "Enter a 10-digit Indian mobile number.";
+  if (!address.line1) errors.line1 = "Enter the street address.";
+  if (!address.city) errors.city = "Enter the city or town.";
+  if (!PINCODE.test(address.pincode)) errors.pincode = "Pincodes are 6 digits and do not start with 0.";
+  return { address, errors, valid: Object.keys(errors).length === 0 };
+}
+
+// Add or replace an address; exactly one address stays the default.
+export function saveAddress(addresses, address) {
+  const exists = addresses.some((a) => a.id === address.id);
+  const next = exists ? addresses.map((a) => (a.id === address.id ? address : a)) : [...addresses, address];
+  const defaultId = address.isDefault || !next.some((a) => a.isDefault) ? address.id : next.find((a) => a.isDefault).id;
+  return next.map((a) => ({ ...a, isDefault: a.id === defaultId }));
+}
+
+export function removeAddress(addresses, id) {
+  const next = addresses.filter((a) => a.id !== id);
+  if (next.length && !next.some((a) => a.isDefault)) next[0] = { ...next[0], isDefault: true };
+  return next;
+}
+
+export function defaultAddress(addresses = []) {
+  return addresses.find((a) => a.isDefault) || addresses[0] || null;
+}
+
+export function formatAddress(a) {
+  return [a.line1, a.line2, a.city, [a.state, a.pincode].filter(Boolean).join(" ")].filter(Boolean).join(", ");
+}
+
+// ---- Places ----
+const PLACES = {
+  mumbai: [19.08, 72.88], pune: [18.52, 73.86], nashik: [20.0, 73.79], nagpur: [21.15, 79.09],
+  aurangabad: [19.88, 75.34], kolhapur: [16.7, 74.24], solapur: [17.66, 75.91], amravati: [20.93, 77.75],
+  delhi: [28.61, 77.21], jaipur: [26.91, 75.79], lucknow: [26.85, 80.95], chandigarh: [30.73, 76.78],
+  ahmedabad: [23.02, 72.57], surat: [21.17, 72.83], indore: [22.72, 75.86], bhopal: [23.26, 77.41],
+  hyderabad: [17.39, 78.49], bengaluru: [12.97, 77.59], bangalore: [12.97, 77.59], chennai: [13.08, 80.27],
+  kochi: [9.93, 76.27], kolkata: [22.57, 88.36], patna: [25.59, 85.14], bhubaneswar: [20.3, 85.82],
+  guwahati: [26.14, 91.74], goa: [15.49, 73.83], panaji: [15.49, 73.83],
+};
+// first two pincode digits → a representative place in that postal region
+const PINCODE_REGIONS = {
+  11: "delhi", 12: "delhi", 13: "chandigarh", 14: "chandigarh", 16: "chandigarh",
+  20: "lucknow", 21: "lucknow", 22: "lucknow", 24: "lucknow", 30: "jaipur", 31: "jaipur", 32: "jaipur", 33: "jaipur", 34: "jaipur",
+  36: "ahmedabad", 37: "ahmedabad", 38: "ahmedabad", 39: "surat",
+  40: "mumbai", 41: "pune", 42: "nashik", 43: "aurangabad", 44: "nagpur", 45: "indore", 46: "bhopal", 47: "bhopal", 48: "bhopal", 49: "bhopal",
+  50: "hyderabad", 51: "hyderabad", 52: "hyderabad", 53: "hyderabad", 56: "bengaluru", 57: "bengaluru", 58: "bengaluru", 59: "bengaluru",
+  60: "chennai", 61: "chennai", 62: "chennai", 63: "chennai", 64: "chennai", 67: "kochi", 68: "kochi", 69: "kochi",
+  70: "kolkata", 71: "kolkata", 72: "kolkata", 73: "kolkata", 74: "kolkata", 75: "bhubaneswar", 76: "bhubaneswar", 77: "bhubaneswar",
+  78: "guwahati", 79: "guwahati", 80: "patna", 81: "patna", 82: "patna", 83: "patna", 84: "patna", 85: "patna",
+};
+// used when a farm's town is not in the table
+const UNKNOWN_DISTANCE_KM = 600;
+const ROAD_FACTOR = 1.3;
+
+function locatePlace(text) {
+  const words = String(text || "").toLowerCase().split(/[^a-z]+/);
+  const hit = words.find((w) => PLACES[w]);
+  return hit ? PLACES[hit] : null;
+}
+
+function locateAddress(address) {
+  return locatePlace(address.city) || PLACES[PINCODE_REGIONS[String(address.pincode).slice(0, 2)]] || null;
+}
+
+function haversineKm([lat1, lon1], [lat2, lon2]) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+// { km, approximate } — approximate when either end could not be located.
+export function roadDistance(farmLocation, address) {
+  const from = locatePlace(farmLocation);
+  const to = locateAddress(address);
+  if (!from || !to) return { km: UNKNOWN_DISTANCE_KM, approximate: true };
+  // same town still needs a local delivery run
+  return { km: Math.max(10, Math.round(haversineKm(from, to) * ROAD_FACTOR)), approximate: false };
+}
+
+// ---- Parcels ----
+// litres of packed volume per kg, by category; liquids are about 1 L per kg
+const LITRES_PER_KG = { Fruits: 2.5, Vegetables: 2.2, Dairy: 1.2, Grains: 1.3 };
+// couriers bill volume at 5 L (5000 cm³) per kg
+const LITRES_PER_VOLUMETRIC_KG = 5;
+const KG_PER_EGG = 0.06;
+
+// Weight of one unit, from `unitWeightKg` when set or from the pack size in the name: "(5kg)",
+// "(500 g)", "(1L)", "(12)" eggs. Falls back to 1 kg.
+export function unitWeightKg(product) {
+  if (Number(product.unitWeightKg) > 0) return Number(product.unitWeightKg);
+  const size = String(product.name).match(/\((\d+(?:\.\d+)?)\s*(kg|g|l|ml)?\)/i);
+  if (!size) return 1;
+  const n = Number(size[1]);
+  switch ((size[2] || "").toLowerCase()) {
+    case "kg": case "l": return n;
+    case "g": case "ml": return n / 1000;
+    default: return /egg/i.test(product.name) ? n * KG_PER_EGG : n;
+  }
+}
+
+// lines: [{ product, qty }] → { weightKg, volumeL, chargeableKg }
+export function parcelFor(lines) {
+  let weightKg = 0;
+  let volumeL = 0;
+  for (const { product, qty } of lines) {
+    const kg = unitWeightKg(product) * qty;
+    weightKg += kg;
+    volumeL += kg * (LITRES_PER_KG[product.category] || 2);
+  }
+  const round1 = (x) => Math.round(x * 10) / 10;
+  return { weightKg: round1(weightKg), volumeL: round1(volumeL), chargeableKg: round1(Math.max(weightKg, volumeL / LITRES_PER_VOLUMETRIC_KG)) };
+}
+
+// ---- Rates and delivery windows ----
+export const SHIPPING_BANDS = Object.freeze([
+  { upToKm: 50, name: "Local", baseINR: 40, perKgINR: 3, transitDays: 1 },
+  { upToKm: 300, name: "Regional", baseINR: 60, perKgINR: 6, transitDays: 2 },
+  { upToKm: 1000, name: "National", baseINR: 90, perKgINR: 9, transitDays: 4 },
+  { upToKm: Infinity, name: "Long haul", baseINR: 120, perKgINR: 12, transitDays: 6 },
+]);
+
+export function bandFor(km) {
+  return SHIPPING_BANDS.find((b) => km <= b.upToKm);
+}
+
+// Quote one farmer's shipment to an address.
+export function quoteShipment(farmer, lines, address) {
+  const distance = roadDistance(farmer?.location, address);
+  const parcel = parcelFor(lines);
+  const band = bandFor(distance.km);
+  return {
+    farmerId: farmer?.id,
+    distanceKm: distance.km,
+    approximate: distance.approximate,
+    ...parcel,
+    band: band.name,
+    transitDays: band.transitDays,
+    costINR: Math.round(band.baseINR + band.perKgINR * parcel.chargeableKg),
+  };
+}
+
+// cart lines (products spread with qty) → one quote per farmer
+export function quoteCart(cartLines, farmersById, address) {
+  const byFarmer = {};
+  for (const it of cartLines) (byFarmer[it.farmerId] ||= []).push({ product: it, qty: it.qty });
+  return Object.entries(byFarmer).map(([farmerId, lines]) => quoteShipment(farmersById[farmerId] || { id: farmerId }, lines, address));
+}
+
+export const DELIVERY_SLOTS = Object.freeze([
+  { id: "morning", label: "8 am – 12 pm" },
+  { id: "afternoon", label: "12 – 4 pm" },
+  { id: "evening", label: "4 – 8 pm" },
+]);
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Windows the slowest shipment can make: `days` consecutive days × the slots, Sundays excluded.
+export function deliveryWindows(transitDays, now = new Date(), days = 3) {
+  const windows = [];
+  const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + transitDays));
+  while (windows.length < days * DELIVERY_SLOTS.length) {
+    if (day.getUTCDay() !== 0) {
+      for (const slot of DELIVERY_SLOTS) windows.push({ id: `${isoDay(day)}:${slot.id}`, date: isoDay(day), slot: slot.id, label: slot.label });
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return windows;
+}
+
+// ---- Shipments ----
+// A split's shipment is created when the farmer marks it shipped and closed when it is delivered:
+//   picked_up → in_transit (any number of scans) → delivered
+export const SHIPMENT_EVENT_LABEL_KEY = {
+  picked_up: "shipment.picked_up",
+  in_transit: "shipment.in_transit",
+  delivered: "shipment.delivered",
+};
+
+function event(status, location) {
+  return { status, location: location || "", date: new Date().toISOString() };
+}
+
+function withShipment(order, farmerId, fn) {
+  const splits = order.splits.map((s) => (s.farmerId === farmerId ? { ...s, shipment: fn(s.shipment, s) } : s));
+  return { ...order, splits };
+}
+
+// Bring the split's shipment in line with its status after the farmer advanced it.
+export function syncShipment(order, farmerId, farmLocation) {
+  return withShipment(order, farmerId, (shipment, split) => {
+    if (split.status === "shipped" && !shipment) {
+      return { trackingId: `FM${order.id.slice(0, 5).toUpperCase()}${farmerId.slice(0, 3).toUpperCase()}`, carrier: "Farmers Market Logistics", events: [event("picked_up", farmLocation)] };
+    }
+    if (split.status === "delivered" && shipment && !shipment.events.some((e) => e.status === "delivered")) {
+      return { ...shipment, events: [...shipment.events, event("delivered", order.shipTo?.city)] };
+    }
+    return shipment;
+  });
+}
+
+export function addTransitScan(order, farmerId, location) {
+  const split = order.splits.find((s) => s.farmerId === farmerId);
+  if (split?.status !== "shipped" || !split.shipment) throw new Error("Only shipments on their way can get transit updates.");
+  return withShipment(order, farmerId, (shipment) => ({ ...shipment, events: [...shipment.events, event("in_transit", location)] }));
+}
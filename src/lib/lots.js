@@ -0,0 +1,135 @@
+// ----------------------------- Quality lots -----------------------------
+// A product can be split into graded lots, each with its own stock and certificates. Once a product
+// has lots its `stock` is their total, and buyers pick a lot in the cart or an RFQ:
+//   product.lots: [{ id, code, grade: "A"|"B"|"C", size, metric, harvestDate, stock,
+//                    certificates: [{ id, name, type, dataUrl, issuer, number, validUntil }] }]
+// `metric` is the category's quality measure (see QUALITY_METRICS), a percentage, or null.
+// Orders, reservations, RFQs and standing orders refer to a lot by id and keep a { id, code, grade }
+// snapshot; an order item's lot is where its units came from and where a cancellation returns them.
+
+export const GRADES = Object.freeze(["A", "B", "C"]);
+
+// the measure graders report for each category; vegetables are graded on size alone
+export const QUALITY_METRICS = Object.freeze({
+  Fruits: { key: "brix", label: "Brix", unit: "°Bx", max: 40 },
+  Grains: { key: "moisture", label: "Moisture", unit: "%", max: 100 },
+  Dairy: { key: "fat", label: "Fat", unit: "%", max: 100 },
+});
+
+// certificates this close to expiry are flagged to the farmer
+export const EXPIRY_WARNING_DAYS = 30;
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+function isWhole(n) {
+  return Number.isInteger(n) && n >= 0;
+}
+
+export function lotsOf(product) {
+  return product?.lots || [];
+}
+
+export function findLot(product, lotId) {
+  return lotsOf(product).find((l) => l.id === lotId) || null;
+}
+
+export function lotSnapshot(lot) {
+  return lot ? { id: lot.id, code: lot.code, grade: lot.grade } : null;
+}
+
+// "Large (280–320 g) · Brix 19 °Bx"
+export function describeQuality(lot, category) {
+  const metric = QUALITY_METRICS[category];
+  return [
+    lot.size,
+    metric && lot.metric != null ? `${metric.label} ${lot.metric}${metric.unit === "%" ? "%" : ` ${metric.unit}`}` : "",
+  ].filter(Boolean).join(" · ");
+}
+
+// Grades a buyer can get right now, best first.
+export function availableGrades(product) {
+  return GRADES.filter((g) => lotsOf(product).some((l) => l.grade === g && l.stock > 0));
+}
+
+// The lot a new cart line starts on: the best grade in stock that covers `qty`, else the fullest.
+export function defaultLot(product, qty = 0) {
+  const lots = lotsOf(product).filter((l) => l.stock > 0).sort((a, b) => a.grade.localeCompare(b.grade));
+  return lots.find((l) => l.stock >= qty) || lots.sort((a, b) => b.stock - a.stock)[0] || null;
+}
+
+// Coerce the lot form into a lot and collect problems keyed by field.
+export function validateLot(draft, product) {
+  const metric = QUALITY_METRICS[product.category];
+  const lot = {
+    id: draft.id || newId(),
+    code: String(draft.code || "").trim().toUpperCase(),
+    grade: draft.grade,
+    size: String(draft.size || "").trim(),
+    metric: metric && String(draft.metric ?? "").trim() !== "" ? Number(draft.metric) : null,
+    harvestDate: draft.harvestDate || "",
+    stock: String(draft.stock ?? "").trim() === "" ? NaN : Number(draft.stock),
+    certificates: draft.certificates || [],
+  };
+  const errors = {};
+  if (!lot.code) errors.code = "Lot code is required.";
+  else if (lotsOf(product).some((l) => l.code === lot.code && l.id !== lot.id)) errors.code = `Lot ${lot.code} already exists for this product.`;
+  if (!GRADES.includes(lot.grade)) errors.grade = `Grade must be one of ${GRADES.join(", ")}.`;
+  if (metric && lot.metric != null && !(lot.metric >= 0 && lot.metric <= metric.max)) errors.metric = `${metric.label} must be between 0 and ${metric.max}.`;
+  if (lot.harvestDate && lot.harvestDate > new Date().toISOString().slice(0, 10)) errors.harvestDate = "Harvest date cannot be in the future.";
+  if (!isWhole(lot.stock)) errors.stock = "Stock must be a whole number.";
+  return { lot, errors, valid: Object.keys(errors).length === 0 };
+}
+
+// Keep `product.stock` equal to its lots' total.
+export function withLotStock(product) {
+  const lots = lotsOf(product);
+  return lots.length ? { ...product, stock: lots.reduce((s, l) => s + l.stock, 0) } : product;
+}
+
+export function saveLot(product, lot) {
+  const lots = lotsOf(product);
+  return withLotStock({ ...product, lots: lots.some((l) => l.id === lot.id) ? lots.map((l) => (l.id === lot.id ? lot : l)) : [...lots, lot] });
+}
+
+// Removing the last lot leaves the product ungraded with no stock.
+export function removeLot(product, lotId) {
+  const lots = lotsOf(product).filter((l) => l.id !== lotId);
+  return lots.length ? withLotStock({ ...product, lots }) : { ...product, lots, stock: 0 };
+}
+
+// Units leave the sale's lot and a cancellation puts them back into that same lot, so grades and
+// their certificates never mix. A sale must name its lot. Returns to a lot that has since been removed
+// leave the listing with it (see removeLot); only units sold before the product had lots come back
+// without one, and those go to the first lot.
+export function adjustLots(lots, qty, lotId = null) {
+  if (!lots.length) return lots;
+  const known = lots.some((l) => l.id === lotId);
+  if (!known && qty < 0) throw new Error("Choose which lot these units come from.");
+  if (!known && lotId) return lots;
+  const id = known ? lotId : lots[0].id;
+  return lots.map((l) => (l.id === id ? { ...l, stock: l.stock + qty } : l));
+}
+
+// ----------------------------- Certificates -----------------------------
+export function certificateStatus(cert, now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+  if (cert.validUntil < today) return "expired";
+  const soon = new Date(now);
+  soon.setUTCDate(soon.getUTCDate() + EXPIRY_WARNING_DAYS);
+  return cert.validUntil <= soon.toISOString().slice(0, 10) ? "expiring" : "valid";
+}
+
+// `doc` is an uploaded file read with readDocument (lib/verification.js).
+export function addCertificate(lot, doc, { issuer, number, validUntil }) {
+  if (!String(issuer || "").trim()) throw new Error("Enter who issued the certificate.");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(validUntil || "")) throw new Error("Enter the date the certificate is valid until.");
+  if (validUntil < new Date().toISOString().slice(0, 10)) throw new Error("That certificate has already expired.");
+  const cert = { id: doc.id, name: doc.name, type: doc.type, dataUrl: doc.dataUrl, issuer: issuer.trim(), number: String(number || "").trim(), validUntil };
+  return { ...lot, certificates: [...lot.certificates, cert] };
+}
+
+export function removeCertificate(lot, certId) {
+  return { ...lot, certificates: lot.certificates.filter((c) => c.id !== certId) };
+}
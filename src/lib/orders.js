@@ -0,0 +1,139 @@
+import { findLot, lotSnapshot } from "./lots.js";
+import { priceCart } from "./pricing.js";
+
+// ----------------------------- Orders -----------------------------
+// An order snapshots every line at the price the buyer paid, in INR, together with the display
+// currency chosen at checkout. Lines are split per farmer; each farmer advances their own split
+//   placed → packed → shipped → delivered      (placed/packed → cancelled)
+// and the order status is derived from the splits.
+
+export const ORDER_STATUSES = Object.freeze(["placed", "packed", "shipped", "delivered", "cancelled"]);
+const FLOW = ["placed", "packed", "shipped", "delivered"];
+const CANCELLABLE = ["placed", "packed"];
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+function stamp(status) {
+  return { status, date: new Date().toISOString() };
+}
+
+// Snapshot cart lines (products spread with a qty) at their tier price.
+export function itemsFromCart(cart) {
+  const { byId } = priceCart(cart);
+  return cart.map((it) => ({
+    productId: it.id,
+    name: it.name,
+    image: it.image,
+    category: it.category,
+    farmerId: it.farmerId,
+    qty: it.qty,
+    lot: lotSnapshot(findLot(it, it.lotId)),
+    listPriceINR: it.priceINR,
+    unitPriceINR: byId[it.id].unitPriceINR,
+    lineTotalINR: byId[it.id].lineTotalINR,
+  }));
+}
+
+// `shippingByFarmer` maps farmerId → shipping charge in INR for that farmer's split (see lib/logistics.js).
+export function createOrder({ items, buyer, currency = "INR", source = "cart", shippingByFarmer = {}, ...extra }) {
+  if (!items.length) throw new Error("An order needs at least one item.");
+  const farmerIds = [...new Set(items.map((i) => i.farmerId))];
+  const splits = farmerIds.map((farmerId) => {
+    const mine = items.filter((i) => i.farmerId === farmerId);
+    return {
+      farmerId,
+      productIds: mine.map((i) => i.productId),
+      subtotalINR: mine.reduce((s, i) => s + i.lineTotalINR, 0),
+      shippingINR: shippingByFarmer[farmerId] || 0,
+      status: "placed",
+      history: [stamp("placed")],
+    };
+  });
+  const shippingINR = splits.reduce((s, sp) => s + sp.shippingINR, 0);
+  const order = {
+    id: newId(),
+    date: new Date().toISOString(),
+    source,
+    buyer,
+    currency,
+    items,
+    shippingINR,
+    totalINR: items.reduce((s, i) => s + i.lineTotalINR, 0) + shippingINR,
+    listTotalINR: items.reduce((s, i) => s + i.listPriceINR * i.qty, 0),
+    splits,
+    ...extra,
+  };
+  return { ...order, status: deriveStatus(order) };
+}
+
+// Overall status: cancelled only if every split is; otherwise the least advanced live split.
+export function deriveStatus(order) {
+  const live = order.splits.filter((s) => s.status !== "cancelled");
+  if (!live.length) return "cancelled";
+  return FLOW[Math.min(...live.map((s) => FLOW.indexOf(s.status)))];
+}
+
+export function nextStatus(status) {
+  const i = FLOW.indexOf(status);
+  return i >= 0 && i < FLOW.length - 1 ? FLOW[i + 1] : null;
+}
+
+export function canCancel(status) {
+  return CANCELLABLE.includes(status);
+}
+
+function updateSplit(order, farmerId, fn) {
+  const splits = order.splits.map((s) => (s.farmerId === farmerId ? fn(s) : s));
+  const next = { ...order, splits };
+  return { ...next, status: deriveStatus(next) };
+}
+
+// What the buyer pays for one farmer's split: goods plus that split's shipping.
+export function splitTotalINR(split) {
+  return split.subtotalINR + (split.shippingINR || 0);
+}
+
+export function findSplit(order, farmerId) {
+  return order.splits.find((s) => s.farmerId === farmerId) || null;
+}
+
+// Farmer moves their split one step along the fulfilment flow.
+export function advanceSplit(order, farmerId) {
+  const split = findSplit(order, farmerId);
+  const to = split && nextStatus(split.status);
+  if (!to) throw new Error("This order cannot be advanced any further.");
+  return updateSplit(order, farmerId, (s) => ({ ...s, status: to, history: [...s.history, stamp(to)] }));
+}
+
+export function cancelSplit(order, farmerId, reason = "") {
+  const split = findSplit(order, farmerId);
+  if (!split || !canCancel(split.status)) throw new Error("Only orders that have not shipped can be cancelled.");
+  return updateSplit(order, farmerId, (s) => ({ ...s, status: "cancelled", cancelReason: reason, history: [...s.history, stamp("cancelled")] }));
+}
+
+// Buyer cancels whatever has not shipped yet.
+export function cancelOrder(order, reason = "") {
+  const open = order.splits.filter((s) => canCancel(s.status));
+  if (!open.length) throw new Error("Only orders that have not shipped can be cancelled.");
+  return open.reduce((o, s) => cancelSplit(o, s.farmerId, reason), order);
+}
+
+export function itemsForFarmer(order, farmerId) {
+  return order.items.filter((i) => i.farmerId === farmerId);
+}
+
+export function ordersForFarmer(orders, farmerId) {
+  return orders.filter((o) => findSplit(o, farmerId));
+}
+
+// Splits that went to "cancelled" between two versions of an order (they get refunded).
+export function newlyCancelledSplits(before, after) {
+  return after.splits.filter((s) => s.status === "cancelled" && findSplit(before, s.farmerId)?.status !== "cancelled");
+}
+
+// Items of those splits (their stock goes back).
+export function newlyCancelledItems(before, after) {
+  return newlyCancelledSplits(before, after).flatMap((s) => itemsForFarmer(after, s.farmerId));
+}
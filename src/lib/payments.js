@@ -0,0 +1,163 @@
+import { findSplit, splitTotalINR } from "./orders.js";
+
+// ----------------------------- Payments -----------------------------
+// Escrow: the buyer pays an order through a gateway and the money is held per farmer split. When
+// the buyer confirms delivery the split is released to the farmer's wallet; cancelled splits are
+// refunded through the gateway. Farmers withdraw their wallet balance as payouts.
+// Every movement is an entry in an append-only ledger, and all balances are sums over it:
+//   { id, date, type: "hold"|"release"|"refund"|"payout", orderId?, farmerId, buyerId?, amountINR, gateway, reference }
+//
+// A gateway is any object with
+//   charge({ amountINR, reference, customer }) → Promise<{ id }>   (rejects when the payment fails)
+//   refund({ chargeId, amountINR, reference }) → Promise<{ id }>
+//   payout({ farmerId, amountINR, reference })  → Promise<{ id }>
+// Real gateways (Razorpay, Stripe, UPI) need their secret keys on a server; implement these three
+// calls against it and return it from createPaymentGateway.
+
+export const LEDGER_LABEL_KEY = {
+  hold: "ledger.hold",
+  release: "ledger.release",
+  refund: "ledger.refund",
+  payout: "ledger.payout",
+};
+
+export const ESCROW_LABEL_KEY = {
+  held: "escrow.held",
+  released: "escrow.released",
+  refunded: "escrow.refunded",
+};
+
+// the mock declines anything above this, so failed payments can be tried out
+export const MOCK_DECLINE_ABOVE_INR = 1000000;
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function entry(type, fields) {
+  return { id: newId(), date: new Date().toISOString(), type, ...fields, amountINR: round2(fields.amountINR) };
+}
+
+// Deterministic stand-in for a real gateway: transaction ids derive from the reference, nothing
+// leaves the browser, and charges above `declineAboveINR` are declined.
+export function createMockGateway({ declineAboveINR = MOCK_DECLINE_ABOVE_INR } = {}) {
+  return {
+    name: "mock",
+    async charge({ amountINR, reference }) {
+      if (!(amountINR > 0)) throw new Error("Nothing to pay.");
+      if (amountINR > declineAboveINR) throw new Error("Payment declined by the bank (mock gateway limit exceeded).");
+      return { id: `mock_ch_${reference}` };
+    },
+    async refund({ chargeId, reference }) {
+      if (!chargeId) throw new Error("There is no payment to refund.");
+      return { id: `mock_rf_${reference}` };
+    },
+    async payout({ amountINR, reference }) {
+      if (!(amountINR > 0)) throw new Error("Nothing to pay out.");
+      return { id: `mock_po_${reference}` };
+    },
+  };
+}
+
+export function createPaymentGateway(env = {}) {
+  const name = env.VITE_PAYMENT_GATEWAY || "mock";
+  if (name !== "mock") throw new Error(`Unknown payment gateway "${name}".`);
+  return createMockGateway();
+}
+
+function splitEntries(ledger, orderId, farmerId) {
+  return ledger.filter((e) => e.orderId === orderId && e.farmerId === farmerId);
+}
+
+// "held" | "released" | "refunded", or null when the split was never paid.
+export function escrowStatus(ledger, orderId, farmerId) {
+  const types = splitEntries(ledger, orderId, farmerId).map((e) => e.type);
+  if (types.includes("refund")) return "refunded";
+  if (types.includes("release")) return "released";
+  if (types.includes("hold")) return "held";
+  return null;
+}
+
+export function isOrderPaid(ledger, order) {
+  return order.splits.some((s) => escrowStatus(ledger, order.id, s.farmerId));
+}
+
+// Charge the buyer for every live split and hold the money; resolves to the new ledger entries.
+export async function payOrder(order, ledger, gateway) {
+  if (isOrderPaid(ledger, order)) throw new Error("This order is already paid.");
+  const splits = order.splits.filter((s) => s.status !== "cancelled");
+  const amountINR = round2(splits.reduce((s, sp) => s + splitTotalINR(sp), 0));
+  const charge = await gateway.charge({ amountINR, reference: order.id, customer: order.buyer });
+  return splits.map((sp) => entry("hold", {
+    orderId: order.id,
+    farmerId: sp.farmerId,
+    buyerId: order.buyer?.id,
+    amountINR: splitTotalINR(sp),
+    gateway: gateway.name,
+    reference: charge.id,
+  }));
+}
+
+// Buyer confirmed delivery: the held amount moves to the farmer's wallet (no gateway call).
+export function releaseFunds(order, farmerId, ledger) {
+  const split = findSplit(order, farmerId);
+  if (split?.status !== "delivered") throw new Error("Funds are released once the order is delivered.");
+  if (escrowStatus(ledger, order.id, farmerId) !== "held") throw new Error("There are no held funds for this order.");
+  const hold = splitEntries(ledger, order.id, farmerId).find((e) => e.type === "hold");
+  return entry("release", { orderId: order.id, farmerId, buyerId: hold.buyerId, amountINR: hold.amountINR, gateway: hold.gateway, reference: hold.reference });
+}
+
+export async function refundFunds(order, farmerId, ledger, gateway) {
+  if (escrowStatus(ledger, order.id, farmerId) !== "held") throw new Error("There are no held funds to refund.");
+  const hold = splitEntries(ledger, order.id, farmerId).find((e) => e.type === "hold");
+  const refund = await gateway.refund({ chargeId: hold.reference, amountINR: hold.amountINR, reference: `${order.id}_${farmerId}` });
+  return entry("refund", { orderId: order.id, farmerId, buyerId: hold.buyerId, amountINR: hold.amountINR, gateway: gateway.name, reference: refund.id });
+}
+
+function sum(entries, type) {
+  return round2(entries.filter((e) => e.type === type).reduce((s, e) => s + e.amountINR, 0));
+}
+
+function newestFirst(entries) {
+  return [...entries].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// availableINR can be paid out; pendingINR is still in escrow for undelivered orders.
+export function farmerWallet(ledger, farmerId) {
+  const mine = ledger.filter((e) => e.farmerId === farmerId);
+  const releasedINR = sum(mine, "release");
+  const paidOutINR = sum(mine, "payout");
+  return {
+    availableINR: round2(releasedINR - paidOutINR),
+    pendingINR: round2(sum(mine, "hold") - releasedINR - sum(mine, "refund")),
+    releasedINR,
+    paidOutINR,
+    entries: newestFirst(mine),
+  };
+}
+
+export function buyerWallet(ledger, buyerId) {
+  const mine = ledger.filter((e) => e.buyerId === buyerId);
+  const paidINR = sum(mine, "hold");
+  const refundedINR = sum(mine, "refund");
+  return {
+    paidINR,
+    refundedINR,
+    heldINR: round2(paidINR - refundedINR - sum(mine, "release")),
+    entries: newestFirst(mine),
+  };
+}
+
+export async function requestPayout(farmerId, amountINR, ledger, gateway) {
+  const amount = round2(Number(amountINR));
+  if (!(amount > 0)) throw new Error("Enter an amount greater than zero.");
+  const { availableINR } = farmerWallet(ledger, farmerId);
+  if (amount > availableINR) throw new Error("You cannot withdraw more than your available balance.");
+  const id = newId();
+  const payout = await gateway.payout({ farmerId, amountINR: amount, reference: id });
+  return { ...entry("payout", { farmerId, amountINR: amount, gateway: gateway.name, reference: payout.id }), id };
+}
@@ -0,0 +1,89 @@
+// ----------------------------- PDF -----------------------------
+// A minimal PDF 1.4 writer for text documents such as invoices: A4 pages, the built-in Helvetica
+// fonts, text and rules, nothing embedded. Coordinates are in points from the top-left corner.
+// Built-in fonts only cover Latin-1, so other characters are replaced with "?" — transliterate
+// first where that matters.
+
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+// Helvetica advance widths (1/1000 em) for the characters that matter when right-aligning numbers;
+// everything else is estimated.
+const WIDTHS = { " ": 278, ",": 278, ".": 278, "-": 333, "/": 278, ":": 278, "(": 333, ")": 333, "%": 889 };
+for (const d of "0123456789") WIDTHS[d] = 556;
+
+export function textWidth(text, size, bold = false) {
+  let units = 0;
+  for (const ch of String(text)) units += WIDTHS[ch] ?? (/[A-Z]/.test(ch) ? 667 : 520);
+  return (units * size * (bold ? 1.05 : 1)) / 1000;
+}
+
+function latin1(text) {
+  return String(text).replace(/₹/g, "Rs.").replace(/[‐-―]/g, "-").replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/[^\x20-\xff]/g, "?");
+}
+
+function escape(text) {
+  return latin1(text).replace(/[\\()]/g, (c) => `\\${c}`);
+}
+
+function num(x) {
+  return Math.round(x * 100) / 100;
+}
+
+export function createPdfDocument({ title = "" } = {}) {
+  const pages = [];
+  let ops = null;
+  const doc = {
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+    // options: { size = 10, bold, align: "left" | "right" | "center" }
+    text(x, y, text, { size = 10, bold = false, align = "left" } = {}) {
+      const width = align === "left" ? 0 : textWidth(latin1(text), size, bold);
+      const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+      ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${num(left)} ${num(PAGE_HEIGHT - y)} Td (${escape(text)}) Tj ET`);
+      return doc;
+    },
+    line(x1, y1, x2, y2, width = 0.5) {
+      ops.push(`${width} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+      return doc;
+    },
+    // a one-byte-per-character string; see toBlob for the file
+    output() {
+      const objects = [];
+      const add = (body) => objects.push(body); // → object number
+      const catalog = add("");
+      const pagesObj = add("");
+      const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      const info = add(`<< /Title (${escape(title)}) /Producer (Farmers Market) >>`);
+      const kids = pages.map((pageOps) => {
+        const stream = pageOps.join("\n");
+        const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`);
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+      objects[pagesObj - 1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+      let out = "%PDF-1.4\n";
+      const offsets = objects.map((body, i) => {
+        const offset = out.length;
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+      out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return out;
+    },
+    toBlob() {
+      const out = doc.output();
+      const bytes = new Uint8Array(out.length);
+      for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i);
+      return new Blob([bytes], { type: "application/pdf" });
+    },
+  };
+  return doc;
+}
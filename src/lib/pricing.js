@@ -0,0 +1,65 @@
+// ----------------------------- Bulk pricing engine -----------------------------
+// Every product carries a list price (`priceINR`), a minimum order quantity (`moq`) and
+// `bulkTiers` ({ min, priceINR }). A tier applies once the line quantity reaches its `min`;
+// the highest applicable tier wins. All amounts are INR — convert at display time.
+
+export function sortedTiers(product) {
+  return [...(product?.bulkTiers || [])].sort((a, b) => a.min - b.min);
+}
+
+export function minQty(product) {
+  return Math.max(1, Number(product?.moq) || 1);
+}
+
+// Clamp a requested quantity to the product's MOQ (and whole units).
+export function clampQty(product, qty) {
+  return Math.max(minQty(product), Math.floor(Number(qty) || 0));
+}
+
+export function tierFor(product, qty) {
+  let match = null;
+  for (const t of sortedTiers(product)) {
+    if (qty >= t.min) match = t;
+  }
+  return match;
+}
+
+export function nextTierFor(product, qty) {
+  return sortedTiers(product).find((t) => t.min > qty) || null;
+}
+
+export function unitPriceINR(product, qty) {
+  const tier = tierFor(product, qty);
+  // a tier never makes a line more expensive than the list price
+  return tier ? Math.min(tier.priceINR, product.priceINR) : product.priceINR;
+}
+
+// Price one cart line: unit price, line total, savings vs. list and the next breakpoint.
+export function priceLine(item) {
+  const qty = item.qty;
+  const unit = unitPriceINR(item, qty);
+  const next = nextTierFor(item, qty);
+  return {
+    id: item.id,
+    qty,
+    listPriceINR: item.priceINR,
+    unitPriceINR: unit,
+    lineTotalINR: unit * qty,
+    savingsINR: (item.priceINR - unit) * qty,
+    tier: tierFor(item, qty),
+    nextTier: next ? { min: next.min, priceINR: next.priceINR, unitsToGo: next.min - qty } : null,
+  };
+}
+
+export function priceCart(items) {
+  const lines = items.map(priceLine);
+  const listTotalINR = lines.reduce((s, l) => s + l.listPriceINR * l.qty, 0);
+  const totalINR = lines.reduce((s, l) => s + l.lineTotalINR, 0);
+  return {
+    lines,
+    byId: Object.fromEntries(lines.map((l) => [l.id, l])),
+    listTotalINR,
+    savingsINR: listTotalINR - totalINR,
+    totalINR,
+  };
+}
@@ -0,0 +1,164 @@
+import { isLive } from "./catalog.js";
+import { availableStock } from "./inventory.js";
+import { defaultLot, findLot, lotsOf } from "./lots.js";
+import { minQty, sortedTiers, unitPriceINR } from "./pricing.js";
+
+// ----------------------------- Buyer procurement -----------------------------
+// Tools for buyers who order the same things again and again, kept on their user record next to
+// their addresses:
+//   savedLists: [{ id, name, items: [{ productId, name, lotId, qty }], createdAt, updatedAt }]
+//   favourites: { products: [productId], farmers: [farmerId] }
+//   priceAlerts: [{ id, productId, name, qty, targetINR, createdAt, notifiedPriceINR }]
+// A price alert compares the unit price the buyer would pay for `qty`, bulk tiers included, with a
+// per-unit target, the same figure an RFQ's target price asks for. Once the buyer dismisses a hit
+// (`notifiedPriceINR`) it only shows again if the price drops further.
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+export function savedListsOf(user) {
+  return user?.savedLists || [];
+}
+
+export function favouritesOf(user) {
+  return { products: [], farmers: [], ...user?.favourites };
+}
+
+export function priceAlertsOf(user) {
+  return user?.priceAlerts || [];
+}
+
+// ----------------------------- Saved lists -----------------------------
+export function itemsFromCartLines(cart) {
+  return cart.map((it) => ({ productId: it.id, name: it.name, lotId: it.lotId || null, qty: it.qty }));
+}
+
+export function itemsFromOrder(order) {
+  return order.items.map((i) => ({ productId: i.productId, name: i.name, lotId: i.lot?.id || null, qty: i.qty }));
+}
+
+function listName(lists, name, exceptId) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) throw new Error("Give the list a name.");
+  if (lists.some((l) => l.id !== exceptId && l.name.toLowerCase() === trimmed.toLowerCase())) throw new Error(`You already have a list called "${trimmed}".`);
+  return trimmed;
+}
+
+function updateList(lists, id, change) {
+  if (!lists.some((l) => l.id === id)) throw new Error("That list no longer exists.");
+  return lists.map((l) => (l.id === id ? { ...l, ...change(l), updatedAt: new Date().toISOString() } : l));
+}
+
+export function createList(lists, name, items = []) {
+  const now = new Date().toISOString();
+  return [...lists, { id: newId(), name: listName(lists, name), items, createdAt: now, updatedAt: now }];
+}
+
+export function renameList(lists, id, name) {
+  return updateList(lists, id, () => ({ name: listName(lists, name, id) }));
+}
+
+export function deleteList(lists, id) {
+  return lists.filter((l) => l.id !== id);
+}
+
+// Put a product on a list, or change its quantity and lot if it is already there.
+export function addToList(lists, id, product, qty, lotId = null) {
+  const q = Math.floor(Number(qty));
+  if (!(q >= minQty(product))) throw new Error(`${product.name} has a minimum order of ${minQty(product)} units.`);
+  const item = { productId: product.id, name: product.name, lotId: lotId || null, qty: q };
+  return updateList(lists, id, (l) => ({
+    items: l.items.some((i) => i.productId === product.id) ? l.items.map((i) => (i.productId === product.id ? item : i)) : [...l.items, item],
+  }));
+}
+
+export function setListQty(lists, id, productId, qty) {
+  const q = Math.floor(Number(qty));
+  if (!(q > 0)) throw new Error("Enter a quantity of at least 1.");
+  return updateList(lists, id, (l) => ({ items: l.items.map((i) => (i.productId === productId ? { ...i, qty: q } : i)) }));
+}
+
+export function removeFromList(lists, id, productId) {
+  return updateList(lists, id, (l) => ({ items: l.items.filter((i) => i.productId !== productId) }));
+}
+
+// Add list (or past order) items to the cart against today's listings and stock. Products that are no
+// longer listed or have run out are skipped; quantities are raised to the MOQ and cut to what is
+// available. A product already in the cart keeps its line and lot and gets the extra units.
+// Returns { cart, added, notes } with a note for every item that was skipped or changed:
+//   { kind: "unlisted"|"outOfStock"|"raisedToMoq"|"partial", name, lot, moq, available, qty } — lot is the lot's code, if any.
+export function fillCart(cart, items, productsById, reservations = [], opts = {}) {
+  const next = [...cart];
+  const notes = [];
+  let added = 0;
+  for (const item of items) {
+    const product = productsById[item.productId];
+    if (!product || !isLive(product)) { notes.push({ kind: "unlisted", name: item.name }); continue; }
+    const index = next.findIndex((x) => x.id === product.id);
+    const existing = next[index];
+    const lot = lotsOf(product).length ? findLot(product, existing?.lotId) || findLot(product, item.lotId) || defaultLot(product, item.qty) : null;
+    if (lotsOf(product).length && !lot) { notes.push({ kind: "outOfStock", name: product.name }); continue; }
+    const inCart = existing?.qty || 0;
+    const wanted = inCart + Math.max(item.qty, minQty(product));
+    if (item.qty < minQty(product)) notes.push({ kind: "raisedToMoq", name: product.name, moq: minQty(product) });
+    const available = availableStock(product, reservations, { ...opts, lotId: lot?.id });
+    const qty = Math.min(wanted, available);
+    if (qty < minQty(product) || qty <= inCart) { notes.push({ kind: "outOfStock", name: product.name, lot: lot?.code }); continue; }
+    if (qty < wanted) notes.push({ kind: "partial", name: product.name, lot: lot?.code, available, qty });
+    const line = { ...product, qty, lotId: lot?.id };
+    if (existing) next[index] = line;
+    else next.push(line);
+    added += 1;
+  }
+  return { cart: next, added, notes };
+}
+
+// ----------------------------- Favourites -----------------------------
+export function isFavourite(favourites, kind, id) {
+  return favourites[kind].includes(id);
+}
+
+// `kind` is "products" or "farmers".
+export function toggleFavourite(favourites, kind, id) {
+  const ids = favourites[kind];
+  return { ...favourites, [kind]: ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id] };
+}
+
+// ----------------------------- Price alerts -----------------------------
+// One alert per product; setting a new target replaces the old one.
+export function setPriceAlert(alerts, product, { targetINR, qty }) {
+  const target = Number(targetINR);
+  const q = String(qty ?? "").trim() === "" ? minQty(product) : Math.floor(Number(qty));
+  if (!(target > 0)) throw new Error("Enter a target price per unit.");
+  if (!(q >= minQty(product))) throw new Error(`The quantity must be at least the minimum order of ${minQty(product)} units.`);
+  const alert = { id: newId(), productId: product.id, name: product.name, qty: q, targetINR: target, createdAt: new Date().toISOString(), notifiedPriceINR: null };
+  return [...alerts.filter((a) => a.productId !== product.id), alert];
+}
+
+export function removePriceAlert(alerts, id) {
+  return alerts.filter((a) => a.id !== id);
+}
+
+// Where a watched product stands: "met" when the price at the alert's quantity is at or below target,
+// "tier" when only a bigger bulk tier gets there (`tier` is the smallest such tier), otherwise
+// "watching"; "unlisted" when the product is gone. `fresh` marks a hit the buyer has not dismissed.
+export function priceAlertStatus(alert, product) {
+  if (!product || !isLive(product)) return { state: "unlisted", priceINR: null, tier: null, bestINR: null, fresh: false };
+  const priceINR = unitPriceINR(product, alert.qty);
+  const tier = sortedTiers(product).find((t) => t.min > alert.qty && Math.min(t.priceINR, product.priceINR) <= alert.targetINR) || null;
+  const state = priceINR <= alert.targetINR ? "met" : tier ? "tier" : "watching";
+  const bestINR = state === "met" ? priceINR : tier ? Math.min(tier.priceINR, product.priceINR) : null;
+  return { state, priceINR, tier, bestINR, fresh: bestINR != null && (alert.notifiedPriceINR == null || bestINR < alert.notifiedPriceINR) };
+}
+
+export function dismissPriceAlert(alerts, id, priceINR) {
+  return alerts.map((a) => (a.id === id ? { ...a, notifiedPriceINR: priceINR } : a));
+}
+
+// Alerts with a hit the buyer has not dismissed yet, for the dashboard banner.
+export function freshPriceAlerts(alerts, productsById) {
+  return alerts
+    .map((alert) => ({ alert, product: productsById[alert.productId], status: priceAlertStatus(alert, productsById[alert.productId]) }))
+    .filter((a) => a.status.fresh);
+}
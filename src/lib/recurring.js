@@ -0,0 +1,208 @@
+import { findLot, lotSnapshot, lotsOf } from "./lots.js";
+import { createOrder, itemsFromCart } from "./orders.js";
+import { minQty, unitPriceINR } from "./pricing.js";
+
+// ----------------------------- Standing orders -----------------------------
+// A buyer's repeat order of one product on a fixed schedule. Each scheduled day is a delivery date;
+// its order is placed automatically once the delivery is `leadDays` away (the shipment's transit
+// time), so the farmer has the same notice as for any checkout. Deliveries whose lead time passed
+// while the schedule was paused or nobody ran it are recorded as missed rather than placed late.
+//   { id, buyerId, buyerName, productId, productName, farmerId, qty, lot, schedule: { frequency, days },
+//     addressId, slot, startDate, status: "active"|"paused", skipDates: [yyyy-mm-dd], lastRunDate, runs, createdAt }
+// `lot` is the { id, code, grade } snapshot every delivery ships from when the product is graded (lib/lots.js).
+// runs: { date, status: "ordered"|"skipped"|"missed"|"failed", orderId?, reason? }, newest first.
+// Days are yyyy-mm-dd in UTC and weekdays are 0 = Sunday … 6 = Saturday, as in lib/logistics.js.
+// Labels are locale keys for the UI to translate.
+
+export const FREQUENCIES = Object.freeze([
+  { id: "daily", labelKey: "standing.frequency.daily" },
+  { id: "weekly", labelKey: "standing.frequency.weekly" },
+  { id: "custom", labelKey: "standing.frequency.custom" },
+]);
+
+// there are no Sunday deliveries (see deliveryWindows)
+export const DELIVERY_DAYS = Object.freeze([
+  { day: 1, labelKey: "standing.day.1" },
+  { day: 2, labelKey: "standing.day.2" },
+  { day: 3, labelKey: "standing.day.3" },
+  { day: 4, labelKey: "standing.day.4" },
+  { day: 5, labelKey: "standing.day.5" },
+  { day: 6, labelKey: "standing.day.6" },
+]);
+
+export const RUN_LABEL_KEY = {
+  ordered: "standing.run.ordered",
+  skipped: "standing.run.skipped",
+  missed: "standing.run.missed",
+  failed: "standing.run.failed",
+};
+
+const MAX_RUNS = 30;
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+export function dayKey(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+export function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return dayKey(d);
+}
+
+function weekday(day) {
+  return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+export function scheduleDays(schedule) {
+  return schedule.frequency === "daily" ? DELIVERY_DAYS.map((d) => d.day) : schedule.days;
+}
+
+// `t` is the UI's translate function (lib/i18n.js).
+export function describeSchedule(schedule, t) {
+  if (schedule.frequency === "daily") return t("standing.schedule.daily");
+  const names = DELIVERY_DAYS.filter((d) => schedule.days.includes(d.day)).map((d) => t(d.labelKey));
+  return t("standing.schedule.every", { days: names.join(", ") });
+}
+
+// Delivery dates on the schedule from `from` to `to` inclusive, ignoring pauses and skips.
+export function scheduledDates(standing, from, to) {
+  const days = scheduleDays(standing.schedule);
+  const dates = [];
+  for (let day = from < standing.startDate ? standing.startDate : from; day <= to; day = addDays(day, 1)) {
+    if (days.includes(weekday(day))) dates.push(day);
+  }
+  return dates;
+}
+
+// The next delivery still to come, or null when paused.
+export function nextDelivery(standing, now = new Date()) {
+  if (standing.status !== "active") return null;
+  const from = standing.lastRunDate && standing.lastRunDate >= dayKey(now) ? addDays(standing.lastRunDate, 1) : dayKey(now);
+  return scheduledDates(standing, from, addDays(from, 14)).find((d) => !standing.skipDates.includes(d)) || null;
+}
+
+// Check a buyer's form and build the standing order. `earliestDate` is the first day a delivery can reach them.
+export function createStandingOrder(data, product, buyer, { earliestDate }) {
+  if (!product) throw new Error("This product is no longer available.");
+  const qty = Math.floor(Number(data.qty));
+  if (!(qty >= minQty(product))) throw new Error(`Each delivery needs at least the MOQ of ${minQty(product)} units.`);
+  // every delivery ships from one graded lot
+  const lot = lotSnapshot(findLot(product, data.lotId));
+  if (lotsOf(product).length && !lot) throw new Error("Choose the lot to deliver from.");
+  const frequency = data.frequency;
+  if (!FREQUENCIES.some((f) => f.id === frequency)) throw new Error("Choose how often to deliver.");
+  const days = frequency === "daily" ? [] : [...new Set(data.days.map(Number))].filter((d) => DELIVERY_DAYS.some((x) => x.day === d)).sort((a, b) => a - b);
+  if (frequency === "weekly" && days.length !== 1) throw new Error("Choose the delivery day.");
+  if (frequency === "custom" && !days.length) throw new Error("Choose at least one delivery day.");
+  if (!data.addressId) throw new Error("Choose a delivery address.");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data.startDate || "")) throw new Error("Choose the first delivery date.");
+  if (data.startDate < earliestDate) throw new Error(`The first delivery can be on ${earliestDate} at the earliest.`);
+  return {
+    id: newId(),
+    buyerId: buyer.id,
+    buyerName: buyer.name,
+    productId: product.id,
+    productName: product.name,
+    farmerId: product.farmerId,
+    qty,
+    lot,
+    schedule: { frequency, days },
+    addressId: data.addressId,
+    slot: data.slot,
+    startDate: data.startDate,
+    status: "active",
+    skipDates: [],
+    lastRunDate: null,
+    runs: [],
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// What one delivery costs at today's prices and tiers, before shipping.
+export function deliveryPriceINR(product, qty) {
+  return unitPriceINR(product, qty) * qty;
+}
+
+export function pauseStandingOrder(standing) {
+  return { ...standing, status: "paused" };
+}
+
+// Resuming picks up at the first delivery that can still be made in time; the ones that fell due
+// while paused are never placed.
+export function resumeStandingOrder(standing, leadDays, now = new Date()) {
+  const resumeAfter = addDays(dayKey(now), leadDays - 1);
+  return { ...standing, status: "active", lastRunDate: standing.lastRunDate && standing.lastRunDate > resumeAfter ? standing.lastRunDate : resumeAfter };
+}
+
+export function skipDelivery(standing, date) {
+  if (standing.skipDates.includes(date)) return standing;
+  return { ...standing, skipDates: [...standing.skipDates, date].sort() };
+}
+
+export function unskipDelivery(standing, date) {
+  return { ...standing, skipDates: standing.skipDates.filter((d) => d !== date) };
+}
+
+// What a run at `now` has to do: { place: [date], skipped: [date], missed: [date], through }.
+// `through` becomes the standing order's lastRunDate once the run is recorded.
+export function dueDeliveries(standing, leadDays, now = new Date()) {
+  const through = addDays(dayKey(now), leadDays);
+  const from = standing.lastRunDate ? addDays(standing.lastRunDate, 1) : standing.startDate;
+  const none = { place: [], skipped: [], missed: [], through };
+  if (standing.status !== "active" || from > through) return none;
+  const dates = scheduledDates(standing, from, through);
+  return {
+    place: dates.filter((d) => d === through && !standing.skipDates.includes(d)),
+    skipped: dates.filter((d) => standing.skipDates.includes(d)),
+    missed: dates.filter((d) => d < through && !standing.skipDates.includes(d)),
+    through,
+  };
+}
+
+export function recordRuns(standing, runs, through) {
+  return {
+    ...standing,
+    lastRunDate: through,
+    skipDates: standing.skipDates.filter((d) => d > through),
+    runs: [...runs, ...standing.runs].slice(0, MAX_RUNS),
+  };
+}
+
+// The order for one delivery, priced like a cart line (bulk tiers apply to the delivery quantity).
+export function orderFromStanding(standing, product, { buyer, date, shippingINR, shipTo }) {
+  if (!product) throw new Error("The product is no longer listed.");
+  if (lotsOf(product).length && !findLot(product, standing.lot?.id)) {
+    throw new Error(standing.lot ? `Lot ${standing.lot.code} is no longer available.` : "Choose a lot to deliver from; set the standing order up again.");
+  }
+  const items = itemsFromCart([{ ...product, qty: standing.qty, lotId: standing.lot?.id }]);
+  return createOrder({
+    source: "standing",
+    standingOrderId: standing.id,
+    buyer,
+    items,
+    shippingByFarmer: { [product.farmerId]: shippingINR },
+    shipTo,
+    delivery: { date, slot: standing.slot },
+  });
+}
+
+// Units a farm has committed to per day over the next `days` days, per product:
+//   { [productId]: { [date]: qty } }
+export function committedVolume(standingOrders, farmerId, now = new Date(), days = 14) {
+  const from = dayKey(now);
+  const to = addDays(from, days - 1);
+  const volume = {};
+  for (const s of standingOrders) {
+    if (s.farmerId !== farmerId || s.status !== "active") continue;
+    for (const date of scheduledDates(s, s.lastRunDate && s.lastRunDate >= from ? addDays(s.lastRunDate, 1) : from, to)) {
+      if (s.skipDates.includes(date)) continue;
+      const byDate = (volume[s.productId] ||= {});
+      byDate[date] = (byDate[date] || 0) + s.qty;
+    }
+  }
+  return volume;
+}
@@ -0,0 +1,161 @@
+// ----------------------------- Repository -----------------------------
+// Async data access for the marketplace, independent of where the data lives (see lib/storage.js).
+// Each collection is stored as one JSON document under `fm:<name>`; `fm:schemaVersion` records the
+// shape it was written in. `open()` seeds an empty store and runs pending migrations before the
+// app reads anything.
+
+const PREFIX = "fm:";
+const VERSION_KEY = `${PREFIX}schemaVersion`;
+
+export const COLLECTIONS = Object.freeze(["farmers", "products", "rfqs", "orders", "cart", "users", "reviews", "ledger", "invoices", "standingOrders", "tickets"]);
+// single documents that are not lists
+const DOCUMENTS = ["settings", "session", "rates"];
+export const SCHEMA_VERSION = 5;
+
+// MIGRATIONS[n] upgrades a snapshot from version n to n + 1. Snapshots are plain objects keyed by
+// collection name plus the single documents; a migration returns the new snapshot and must not mutate its input.
+export const MIGRATIONS = {
+  // v1 RFQs were flat requests ({ id, date, productId, qty, location, target, notes });
+  // v2 routes them to the product's farmer and tracks negotiation offers.
+  1: (db) => {
+    const productsById = Object.fromEntries((db.products || []).map((p) => [p.id, p]));
+    return {
+      ...db,
+      rfqs: (db.rfqs || []).map((r) => ({
+        status: "open",
+        offers: [],
+        farmerId: productsById[r.productId]?.farmerId,
+        productName: productsById[r.productId]?.name || `Product #${r.productId}`,
+        ...r,
+      })),
+      orders: db.orders || [],
+    };
+  },
+  // v3 adds accounts; RFQs record who asked. Everything before accounts was placed by the demo buyer.
+  2: (db) => ({
+    ...db,
+    rfqs: (db.rfqs || []).map((r) => ({ buyerId: "b1", buyerName: "Demo Buyer", ...r })),
+  }),
+  // v4 derives product and farmer ratings from buyer reviews; drop the fixed ratings stored before.
+  3: (db) => {
+    const unrated = ({ rating, ...rest }) => rest;
+    return { ...db, products: (db.products || []).map(unrated), farmers: (db.farmers || []).map(unrated) };
+  },
+  // v5 adds farm verification (KYC). The seed farms were vetted before it existed, so they start out
+  // verified; other farms start unverified.
+  4: (db) => {
+    const SEED_FARMS = ["f1", "f2", "f3"];
+    return {
+      ...db,
+      farmers: (db.farmers || []).map((f) => (SEED_FARMS.includes(f.id) && !f.kyc ? { ...f, kyc: { status: "verified", documents: [] } } : f)),
+    };
+  },
+};
+
+export function migrate(db, fromVersion, toVersion = SCHEMA_VERSION) {
+  let next = db;
+  for (let v = fromVersion; v < toVersion; v++) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new Error(`No migration from schema v${v} to v${v + 1}.`);
+    next = step(next);
+  }
+  return next;
+}
+
+export function createRepository(backend, { seed = {} } = {}) {
+  async function read(key, fallback) {
+    const raw = await backend.getItem(PREFIX + key);
+    if (raw == null) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      console.error(`Corrupt ${key} in storage; using defaults`, err);
+      return fallback;
+    }
+  }
+  async function write(key, value) {
+    await backend.setItem(PREFIX + key, JSON.stringify(value));
+  }
+
+  async function snapshot() {
+    const entries = await Promise.all([...COLLECTIONS, ...DOCUMENTS].map(async (name) => [name, await read(name, undefined)]));
+    return Object.fromEntries(entries.filter(([, v]) => v !== undefined));
+  }
+  async function writeSnapshot(db) {
+    await Promise.all(Object.entries(db).map(([name, value]) => write(name, value)));
+  }
+
+  async function open() {
+    const rawVersion = await backend.getItem(VERSION_KEY);
+    const version = rawVersion == null ? null : Number(rawVersion);
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`Stored data uses schema v${version}, newer than this app (v${SCHEMA_VERSION}).`);
+    }
+    const db = await snapshot();
+    if (version == null && Object.keys(db).length === 0) {
+      await writeSnapshot(seed);
+    } else if (version == null || version < SCHEMA_VERSION) {
+      // data without a version marker predates versioning, i.e. v1
+      await writeSnapshot(migrate(db, version ?? 1));
+    }
+    await backend.setItem(VERSION_KEY, String(SCHEMA_VERSION));
+  }
+
+  function collection(name) {
+    return {
+      list: () => read(name, seed[name] || []),
+      async get(id) {
+        return (await read(name, [])).find((x) => x.id === id) || null;
+      },
+      saveAll: (items) => write(name, items),
+      async upsert(item) {
+        const items = await read(name, []);
+        const exists = items.some((x) => x.id === item.id);
+        await write(name, exists ? items.map((x) => (x.id === item.id ? item : x)) : [item, ...items]);
+        return item;
+      },
+      async remove(id) {
+        await write(name, (await read(name, [])).filter((x) => x.id !== id));
+      },
+    };
+  }
+
+  return {
+    open,
+    farmers: collection("farmers"),
+    products: collection("products"),
+    rfqs: collection("rfqs"),
+    orders: collection("orders"),
+    cart: collection("cart"),
+    users: collection("users"),
+    reviews: collection("reviews"),
+    // payment ledger (see lib/payments.js); append-only
+    ledger: collection("ledger"),
+    // issued GST invoices (see lib/invoices.js); numbering depends on every one ever issued
+    invoices: collection("invoices"),
+    // recurring orders (see lib/recurring.js)
+    standingOrders: collection("standingOrders"),
+    // support tickets from the contact form (see lib/support.js)
+    tickets: collection("tickets"),
+    settings: {
+      get: () => read("settings", seed.settings || {}),
+      set: (settings) => write("settings", settings),
+    },
+    // exchange-rate table (see lib/currency.js); null until an admin edits or imports one
+    rates: {
+      get: () => read("rates", null),
+      set: (table) => write("rates", table),
+    },
+    session: {
+      get: () => read("session", null),
+      set: (session) => write("session", session),
+      clear: () => backend.removeItem(`${PREFIX}session`),
+    },
+    // Drop everything and start again from the seed data.
+    async reset() {
+      await Promise.all([...COLLECTIONS, ...DOCUMENTS].map((name) => backend.removeItem(PREFIX + name)));
+      await backend.removeItem(VERSION_KEY);
+      await open();
+    },
+  };
+}
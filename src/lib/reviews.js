@@ -0,0 +1,110 @@
+import { findSplit } from "./orders.js";
+
+// ----------------------------- Reviews -----------------------------
+// Buyers review a product once per order, and only after the farmer's part of that order was
+// delivered. Product and farmer ratings are not stored: they are averaged from the visible
+// reviews every time, so hiding a review or deleting a listing never leaves a stale number.
+// Anyone signed in can report a review; admins hide (or restore) it. Hidden reviews stay stored.
+// Review: { id, orderId, productId, productName, farmerId, buyerId, buyerName, stars, text, photo?,
+//           date, reports: [{ by, reason, date }], hidden, moderation? }
+
+export const MAX_REVIEW_LENGTH = 1000;
+export const STARS = Object.freeze([5, 4, 3, 2, 1]);
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+function reviewed(reviews, orderId, productId) {
+  return reviews.some((r) => r.orderId === orderId && r.productId === productId);
+}
+
+// Delivered lines of this buyer's orders that have no review yet: [{ order, item }].
+export function reviewableItems(orders, reviews, buyerId) {
+  return orders
+    .filter((o) => o.buyer?.id === buyerId)
+    .flatMap((o) => o.items.map((item) => ({ order: o, item })))
+    .filter(({ order, item }) => findSplit(order, item.farmerId)?.status === "delivered" && !reviewed(reviews, order.id, item.productId));
+}
+
+export function canReview(order, productId, reviews, buyerId) {
+  return reviewableItems([order], reviews, buyerId).some(({ item }) => item.productId === productId);
+}
+
+export function createReview({ order, productId, buyer, stars, text, photo }, reviews) {
+  const item = order.items.find((i) => i.productId === productId);
+  if (!item) throw new Error("This product is not part of the order.");
+  if (order.buyer?.id !== buyer.id) throw new Error("Only the buyer who placed the order can review it.");
+  if (findSplit(order, item.farmerId)?.status !== "delivered") throw new Error("You can review a product once it has been delivered.");
+  if (reviewed(reviews, order.id, productId)) throw new Error("You already reviewed this product for this order.");
+  const rating = Number(stars);
+  if (!STARS.includes(rating)) throw new Error("Choose between 1 and 5 stars.");
+  const body = String(text || "").trim();
+  if (body.length > MAX_REVIEW_LENGTH) throw new Error(`Reviews can be at most ${MAX_REVIEW_LENGTH} characters.`);
+  return {
+    id: newId(),
+    orderId: order.id,
+    productId,
+    productName: item.name,
+    farmerId: item.farmerId,
+    buyerId: buyer.id,
+    buyerName: buyer.name,
+    stars: rating,
+    text: body,
+    photo: photo || null,
+    date: new Date().toISOString(),
+    reports: [],
+    hidden: false,
+  };
+}
+
+export function reportReview(review, user, reason = "") {
+  if (review.reports.some((r) => r.by === user.id)) throw new Error("You already reported this review.");
+  return { ...review, reports: [...review.reports, { by: user.id, reason: String(reason).trim(), date: new Date().toISOString() }] };
+}
+
+// Admin decision; `hidden: false` restores the review and clears the reports it was hidden for.
+export function moderateReview(review, admin, hidden) {
+  return {
+    ...review,
+    hidden,
+    reports: hidden ? review.reports : [],
+    moderation: { by: admin.id, hidden, date: new Date().toISOString() },
+  };
+}
+
+export function visibleReviews(reviews) {
+  return reviews.filter((r) => !r.hidden).sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// Reviews waiting for a moderator: reported and not yet hidden, most reported first.
+export function moderationQueue(reviews) {
+  return reviews.filter((r) => !r.hidden && r.reports.length).sort((a, b) => b.reports.length - a.reports.length);
+}
+
+function summarize(list) {
+  if (!list.length) return { rating: null, reviewCount: 0 };
+  const average = list.reduce((s, r) => s + r.stars, 0) / list.length;
+  return { rating: Math.round(average * 10) / 10, reviewCount: list.length };
+}
+
+// { products: { [id]: { rating, reviewCount } }, farmers: { … } } over the visible reviews.
+export function aggregateRatings(reviews) {
+  const group = (key) => {
+    const by = {};
+    for (const r of visibleReviews(reviews)) (by[r[key]] ||= []).push(r);
+    return Object.fromEntries(Object.entries(by).map(([id, list]) => [id, summarize(list)]));
+  };
+  return { products: group("productId"), farmers: group("farmerId") };
+}
+
+// Attach { rating, reviewCount } from a summary map; unreviewed entries get rating null.
+export function withRatings(items, summaries) {
+  return items.map((x) => ({ ...x, ...(summaries[x.id] || summarize([])) }));
+}
+
+// 1–5 → "★★★★☆"
+export function starText(stars) {
+  const n = Math.round(stars);
+  return "★".repeat(n) + "☆".repeat(5 - n);
+}
@@ -0,0 +1,140 @@
+import { findLot, lotSnapshot, lotsOf } from "./lots.js";
+import { createOrder } from "./orders.js";
+import { minQty } from "./pricing.js";
+
+// ----------------------------- RFQ workflow -----------------------------
+// An RFQ is routed to the farmer who owns the product and negotiated through a list of offers:
+//   open ──farmer quotes──▶ quoted ──buyer counters──▶ countered ──farmer re-quotes──▶ quoted …
+//   quoted ──buyer accepts──▶ accepted      countered ──farmer accepts──▶ accepted
+//   any open state ──either side declines──▶ declined
+// Offers are { id, by: "farmer"|"buyer", unitPriceINR, validUntil?, deliveryWindow?, note, date }.
+// Functions are pure: they return a new RFQ (or throw an Error describing why the move is invalid).
+
+export const RFQ_STATUS = Object.freeze({
+  OPEN: "open",
+  QUOTED: "quoted",
+  COUNTERED: "countered",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+});
+
+export const RFQ_STATUS_LABEL_KEY = {
+  open: "rfq.status.open",
+  quoted: "rfq.status.quoted",
+  countered: "rfq.status.countered",
+  accepted: "rfq.status.accepted",
+  declined: "rfq.status.declined",
+};
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+export function createRfq(data, product, buyer) {
+  const qty = Number(data.qty);
+  if (!Number.isInteger(qty) || qty < minQty(product)) throw new Error(`Ask for a whole number of units, at least the MOQ of ${minQty(product)}.`);
+  // the quote, and the order it becomes, are for one graded lot
+  if (lotsOf(product).length && !findLot(product, data.lotId)) throw new Error("Choose the lot you want a quote for.");
+  return {
+    id: newId(),
+    date: new Date().toISOString(),
+    buyerId: buyer.id,
+    buyerName: buyer.name,
+    productId: product.id,
+    productName: product.name,
+    farmerId: product.farmerId,
+    qty,
+    lot: lotSnapshot(findLot(product, data.lotId)),
+    location: data.location,
+    address: data.address || null,
+    target: data.target,
+    notes: data.notes,
+    status: RFQ_STATUS.OPEN,
+    offers: [],
+  };
+}
+
+export function latestOffer(rfq) {
+  return rfq.offers[rfq.offers.length - 1] || null;
+}
+
+// validUntil is a yyyy-mm-dd date; a quote stays valid through the end of that day
+export function isOfferExpired(offer, now = new Date()) {
+  if (!offer?.validUntil) return false;
+  return new Date(`${offer.validUntil}T23:59:59`) < now;
+}
+
+export function isClosed(rfq) {
+  return rfq.status === RFQ_STATUS.ACCEPTED || rfq.status === RFQ_STATUS.DECLINED;
+}
+
+function addOffer(rfq, by, offer, status) {
+  const unitPriceINR = Number(offer.unitPriceINR);
+  if (!(unitPriceINR > 0)) throw new Error("Enter a unit price greater than zero.");
+  const entry = {
+    id: newId(),
+    by,
+    unitPriceINR,
+    validUntil: offer.validUntil || "",
+    deliveryWindow: offer.deliveryWindow || "",
+    note: offer.note || "",
+    date: new Date().toISOString(),
+  };
+  return { ...rfq, status, offers: [...rfq.offers, entry] };
+}
+
+export function submitQuote(rfq, quote) {
+  if (rfq.status !== RFQ_STATUS.OPEN && rfq.status !== RFQ_STATUS.COUNTERED) {
+    throw new Error("This RFQ is not waiting for a quote.");
+  }
+  if (!quote.validUntil) throw new Error("Quotes need a validity date.");
+  if (!quote.deliveryWindow) throw new Error("Quotes need a delivery window.");
+  return addOffer(rfq, "farmer", quote, RFQ_STATUS.QUOTED);
+}
+
+export function counterOffer(rfq, counter) {
+  if (rfq.status !== RFQ_STATUS.QUOTED) throw new Error("You can only counter a farmer's quote.");
+  const last = latestOffer(rfq);
+  // the counter keeps the farmer's delivery terms unless the buyer proposes new ones
+  return addOffer(rfq, "buyer", { validUntil: last.validUntil, deliveryWindow: last.deliveryWindow, ...counter }, RFQ_STATUS.COUNTERED);
+}
+
+// party: "buyer" accepts the farmer's quote, "farmer" accepts the buyer's counter
+export function acceptOffer(rfq, party, now = new Date()) {
+  const last = latestOffer(rfq);
+  const expected = party === "buyer" ? RFQ_STATUS.QUOTED : RFQ_STATUS.COUNTERED;
+  if (rfq.status !== expected || !last) throw new Error("There is no offer for you to accept.");
+  if (party === "buyer" && isOfferExpired(last, now)) throw new Error("This quote has expired; ask the farmer for a new one.");
+  return { ...rfq, status: RFQ_STATUS.ACCEPTED, acceptedOffer: last, acceptedAt: now.toISOString() };
+}
+
+export function declineRfq(rfq, party) {
+  if (isClosed(rfq)) throw new Error("This RFQ is already closed.");
+  return { ...rfq, status: RFQ_STATUS.DECLINED, declinedBy: party };
+}
+
+// Turn an accepted RFQ into an order at the negotiated unit price.
+export function orderFromRfq(rfq, product, buyer) {
+  if (rfq.status !== RFQ_STATUS.ACCEPTED) throw new Error("Only accepted RFQs can become orders.");
+  const unitPriceINR = rfq.acceptedOffer.unitPriceINR;
+  return createOrder({
+    source: "rfq",
+    rfqId: rfq.id,
+    buyer,
+    items: [{
+      productId: rfq.productId,
+      name: product?.name || rfq.productName,
+      image: product?.image,
+      category: product?.category,
+      farmerId: rfq.farmerId,
+      qty: rfq.qty,
+      lot: rfq.lot || null,
+      listPriceINR: product?.priceINR ?? unitPriceINR,
+      unitPriceINR,
+      lineTotalINR: unitPriceINR * rfq.qty,
+    }],
+    deliveryWindow: rfq.acceptedOffer.deliveryWindow,
+    location: rfq.location,
+    shipTo: rfq.address || null,
+  });
+}
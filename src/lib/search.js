@@ -0,0 +1,217 @@
+import { GRADES, availableGrades } from "./lots.js";
+
+// ----------------------------- Search -----------------------------
+// Typo-tolerant product search over name, category and the farmer's name and location, plus facets.
+// Text is folded to a rough phonetic Latin form first: Devanagari is transliterated ("टमाटर" →
+// "tamatar"), long vowels and doubled letters collapse, and common Hindi/Marathi produce words map
+// to the English catalog terms ("tamatar" → tomato). Each query word must match some field word
+// exactly, as a prefix, or within a small edit distance; better matches (and name hits) rank higher.
+
+const VOWELS = { "अ": "a", "आ": "aa", "इ": "i", "ई": "ee", "उ": "u", "ऊ": "oo", "ऋ": "ri", "ए": "e", "ऐ": "ai", "ओ": "o", "औ": "au", "ऑ": "o", "ॲ": "e" };
+const MATRAS = { "ा": "aa", "ि": "i", "ी": "ee", "ु": "u", "ू": "oo", "ृ": "ri", "े": "e", "ै": "ai", "ो": "o", "ौ": "au", "ॅ": "e", "ॉ": "o" };
+const CONSONANTS = {
+  "क": "k", "ख": "kh", "ग": "g", "घ": "gh", "ङ": "n", "च": "ch", "छ": "chh", "ज": "j", "झ": "jh", "ञ": "n",
+  "ट": "t", "ठ": "th", "ड": "d", "ढ": "dh", "ण": "n", "त": "t", "थ": "th", "द": "d", "ध": "dh", "न": "n",
+  "प": "p", "फ": "f", "ब": "b", "भ": "bh", "म": "m", "य": "y", "र": "r", "ल": "l", "व": "v", "श": "sh",
+  "ष": "sh", "स": "s", "ह": "h", "ळ": "l",
+};
+const VIRAMA = "्";
+const SIGNS = { "ं": "n", "ँ": "n", "ः": "h" };
+
+// Devanagari → Latin. Consonants carry an inherent "a" unless followed by a matra or virama; the
+// trailing one is dropped as Hindi/Marathi speakers do ("टमाटर" → "tamatar", not "tamatara").
+export function transliterate(text) {
+  const chars = [...String(text)];
+  let out = "";
+  chars.forEach((ch, i) => {
+    const next = chars[i + 1];
+    if (CONSONANTS[ch]) {
+      out += CONSONANTS[ch];
+      const atWordEnd = !next || !/[ऀ-ॿ]/.test(next);
+      if (!atWordEnd && !MATRAS[next] && next !== VIRAMA && next !== "़") out += "a";
+    } else if (VOWELS[ch]) out += VOWELS[ch];
+    else if (MATRAS[ch]) out += MATRAS[ch];
+    else if (SIGNS[ch]) out += SIGNS[ch];
+    else if (ch === VIRAMA || ch === "़") out += "";
+    else out += ch;
+  });
+  return out;
+}
+
+// Lower-case, transliterate, strip accents, and collapse spellings that vary between writers.
+export function fold(text) {
+  return transliterate(String(text || "").toLowerCase())
+    .normalize("NFD").replace(/[̀-ͯ]/g, "")
+    .replace(/aa/g, "a").replace(/ee/g, "i").replace(/oo/g, "u")
+    .replace(/ph/g, "f").replace(/w/g, "v")
+    .replace(/([a-z])\1+/g, "$1");
+}
+
+export function tokenize(text) {
+  return fold(text).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// folded local word → catalog words it may mean
+const SYNONYMS = {
+  tamatar: ["tomato"], tamater: ["tomato"], tometo: ["tomato"],
+  am: ["mango"], amba: ["mango"], hapus: ["alphonso", "mango"], keri: ["mango"],
+  dudh: ["milk"], gay: ["cow"], gai: ["cow"],
+  chaval: ["rice"], tandul: ["rice"], bhat: ["rice"],
+  anda: ["egg"], ande: ["egg"], andi: ["egg"],
+  fal: ["fruit"], fale: ["fruit"], sabji: ["vegetable"], sabzi: ["vegetable"], bhaji: ["vegetable"], bhajya: ["vegetable"],
+  anaj: ["grain"], dhanya: ["grain"], dugdh: ["dairy"],
+  kanda: ["onion"], pyaj: ["onion"], alu: ["potato"], batata: ["potato"], gehu: ["wheat"], gahu: ["wheat"],
+};
+// words that carry no search meaning, e.g. from spoken queries ("price of tomatoes", "टमाटर का भाव")
+const STOPWORDS = new Set(["the", "of", "for", "and", "a", "an", "price", "rate", "bhav", "ka", "ki", "ke", "kya", "hai", "cha", "chi", "che", "kay", "ahe", "kg"]);
+
+// crude plural stripping so "tomatoes", "tomatos" and "tomato" compare equal
+function stem(word) {
+  if (word.length > 4) return word.replace(/(es|s)$/, "");
+  return word.length > 2 ? word.replace(/s$/, "") : word;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps), capped at `max` + 1.
+export function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) row[j] = Math.min(row[j], prev2[j - 2] + 1);
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function allowedTypos(word) {
+  return word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2;
+}
+
+// 3 exact, 2 prefix, 1 fuzzy, 0 no match
+function matchWord(query, word) {
+  const q = stem(query);
+  const w = stem(word);
+  if (q === w) return 3;
+  if (q.length >= 3 && w.startsWith(q)) return 2;
+  const max = allowedTypos(q);
+  return max && editDistance(q, w, max) <= max ? 1 : 0;
+}
+
+function searchFields(product, farmer) {
+  return [
+    { weight: 2, words: tokenize(product.name) },
+    { weight: 1, words: tokenize(product.category) },
+    { weight: 1, words: tokenize(farmer?.name) },
+    { weight: 1, words: tokenize(farmer?.location) },
+  ];
+}
+
+// Relevance of a product for a query; 0 when some query word matches nothing.
+export function scoreProduct(product, query, farmersById = {}) {
+  const words = tokenize(query).filter((w) => !STOPWORDS.has(w));
+  if (!words.length) return 1;
+  const fields = searchFields(product, farmersById[product.farmerId]);
+  let total = 0;
+  for (const word of words) {
+    const variants = [word, ...(SYNONYMS[word] || []).map(fold)];
+    let best = 0;
+    for (const variant of variants) {
+      for (const field of fields) {
+        for (const w of field.words) best = Math.max(best, matchWord(variant, w) * field.weight);
+      }
+    }
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+}
+
+// ----------------------------- Facets -----------------------------
+// Facet state is plain strings so it round-trips through the query string:
+// { price: "100-300" | "", locations: ["Pune"], rating: "4" | "", inStock: bool, moq: "50" | "", grade: "A" | "" }.
+// A grade matches products with a lot of that grade in stock.
+export const PRICE_RANGES = Object.freeze([
+  { key: "0-100", min: 0, max: 100 },
+  { key: "100-300", min: 100, max: 300 },
+  { key: "300-600", min: 300, max: 600 },
+  { key: "600-", min: 600, max: Infinity },
+]);
+export const RATING_OPTIONS = Object.freeze(["4.5", "4", "3.5"]);
+export const MOQ_OPTIONS = Object.freeze(["20", "50", "100", "200"]);
+export const EMPTY_FACETS = Object.freeze({ price: "", locations: [], rating: "", inStock: false, moq: "", grade: "" });
+
+const FACET_TESTS = {
+  category: (p, f) => !f.category || f.category === "All" || p.category === f.category,
+  price: (p, f) => {
+    const range = PRICE_RANGES.find((r) => r.key === f.price);
+    return !range || (p.priceINR >= range.min && p.priceINR < range.max);
+  },
+  locations: (p, f, ctx) => !f.locations.length || f.locations.includes(ctx.farmersById[p.farmerId]?.location),
+  rating: (p, f) => !f.rating || (p.rating || 0) >= Number(f.rating),
+  inStock: (p, f, ctx) => !f.inStock || ctx.inStock(p),
+  moq: (p, f) => !f.moq || (Number(p.moq) || 1) <= Number(f.moq),
+  grade: (p, f) => !f.grade || availableGrades(p).includes(f.grade),
+};
+
+function passes(product, facets, ctx, except) {
+  return Object.entries(FACET_TESTS).every(([name, test]) => name === except || test(product, facets, ctx));
+}
+
+// Per-option result counts. Each facet is counted against the products matching every *other*
+// facet, so the numbers say what you would get by changing that facet alone.
+export function facetCounts(products, facets, ctx) {
+  const pool = (except) => products.filter((p) => passes(p, facets, ctx, except));
+  const count = (list, test) => list.filter(test).length;
+  const byCategory = pool("category");
+  const byPrice = pool("price");
+  const byLocation = pool("locations");
+  const byRating = pool("rating");
+  const byStock = pool("inStock");
+  const byMoq = pool("moq");
+  const byGrade = pool("grade");
+  const locations = {};
+  for (const p of byLocation) {
+    const loc = ctx.farmersById[p.farmerId]?.location;
+    if (loc) locations[loc] = (locations[loc] || 0) + 1;
+  }
+  const categories = { All: byCategory.length };
+  for (const p of byCategory) categories[p.category] = (categories[p.category] || 0) + 1;
+  return {
+    category: categories,
+    price: Object.fromEntries(PRICE_RANGES.map((r) => [r.key, count(byPrice, (p) => p.priceINR >= r.min && p.priceINR < r.max)])),
+    locations,
+    rating: Object.fromEntries(RATING_OPTIONS.map((r) => [r, count(byRating, (p) => (p.rating || 0) >= Number(r))])),
+    inStock: count(byStock, ctx.inStock),
+    moq: Object.fromEntries(MOQ_OPTIONS.map((n) => [n, count(byMoq, (p) => (Number(p.moq) || 1) <= Number(n))])),
+    grade: Object.fromEntries(GRADES.map((g) => [g, count(byGrade, (p) => availableGrades(p).includes(g))])),
+  };
+}
+
+const SORTERS = {
+  priceAsc: (a, b) => a.product.priceINR - b.product.priceINR,
+  priceDesc: (a, b) => b.product.priceINR - a.product.priceINR,
+  ratingDesc: (a, b) => (b.product.rating || 0) - (a.product.rating || 0),
+  // equally relevant products from farms with priority listing come first
+  relevance: (a, b) => b.score - a.score || b.priority - a.priority,
+};
+
+// Query + facets + sort in one pass. ctx = { farmersById, inStock(product) → bool, priority?(product) → bool }.
+// Facet counts only include products that match the text query.
+export function searchProducts(products, { q = "", sort = "relevance", ...facets }, ctx) {
+  const f = { ...EMPTY_FACETS, ...facets };
+  const matched = products
+    .map((product) => ({ product, score: scoreProduct(product, q, ctx.farmersById), priority: ctx.priority?.(product) ? 1 : 0 }))
+    .filter((r) => r.score > 0);
+  const counts = facetCounts(matched.map((r) => r.product), f, ctx);
+  const results = matched.filter((r) => passes(r.product, f, ctx)).sort(SORTERS[sort] || SORTERS.relevance);
+  return { results: results.map((r) => r.product), counts, total: results.length };
+}
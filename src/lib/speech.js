@@ -0,0 +1,142 @@
+// ----------------------------- Speech -----------------------------
+// Voice input and spoken replies, for users who would rather talk than type.
+// A speech provider is `{ id, label, needsAudio, transcribe(audio, { language }) → Promise<string>,
+// speak(text, { language }) → Promise<void>, cancel() }`. `needsAudio` says whether transcribe()
+// wants a recorded Blob (see createRecorder) or can be called without one (the fake provider).
+
+export const SPEECH_LANGUAGES = Object.freeze([
+  { code: "en", label: "English", bcp47: "en-IN" },
+  { code: "hi", label: "हिंदी", bcp47: "hi-IN" },
+  { code: "mr", label: "मराठी", bcp47: "mr-IN" },
+]);
+export const DEFAULT_LANGUAGE = "en";
+export const MAX_RECORDING_SECONDS = 30;
+
+export function speechLanguage(code) {
+  return SPEECH_LANGUAGES.find((l) => l.code === code) || SPEECH_LANGUAGES[0];
+}
+
+// Microphone capture via MediaRecorder. stop() resolves with the recording; recordings end by
+// themselves after MAX_RECORDING_SECONDS so a forgotten mic does not run forever.
+export async function createRecorder({ maxSeconds = MAX_RECORDING_SECONDS } = {}) {
+  if (typeof navigator === "undefined" || !navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === "undefined") {
+    throw new Error("Voice input is not supported in this browser.");
+  }
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch {
+    throw new Error("Microphone access was denied. Allow it in your browser settings to use voice input.");
+  }
+  const recorder = new MediaRecorder(stream);
+  const chunks = [];
+  recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+  const done = new Promise((resolve) => {
+    recorder.onstop = () => {
+      stream.getTracks().forEach((t) => t.stop());
+      resolve(new Blob(chunks, { type: recorder.mimeType || "audio/webm" }));
+    };
+  });
+  recorder.start();
+  const timer = setTimeout(() => recorder.state === "recording" && recorder.stop(), maxSeconds * 1000);
+  return {
+    stop() {
+      clearTimeout(timer);
+      if (recorder.state === "recording") recorder.stop();
+      return done;
+    },
+  };
+}
+
+// Speech synthesis built into the browser; used when no TTS endpoint is configured.
+function browserSpeak(text, language) {
+  const synth = typeof window !== "undefined" ? window.speechSynthesis : null;
+  if (!synth || typeof SpeechSynthesisUtterance === "undefined") return Promise.resolve();
+  return new Promise((resolve) => {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = speechLanguage(language).bcp47;
+    utterance.onend = utterance.onerror = () => resolve();
+    synth.cancel();
+    synth.speak(utterance);
+  });
+}
+
+function browserCancel() {
+  if (typeof window !== "undefined") window.speechSynthesis?.cancel();
+}
+
+// Whisper transcription and TTS through the assistant proxy (server/assistant-proxy.js), which holds the key.
+export function createWhisperProvider({ baseUrl = "/api/assistant", voice = "alloy", fetchImpl = (...args) => fetch(...args) } = {}) {
+  let audio = null;
+  return {
+    id: "whisper",
+    label: "Whisper",
+    needsAudio: true,
+    async transcribe(recording, { language = DEFAULT_LANGUAGE } = {}) {
+      const form = new FormData();
+      form.append("file", recording, "speech.webm");
+      form.append("model", "whisper-1");
+      form.append("language", language);
+      const res = await fetchImpl(`${baseUrl}/audio/transcriptions`, { method: "POST", body: form }).catch(() => null);
+      if (!res) throw new Error("Speech service is unreachable.");
+      if (!res.ok) throw new Error(`Could not transcribe the recording (HTTP ${res.status}).`);
+      return String((await res.json()).text || "").trim();
+    },
+    async speak(text, { language = DEFAULT_LANGUAGE } = {}) {
+      this.cancel();
+      const res = await fetchImpl(`${baseUrl}/audio/speech`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model: "tts-1", voice, input: text }),
+      }).catch(() => null);
+      // fall back to the browser's own voice rather than staying silent
+      if (!res?.ok) return browserSpeak(text, language);
+      const url = URL.createObjectURL(await res.blob());
+      audio = new Audio(url);
+      await new Promise((resolve) => {
+        audio.onended = audio.onerror = () => { URL.revokeObjectURL(url); resolve(); };
+        audio.play().catch(resolve);
+      });
+    },
+    cancel() {
+      audio?.pause();
+      audio = null;
+      browserCancel();
+    },
+  };
+}
+
+// Offline provider for development and tests: no microphone needed, transcribe() returns a canned
+// phrase per language and speak() records what would have been said (and optionally uses the
+// browser's voice so demos are still audible).
+export const FAKE_TRANSCRIPTS = Object.freeze({
+  en: "tomatoes",
+  hi: "टमाटर",
+  mr: "टोमॅटो",
+});
+
+export function createFakeSpeechProvider({ transcripts = FAKE_TRANSCRIPTS, browserVoice = false } = {}) {
+  const spoken = [];
+  return {
+    id: "fake",
+    label: "Demo voice",
+    needsAudio: false,
+    spoken,
+    async transcribe(_recording, { language = DEFAULT_LANGUAGE } = {}) {
+      return transcripts[language] ?? transcripts[DEFAULT_LANGUAGE];
+    },
+    async speak(text, { language = DEFAULT_LANGUAGE } = {}) {
+      spoken.push({ text, language });
+      if (browserVoice) await browserSpeak(text, language);
+    },
+    cancel() {
+      if (browserVoice) browserCancel();
+    },
+  };
+}
+
+// Same switch as the assistant: with an endpoint configured use Whisper/TTS, otherwise the fake provider.
+export function createSpeechProvider(env = {}) {
+  if (env.VITE_ASSISTANT_ENDPOINT) return createWhisperProvider({ baseUrl: env.VITE_SPEECH_BASE_URL || undefined });
+  return createFakeSpeechProvider({ browserVoice: true });
+}
@@ -0,0 +1,34 @@
+// ----------------------------- Storage backends -----------------------------
+// A backend is anything with async-compatible getItem/setItem/removeItem over JSON strings,
+// i.e. the Web Storage API. The repository (lib/repository.js) only talks to this interface,
+// so swapping localStorage for an HTTP client does not touch the app.
+
+export function createMemoryBackend(initial = {}) {
+  const map = new Map(Object.entries(initial));
+  return {
+    kind: "memory",
+    getItem: (key) => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => { map.set(key, String(value)); },
+    removeItem: (key) => { map.delete(key); },
+  };
+}
+
+// localStorage when it is usable (it throws in some private modes and is absent during SSR),
+// otherwise an in-memory fallback so the app still runs — it just forgets on reload.
+export function createBrowserBackend(storage = typeof window !== "undefined" ? window.localStorage : undefined) {
+  try {
+    const probe = "__fm_probe__";
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+  } catch (err) {
+    console.warn("Browser storage unavailable; falling back to memory", err);
+    return createMemoryBackend();
+  }
+  return {
+    kind: "local",
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: (key) => storage.removeItem(key),
+  };
+}
+
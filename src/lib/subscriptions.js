@@ -0,0 +1,164 @@
+// ----------------------------- Subscriptions -----------------------------
+// Plans decide what an account may do through entitlements; the UI asks `can(user, feature)` and
+// shows an upgrade prompt instead of the feature. A subscription lives on the user record:
+//   { plan, period: "monthly"|"yearly", startedAt, renewsAt, pendingChange?: { plan, period },
+//     payments: [{ date, plan, period, amountINR, reference }] }
+// Accounts without one are on Starter, and admins are entitled to everything.
+// Upgrades start at once and cost the new price less the unused part of the current period.
+// Downgrades wait for the renewal date, so time already paid for is never lost.
+
+export const PLANS = Object.freeze([
+  {
+    key: "starter",
+    monthlyINR: 0,
+    features: ["browsing", "checkout", "rfqLimit", "emailSupport"],
+    entitlements: { rfqsPerMonth: 3, invoices: false, priorityListing: false, catalogCsv: false, api: false },
+  },
+  {
+    key: "pro",
+    monthlyINR: 999,
+    features: ["rfqs", "invoices", "priorityListing", "catalogCsv", "prioritySupport"],
+    entitlements: { rfqsPerMonth: Infinity, invoices: true, priorityListing: true, catalogCsv: true, api: false },
+  },
+  {
+    key: "enterprise",
+    monthlyINR: 4999,
+    features: ["everythingInPro", "api", "workflows", "accountManager"],
+    entitlements: { rfqsPerMonth: Infinity, invoices: true, priorityListing: true, catalogCsv: true, api: true },
+  },
+]);
+
+// yearly billing charges ten months for twelve
+export const BILLING_PERIODS = Object.freeze({
+  monthly: { months: 1, chargedMonths: 1 },
+  yearly: { months: 12, chargedMonths: 10 },
+});
+
+const STARTER = { plan: "starter", period: "monthly", startedAt: null, renewsAt: null, payments: [] };
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d.toISOString();
+}
+
+export function findPlan(key) {
+  return PLANS.find((p) => p.key === key) || PLANS[0];
+}
+
+function rank(key) {
+  return PLANS.findIndex((p) => p.key === key);
+}
+
+export function planPrice(planKey, period = "monthly") {
+  return findPlan(planKey).monthlyINR * BILLING_PERIODS[period].chargedMonths;
+}
+
+export function subscriptionOf(user) {
+  return user?.subscription || STARTER;
+}
+
+export function planOf(user) {
+  return user?.role === "admin" ? PLANS[PLANS.length - 1] : findPlan(subscriptionOf(user).plan);
+}
+
+export function can(user, feature) {
+  return !!planOf(user).entitlements[feature];
+}
+
+// The cheapest plan that includes a feature, for "upgrade to …" prompts.
+export function requiredPlan(feature) {
+  return PLANS.find((p) => p.entitlements[feature] === true || p.entitlements[feature] === Infinity) || null;
+}
+
+// RFQs sent this calendar month against the plan's allowance.
+export function rfqUsage(user, rfqs, now = new Date()) {
+  const month = now.toISOString().slice(0, 7);
+  const used = rfqs.filter((r) => r.buyerId === user?.id && r.date.slice(0, 7) === month).length;
+  const limit = planOf(user).entitlements.rfqsPerMonth;
+  return { used, limit, remaining: Math.max(0, limit - used) };
+}
+
+export function assertCanSendRfq(user, rfqs, now = new Date()) {
+  const { limit, remaining } = rfqUsage(user, rfqs, now);
+  if (remaining <= 0) throw new Error(`Your plan includes ${limit} bulk RFQs a month. Upgrade to Pro Trader for unlimited RFQs.`);
+}
+
+// What moving to planKey/period would mean: { kind: "upgrade"|"downgrade"|"current", amountINR, creditINR, effectiveAt }.
+export function quotePlanChange(user, planKey, period, now = new Date()) {
+  const sub = subscriptionOf(user);
+  const diff = rank(planKey) - rank(sub.plan) || (planKey === "starter" ? 0 : BILLING_PERIODS[period].months - BILLING_PERIODS[sub.period].months);
+  if (diff === 0) return { kind: "current", amountINR: 0, creditINR: 0, effectiveAt: null };
+  if (diff < 0) return { kind: "downgrade", amountINR: 0, creditINR: 0, effectiveAt: sub.renewsAt || now.toISOString() };
+  return { kind: "upgrade", ...upgradeCost(sub, planKey, period, now), effectiveAt: now.toISOString() };
+}
+
+function upgradeCost(sub, planKey, period, now) {
+  const price = planPrice(planKey, period);
+  const last = sub.payments[sub.payments.length - 1];
+  let creditINR = 0;
+  if (last && sub.renewsAt && sub.startedAt) {
+    const total = new Date(sub.renewsAt) - new Date(sub.startedAt);
+    const left = Math.max(0, new Date(sub.renewsAt) - now);
+    creditINR = round2((last.amountINR * left) / total);
+  }
+  return { amountINR: round2(Math.max(0, price - creditINR)), creditINR };
+}
+
+// Apply a plan change. Upgrades need the payment ({ amountINR, reference }) for the quoted amount.
+export function changePlan(user, planKey, period, payment, now = new Date()) {
+  const sub = subscriptionOf(user);
+  const quote = quotePlanChange(user, planKey, period, now);
+  if (quote.kind === "current") return { ...sub, pendingChange: null };
+  if (quote.kind === "downgrade") {
+    // nothing paid yet (Starter) means there is nothing to wait for
+    if (!sub.renewsAt) return { ...STARTER, payments: sub.payments };
+    return { ...sub, pendingChange: { plan: planKey, period } };
+  }
+  return {
+    plan: planKey,
+    period,
+    startedAt: now.toISOString(),
+    renewsAt: addMonths(now, BILLING_PERIODS[period].months),
+    pendingChange: null,
+    payments: [...sub.payments, { date: now.toISOString(), plan: planKey, period, amountINR: quote.amountINR, reference: payment?.reference || "" }],
+  };
+}
+
+export function cancelPendingChange(user) {
+  return { ...subscriptionOf(user), pendingChange: null };
+}
+
+// The renewal that is due, if the period has ended: { plan, period, amountINR }.
+export function dueRenewal(user, now = new Date()) {
+  const sub = subscriptionOf(user);
+  if (!sub.renewsAt || new Date(sub.renewsAt) > now) return null;
+  const next = sub.pendingChange || { plan: sub.plan, period: sub.period };
+  return { ...next, amountINR: planPrice(next.plan, next.period) };
+}
+
+// Start the subscription's next period. It runs from `now`, not from when the last one ended, so an
+// account that was away for several periods is charged once rather than once per missed period.
+// A failed or free renewal drops to Starter.
+export function renewSubscription(user, payment, now = new Date()) {
+  const sub = subscriptionOf(user);
+  const next = sub.pendingChange || { plan: sub.plan, period: sub.period };
+  if (next.plan === "starter" || !payment) return { ...STARTER, payments: sub.payments };
+  return {
+    plan: next.plan,
+    period: next.period,
+    startedAt: now.toISOString(),
+    renewsAt: addMonths(now, BILLING_PERIODS[next.period].months),
+    pendingChange: null,
+    payments: [...sub.payments, { date: now.toISOString(), plan: next.plan, period: next.period, amountINR: planPrice(next.plan, next.period), reference: payment.reference }],
+  };
+}
+
+export function createApiKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(20));
+  return `fm_live_${[...bytes].map((b) => b.toString(16).padStart(2, "0")).join("")}`;
+}
@@ -0,0 +1,129 @@
+import { isIndianPhone } from "./logistics.js";
+
+// ----------------------------- Support -----------------------------
+// Contact-form submissions become support tickets that admins triage and answer from the admin
+// console. A ticket is a thread of messages between the submitter and the support team:
+//   { id, reference, category, orderId, subject, name, email, phone, userId, status, createdAt, updatedAt,
+//     messages: [{ id, by: "customer"|"support", author, body, date }] }
+// status: "open" (waiting on support) → "answered" (waiting on the customer) → "closed".
+// A customer reply re-opens the ticket. Signed-out submitters look theirs up by reference and the
+// email or phone they gave.
+
+export const TICKET_CATEGORIES = Object.freeze(["order", "payment", "listing", "other"]);
+export const TICKET_STATUSES = Object.freeze(["open", "answered", "closed"]);
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+const MAX_MESSAGE_LENGTH = 2000;
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+function message(by, author, body) {
+  return { id: newId(), by, author, body, date: new Date().toISOString() };
+}
+
+// Orders are shown as "#" + the first five characters of their id; either form is accepted.
+export function matchOrder(orders, ref) {
+  const key = String(ref || "").trim().replace(/^#/, "").toLowerCase();
+  return key.length >= 5 ? orders.find((o) => o.id.toLowerCase().startsWith(key)) || null : null;
+}
+
+// Validate a contact-form draft. `orders` are the submitter's own orders when signed in (an order
+// reference must be one of them); signed out, only its format is checked.
+// Errors are keyed by field with a code: { contact: "invalid" } etc.
+export function validateTicket(draft, { orders = null } = {}) {
+  const contact = String(draft.contact || "").trim();
+  const isEmail = contact.includes("@");
+  const ticket = {
+    name: String(draft.name || "").trim(),
+    email: isEmail ? contact.toLowerCase() : "",
+    phone: isEmail ? "" : contact.replace(/[\s-]/g, ""),
+    category: draft.category,
+    orderRef: String(draft.orderRef || "").trim().replace(/^#/, ""),
+    subject: String(draft.subject || "").trim(),
+    message: String(draft.message || "").trim(),
+  };
+  const errors = {};
+  if (!ticket.name) errors.name = "required";
+  if (!contact) errors.contact = "required";
+  else if (isEmail ? !EMAIL.test(ticket.email) : !isIndianPhone(ticket.phone)) errors.contact = "invalid";
+  if (!TICKET_CATEGORIES.includes(ticket.category)) errors.category = "required";
+  if (ticket.orderRef) {
+    const order = orders ? matchOrder(orders, ticket.orderRef) : null;
+    if (!/^[a-z0-9]{5,}$/i.test(ticket.orderRef) || (orders && !order)) errors.orderRef = "unknown";
+    else if (order) ticket.orderRef = order.id;
+  }
+  if (!ticket.subject) errors.subject = "required";
+  if (!ticket.message) errors.message = "required";
+  else if (ticket.message.length > MAX_MESSAGE_LENGTH) errors.message = "tooLong";
+  return { ticket, errors, valid: Object.keys(errors).length === 0 };
+}
+
+// "SUP-1001", "SUP-1002", …
+export function nextTicketReference(tickets) {
+  const last = Math.max(1000, ...tickets.map((t) => Number(t.reference.split("-")[1]) || 0));
+  return `SUP-${last + 1}`;
+}
+
+export function createTicket(valid, tickets, user = null) {
+  const now = new Date().toISOString();
+  return {
+    id: newId(),
+    reference: nextTicketReference(tickets),
+    category: valid.category,
+    orderId: valid.orderRef || null,
+    subject: valid.subject,
+    name: valid.name,
+    email: valid.email,
+    phone: valid.phone,
+    userId: user?.id || null,
+    status: "open",
+    createdAt: now,
+    updatedAt: now,
+    messages: [message("customer", valid.name, valid.message)],
+  };
+}
+
+// A signed-out submitter's lookup: the reference plus the email or phone on the ticket.
+export function findTicket(tickets, reference, contact) {
+  const ref = String(reference || "").trim().toUpperCase();
+  const value = String(contact || "").trim().toLowerCase().replace(/[\s-]/g, "");
+  if (!ref || !value) return null;
+  return tickets.find((t) => t.reference === ref && (t.email === value || (t.phone && t.phone.slice(-10) === value.slice(-10)))) || null;
+}
+
+function addMessage(ticket, by, author, body, status) {
+  const text = String(body || "").trim();
+  if (!text) throw new Error("Write a message first.");
+  if (text.length > MAX_MESSAGE_LENGTH) throw new Error(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters.`);
+  const msg = message(by, author, text);
+  return { ...ticket, status, updatedAt: msg.date, messages: [...ticket.messages, msg] };
+}
+
+export function replyAsSupport(ticket, admin, body) {
+  if (ticket.status === "closed") throw new Error("Re-open the ticket to reply.");
+  return addMessage(ticket, "support", admin.name, body, "answered");
+}
+
+export function replyAsCustomer(ticket, body) {
+  return addMessage(ticket, "customer", ticket.name, body, "open");
+}
+
+export function setTicketStatus(ticket, status) {
+  if (!TICKET_STATUSES.includes(status)) throw new Error("Unknown ticket status.");
+  return { ...ticket, status, updatedAt: new Date().toISOString() };
+}
+
+export function recategorize(ticket, category) {
+  if (!TICKET_CATEGORIES.includes(category)) throw new Error("Unknown ticket category.");
+  return { ...ticket, category };
+}
+
+// Admin inbox order: tickets waiting on support first, then most recently updated.
+export function inbox(tickets, { status = "", category = "" } = {}) {
+  const rank = { open: 0, answered: 1, closed: 2 };
+  return tickets
+    .filter((t) => (!status || t.status === status) && (!category || t.category === category))
+    .sort((a, b) => rank[a.status] - rank[b.status] || b.updatedAt.localeCompare(a.updatedAt));
+}
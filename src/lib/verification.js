@@ -0,0 +1,108 @@
+import { MAX_UPLOAD_BYTES, downscaleImage } from "./images.js";
+
+// ----------------------------- Farmer verification -----------------------------
+// KYC for farms: a farmer submits identity and land documents, the farm's location and any FSSAI
+// licence or organic certificate; an admin approves or rejects it with a reason. Only verified
+// farms carry the "Verified" badge. Kept on the farmer record:
+//   kyc: { status: "unverified"|"pending"|"verified"|"rejected", documents, farmLocation, fssaiNumber,
+//          organicCertNumber, organicValidUntil, submittedAt, reviewedAt, reviewedBy, reason }
+// documents: [{ id, kind, name, type, dataUrl, date }] — kept inline as data URLs, and browser storage
+// holds only about 5 MB for the whole marketplace, so photos are downscaled to JPEG on upload and
+// PDFs are capped at MAX_DOCUMENT_BYTES.
+
+export const KYC_DOCUMENTS = Object.freeze([
+  { kind: "identity", label: "Identity proof (Aadhaar, PAN or voter ID)", required: true },
+  { kind: "land", label: "Land record or lease (7/12 extract, patta)", required: true },
+  { kind: "fssai", label: "FSSAI registration or licence" },
+  { kind: "organic", label: "Organic certificate (NPOP or PGS-India)" },
+]);
+
+export const KYC_STATUS_LABEL_KEY = {
+  unverified: "kyc.status.unverified",
+  pending: "kyc.status.pending",
+  verified: "kyc.status.verified",
+  rejected: "kyc.status.rejected",
+};
+
+export const MAX_DOCUMENT_BYTES = 300 * 1024;
+const DOCUMENT_EDGE = 1600;
+const DOCUMENT_TYPES = ["application/pdf", "image/jpeg", "image/png", "image/webp"];
+const FSSAI = /^[12]\d{13}$/;
+const PINCODE = /^[1-9][0-9]{5}$/;
+
+function newId() {
+  return Math.random().toString(36).slice(2);
+}
+
+export function kycOf(farmer) {
+  return farmer?.kyc || { status: "unverified", documents: [] };
+}
+
+export function isVerified(farmer) {
+  return kycOf(farmer).status === "verified";
+}
+
+// Read an uploaded PDF or photo into a document entry.
+export async function readDocument(file, kind) {
+  if (!DOCUMENT_TYPES.includes(file.type)) throw new Error(`${file.name} must be a PDF, JPEG, PNG or WebP file.`);
+  if (file.type !== "application/pdf") {
+    if (file.size > MAX_UPLOAD_BYTES) throw new Error(`${file.name} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB.`);
+    return { id: newId(), kind, name: file.name, type: "image/jpeg", dataUrl: await downscaleImage(file, DOCUMENT_EDGE, 0.8), date: new Date().toISOString() };
+  }
+  if (file.size > MAX_DOCUMENT_BYTES) throw new Error(`${file.name} is larger than ${MAX_DOCUMENT_BYTES / 1024} KB. Scan it at a lower resolution, or upload a photo instead.`);
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({ id: newId(), kind, name: file.name, type: file.type, dataUrl: reader.result, date: new Date().toISOString() });
+    reader.onerror = () => reject(new Error(`${file.name} could not be read.`));
+    reader.readAsDataURL(file);
+  });
+}
+
+// Validate a submission and put the farm under review.
+export function submitKyc(farmer, data) {
+  if (kycOf(farmer).status === "verified") throw new Error("This farm is already verified.");
+  const documents = data.documents || [];
+  for (const doc of KYC_DOCUMENTS.filter((d) => d.required)) {
+    if (!documents.some((d) => d.kind === doc.kind)) throw new Error(`Upload your ${doc.label.split(" (")[0].toLowerCase()}.`);
+  }
+  const farmLocation = {
+    village: String(data.farmLocation?.village || "").trim(),
+    district: String(data.farmLocation?.district || "").trim(),
+    state: String(data.farmLocation?.state || "").trim(),
+    pincode: String(data.farmLocation?.pincode || "").trim(),
+  };
+  if (!farmLocation.village || !farmLocation.district || !farmLocation.state) throw new Error("Enter the farm's village or town, district and state.");
+  if (!PINCODE.test(farmLocation.pincode)) throw new Error("Enter the farm's 6-digit pincode.");
+  const fssaiNumber = String(data.fssaiNumber || "").replace(/\s+/g, "");
+  if (fssaiNumber && !FSSAI.test(fssaiNumber)) throw new Error("FSSAI numbers are 14 digits.");
+  if (fssaiNumber && !documents.some((d) => d.kind === "fssai")) throw new Error("Upload the FSSAI certificate for that number.");
+  const organicCertNumber = String(data.organicCertNumber || "").trim();
+  const organicValidUntil = data.organicValidUntil || "";
+  if (organicCertNumber && !documents.some((d) => d.kind === "organic")) throw new Error("Upload the organic certificate for that number.");
+  if (organicCertNumber && !organicValidUntil) throw new Error("Enter the date the organic certificate is valid until.");
+  if (organicValidUntil && organicValidUntil < new Date().toISOString().slice(0, 10)) throw new Error("The organic certificate has expired.");
+  return {
+    status: "pending",
+    documents,
+    farmLocation,
+    fssaiNumber,
+    organicCertNumber,
+    organicValidUntil: organicCertNumber ? organicValidUntil : "",
+    submittedAt: new Date().toISOString(),
+    reviewedAt: null,
+    reviewedBy: null,
+    reason: "",
+  };
+}
+
+export function reviewKyc(farmer, admin, approve, reason = "") {
+  const kyc = kycOf(farmer);
+  if (kyc.status !== "pending") throw new Error("There is no submission waiting for review.");
+  if (!approve && !reason.trim()) throw new Error("Give the farmer a reason for the rejection.");
+  return { ...kyc, status: approve ? "verified" : "rejected", reviewedAt: new Date().toISOString(), reviewedBy: admin.name, reason: approve ? "" : reason.trim() };
+}
+
+// Submissions waiting for an admin, oldest first.
+export function kycQueue(farmers) {
+  return farmers.filter((f) => kycOf(f).status === "pending").sort((a, b) => a.kyc.submittedAt.localeCompare(b.kyc.submittedAt));
+}
@@ -3,4 +3,8 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
-})
\ No newline at end of file
+  server: {
+    // the AI assistant proxy (npm run assistant-proxy) keeps the API key off the client
+    proxy: { '/api': 'http://localhost:8787' },
+  },
+})